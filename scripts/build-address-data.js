@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Regenerates the offline Vietnamese address datasets in src/data/.
+ *
+ *   npm pack dvhcvn vn-provinces-wards
+ *   tar xzf dvhcvn-*.tgz --one-top-level=dvhcvn
+ *   tar xzf vn-provinces-wards-*.tgz --one-top-level=vn-provinces-wards
+ *   node scripts/build-address-data.js ./dvhcvn/package ./vn-provinces-wards/package
+ *
+ * Output is a compact nested array, `[code, name, children?]` per unit:
+ * - vn-address-legacy.json  63 provinces → districts → wards (before 1/7/2025)
+ * - vn-address-2025.json    34 provinces → wards (after the 2025 mergers)
+ */
+const fs = require("fs");
+const path = require("path");
+
+const [legacyDir, v2025Dir] = process.argv.slice(2);
+if (!legacyDir || !v2025Dir) {
+  console.error(
+    "Usage: node scripts/build-address-data.js <dvhcvn dir> <vn-provinces-wards dir>"
+  );
+  process.exit(1);
+}
+
+const OUT = path.join(__dirname, "..", "src", "data");
+const byName = (a, b) => a[1].localeCompare(b[1], "vi");
+
+// Legacy: dvhcvn already prefixes names with their unit type.
+const { level1s } = require(path.resolve(legacyDir, "lib", "index.js"));
+const legacy = level1s
+  .map((p) => [
+    p.id,
+    p.name,
+    p.children
+      .map((d) => [
+        d.id,
+        d.name,
+        d.children.map((w) => [w.id, w.name]).sort(byName),
+      ])
+      .sort(byName),
+  ])
+  .sort(byName);
+
+// 2025: ward names carry their type, province names do not.
+const CITIES = [
+  "Hà Nội",
+  "Huế",
+  "Hải Phòng",
+  "Đà Nẵng",
+  "Hồ Chí Minh",
+  "Cần Thơ",
+];
+const dataDir = path.resolve(v2025Dir, "dist", "json_data");
+const provinces = JSON.parse(
+  fs.readFileSync(path.join(dataDir, "provinces.json"))
+);
+const wards = JSON.parse(fs.readFileSync(path.join(dataDir, "wards.json")));
+const v2025 = provinces
+  .map((p) => [
+    p.code,
+    `${CITIES.includes(p.name) ? "Thành phố" : "Tỉnh"} ${p.name}`,
+    wards
+      .filter((w) => w.province_code === p.code)
+      .map((w) => [w.code, w.name])
+      .sort(byName),
+  ])
+  .sort(byName);
+
+const write = (file, data) => {
+  fs.writeFileSync(path.join(OUT, file), JSON.stringify(data));
+  console.log(`${file}: ${data.length} provinces`);
+};
+fs.mkdirSync(OUT, { recursive: true });
+write("vn-address-legacy.json", legacy);
+write("vn-address-2025.json", v2025);
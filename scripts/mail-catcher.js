@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Local SMTP catcher, so the newsletter's confirmation emails can be read
+ * without a real mail server.
+ *
+ *   npm run mail:catcher            SMTP on localhost:1025,
+ *                                   inbox on http://localhost:1080
+ *   SMTP_HOST=localhost npm run server
+ *
+ * Every email is printed here and listed (newest first, links clickable) on
+ * the inbox page. Nothing is delivered or kept after a restart. MailHog or
+ * Mailpit on the same port work just as well.
+ *
+ * Env:
+ *   SMTP_PORT   default 1025
+ *   PORT        default 1080 (inbox page)
+ */
+const http = require("http");
+const net = require("net");
+
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 1025;
+const PORT = Number(process.env.PORT) || 1080;
+
+const inbox = [];
+
+// ----------------------- Reading emails -----------------------
+const decodeHeader = (value = "") =>
+  value.replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, b64) =>
+    Buffer.from(b64, "base64").toString("utf8")
+  );
+
+const parseEmail = (raw) => {
+  const [head, ...rest] = raw.split("\r\n\r\n");
+  const headers = {};
+  head
+    .replace(/\r\n[ \t]+/g, " ")
+    .split("\r\n")
+    .forEach((line) => {
+      const at = line.indexOf(":");
+      if (at > 0)
+        headers[line.slice(0, at).toLowerCase()] = line.slice(at + 1).trim();
+    });
+  const body = rest.join("\r\n\r\n");
+  return {
+    from: decodeHeader(headers.from),
+    to: decodeHeader(headers.to),
+    subject: decodeHeader(headers.subject),
+    text: /base64/i.test(headers["content-transfer-encoding"] || "")
+      ? Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8")
+      : body,
+    receivedAt: new Date(),
+  };
+};
+
+const receive = (raw) => {
+  const email = parseEmail(raw);
+  inbox.unshift(email);
+  console.log(
+    `\n— ${email.receivedAt.toLocaleTimeString("vi-VN")} ${email.from} → ${
+      email.to
+    }\n  ${email.subject}\n\n${email.text}\n`
+  );
+};
+
+// ----------------------- SMTP -----------------------
+// Accepts whatever it is given: one reply per command, then the message
+// up to the lone "." line.
+const smtp = net.createServer((socket) => {
+  let buffer = "";
+  let data = null;
+  const reply = (line) => socket.write(`${line}\r\n`);
+  socket.setEncoding("utf8");
+  reply("220 mail-catcher ESMTP");
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (data !== null) {
+        if (line === ".") {
+          receive(data.join("\r\n"));
+          data = null;
+          reply("250 OK: caught");
+        } else data.push(line.startsWith("..") ? line.slice(1) : line);
+        continue;
+      }
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === "DATA") {
+        data = [];
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (command === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else reply("250 OK");
+    }
+  });
+  socket.on("error", () => {});
+});
+
+// ----------------------- Inbox page -----------------------
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+const linkify = (text) =>
+  escapeHtml(text).replace(
+    /https?:\/\/[^\s<]+/g,
+    (url) => `<a href="${url}">${url}</a>`
+  );
+
+const server = http.createServer((req, res) => {
+  const list = inbox
+    .map(
+      (e) =>
+        `<article style="border-top:1px solid #ddd;padding:12px 0">` +
+        `<div><b>${escapeHtml(e.subject)}</b></div>` +
+        `<small>${escapeHtml(e.from)} → ${escapeHtml(e.to)}, ` +
+        `${e.receivedAt.toLocaleString("vi-VN")}</small>` +
+        `<pre style="white-space:pre-wrap">${linkify(e.text)}</pre></article>`
+    )
+    .join("");
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(
+    `<!doctype html><html lang="vi"><meta charset="utf-8">` +
+      `<title>Hộp thư thử nghiệm</title>` +
+      `<body style="font-family:sans-serif;max-width:720px;margin:32px auto">` +
+      `<h2>Hộp thư thử nghiệm (${inbox.length})</h2>` +
+      (list || "<p>Chưa có email nào.</p>") +
+      `</body></html>`
+  );
+});
+
+smtp.listen(SMTP_PORT, () =>
+  console.log(`Mail catcher: SMTP on localhost:${SMTP_PORT}`)
+);
+server.listen(PORT, () =>
+  console.log(`Mail catcher: inbox on http://localhost:${PORT}`)
+);
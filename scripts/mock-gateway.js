@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the VNPAY and MoMo sandboxes, so the whole
+ * pay → return → paid cycle can be tried without a network connection.
+ *
+ *   npm run mock:gateway            listens on http://localhost:4100
+ *
+ * Then press "Dùng máy chủ giả lập" in Admin ▶ Thanh toán, which fills in
+ * MOCK_GATEWAYS from src/lib/gateways.js; the signing rules come from there
+ * too.
+ *
+ * Like the real providers, the mock checks the request signature, shows a
+ * page where you choose to pay or cancel, then sends a signed IPN (when an
+ * IPN address is known) and redirects back to the shop with signed params.
+ *
+ * Env:
+ *   PORT            default 4100
+ *   VNPAY_IPN_URL   VNPAY takes the IPN address from the merchant portal,
+ *                   not from the request; set it here to receive IPNs.
+ */
+const http = require("http");
+const {
+  MOCK_GATEWAYS,
+  MOMO_CREATE_FIELDS,
+  MOMO_RESULT_FIELDS,
+  hmac,
+  momoRaw,
+  vnTimestamp,
+  vnpQuery,
+} = require("../src/lib/gateways.js");
+
+const PORT = Number(process.env.PORT) || 4100;
+const VNPAY = {
+  ...MOCK_GATEWAYS.vnpay,
+  ipnUrl: process.env.VNPAY_IPN_URL || "",
+};
+const MOMO = MOCK_GATEWAYS.momo;
+
+// Payments waiting on the "pay or cancel" page, by id.
+const pending = new Map();
+let sequence = 0;
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { ...CORS, ...headers });
+  res.end(body);
+};
+const sendJson = (res, data) =>
+  send(res, 200, JSON.stringify(data), { "Content-Type": "application/json" });
+const redirect = (res, location) => send(res, 302, "", { Location: location });
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+const page = (title, body) =>
+  `<!doctype html><html lang="vi"><meta charset="utf-8">` +
+  `<title>${escapeHtml(title)}</title>` +
+  `<body style="font-family:sans-serif;max-width:420px;margin:48px auto">` +
+  `<h2>${escapeHtml(title)}</h2>${body}</body></html>`;
+const sendPage = (res, status, title, body) =>
+  send(res, status, page(title, body), {
+    "Content-Type": "text/html; charset=utf-8",
+  });
+
+const checkoutPage = (res, id, provider, amount, info) =>
+  sendPage(
+    res,
+    200,
+    `${provider} (giả lập)`,
+    `<p>${escapeHtml(info)}</p>` +
+      `<p style="font-size:24px"><b>${Number(amount).toLocaleString(
+        "vi-VN"
+      )} ₫</b></p>` +
+      `<p><a href="/complete?id=${id}&result=success">Thanh toán</a> · ` +
+      `<a href="/complete?id=${id}&result=cancel">Huỷ giao dịch</a></p>`
+  );
+
+const notify = async (url, options) => {
+  if (!/^https?:\/\//.test(url)) return;
+  try {
+    const r = await fetch(url, options);
+    console.log(`IPN → ${url.split("?")[0]}: ${r.status}`);
+  } catch (err) {
+    console.log(`IPN → ${url.split("?")[0]} failed: ${err.message}`);
+  }
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+
+// ----------------------- VNPAY -----------------------
+async function vnpayStart(res, url) {
+  const params = Object.fromEntries(url.searchParams);
+  const { vnp_SecureHash, vnp_SecureHashType, ...signed } = params;
+  if (
+    params.vnp_TmnCode !== VNPAY.tmnCode ||
+    vnp_SecureHash !==
+      (await hmac("SHA-512", VNPAY.hashSecret, vnpQuery(signed)))
+  )
+    return sendPage(res, 400, "Sai chữ ký", "<p>Mã lỗi 97.</p>");
+  const id = String(++sequence);
+  pending.set(id, { provider: "vnpay", params });
+  checkoutPage(res, id, "VNPAY", params.vnp_Amount / 100, params.vnp_OrderInfo);
+}
+
+async function vnpayComplete(res, { params }, success) {
+  const back = {
+    vnp_Amount: params.vnp_Amount,
+    vnp_BankCode: "NCB",
+    vnp_CardType: "ATM",
+    vnp_OrderInfo: params.vnp_OrderInfo,
+    vnp_PayDate: vnTimestamp(new Date()),
+    vnp_ResponseCode: success ? "00" : "24",
+    vnp_TmnCode: params.vnp_TmnCode,
+    vnp_TransactionNo: success ? String(14400000 + sequence) : "0",
+    vnp_TransactionStatus: success ? "00" : "02",
+    vnp_TxnRef: params.vnp_TxnRef,
+  };
+  const query = vnpQuery(back);
+  const signed = `${query}&vnp_SecureHash=${await hmac(
+    "SHA-512",
+    VNPAY.hashSecret,
+    query
+  )}`;
+  if (VNPAY.ipnUrl) await notify(`${VNPAY.ipnUrl}?${signed}`);
+  redirect(res, `${params.vnp_ReturnUrl}?${signed}`);
+}
+
+// ----------------------- MoMo -----------------------
+async function momoCreate(req, res) {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {
+    return sendJson(res, { resultCode: 20, message: "Yêu cầu không hợp lệ." });
+  }
+  if (
+    body.partnerCode !== MOMO.partnerCode ||
+    body.accessKey !== MOMO.accessKey ||
+    body.signature !==
+      (await hmac("SHA-256", MOMO.secretKey, momoRaw(MOMO_CREATE_FIELDS, body)))
+  )
+    return sendJson(res, {
+      resultCode: 13,
+      message: "Xác thực doanh nghiệp thất bại.",
+    });
+  const id = String(++sequence);
+  pending.set(id, { provider: "momo", params: body });
+  sendJson(res, {
+    partnerCode: body.partnerCode,
+    orderId: body.orderId,
+    requestId: body.requestId,
+    amount: Number(body.amount),
+    responseTime: Date.now(),
+    message: "Thành công.",
+    resultCode: 0,
+    payUrl: `http://localhost:${PORT}/pay?id=${id}`,
+  });
+}
+
+async function momoComplete(res, { params }, success) {
+  const back = {
+    partnerCode: params.partnerCode,
+    orderId: params.orderId,
+    requestId: params.requestId,
+    amount: params.amount,
+    orderInfo: params.orderInfo,
+    orderType: "momo_wallet",
+    transId: success ? String(4088000000 + sequence) : "0",
+    resultCode: success ? "0" : "1006",
+    message: success ? "Thành công." : "Giao dịch bị từ chối bởi người dùng.",
+    payType: "qr",
+    responseTime: String(Date.now()),
+    extraData: params.extraData || "",
+  };
+  back.signature = await hmac(
+    "SHA-256",
+    MOMO.secretKey,
+    momoRaw(MOMO_RESULT_FIELDS, { ...back, accessKey: MOMO.accessKey })
+  );
+  if (params.ipnUrl && params.ipnUrl !== params.redirectUrl)
+    await notify(params.ipnUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(back),
+    });
+  redirect(res, `${params.redirectUrl}?${new URLSearchParams(back)}`);
+}
+
+// ----------------------- Server -----------------------
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method === "OPTIONS") return send(res, 204, "");
+
+  if (url.pathname === "/vnpay/paymentv2/vpcpay.html")
+    return vnpayStart(res, url);
+  if (url.pathname === "/v2/gateway/api/create" && req.method === "POST")
+    return momoCreate(req, res);
+
+  const payment = pending.get(url.searchParams.get("id"));
+  if (url.pathname === "/pay" && payment)
+    return checkoutPage(
+      res,
+      url.searchParams.get("id"),
+      "MoMo",
+      payment.params.amount,
+      payment.params.orderInfo
+    );
+  if (url.pathname === "/complete" && payment) {
+    pending.delete(url.searchParams.get("id"));
+    const success = url.searchParams.get("result") === "success";
+    return payment.provider === "vnpay"
+      ? vnpayComplete(res, payment, success)
+      : momoComplete(res, payment, success);
+  }
+
+  sendPage(res, 404, "Không tìm thấy", "<p>Giao dịch không tồn tại.</p>");
+});
+
+server.listen(PORT, () =>
+  console.log(`Mock VNPAY/MoMo gateway on http://localhost:${PORT}`)
+);
@@ -0,0 +1,56 @@
+/**
+ * Sessions
+ * ---------------------------------------------------------
+ * Roles, permissions and password hashing are src/lib/auth.js, shared with
+ * the demo store. What only the API needs lives here.
+ *
+ * A login hands out a random token; only its SHA-256 is stored, next to the
+ * user id and the expiry, so a copy of the database cannot be used to sign
+ * in. Requests send the token as "Authorization: Bearer <token>".
+ */
+const crypto = require("crypto");
+const { SESSION_HOURS, publicUser } = require("../src/lib/auth.js");
+
+const tokenHash = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+function createSessions(db) {
+  const now = () => new Date();
+  return {
+    start(user) {
+      const token = crypto.randomBytes(32).toString("hex");
+      const expiresAt = new Date(
+        now().getTime() + SESSION_HOURS * 3600 * 1000
+      ).toISOString();
+      // Expired sessions are dropped whenever someone logs in.
+      db.list("sessions")
+        .filter((s) => new Date(s.expiresAt) <= now())
+        .forEach((s) => db.remove("sessions", s.token));
+      db.put("sessions", {
+        token: tokenHash(token),
+        userId: user.id,
+        expiresAt,
+      });
+      return { token, user: publicUser(user), expiresAt };
+    },
+    // The signed-in user for a request, or null.
+    user(req) {
+      const match = /^Bearer (\w+)$/.exec(req.headers.authorization || "");
+      if (!match) return null;
+      const session = db.get("sessions", tokenHash(match[1]));
+      if (!session || new Date(session.expiresAt) <= now()) return null;
+      return db.get("users", session.userId);
+    },
+    end(req) {
+      const match = /^Bearer (\w+)$/.exec(req.headers.authorization || "");
+      if (match) db.remove("sessions", tokenHash(match[1]));
+    },
+    endAllFor(userId) {
+      db.list("sessions")
+        .filter((s) => s.userId === userId)
+        .forEach((s) => db.remove("sessions", s.token));
+    },
+  };
+}
+
+module.exports = { createSessions };
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./harness");
+
+let api;
+test.before(async () => {
+  api = await startApi();
+});
+test.after(() => api.close());
+
+test("the first account becomes the owner, and only the first", async () => {
+  assert.deepEqual((await api.get("/api/auth/status")).body, { setup: true });
+  const token = await api.owner();
+  assert.equal((await api.get("/api/auth/me", token)).body.role, "owner");
+  assert.deepEqual((await api.get("/api/auth/status")).body, { setup: false });
+
+  const again = await api.post("/api/auth/setup", {
+    username: "khac",
+    name: "Khác",
+    password: "mat-khau-123",
+  });
+  assert.equal(again.status, 403);
+});
+
+test("logs in with the password and keeps only a hash of it", async () => {
+  const wrong = await api.post("/api/auth/login", {
+    username: "chu",
+    password: "sai-mat-khau",
+  });
+  assert.equal(wrong.status, 401);
+  const { status, body } = await api.post("/api/auth/login", {
+    username: "chu",
+    password: "mat-khau-123",
+  });
+  assert.equal(status, 200);
+  assert.equal(body.user.username, "chu");
+  assert.equal(body.user.passwordHash, undefined);
+  const [stored] = api.db.list("users");
+  assert.match(
+    stored.passwordHash,
+    /^pbkdf2\$100000\$[0-9a-f]{32}\$[0-9a-f]{64}$/
+  );
+  assert.ok(!JSON.stringify(api.db.list("sessions")).includes(body.token));
+});
+
+test("rejects malformed login bodies instead of failing", async () => {
+  const { status } = await api.post("/api/auth/login", {
+    username: "chu",
+    password: { length: 12 },
+  });
+  assert.equal(status, 401);
+});
+
+test("staff may touch orders and stock, not accounts or prices", async () => {
+  const owner = await api.owner();
+  const created = await api.post(
+    "/api/users",
+    {
+      username: "nhanvien",
+      name: "Nhân viên",
+      role: "staff",
+      password: "12345678",
+    },
+    owner
+  );
+  assert.equal(created.status, 201);
+  const bad = await api.post(
+    "/api/users",
+    { username: "x", name: "", role: "toString", password: 12345678 },
+    owner
+  );
+  assert.equal(bad.status, 400);
+
+  const staff = await api.login("nhanvien", "12345678");
+  assert.equal((await api.get("/api/users", staff)).status, 403);
+  assert.equal((await api.get("/api/orders", staff)).status, 200);
+  assert.equal((await api.get("/api/orders")).status, 401);
+
+  const product = { id: "ao", name: "Áo", price: 100000, stock: 5 };
+  assert.equal((await api.post("/api/products", product, owner)).status, 201);
+  const restock = await api.put(
+    "/api/products/ao",
+    { ...product, stock: 8 },
+    staff
+  );
+  assert.equal(restock.status, 200);
+  const reprice = await api.put(
+    "/api/products/ao",
+    { ...product, stock: 8, price: 1 },
+    staff
+  );
+  assert.equal(reprice.status, 403);
+});
+
+test("a new password signs the account out elsewhere", async () => {
+  const owner = await api.owner();
+  const staffUser = api.db.list("users").find((u) => u.username === "nhanvien");
+  const staff = await api.login("nhanvien", "12345678");
+  await api.put(
+    `/api/users/${staffUser.id}`,
+    {
+      username: "nhanvien",
+      name: "Nhân viên",
+      role: "staff",
+      password: "87654321",
+    },
+    owner
+  );
+  assert.equal((await api.get("/api/auth/me", staff)).status, 401);
+  assert.ok(await api.login("nhanvien", "87654321"));
+});
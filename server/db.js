@@ -0,0 +1,170 @@
+/**
+ * File database
+ * ---------------------------------------------------------
+ * One JSON document on disk holding every collection:
+ *
+ *   { products: [], categories: [], orders: [], reviews: [], messages: [],
+ *     subscribers: [], events: [], settings: {}, users: [], sessions: [] }
+ *
+ * The shop is small (hundreds of products, a few orders a day), so the whole
+ * document lives in memory and each change rewrites the file. Writes go to a
+ * temporary file that is then renamed over the old one, so a crash never
+ * leaves half a file behind. No native modules are needed, unlike SQLite.
+ *
+ * Log-like collections (LOGS) arrive far more often, a batch with every
+ * page a shopper leaves, so they live in a file of their own beside it
+ * (db.events.ndjson, one JSON line per item, oldest first) that is only
+ * appended to. It is rewritten when it has grown a tenth past its limit.
+ */
+const fs = require("fs");
+const path = require("path");
+
+// Collection -> field that identifies an item.
+const KEYS = {
+  products: "id",
+  categories: "id",
+  orders: "code",
+  reviews: "id",
+  messages: "id",
+  subscribers: "id",
+  events: "id",
+  users: "id",
+  sessions: "token",
+};
+const SHOP = ["products", "categories", "orders"];
+const LOGS = ["events"];
+
+const EMPTY = () => ({
+  products: [],
+  categories: [],
+  orders: [],
+  reviews: [],
+  messages: [],
+  subscribers: [],
+  events: [],
+  settings: {},
+  users: [],
+  sessions: [],
+});
+
+const replace = (file, text) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+};
+
+const toLines = (items) => items.map((item) => `${JSON.stringify(item)}\n`);
+
+// Newest first, like the other lists. A line cut short by a crash is skipped.
+const readLog = (file) =>
+  fs.existsSync(file)
+    ? fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .flatMap((line) => {
+          try {
+            return line ? [JSON.parse(line)] : [];
+          } catch {
+            return [];
+          }
+        })
+        .reverse()
+    : [];
+
+function openDb(file) {
+  let data = EMPTY();
+  if (fs.existsSync(file))
+    data = { ...data, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  const logFile = (collection) =>
+    path.join(
+      path.dirname(file),
+      `${path.basename(file, ".json")}.${collection}.ndjson`
+    );
+  // Databases written before the logs existed kept them in the document.
+  const moved = LOGS.filter((c) => data[c].length);
+  for (const collection of LOGS)
+    data[collection] = [...readLog(logFile(collection)), ...data[collection]];
+
+  const write = () =>
+    replace(
+      file,
+      JSON.stringify(
+        { ...data, ...Object.fromEntries(LOGS.map((c) => [c, undefined])) },
+        null,
+        2
+      )
+    );
+  const writeLog = (collection) =>
+    replace(
+      logFile(collection),
+      toLines([...data[collection]].reverse()).join("")
+    );
+  moved.forEach(writeLog);
+  if (moved.length) write();
+
+  const keyOf = (collection) => {
+    if (!KEYS[collection]) throw new Error(`Unknown collection ${collection}`);
+    return KEYS[collection];
+  };
+
+  return {
+    isEmpty: () => SHOP.every((c) => data[c].length === 0),
+    list: (collection) => data[collection],
+    get(collection, id) {
+      const key = keyOf(collection);
+      return data[collection].find((item) => item[key] === id) || null;
+    },
+    // Insert or replace; new items go first, like the lists in the app.
+    put(collection, item) {
+      const key = keyOf(collection);
+      const list = data[collection];
+      const idx = list.findIndex((x) => x[key] === item[key]);
+      data[collection] =
+        idx >= 0 ? list.map((x, i) => (i === idx ? item : x)) : [item, ...list];
+      write();
+      return item;
+    },
+    // Bulk import: one write for the whole batch.
+    putMany(collection, items) {
+      const key = keyOf(collection);
+      const incoming = new Set(items.map((item) => item[key]));
+      data[collection] = [
+        ...items,
+        ...data[collection].filter((x) => !incoming.has(x[key])),
+      ];
+      write();
+      return items.length;
+    },
+    // Log-like collections: new items first; past `max` (and a tenth) the
+    // oldest are dropped.
+    append(collection, items, max) {
+      keyOf(collection);
+      if (!LOGS.includes(collection))
+        throw new Error(`${collection} is not a log`);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(logFile(collection), toLines(items).join(""));
+      data[collection] = [...[...items].reverse(), ...data[collection]];
+      if (data[collection].length > max + Math.ceil(max / 10)) {
+        data[collection] = data[collection].slice(0, max);
+        writeLog(collection);
+      }
+      return items.length;
+    },
+    remove(collection, id) {
+      const key = keyOf(collection);
+      const before = data[collection].length;
+      data[collection] = data[collection].filter((x) => x[key] !== id);
+      write();
+      return data[collection].length < before;
+    },
+    settings: () => data.settings,
+    putSetting(name, value) {
+      data.settings = { ...data.settings, [name]: value };
+      write();
+      return value;
+    },
+  };
+}
+
+module.exports = { openDb, KEYS };
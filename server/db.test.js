@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openDb } = require("./db");
+
+const tempDb = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vietky-db-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "db.json");
+};
+const event = (n) => ({ id: `e${n}`, type: "page_view", at: `t${n}` });
+
+test("appends events without rewriting the database", () => {
+  const file = tempDb();
+  const db = openDb(file);
+  db.putSetting("site", { name: "Việt Ký" });
+  const before = fs.statSync(file).mtimeMs;
+  db.append("events", [event(1), event(2)], 100);
+  db.append("events", [event(3)], 100);
+  assert.equal(fs.statSync(file).mtimeMs, before);
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).events, undefined);
+
+  const again = openDb(file);
+  assert.deepEqual(
+    again.list("events").map((e) => e.id),
+    ["e3", "e2", "e1"]
+  );
+  assert.equal(again.settings().site.name, "Việt Ký");
+});
+
+test("drops the oldest events once the log is a tenth over its limit", () => {
+  const file = tempDb();
+  const db = openDb(file);
+  for (let n = 1; n <= 11; n += 1) db.append("events", [event(n)], 10);
+  assert.equal(db.list("events").length, 11);
+  db.append("events", [event(12)], 10);
+  assert.deepEqual(
+    openDb(file)
+      .list("events")
+      .map((e) => e.id),
+    ["e12", "e11", "e10", "e9", "e8", "e7", "e6", "e5", "e4", "e3"]
+  );
+});
+
+test("moves events out of an older database file", () => {
+  const file = tempDb();
+  fs.writeFileSync(file, JSON.stringify({ events: [event(2), event(1)] }));
+  const db = openDb(file);
+  assert.deepEqual(
+    db.list("events").map((e) => e.id),
+    ["e2", "e1"]
+  );
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).events, undefined);
+  assert.equal(openDb(file).list("events").length, 2);
+});
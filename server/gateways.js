@@ -0,0 +1,53 @@
+/**
+ * Gateway keys on the server
+ * ---------------------------------------------------------
+ * When the shop runs on the API the secret keys never leave the server: the
+ * browser asks for a signed pay URL and hands the gateway's callback back
+ * for checking, both done here with the adapters of src/lib/gateways.js.
+ * Settings go out with the secrets hidden.
+ */
+const crypto = require("crypto");
+
+// Secret fields are replaced by this marker for anyone but the owner; saving
+// the marker back keeps the stored secret.
+const SECRET_FIELDS = { vnpay: ["hashSecret"], momo: ["secretKey"] };
+const HIDDEN = "••••••";
+
+const redactGateways = (gateways = {}) =>
+  Object.fromEntries(
+    Object.entries(gateways).map(([id, config]) => [
+      id,
+      {
+        ...config,
+        ...Object.fromEntries(
+          (SECRET_FIELDS[id] || [])
+            .filter((k) => config[k])
+            .map((k) => [k, HIDDEN])
+        ),
+      },
+    ])
+  );
+
+const keepSecrets = (next = {}, stored = {}) =>
+  Object.fromEntries(
+    Object.entries(next).map(([id, config]) => [
+      id,
+      {
+        ...config,
+        ...Object.fromEntries(
+          (SECRET_FIELDS[id] || [])
+            .filter((k) => config[k] === HIDDEN)
+            .map((k) => [k, stored[id]?.[k] || ""])
+        ),
+      },
+    ])
+  );
+
+// Compares callback signatures in constant time (the adapters' `equal`).
+const sameSignature = (a, b) => {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+module.exports = { HIDDEN, redactGateways, keepSecrets, sameSignature };
@@ -0,0 +1,846 @@
+#!/usr/bin/env node
+/**
+ * Việt Ký API
+ * ---------------------------------------------------------
+ * Small REST backend that keeps the catalogue, orders and shop settings in
+ * one place, so what an admin saves is what every customer sees.
+ *
+ *   npm run server                 listens on http://localhost:4001
+ *   REACT_APP_API_URL=http://localhost:4001 npm start
+ *
+ * Without REACT_APP_API_URL the storefront stays in demo mode and keeps
+ * everything in the browser (IndexedDB, see src/lib/storage.js).
+ *
+ *                                             who may call it
+ *   GET    /api/health                        anyone
+ *   GET    /api/auth/status                   anyone: { setup } before the
+ *   POST   /api/auth/setup                      first account exists
+ *   POST   /api/auth/login | logout           anyone
+ *   GET    /api/auth/me                       signed in
+ *   GET    /api/users  POST, PUT, DELETE      owner
+ *   GET    /api/products                      anyone
+ *   POST   /api/products, PUT, DELETE /:id    owner; staff may PUT stock
+ *   GET    /api/categories (writes as above)  anyone
+ *   POST   /api/orders                        anyone (prices it again, takes
+ *                                               the stock)
+ *   GET    /api/orders/:code?token=           the buyer (token from POST),
+ *                                               owner, staff
+ *   GET    /api/orders, PUT /:code            owner, staff (cancelling or
+ *                                               returning gives the stock back)
+ *   GET    /api/reviews                       anyone sees approved ones;
+ *                                               the owner sees all
+ *   POST   /api/reviews                       anyone (queued for approval,
+ *                                               5 an hour per client)
+ *   PUT, DELETE /api/reviews/:id              owner (photos become files
+ *                                               once a review is approved)
+ *   POST   /api/messages                      anyone (contact form)
+ *   GET    /api/messages, PUT, DELETE /:id    owner, staff
+ *   POST   /api/subscribers                   anyone: emails the confirm link
+ *                                               (again after 10 minutes)
+ *   POST   /api/subscribers/confirm           anyone with the emailed token
+ *   POST   /api/subscribers/unsubscribe         (body { token })
+ *   GET    /api/subscribers, PUT, DELETE /:id owner
+ *   POST   /api/events                        anyone: shopper events, page
+ *                                               speed (up to 50 at a time)
+ *   GET    /api/events?from=&to=              owner, staff (ISO times)
+ *   GET    /api/settings                      anyone, without secret keys
+ *   PUT    /api/settings/:name                owner
+ *   POST   /api/import                        owner
+ *   POST   /api/payments/:provider            the buyer: signed pay URL
+ *   POST   /api/payments/:provider/return     anyone: checks the redirect
+ *   *      /api/payments/:provider/ipn        the gateway
+ *   GET    /uploads/:name                     anyone: photos saved with
+ *                                               products, approved reviews,
+ *                                               settings
+ *
+ * The shop's business rules (coupons, order workflow) live in src/lib and
+ * run in the browser; the API stores their results. It checks that records
+ * are well formed and who is asking, and signs payments, so gateway keys
+ * never reach the browser. New orders are priced again from its own
+ * catalogue, shipping rates and coupons (whose usage limits count every
+ * order), take stock and get the next free code (two customers ordering at
+ * once would otherwise pick the same number). The rules it applies itself
+ * are the same src/lib modules, loaded with require() (Node 20.19 or later).
+ *
+ * `node server/index.js` listens; tests require() it and get the server
+ * without it listening (see server/*.test.js).
+ *
+ * Env:
+ *   PORT        default 4001
+ *   DB_FILE     default server/data/db.json
+ *   SHOP_URL    storefront address for links in emails, default
+ *               http://localhost:4000
+ *   API_URL     this server's public address, for links to uploaded
+ *               photos; default http://localhost:PORT
+ *   SMTP_HOST   mail relay for newsletter emails; unset = print them here.
+ *   SMTP_PORT   default 1025 (`npm run mail:catcher` in development)
+ *   MAIL_FROM   default "Việt Ký <no-reply@localhost>"
+ */
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
+const { openDb } = require("./db");
+const { createSessions } = require("./auth");
+const { confirmationEmail } = require("./newsletter");
+const { createMailer } = require("./mailer");
+const { createUploads } = require("./uploads");
+const { createLimit } = require("./limits");
+const { keepSecrets, redactGateways, sameSignature } = require("./gateways");
+const {
+  can,
+  hashPassword,
+  isStockOnlyChange,
+  publicUser,
+  safeEqual,
+  validateAccount,
+  verifyPassword,
+} = require("../src/lib/auth.js");
+const { adjustStock, reserveStock } = require("../src/lib/inventory.js");
+const { repriceOrder } = require("../src/lib/checkout.js");
+const {
+  ORDER_STATUSES,
+  RESTOCK_STATUSES,
+  canTransition,
+  createOrder,
+  orderStatus,
+  paymentStatus,
+} = require("../src/lib/orders.js");
+const { DEFAULT_SHIPPING } = require("../src/lib/shipping.js");
+const { DEFAULT_COUPONS } = require("../src/lib/coupons.js");
+const { DEFAULT_BANK } = require("../src/lib/vietqr.js");
+const { createReview } = require("../src/lib/reviews.js");
+const { MESSAGE_STATUSES, createMessage } = require("../src/lib/messages.js");
+const newsletter = require("../src/lib/newsletter.js");
+const { MAX_EVENTS, acceptEvents } = require("../src/lib/analytics.js");
+const {
+  DEFAULT_GATEWAYS,
+  PAYMENT_GATEWAYS,
+  isGatewayConfigured,
+  paymentProblem,
+  recordGatewayPayment,
+} = require("../src/lib/gateways.js");
+
+const PORT = Number(process.env.PORT) || 4001;
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, "data", "db.json");
+const MAX_BODY = 10 * 1024 * 1024; // product photos may be inlined as data URLs
+const SHOP_URL = (process.env.SHOP_URL || "http://localhost:4000").replace(
+  /\/$/,
+  ""
+);
+const API_URL = (process.env.API_URL || `http://localhost:${PORT}`).replace(
+  /\/$/,
+  ""
+);
+
+const SETTINGS = [
+  "shipping",
+  "coupons",
+  "bank",
+  "gateways",
+  "collections",
+  "currencies",
+  "site",
+];
+
+const db = openDb(DB_FILE);
+const sessions = createSessions(db);
+// Photos arrive inline and are kept as files next to the database.
+const uploads = createUploads(
+  path.join(path.dirname(DB_FILE), "uploads"),
+  API_URL
+);
+const mailer = createMailer({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 1025,
+  from: process.env.MAIL_FROM || "Việt Ký <no-reply@localhost>",
+});
+
+// `phrase`: the key and values of a lib message (see src/lib/phrases.js),
+// sent along so the storefront can show it in the shopper's language.
+class HttpError extends Error {
+  constructor(status, message, phrase = {}) {
+    super(message);
+    this.status = status;
+    this.key = phrase.key;
+    this.vars = phrase.vars;
+  }
+}
+
+// ----------------------- Validation -----------------------
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+const isAmount = (v) => typeof v === "number" && v >= 0;
+
+const VALIDATORS = {
+  products: (p) =>
+    !isText(p.id)
+      ? "Sản phẩm thiếu id."
+      : !isText(p.name)
+      ? "Sản phẩm thiếu tên."
+      : !isAmount(p.price)
+      ? `Giá của "${p.name}" không hợp lệ.`
+      : null,
+  categories: (c) =>
+    !isText(c.id)
+      ? "Danh mục thiếu id."
+      : !isText(c.name)
+      ? "Danh mục thiếu tên."
+      : null,
+  orders: (o) =>
+    !/^VK-\d{8}-\d{4,}$/.test(o.code || "")
+      ? "Mã đơn không hợp lệ."
+      : !Array.isArray(o.items) || o.items.length === 0
+      ? `Đơn ${o.code} không có sản phẩm.`
+      : !isAmount(o.totals?.grand)
+      ? `Tổng tiền của đơn ${o.code} không hợp lệ.`
+      : null,
+  reviews: (r) =>
+    !isText(r.id)
+      ? "Đánh giá thiếu id."
+      : !isText(r.productId)
+      ? "Đánh giá thiếu sản phẩm."
+      : !["pending", "approved", "hidden"].includes(r.status)
+      ? "Trạng thái đánh giá không hợp lệ."
+      : null,
+  messages: (m) =>
+    !isText(m.id)
+      ? "Tin nhắn thiếu id."
+      : !Object.keys(MESSAGE_STATUSES).includes(m.status)
+      ? "Trạng thái tin nhắn không hợp lệ."
+      : null,
+  subscribers: (s) =>
+    !isText(s.id)
+      ? "Người đăng ký thiếu id."
+      : !Object.keys(newsletter.SUBSCRIBER_STATUSES).includes(s.status)
+      ? "Trạng thái đăng ký không hợp lệ."
+      : null,
+};
+
+// The shared rules in src/lib throw plain errors for bad input.
+const sound = (make) => {
+  try {
+    return make();
+  } catch (err) {
+    throw new HttpError(400, err.message, err);
+  }
+};
+
+const check = (collection, item) => {
+  if (!item || typeof item !== "object" || Array.isArray(item))
+    throw new HttpError(400, "Dữ liệu không hợp lệ.");
+  const message = VALIDATORS[collection](item);
+  if (message) throw new HttpError(400, message);
+  return item;
+};
+
+// ----------------------- HTTP helpers -----------------------
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+const send = (res, status, data) => {
+  res.writeHead(status, {
+    ...CORS,
+    "Content-Type": "application/json; charset=utf-8",
+  });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+};
+
+// Uploaded photos never change under their name.
+const sendFile = (res, { type, bytes }) => {
+  res.writeHead(200, {
+    ...CORS,
+    "Content-Type": type,
+    "Cache-Control": "public, max-age=31536000, immutable",
+  });
+  res.end(bytes);
+};
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new HttpError(413, "Dữ liệu gửi lên quá lớn."));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "null"));
+      } catch {
+        reject(new HttpError(400, "JSON không hợp lệ."));
+      }
+    });
+    req.on("error", reject);
+  });
+
+const notFound = () => {
+  throw new HttpError(404, "Không tìm thấy.");
+};
+
+// ----------------------- Access -----------------------
+// The signed-in user, who must hold `permission` when one is given.
+const allow = (req, permission) => {
+  const user = sessions.user(req);
+  if (!user) throw new HttpError(401, "Vui lòng đăng nhập.");
+  if (permission && !can(user, permission))
+    throw new HttpError(403, "Tài khoản của bạn không có quyền này.");
+  return user;
+};
+
+const unsupported = () => {
+  throw new HttpError(405, "Phương thức không được hỗ trợ.");
+};
+
+// ----------------------- Routes -----------------------
+async function auth(req, action) {
+  if (req.method === "GET" && action === "status")
+    return { setup: db.list("users").length === 0 };
+  if (req.method === "GET" && action === "me") return publicUser(allow(req));
+  if (req.method !== "POST") unsupported();
+  if (action === "logout") return sessions.end(req) || { ok: true };
+  const { username, password, name } = (await readJson(req)) || {};
+  if (action === "setup") {
+    // Only until the first account exists; it becomes the owner.
+    if (db.list("users").length)
+      throw new HttpError(403, "Cửa hàng đã có tài khoản quản trị.");
+    const user = await account({ username, name, password, role: "owner" });
+    return sessions.start(db.put("users", user));
+  }
+  if (action === "login") {
+    const user = db.list("users").find((u) => u.username === username);
+    if (!user || !(await verifyPassword(password, user.passwordHash)))
+      throw new HttpError(401, "Sai tên đăng nhập hoặc mật khẩu.");
+    return sessions.start(user);
+  }
+  notFound();
+}
+
+// Checks an account draft and turns its password into a hash.
+const account = async (draft, existing = null) => {
+  const problem = validateAccount(
+    { ...draft, id: existing?.id },
+    db.list("users"),
+    { requirePassword: !existing }
+  );
+  if (problem) throw new HttpError(400, problem);
+  return {
+    id: existing?.id || crypto.randomUUID(),
+    username: draft.username,
+    name: draft.name.trim(),
+    role: draft.role,
+    passwordHash: draft.password
+      ? await hashPassword(draft.password)
+      : existing.passwordHash,
+  };
+};
+
+async function users(req, id) {
+  const me = allow(req, "users");
+  if (!id) {
+    if (req.method === "GET") return db.list("users").map(publicUser);
+    if (req.method === "POST")
+      return publicUser(
+        db.put("users", await account((await readJson(req)) || {}))
+      );
+  } else {
+    const existing = db.get("users", id) || notFound();
+    const owners = db.list("users").filter((u) => u.role === "owner");
+    const lastOwner = existing.role === "owner" && owners.length === 1;
+    if (req.method === "PUT") {
+      const user = await account((await readJson(req)) || {}, existing);
+      if (lastOwner && user.role !== "owner")
+        throw new HttpError(400, "Cửa hàng cần ít nhất một chủ cửa hàng.");
+      // A new password or role signs the account out everywhere else.
+      if (
+        user.passwordHash !== existing.passwordHash ||
+        user.role !== existing.role
+      )
+        sessions.endAllFor(id);
+      return publicUser(db.put("users", user));
+    }
+    if (req.method === "DELETE") {
+      if (id === me.id)
+        throw new HttpError(400, "Không thể xoá tài khoản đang đăng nhập.");
+      if (lastOwner)
+        throw new HttpError(400, "Cửa hàng cần ít nhất một chủ cửa hàng.");
+      sessions.endAllFor(id);
+      return db.remove("users", id);
+    }
+  }
+  unsupported();
+}
+
+// Products and categories: plain CRUD, the client picks the id.
+async function collection(req, name, id) {
+  if (!id) {
+    if (req.method === "GET") return db.list(name);
+    if (req.method === "POST") {
+      allow(req, "products");
+      return db.put(name, uploads.extract(check(name, await readJson(req))));
+    }
+  } else {
+    if (req.method === "GET") return db.get(name, id) || notFound();
+    if (req.method === "PUT") {
+      const user = allow(req);
+      const item = uploads.extract(check(name, await readJson(req)));
+      if (item.id !== id)
+        throw new HttpError(400, "Id không khớp với đường dẫn.");
+      const stockOnly =
+        name === "products" && isStockOnlyChange(db.get(name, id), item);
+      if (!can(user, "products") && !(stockOnly && can(user, "stock")))
+        throw new HttpError(403, "Tài khoản của bạn chỉ được sửa tồn kho.");
+      return db.put(name, item);
+    }
+    if (req.method === "DELETE") {
+      allow(req, "products");
+      return db.remove(name, id) || notFound();
+    }
+  }
+  unsupported();
+}
+
+// Orders are never deleted; a new order may come back with another code.
+// Order codes run in sequence, so guessing one must not open someone's
+// order: customers need the token they got back when placing it.
+const buyersOrder = (req, code, token) => {
+  const order = db.get("orders", code);
+  if (
+    order &&
+    (can(sessions.user(req), "orders") ||
+      (order.token && safeEqual(token, order.token)))
+  )
+    return order;
+  return notFound();
+};
+
+async function orders(req, code) {
+  if (!code) {
+    if (req.method === "GET") {
+      allow(req, "orders");
+      return db.list("orders");
+    }
+    if (req.method === "POST") {
+      const draft = check("orders", await readJson(req));
+      const settings = db.settings();
+      const products = db.list("products");
+      const orders = db.list("orders");
+      // Prices, fees and coupons come from the server's own data; the
+      // browser's figures only have to agree with them.
+      const priced = sound(() =>
+        repriceOrder(draft, {
+          products,
+          categories: db.list("categories"),
+          orders,
+          shipping: settings.shipping || DEFAULT_SHIPPING,
+          coupons: settings.coupons || DEFAULT_COUPONS,
+          bank: settings.bank || DEFAULT_BANK,
+          gateways: settings.gateways || DEFAULT_GATEWAYS,
+        })
+      );
+      const taken = reserveStock(products, priced.cart);
+      if (!taken.ok)
+        throw new HttpError(
+          409,
+          "Một số sản phẩm trong giỏ không còn đủ hàng. Vui lòng kiểm tra lại giỏ hàng."
+        );
+      db.putMany(
+        "products",
+        taken.products.filter((p, i) => p !== products[i])
+      );
+      // The code is the next free one of the server's orders; the token
+      // opens it again (see buyersOrder).
+      return db.put("orders", {
+        ...createOrder({ orders, ...priced }),
+        token: crypto.randomBytes(16).toString("hex"),
+      });
+    }
+  } else {
+    if (req.method === "GET")
+      return buyersOrder(
+        req,
+        code,
+        new URL(req.url, "http://x").searchParams.get("token")
+      );
+    if (req.method === "PUT") {
+      allow(req, "orders");
+      const order = check("orders", await readJson(req));
+      if (order.code !== code)
+        throw new HttpError(400, "Mã đơn không khớp với đường dẫn.");
+      const existing = db.get("orders", code) || notFound();
+      const from = orderStatus(existing);
+      const to = orderStatus(order);
+      if (from !== to && !canTransition(existing, to))
+        throw new HttpError(
+          400,
+          `Không thể chuyển đơn ${code} từ "${ORDER_STATUSES[from]}" sang "${
+            ORDER_STATUSES[to] || to
+          }".`
+        );
+      // The stock comes back here, from the server's own products, so a
+      // stale catalogue in the browser cannot overwrite newer counts.
+      if (from !== to && RESTOCK_STATUSES.includes(to)) {
+        const products = db.list("products");
+        const restocked = adjustStock(products, existing.items, 1);
+        db.putMany(
+          "products",
+          restocked.filter((p, i) => p !== products[i])
+        );
+      }
+      // What was bought and what it costs were fixed when it was placed;
+      // gateway payments are checked against these totals.
+      return db.put("orders", {
+        ...order,
+        items: existing.items,
+        coupons: existing.coupons,
+        totals: existing.totals,
+        token: existing.token,
+      });
+    }
+  }
+  unsupported();
+}
+
+// Customers post reviews; the owner approves, hides, replies or deletes.
+// Photos of a pending review stay inline, so what nobody approves never
+// reaches the uploads folder.
+const reviewLimit = createLimit({ max: 5, minutes: 60 });
+const keepPhotos = (review) =>
+  review.status === "approved" ? uploads.extract(review) : review;
+
+async function reviews(req, id) {
+  if (!id) {
+    if (req.method === "GET") {
+      const all = db.list("reviews");
+      return can(sessions.user(req), "products")
+        ? all
+        : all.filter((r) => r.status === "approved");
+    }
+    if (req.method === "POST") {
+      if (!reviewLimit.take(req.socket.remoteAddress))
+        throw new HttpError(
+          429,
+          "Bạn đã gửi nhiều đánh giá, vui lòng thử lại sau."
+        );
+      const draft = (await readJson(req)) || {};
+      const review = sound(() =>
+        createReview(draft, {
+          orders: db.list("orders"),
+          products: db.list("products"),
+        })
+      );
+      return db.put("reviews", review);
+    }
+  } else {
+    allow(req, "products");
+    if (req.method === "PUT") {
+      const review = check("reviews", await readJson(req));
+      if (review.id !== id)
+        throw new HttpError(400, "Id không khớp với đường dẫn.");
+      if (!db.get("reviews", id)) notFound();
+      return db.put("reviews", keepPhotos(review));
+    }
+    if (req.method === "DELETE") return db.remove("reviews", id) || notFound();
+  }
+  unsupported();
+}
+
+// The contact form's inbox: anyone writes, staff read and answer.
+async function messages(req, id) {
+  if (!id && req.method === "POST") {
+    const draft = (await readJson(req)) || {};
+    const message = sound(() => createMessage(draft));
+    return db.put("messages", message);
+  }
+  allow(req, "orders");
+  if (!id && req.method === "GET") return db.list("messages");
+  if (id && req.method === "PUT") {
+    const message = check("messages", await readJson(req));
+    if (message.id !== id)
+      throw new HttpError(400, "Id không khớp với đường dẫn.");
+    if (!db.get("messages", id)) notFound();
+    return db.put("messages", message);
+  }
+  if (id && req.method === "DELETE")
+    return db.remove("messages", id) || notFound();
+  unsupported();
+}
+
+// Newsletter sign-ups. Customers only ever get their record back without
+// the token, which only travels by email.
+async function subscribers(req, id) {
+  if (req.method === "POST" && !id) {
+    const { email, locale } = (await readJson(req)) || {};
+    const { subscriber, notify } = sound(() =>
+      newsletter.subscribe(db.list("subscribers"), email, {
+        locale: locale === "en" ? "en" : "vi",
+      })
+    );
+    if (notify) {
+      db.put("subscribers", subscriber);
+      const shop = db.settings().site?.name || "Việt Ký";
+      // A failed email is the shop's problem to see, not the form's to say.
+      await mailer
+        .send(confirmationEmail(subscriber, { shop, shopUrl: SHOP_URL }))
+        .catch((err) => console.error(err));
+    }
+    // The same answer whether the address is new, waiting, confirmed or was
+    // just emailed: the form must not tell who subscribes.
+    return { email: subscriber.email };
+  }
+  if (req.method === "POST" && (id === "confirm" || id === "unsubscribe")) {
+    const { token } = (await readJson(req)) || {};
+    const current = newsletter.subscriberByToken(db.list("subscribers"), token);
+    if (!current)
+      throw new HttpError(404, "Liên kết không hợp lệ hoặc đã hết hạn.");
+    const change =
+      id === "confirm"
+        ? newsletter.confirmSubscriber
+        : newsletter.unsubscribeSubscriber;
+    return newsletter.publicSubscriber(db.put("subscribers", change(current)));
+  }
+  allow(req, "settings");
+  if (!id && req.method === "GET") return db.list("subscribers");
+  if (id && req.method === "PUT") {
+    const subscriber = check("subscribers", await readJson(req));
+    if (subscriber.id !== id)
+      throw new HttpError(400, "Id không khớp với đường dẫn.");
+    const existing = db.get("subscribers", id) || notFound();
+    // The address and its token are not the admin's to change.
+    return db.put("subscribers", {
+      ...subscriber,
+      email: existing.email,
+      token: existing.token,
+    });
+  }
+  if (id && req.method === "DELETE")
+    return db.remove("subscribers", id) || notFound();
+  unsupported();
+}
+
+async function settings(req, name) {
+  if (!name && req.method === "GET") {
+    const all = db.settings();
+    return all.gateways
+      ? { ...all, gateways: redactGateways(all.gateways) }
+      : all;
+  }
+  if (name && req.method === "PUT") {
+    allow(req, "settings");
+    if (!SETTINGS.includes(name)) notFound();
+    const value = uploads.extract(await readJson(req));
+    return db.putSetting(
+      name,
+      name === "gateways" ? keepSecrets(value, db.settings().gateways) : value
+    );
+  }
+  unsupported();
+}
+
+// Analytics: the storefront posts events, staff read them by time range.
+async function events(req, id) {
+  if (id) notFound();
+  if (req.method === "POST") {
+    const batch = await readJson(req);
+    const events = sound(() => acceptEvents(batch));
+    return { saved: db.append("events", events, MAX_EVENTS) };
+  }
+  allow(req, "orders");
+  if (req.method !== "GET") unsupported();
+  const query = new URL(req.url, "http://x").searchParams;
+  const from = query.get("from") || "";
+  const to = query.get("to") || "\uffff";
+  return db.list("events").filter((e) => e.at >= from && e.at < to);
+}
+
+// Moves a demo (in-browser) shop onto the server in one go.
+async function importAll(req) {
+  if (req.method !== "POST") unsupported();
+  allow(req, "settings");
+  const body = (await readJson(req)) || {};
+  const names = [
+    "products",
+    "categories",
+    "orders",
+    "reviews",
+    "messages",
+    "subscribers",
+  ];
+  // Check everything first so a bad record does not leave half an import.
+  for (const name of names) {
+    if (!Array.isArray(body[name] || []))
+      throw new HttpError(400, `"${name}" phải là một danh sách.`);
+    (body[name] || []).forEach((item) => check(name, item));
+  }
+  const data = uploads.extract(body);
+  const counts = {};
+  for (const name of names)
+    counts[name] = data[name]?.length ? db.putMany(name, data[name]) : 0;
+  for (const name of SETTINGS)
+    if (data.settings?.[name] !== undefined)
+      db.putSetting(name, data.settings[name]);
+  return counts;
+}
+
+// ----------------------- Payments -----------------------
+const gatewayConfig = (provider) => {
+  const config = db.settings().gateways?.[provider];
+  if (!isGatewayConfigured(provider, config))
+    throw new HttpError(400, "Cổng thanh toán chưa được cấu hình.");
+  return config;
+};
+
+const verify = async (provider, params) =>
+  PAYMENT_GATEWAYS[provider].verifyCallback(params, gatewayConfig(provider), {
+    equal: sameSignature,
+  });
+
+// Checks a redirect or IPN and stores the outcome on the order.
+const settle = async (provider, params) => {
+  const result = await verify(provider, params);
+  const order = sound(() =>
+    recordGatewayPayment(db.get("orders", result.orderCode), result, provider)
+  );
+  db.put("orders", order);
+  return { result, order };
+};
+
+// VNPAY's answers to an IPN; it retries until it gets one of them.
+const IPN_CODES = {
+  signature: { RspCode: "97", Message: "Invalid Checksum" },
+  order: { RspCode: "01", Message: "Order not found" },
+  amount: { RspCode: "04", Message: "Invalid amount" },
+  paid: { RspCode: "02", Message: "Order already confirmed" },
+  done: { RspCode: "00", Message: "Confirm Success" },
+};
+
+const confirm = async (provider, params) => {
+  const result = await verify(provider, params);
+  const order = db.get("orders", result.orderCode);
+  const problem = paymentProblem(order, result);
+  if (problem) return IPN_CODES[problem];
+  if (paymentStatus(order) === "paid") return IPN_CODES.paid;
+  db.put("orders", recordGatewayPayment(order, result, provider));
+  return IPN_CODES.done;
+};
+
+async function payments(req, provider, action) {
+  if (!Object.hasOwn(PAYMENT_GATEWAYS, provider)) notFound();
+  if (!action && req.method === "POST") {
+    const { code, token, returnUrl } = (await readJson(req)) || {};
+    const order = buyersOrder(req, code, token);
+    if (order.payment?.status === "paid")
+      throw new HttpError(400, `Đơn ${code} đã được thanh toán.`);
+    try {
+      const url = await PAYMENT_GATEWAYS[provider].createPayment(
+        order,
+        gatewayConfig(provider),
+        {
+          returnUrl,
+          ipnUrl: `http://${req.headers.host}/api/payments/${provider}/ipn`,
+          ip: req.socket.remoteAddress,
+        }
+      );
+      return { url };
+    } catch (err) {
+      if (err instanceof HttpError) throw err;
+      throw new HttpError(502, err.message);
+    }
+  }
+  if (action === "return" && req.method === "POST")
+    return settle(provider, (await readJson(req)) || {});
+  if (action === "ipn") {
+    // VNPAY calls with a query string and wants { RspCode }; MoMo posts JSON.
+    const params =
+      req.method === "GET"
+        ? Object.fromEntries(new URL(req.url, "http://x").searchParams)
+        : (await readJson(req)) || {};
+    try {
+      return await confirm(provider, params);
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(err);
+      return { RspCode: "99", Message: err.message };
+    }
+  }
+  unsupported();
+}
+
+const route = (req, [resource, id, action]) => {
+  switch (resource) {
+    case "health":
+      return { ok: true, empty: db.isEmpty() };
+    case "auth":
+      return auth(req, id);
+    case "users":
+      return users(req, id);
+    case "products":
+    case "categories":
+      return collection(req, resource, id);
+    case "orders":
+      return orders(req, id);
+    case "reviews":
+      return reviews(req, id);
+    case "messages":
+      return messages(req, id);
+    case "subscribers":
+      return subscribers(req, id);
+    case "events":
+      return events(req, id);
+    case "settings":
+      return settings(req, id);
+    case "import":
+      return importAll(req);
+    case "payments":
+      return payments(req, id, action);
+    default:
+      return notFound();
+  }
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, "Đường dẫn không hợp lệ.");
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  let parts = [];
+  try {
+    parts = pathname.split("/").filter(Boolean).map(decodeSegment);
+    if (parts[0] === "uploads" && parts.length === 2 && req.method === "GET")
+      return sendFile(res, uploads.read(parts[1]) || notFound());
+    if (parts[0] !== "api") notFound();
+    const result = await route(req, parts.slice(1));
+    if (req.method === "DELETE") send(res, 204);
+    else
+      send(
+        res,
+        req.method === "POST" && parts.length === 2 ? 201 : 200,
+        result
+      );
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error(err);
+    send(
+      res,
+      err.status || 500,
+      err instanceof HttpError
+        ? { error: err.message, key: err.key, vars: err.vars }
+        : { error: "Lỗi máy chủ." }
+    );
+  }
+});
+
+if (require.main === module)
+  server.listen(PORT, () =>
+    console.log(`Việt Ký API on http://localhost:${PORT} (${DB_FILE})`)
+  );
+
+module.exports = { server, db };
@@ -0,0 +1,33 @@
+/**
+ * Posting limits
+ * ---------------------------------------------------------
+ * Some routes take posts from anyone (reviews with photos). A limit counts
+ * each client's posts over a sliding window, in memory: a restart forgets
+ * them, which is fine for slowing down a flood.
+ *
+ *   const reviewLimit = createLimit({ max: 5, minutes: 60 });
+ *   if (!reviewLimit.take(req.socket.remoteAddress)) -> answer 429
+ */
+function createLimit({ max, minutes, now = () => Date.now() }) {
+  const posts = new Map();
+
+  // Counts a post by `client`; false when it is over the limit.
+  const take = (client) => {
+    const since = now() - minutes * 60 * 1000;
+    const recent = (posts.get(client) || []).filter((at) => at > since);
+    if (recent.length >= max) {
+      posts.set(client, recent);
+      return false;
+    }
+    posts.set(client, [...recent, now()]);
+    // Forget clients that went quiet, so the map does not keep growing.
+    if (posts.size > 10000)
+      for (const [key, times] of posts)
+        if (times.every((at) => at <= since)) posts.delete(key);
+    return true;
+  };
+
+  return { take };
+}
+
+module.exports = { createLimit };
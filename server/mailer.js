@@ -0,0 +1,99 @@
+/**
+ * Outgoing email over plain SMTP
+ * ---------------------------------------------------------
+ * Enough of the protocol to hand a text email to a local relay or a
+ * development catcher (`npm run mail:catcher`, MailHog, Mailpit…): no TLS
+ * and no login. Without SMTP_HOST the email is printed to the console.
+ */
+const net = require("net");
+
+// "=?UTF-8?B?…?=" so Vietnamese subjects survive 7-bit headers.
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+// "Việt Ký <shop@…>" with the name encoded the same way.
+const encodeMailbox = (mailbox) => {
+  const match = mailbox.match(/^(.*?)\s*<([^>]+)>$/);
+  return match && match[1]
+    ? `${encodeHeader(match[1])} <${match[2]}>`
+    : mailbox;
+};
+
+const formatMessage = ({ from, to, subject, text }, now = new Date()) =>
+  [
+    `From: ${encodeMailbox(from)}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${now.toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    // Base64 lines never start with a dot, so no dot-stuffing is needed.
+    ...Buffer.from(text, "utf8")
+      .toString("base64")
+      .match(/.{1,76}/g),
+  ].join("\r\n");
+
+// The bare address out of "Name <address>".
+const address = (mailbox) => (mailbox.match(/<([^>]+)>/) || [])[1] || mailbox;
+
+// Sends one command per server reply: greeting → EHLO → … → QUIT.
+const deliver = ({ host, port }, from, to, data) =>
+  new Promise((resolve, reject) => {
+    const commands = [
+      "EHLO localhost",
+      `MAIL FROM:<${address(from)}>`,
+      `RCPT TO:<${to}>`,
+      "DATA",
+      `${data}\r\n.`,
+      "QUIT",
+    ];
+    const socket = net.createConnection({ host, port });
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.setTimeout(10000, () =>
+      socket.destroy(new Error("Máy chủ email không trả lời."))
+    );
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      // A reply is complete on a "250 text" line (no dash after the code).
+      const lines = buffer.split("\r\n");
+      const last = lines[lines.length - 2];
+      if (!last || !/^\d{3}( |$)/.test(last)) return;
+      buffer = "";
+      if (Number(last.slice(0, 3)) >= 400) {
+        socket.destroy();
+        reject(new Error(`Máy chủ email từ chối: ${last}`));
+        return;
+      }
+      const command = commands.shift();
+      if (command) socket.write(`${command}\r\n`);
+      else {
+        socket.end();
+        resolve();
+      }
+    });
+    socket.on("error", reject);
+  });
+
+function createMailer({ host, port = 1025, from }) {
+  return {
+    async send(email) {
+      if (!host) {
+        console.log(`[email] ${email.to}: ${email.subject}\n${email.text}`);
+        return;
+      }
+      await deliver(
+        { host, port },
+        from,
+        email.to,
+        formatMessage({ from, ...email })
+      );
+    },
+  };
+}
+
+module.exports = { createMailer, formatMessage };
@@ -0,0 +1,46 @@
+/**
+ * Newsletter emails
+ * ---------------------------------------------------------
+ * The sign-up rules are src/lib/newsletter.js; the server only writes the
+ * confirmation email. Its links point at the storefront (SHOP_URL), which
+ * calls back with the token.
+ */
+const { newsletterLinks } = require("../src/lib/newsletter.js");
+
+const EMAILS = {
+  vi: ({ shop, confirm, unsubscribe }) => ({
+    subject: `Xác nhận đăng ký nhận tin ${shop}`,
+    text: [
+      "Chào bạn,",
+      "",
+      `Cảm ơn bạn đã đăng ký nhận tin từ ${shop}. Mở liên kết dưới đây để xác nhận:`,
+      confirm,
+      "",
+      "Nếu bạn không đăng ký, hãy bỏ qua email này.",
+      `Huỷ đăng ký: ${unsubscribe}`,
+    ].join("\n"),
+  }),
+  en: ({ shop, confirm, unsubscribe }) => ({
+    subject: `Confirm your ${shop} newsletter subscription`,
+    text: [
+      "Hello,",
+      "",
+      `Thanks for signing up to the ${shop} newsletter. Open this link to confirm:`,
+      confirm,
+      "",
+      "If you did not sign up, just ignore this email.",
+      `Unsubscribe: ${unsubscribe}`,
+    ].join("\n"),
+  }),
+};
+
+// { to, subject, text } asking `subscriber` to confirm.
+const confirmationEmail = (subscriber, { shop, shopUrl }) => ({
+  to: subscriber.email,
+  ...(EMAILS[subscriber.locale] || EMAILS.vi)({
+    shop,
+    ...newsletterLinks(subscriber.token, shopUrl),
+  }),
+});
+
+module.exports = { confirmationEmail };
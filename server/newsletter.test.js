@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./harness");
+
+let api;
+test.before(async () => {
+  api = await startApi();
+});
+test.after(() => api.close());
+
+// Confirmation emails print to the console without SMTP_HOST.
+const emailsDuring = async (work) => {
+  const sent = [];
+  const log = console.log;
+  console.log = (line) => sent.push(line);
+  try {
+    await work();
+  } finally {
+    console.log = log;
+  }
+  return sent.filter((line) => line.startsWith("[email]"));
+};
+
+test("answers the same for any address, emailing at most once a while", async () => {
+  const signUp = () =>
+    api.post("/api/subscribers", { email: "Lan@Example.vn", locale: "vi" });
+  const replies = [];
+  const sent = await emailsDuring(async () => {
+    replies.push(await signUp(), await signUp(), await signUp());
+  });
+  assert.equal(sent.length, 1);
+  for (const reply of replies)
+    assert.deepEqual(reply, {
+      status: 201,
+      body: { email: "lan@example.vn" },
+    });
+
+  const [subscriber] = api.db.list("subscribers");
+  await api.post("/api/subscribers/confirm", { token: subscriber.token });
+  assert.deepEqual(await emailsDuring(signUp), []);
+  assert.deepEqual((await signUp()).body, { email: "lan@example.vn" });
+});
+
+test("refuses an address that is not one", async () => {
+  const { status } = await api.post("/api/subscribers", { email: "lan@" });
+  assert.equal(status, 400);
+});
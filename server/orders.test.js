@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./harness");
+const { createOrder } = require("../src/lib/orders.js");
+const { emptyCoupon } = require("../src/lib/coupons.js");
+
+const details = {
+  name: "Nguyễn Lan",
+  phone: "0912345678",
+  email: "",
+  address: "12 Hàng Bạc",
+  addressScheme: "2025",
+  province: "Thành phố Hà Nội",
+  provinceCode: "01",
+  ward: "Phường Hoàn Kiếm",
+  wardCode: "00070",
+  shippingMethod: "standard",
+  paymentMethod: "cod",
+};
+
+// What the checkout posts for `qty` shirts at 169.000đ, shipped in Hà Nội
+// (free from 500.000đ).
+const order = ({
+  qty = 1,
+  price = 169000,
+  coupons = [],
+  discount = 0,
+} = {}) => {
+  const subtotal = price * qty;
+  const shippingFee = subtotal >= 500000 ? 0 : 20000;
+  return createOrder({
+    orders: [],
+    cart: [{ productId: "ao", name: "Áo thun", price, qty }],
+    details,
+    totals: {
+      subtotal,
+      shippingFee,
+      discount,
+      grand: subtotal + shippingFee - discount,
+    },
+    coupons,
+  });
+};
+
+let api;
+test.before(async () => {
+  api = await startApi();
+  const owner = await api.owner();
+  await api.post(
+    "/api/products",
+    { id: "ao", name: "Áo thun", price: 169000, stock: 5, weight: 200 },
+    owner
+  );
+  await api.put(
+    "/api/settings/coupons",
+    [{ ...emptyCoupon(), code: "GIAM10", usageLimit: 1 }],
+    owner
+  );
+});
+test.after(() => api.close());
+
+const stock = () => api.db.get("products", "ao").stock;
+
+test("takes the stock and hands out the next free code", async () => {
+  const first = await api.post("/api/orders", order());
+  const second = await api.post("/api/orders", order());
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+  assert.notEqual(first.body.code, second.body.code);
+  assert.equal(first.body.totals.grand, 189000);
+  assert.equal(stock(), 3);
+  assert.equal(api.db.get("products", "ao").sold, 2);
+});
+
+test("refuses quantities that are not whole numbers above zero", async () => {
+  for (const qty of [-1000, 0, 1.5, "1"]) {
+    const { status } = await api.post("/api/orders", order({ qty }));
+    assert.equal(status, 400, `qty ${qty}`);
+  }
+  assert.equal(stock(), 3);
+});
+
+test("prices the order itself", async () => {
+  const cheap = await api.post("/api/orders", order({ price: 1000 }));
+  assert.equal(cheap.status, 400);
+  assert.match(cheap.body.error, /vừa thay đổi/);
+  const lowTotal = order();
+  lowTotal.totals.grand = 1000;
+  assert.equal((await api.post("/api/orders", lowTotal)).status, 400);
+  assert.equal(stock(), 3);
+});
+
+test("enforces coupon limits over every order", async () => {
+  const withCoupon = () =>
+    order({
+      coupons: [{ code: "GIAM10", type: "percent", amount: 16900 }],
+      discount: 16900,
+    });
+  const used = await api.post("/api/orders", withCoupon());
+  assert.equal(used.status, 201);
+  assert.equal(used.body.totals.grand, 172100);
+  const again = await api.post("/api/orders", withCoupon());
+  assert.equal(again.status, 400);
+  assert.match(again.body.error, /hết lượt/);
+  assert.equal(again.body.key, "coupon.usedUp");
+  const made = await api.post("/api/orders", order({ discount: -50000 }));
+  assert.equal(made.status, 400);
+});
+
+test("does not sell more than is in stock", async () => {
+  const { status } = await api.post("/api/orders", order({ qty: 3 }));
+  assert.equal(status, 409);
+  assert.equal(stock(), 2);
+});
+
+test("refuses the same product on two lines", async () => {
+  const sold = api.db.get("products", "ao").sold;
+  const twice = order({ qty: 2 });
+  twice.items = [
+    { ...twice.items[0], qty: 1 },
+    { ...twice.items[0], qty: 1 },
+  ];
+  const { status, body } = await api.post("/api/orders", twice);
+  assert.equal(status, 400);
+  assert.match(body.error, /bị lặp/);
+  assert.equal(stock(), 2);
+  assert.equal(api.db.get("products", "ao").sold, sold);
+});
+
+test("gives the stock back when an order is cancelled", async () => {
+  const owner = await api.owner();
+  const { body: placed } = await api.post("/api/orders", order());
+  const before = stock();
+  const cancel = (o) =>
+    api.put(`/api/orders/${o.code}`, { ...o, status: "cancelled" }, owner);
+  assert.equal((await cancel(placed)).status, 200);
+  assert.equal(stock(), before + 1);
+  // Saving it again gives nothing more back.
+  assert.equal((await cancel(placed)).status, 200);
+  assert.equal(stock(), before + 1);
+  const shipped = await api.put(
+    `/api/orders/${placed.code}`,
+    { ...placed, status: "delivered" },
+    owner
+  );
+  assert.equal(shipped.status, 400);
+});
+
+test("opens an order only with its token, or for staff", async () => {
+  const { body: placed } = await api.post("/api/orders", order());
+  const url = `/api/orders/${placed.code}`;
+  assert.equal((await api.get(url)).status, 404);
+  assert.equal((await api.get(`${url}?token=sai`)).status, 404);
+  const mine = await api.get(`${url}?token=${placed.token}`);
+  assert.equal(mine.status, 200);
+  assert.equal(mine.body.code, placed.code);
+  assert.equal((await api.get(url, await api.owner())).status, 200);
+});
+
+test("answers a malformed path with 400", async () => {
+  const { status, body } = await api.get("/api/orders/%E0%A4%A");
+  assert.equal(status, 400);
+  assert.match(body.error, /Đường dẫn/);
+  assert.equal((await api.get("/api/health")).status, 200);
+});
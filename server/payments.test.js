@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./harness");
+const { createOrder } = require("../src/lib/orders.js");
+const {
+  DEFAULT_GATEWAYS,
+  MOCK_GATEWAYS,
+  hmac,
+  vnpQuery,
+} = require("../src/lib/gateways.js");
+
+// One shirt at 169.000đ shipped in Hà Nội, paid through VNPAY.
+const draft = createOrder({
+  orders: [],
+  cart: [{ productId: "ao", name: "Áo thun", price: 169000, qty: 1 }],
+  details: {
+    name: "Nguyễn Lan",
+    phone: "0912345678",
+    email: "",
+    address: "12 Hàng Bạc",
+    addressScheme: "2025",
+    province: "Thành phố Hà Nội",
+    provinceCode: "01",
+    ward: "Phường Hoàn Kiếm",
+    wardCode: "00070",
+    shippingMethod: "standard",
+    paymentMethod: "vnpay",
+  },
+  totals: { subtotal: 169000, shippingFee: 20000, discount: 0, grand: 189000 },
+});
+
+// The query VNPAY calls the IPN with, signed with `secret`.
+const callback = async (
+  code,
+  { amount = 189000, secret = MOCK_GATEWAYS.vnpay.hashSecret } = {}
+) => {
+  const query = vnpQuery({
+    vnp_Amount: String(amount * 100),
+    vnp_TxnRef: `${code}_1760000000000`,
+    vnp_ResponseCode: "00",
+    vnp_TransactionStatus: "00",
+    vnp_TransactionNo: "14412345",
+    vnp_OrderInfo: `Thanh toan don hang ${code}`,
+  });
+  return `${query}&vnp_SecureHash=${await hmac("SHA-512", secret, query)}`;
+};
+
+let api;
+let owner;
+let code;
+test.before(async () => {
+  api = await startApi();
+  owner = await api.owner();
+  await api.post(
+    "/api/products",
+    { id: "ao", name: "Áo thun", price: 169000, stock: 5, weight: 200 },
+    owner
+  );
+  await api.put(
+    "/api/settings/gateways",
+    { ...DEFAULT_GATEWAYS, vnpay: MOCK_GATEWAYS.vnpay },
+    owner
+  );
+  code = (await api.post("/api/orders", draft)).body.code;
+});
+test.after(() => api.close());
+
+const ipn = async (query) =>
+  (await api.get(`/api/payments/vnpay/ipn?${query}`)).body.RspCode;
+const payment = () => api.db.get("orders", code).payment;
+
+test("answers VNPAY's IPN with the code for what is wrong", async () => {
+  assert.equal(await ipn(await callback(code, { secret: "sai" })), "97");
+  assert.equal(await ipn(await callback("VK-20000101-0001")), "01");
+  assert.equal(await ipn(await callback(code, { amount: 1000 })), "04");
+  assert.equal(payment().status, "unpaid");
+});
+
+test("refuses a redirect for another amount", async () => {
+  const query = await callback(code, { amount: 1000 });
+  const { status } = await api.post(
+    "/api/payments/vnpay/return",
+    Object.fromEntries(new URLSearchParams(query))
+  );
+  assert.equal(status, 400);
+  assert.equal(payment().status, "unpaid");
+});
+
+test("keeps an order's totals when staff save it", async () => {
+  const order = (await api.get(`/api/orders/${code}`, owner)).body;
+  const { status } = await api.put(
+    `/api/orders/${code}`,
+    { ...order, totals: { ...order.totals, grand: 1000 } },
+    owner
+  );
+  assert.equal(status, 200);
+  assert.equal(api.db.get("orders", code).totals.grand, 189000);
+  assert.equal(await ipn(await callback(code, { amount: 1000 })), "04");
+});
+
+test("confirms a payment once", async () => {
+  assert.equal(await ipn(await callback(code)), "00");
+  assert.equal(payment().status, "paid");
+  assert.equal(payment().reference, "14412345");
+  assert.equal(await ipn(await callback(code)), "02");
+});
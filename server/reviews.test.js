@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./harness");
+
+// A 1×1 transparent PNG.
+const PIXEL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+let api;
+let owner;
+test.before(async () => {
+  api = await startApi();
+  owner = await api.owner();
+  await api.post(
+    "/api/products",
+    { id: "ao", name: "Áo thun", price: 169000, stock: 5 },
+    owner
+  );
+});
+test.after(() => api.close());
+
+const review = (fields = {}) => ({
+  productId: "ao",
+  name: "Lan",
+  rating: 5,
+  text: "Áo đẹp, vải mát, đúng size.",
+  photos: [],
+  ...fields,
+});
+
+test("refuses reviews of unknown products and odd photos", async () => {
+  const unknown = await api.post("/api/reviews", review({ productId: "x" }));
+  assert.equal(unknown.status, 400);
+  const bad = await api.post(
+    "/api/reviews",
+    review({ photos: [{ src: "data:text/html;base64,PGI+", widths: [] }] })
+  );
+  assert.equal(bad.status, 400);
+  assert.equal(api.db.list("reviews").length, 0);
+});
+
+test("keeps photos inline until the review is approved", async () => {
+  const { status, body } = await api.post(
+    "/api/reviews",
+    review({ photos: [{ src: PIXEL, widths: [{ width: 1 }], extra: "x" }] })
+  );
+  assert.equal(status, 201);
+  assert.equal(body.status, "pending");
+  assert.deepEqual(Object.keys(body.photos[0]).sort(), [
+    "alt",
+    "id",
+    "src",
+    "widths",
+  ]);
+  assert.equal(body.photos[0].src, PIXEL);
+
+  const approved = await api.put(
+    `/api/reviews/${body.id}`,
+    { ...body, status: "approved" },
+    owner
+  );
+  assert.equal(approved.status, 200);
+  assert.match(approved.body.photos[0].src, /\/uploads\/[0-9a-f]{32}\.png$/);
+});
+
+test("takes five reviews an hour from one client", async () => {
+  // Three posts above already counted.
+  assert.equal((await api.post("/api/reviews", review())).status, 201);
+  assert.equal((await api.post("/api/reviews", review())).status, 201);
+  const { status, body } = await api.post("/api/reviews", review());
+  assert.equal(status, 429);
+  assert.match(body.error, /thử lại sau/);
+});
@@ -0,0 +1,72 @@
+/**
+ * Uploaded images
+ * ---------------------------------------------------------
+ * The admin resizes photos in the browser and sends them inline as data URLs
+ * (see src/lib/images.js); so do customers with review photos. Kept that way
+ * every copy would sit in db.json, so the API writes each one to a file in
+ * an uploads folder and stores its URL instead. Files are named after their
+ * content: sending the same photo again (the browser keeps the data URL
+ * until it reloads) writes nothing new and gives the same URL.
+ *
+ *   const uploads = createUploads(dir, "http://localhost:4001");
+ *   db.put("products", uploads.extract(product));
+ *   uploads.read(name)   -> { type, bytes } | null, for GET /uploads/:name
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Only raster formats: an SVG could carry script.
+const TYPES = {
+  jpg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+const DATA_URL = /^data:image\/(jpeg|png|webp|gif);base64,([A-Za-z0-9+/]+=*)$/;
+const FILE_NAME = /^[0-9a-f]{32}\.(jpg|png|webp|gif)$/;
+
+function createUploads(dir, baseUrl) {
+  const save = (value) => {
+    const match = DATA_URL.exec(value);
+    if (!match) return value;
+    const bytes = Buffer.from(match[2], "base64");
+    const ext = match[1] === "jpeg" ? "jpg" : match[1];
+    const hash = crypto.createHash("sha256").update(bytes).digest("hex");
+    const name = `${hash.slice(0, 32)}.${ext}`;
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, bytes);
+    }
+    return `${baseUrl}/uploads/${name}`;
+  };
+
+  // Swaps every inline image in a record, at any depth, for its URL.
+  const extract = (value) =>
+    typeof value === "string"
+      ? save(value)
+      : Array.isArray(value)
+      ? value.map(extract)
+      : value && typeof value === "object"
+      ? Object.fromEntries(
+          Object.entries(value).map(([k, v]) => [k, extract(v)])
+        )
+      : value;
+
+  const read = (name) => {
+    if (!FILE_NAME.test(name)) return null;
+    try {
+      return {
+        type: TYPES[path.extname(name).slice(1)],
+        bytes: fs.readFileSync(path.join(dir, name)),
+      };
+    } catch {
+      return null;
+    }
+  };
+
+  return { extract, read };
+}
+
+module.exports = { createUploads };
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./harness");
+
+// A 1×1 transparent PNG.
+const PIXEL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+let api;
+let owner;
+test.before(async () => {
+  api = await startApi();
+  owner = await api.owner();
+});
+test.after(() => api.close());
+
+const product = (images) => ({
+  id: "ao",
+  name: "Áo thun",
+  price: 169000,
+  stock: 5,
+  images,
+});
+
+test("keeps inline photos as files and stores their URL", async () => {
+  const image = { id: "a", src: PIXEL, alt: "", widths: [{ width: 1 }] };
+  const { status, body } = await api.post(
+    "/api/products",
+    product([image]),
+    owner
+  );
+  assert.equal(status, 201);
+  const { src } = body.images[0];
+  assert.match(src, /\/uploads\/[0-9a-f]{32}\.png$/);
+  assert.equal(api.db.get("products", "ao").images[0].src, src);
+
+  const res = await fetch(api.url(new URL(src).pathname));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "image/png");
+  const bytes = Buffer.from(await res.arrayBuffer());
+  assert.deepEqual(bytes, Buffer.from(PIXEL.split(",")[1], "base64"));
+});
+
+test("gives the same photo the same URL", async () => {
+  const first = api.db.get("products", "ao").images[0].src;
+  const { body } = await api.put(
+    "/api/products/ao",
+    product([{ id: "a", src: PIXEL, alt: "Mặt trước", widths: [] }]),
+    owner
+  );
+  assert.equal(body.images[0].src, first);
+});
+
+test("serves only files it wrote", async () => {
+  for (const name of ["..%2Fdb.json", "db.json", "0".repeat(32) + ".png"]) {
+    const res = await fetch(api.url(`/uploads/${name}`));
+    assert.equal(res.status, 404, name);
+  }
+});
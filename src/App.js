@@ -1,248 +1,336 @@
-import React, { useMemo, useState, useEffect, useRef } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Link,
+  Navigate,
+  NavLink,
+  Outlet,
+  Route,
+  Routes,
+  useLocation,
+  useNavigate,
+  useParams,
+} from "react-router-dom";
+import { Badge, Button, Drawer, Modal } from "./components/ui";
+import CartLines from "./components/CartLines";
+import ProductDetail from "./components/ProductDetail";
+import ProductImage from "./components/ProductImage";
+import SearchBox from "./components/SearchBox";
+import StorageNotice from "./components/StorageNotice";
+import ShopPage from "./pages/ShopPage";
+import ProductPage from "./pages/ProductPage";
+import CartPage from "./pages/CartPage";
+import CheckoutPage from "./pages/CheckoutPage";
+import AboutPage from "./pages/AboutPage";
+import ContactPage from "./pages/ContactPage";
+import NewsletterPage from "./pages/NewsletterPage";
+import PolicyPage from "./pages/PolicyPage";
+import OrderPage from "./pages/OrderPage";
+import PaymentReturnPage from "./pages/PaymentReturnPage";
+import CollectionPage from "./pages/CollectionPage";
+import WishlistPage from "./pages/WishlistPage";
+import AdminPage from "./admin/AdminPage";
+import { DEFAULT_CATEGORIES, DEFAULT_PRODUCTS } from "./lib/data";
+import { createLocalStore, store } from "./lib/api";
+import { useShopData } from "./lib/useShopData";
+import { useAdminSession } from "./lib/useAdminSession";
+import { load, productSlug, save, slugify, uid } from "./lib/utils";
+import {
+  DEFAULT_CURRENCIES,
+  LOCALES,
+  localizeItems,
+  localizeProduct,
+} from "./lib/i18n";
+import { I18nProvider, useI18n, useI18nState } from "./lib/useI18n";
+import { buildSearchIndex } from "./lib/search";
+import { coverImage, imageUrl } from "./lib/images";
+import { categorySlug } from "./lib/categories";
+import { applyImport, bulkEdit } from "./lib/catalog";
+import { withRatings } from "./lib/reviews";
+import { tracker } from "./lib/tracker";
+import {
+  WISHLIST_PATH,
+  mergeWishlist,
+  removeWish,
+  toggleWish,
+} from "./lib/wishlist";
+import {
+  DEFAULT_COLLECTIONS,
+  collectionProducts,
+  collectionSlug,
+  featuredCollection,
+} from "./lib/collections";
+import { useShopParams } from "./lib/useShopParams";
+import {
+  adjustStock,
+  availableFor,
+  cartIssues,
+  clampCart,
+  reserveStock,
+  setStockLevels,
+} from "./lib/inventory";
+import {
+  RESTOCK_STATUSES,
+  createOrder,
+  markOrderPaid,
+  orderPath,
+  transitionOrder,
+} from "./lib/orders";
+import { DEFAULT_COUPONS } from "./lib/coupons";
+import { refreshCart } from "./lib/checkout";
+import { DEFAULT_BANK } from "./lib/vietqr";
+import {
+  DEFAULT_GATEWAYS,
+  PAYMENT_GATEWAYS,
+  availablePaymentMethods,
+} from "./lib/gateways";
+import {
+  DEFAULT_SITE,
+  SOCIAL_NETWORKS,
+  initials,
+  localizeSite,
+} from "./lib/site";
+import { DEFAULT_SHIPPING, cartWeight, shippingRange } from "./lib/shipping";
+import {
+  hasVariants,
+  lineId,
+  variantImage,
+  variantLabel,
+  variantPrice,
+} from "./lib/variants";
 
 /**
- * VietKy Storefront – single-file React app
+ * VietKy Storefront
  * ---------------------------------------------------------
  * What you get:
  * - Clean, mobile-first Tailwind UI
- * - Navbar with logo, search, filters, sort
+ * - Navbar with logo and search; filter sidebar and sort on the listing
  * - Product grid + quick view modal
- * - Cart drawer (persisted via localStorage)
+ * - Cart drawer (kept in the browser, see src/lib/storage.js)
+ * - Catalogue, orders and settings from the REST API in server/, or from
+ *   the browser's IndexedDB in demo mode (see src/lib/api.js)
  * - Checkout flow (shipping + payment mock, order summary)
  * - Discount code, shipping methods, tax est.
- * - Minimal "Admin" panel to add/edit products (local only)
- * - i18n-ready text (Vietnamese default)
- * - Image uploader for your logo (stores in localStorage)
+ * - Minimal "Admin" panel to add/edit products
+ * - Store name, logo, hero, about, contact and policy pages edited in
+ *   Admin ▶ Cửa hàng (see src/lib/site.js)
+ * - Vietnamese and English storefront, prices optionally shown in USD, EUR
+ *   or AUD (see src/lib/i18n.js; orders are still paid in VND)
+ * - Sales, shopping funnel and page speed in Admin ▶ Thống kê, from the
+ *   orders and first-party events (see src/lib/analytics.js)
+ *
+ * Routes (react-router-dom):
+ *   /                  shop listing (?q=&sort= and filters in the URL)
+ *   /san-pham/:slug    product detail
+ *   /bo-suu-tap/:slug  collection
+ *   /danh-muc/:slug    category (the shop listing filtered to it)
+ *   /gio-hang          cart
+ *   /yeu-thich         wishlist (?ds= opens one shared by link)
+ *   /thanh-toan        checkout
+ *   /thanh-toan/ket-qua/:provider  VNPAY/MoMo return
+ *   /don-hang/:code    order confirmation (?t= the order's token, see
+ *                      orderPath)
+ *   /gioi-thieu        about
+ *   /lien-he           contact
+ *   /chinh-sach/:slug  policy page
+ *   /nhan-tin/xac-nhan/:token, /nhan-tin/huy/:token
+ *                      newsletter confirm / unsubscribe links
+ *   /admin/*           admin
  *
  * How to use your real product photos:
  * - Click Admin ▶ Thêm sản phẩm to add your items (áo, cốc, móc khoá, sổ, bình, bút…).
- * - Or edit the DEFAULT_PRODUCTS list below with your filenames/URLs.
+ * - Or edit the DEFAULT_PRODUCTS list in src/lib/data.js with your filenames/URLs.
  */
 
-// ----------------------- Utils -----------------------
-const currency = (n) =>
-  new Intl.NumberFormat("vi-VN", {
-    style: "currency",
-    currency: "VND",
-    maximumFractionDigits: 0,
-  }).format(n || 0);
-const uid = () => Math.random().toString(36).slice(2, 9);
-const save = (k, v) => localStorage.setItem(k, JSON.stringify(v));
-const load = (k, fallback) => {
-  try {
-    const v = JSON.parse(localStorage.getItem(k));
-    return v ?? fallback;
-  } catch {
-    return fallback;
-  }
+const TABS = [
+  { to: "/", label: "nav.shop" },
+  { to: "/gioi-thieu", label: "nav.about" },
+  { to: "/lien-he", label: "nav.contact" },
+];
+
+// Shared shop data and what a fresh demo shop starts with.
+const SHOP_DEFAULTS = {
+  products: DEFAULT_PRODUCTS,
+  categories: DEFAULT_CATEGORIES,
+  collections: DEFAULT_COLLECTIONS,
+  orders: [],
+  reviews: [],
+  messages: [],
+  subscribers: [],
+  shipping: DEFAULT_SHIPPING,
+  coupons: DEFAULT_COUPONS,
+  bank: DEFAULT_BANK,
+  gateways: DEFAULT_GATEWAYS,
+  currencies: DEFAULT_CURRENCIES,
+  site: DEFAULT_SITE,
 };
 
-// ----------------------- Data -----------------------
-const DEFAULT_PRODUCTS = [
-  {
-    id: uid(),
-    name: "Áo thun Việt Ký (Trắng)",
-    price: 169000,
-    category: "Áo thun",
-    stock: 120,
-    rating: 4.8,
-    images: ["/img-1.jpg"],
-    description: "Cotton 100%, in logo Việt Ký mặt trước.",
-  },
-  {
-    id: uid(),
-    name: "Cốc sứ Việt Ký",
-    price: 99000,
-    category: "Phụ kiện",
-    stock: 80,
-    rating: 4.7,
-    images: ["/img-3.jpg"],
-    description: "Cốc sứ trắng in đồ họa Việt Ký.",
-  },
-  {
-    id: uid(),
-    name: "Móc khóa Việt Ký",
-    price: 49000,
-    category: "Phụ kiện",
-    stock: 200,
-    rating: 4.6,
-    images: ["/img-2.jpg"],
-    description: "Móc khóa mica in chữ 'Tôi Yêu Việt Nam'.",
-  },
-  {
-    id: uid(),
-    name: "Sổ tay da Việt Ký",
-    price: 110000,
-    category: "Phụ kiện",
-    stock: 60,
-    rating: 4.9,
-    images: ["/img-5.jpg"],
-    description: "Sổ tay bìa da dập logo.",
-  },
-  {
-    id: uid(),
-    name: "Bình giữ nhiệt Việt Ký",
-    price: 130000,
-    category: "Phụ kiện",
-    stock: 70,
-    rating: 4.8,
-    images: ["/img-6.jpg"],
-    description: "Bình 500ml in logo Việt Ký.",
-  },
-  {
-    id: uid(),
-    name: "Bút ký Việt Ký",
-    price: 99000,
-    category: "Phụ kiện",
-    stock: 150,
-    rating: 4.5,
-    images: ["/img-4.jpg"],
-    description: "Bút kim loại khắc lazer.",
-  },
-];
+// Pages where the floating cart summary would just repeat what is on screen.
+const HIDE_CART_BAR = ["/gio-hang", "/thanh-toan", "/admin"];
 
-// ----------------------- Components -----------------------
-const Badge = ({ children }) => (
-  <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs font-medium text-gray-700 border-gray-200">
-    {children}
-  </span>
-);
-
-const Button = ({ children, className = "", ...props }) => (
-  <button
-    className={`rounded-2xl px-4 py-2 font-medium shadow-sm hover:shadow transition active:translate-y-[1px] ${className}`}
-    {...props}
-  >
-    {children}
-  </button>
-);
-
-const Input = (props) => (
-  <input
-    {...props}
-    className={`w-full rounded-xl border border-gray-200 px-3 py-2 outline-none focus:ring-2 focus:ring-black/10 ${
-      props.className || ""
-    }`}
-  />
-);
-
-const Select = ({ options, ...props }) => (
-  <select
-    {...props}
-    className="w-full rounded-xl border border-gray-200 px-3 py-2 outline-none focus:ring-2 focus:ring-black/10"
-  >
-    {options.map((o) => (
-      <option key={o.value} value={o.value}>
-        {o.label}
-      </option>
-    ))}
-  </select>
-);
-
-const Drawer = ({ open, onClose, title, children, footer }) => (
-  <div
-    className={`fixed inset-0 z-50 ${
-      open ? "pointer-events-auto" : "pointer-events-none"
-    }`}
-  >
-    <div
-      className={`absolute inset-0 bg-black/30 transition ${
-        open ? "opacity-100" : "opacity-0"
-      }`}
-      onClick={onClose}
-    />
-    <div
-      className={`absolute right-0 top-0 h-full w-full max-w-md bg-white shadow-xl transition transform ${
-        open ? "translate-x-0" : "translate-x-full"
-      }`}
-    >
-      <div className="flex items-center justify-between border-b px-5 py-4">
-        <h3 className="text-lg font-semibold">{title}</h3>
-        <button className="text-2xl leading-none" onClick={onClose}>
-          ×
-        </button>
-      </div>
-      <div className="h-[calc(100%-8rem)] overflow-y-auto px-5 py-4">
-        {children}
-      </div>
-      <div className="border-t px-5 py-4 bg-gray-50">{footer}</div>
-    </div>
-  </div>
-);
-
-const Modal = ({ open, onClose, children }) => (
-  <div className={`fixed inset-0 z-50 ${open ? "" : "hidden"}`}>
-    <div className="absolute inset-0 bg-black/30" onClick={onClose} />
-    <div className="absolute left-1/2 top-1/2 w-full max-w-2xl -translate-x-1/2 -translate-y-1/2 rounded-2xl bg-white p-6 shadow-xl">
-      {children}
-    </div>
-  </div>
-);
-
-const PlaceholderImage = ({ seed }) => (
-  <div className="aspect-square w-full overflow-hidden rounded-2xl bg-gradient-to-br from-gray-100 to-gray-200 grid place-items-center">
-    <div className="text-center">
-      <div className="text-5xl">🛍️</div>
-      <div className="text-xs text-gray-500">Thêm ảnh sản phẩm</div>
-    </div>
-  </div>
-);
+// Replaces the item with the same key, or adds it in front.
+const withItem = (list, item, key = "id") =>
+  list.some((x) => x[key] === item[key])
+    ? list.map((x) => (x[key] === item[key] ? item : x))
+    : [item, ...list];
+const withOrder = (orders, order) => withItem(orders, order, "code");
 
 // ----------------------- Main App -----------------------
 export default function App() {
-  const [logoUrl, setLogoUrl] = useState("/img-7.jpg");
-  const [tab, setTab] = useState("shop");
-  const [products, setProducts] = useState(
-    load("vk_products", DEFAULT_PRODUCTS)
+  // What the shop data hooks report, shown once i18n is known below.
+  const [problem, setProblem] = useState(null);
+  const session = useAdminSession({ onExpired: setProblem });
+  const user = session?.user || null;
+  const shop = useShopData(SHOP_DEFAULTS, user?.id, {
+    onSaveError: setProblem,
+  });
+  const {
+    products,
+    categories,
+    collections,
+    orders,
+    reviews,
+    messages,
+    subscribers,
+    shipping,
+    coupons,
+    bank,
+    gateways,
+    currencies,
+  } = shop.data;
+  const { set, receive } = shop;
+  const i18n = useI18nState(currencies);
+  const { t, msg, vnd, locale } = i18n;
+  const site = useMemo(
+    () => localizeSite(shop.data.site, locale),
+    [shop.data.site, locale]
   );
-  const [query, setQuery] = useState("");
-  const [category, setCategory] = useState("all");
-  const [sort, setSort] = useState("popular");
   const [cartOpen, setCartOpen] = useState(false);
   const [cart, setCart] = useState(load("vk_cart", []));
+  const [wishlist, setWishlist] = useState(load("vk_wishlist", []));
   const [quickView, setQuickView] = useState(null);
-  const [checkoutOpen, setCheckoutOpen] = useState(false);
-  const [adminOpen, setAdminOpen] = useState(false);
+  const { query, setQuery } = useShopParams();
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
 
   useEffect(() => save("vk_cart", cart), [cart]);
-  useEffect(() => save("vk_products", products), [products]);
+  useEffect(() => save("vk_wishlist", wishlist), [wishlist]);
+
+  useEffect(() => {
+    if (!problem) return;
+    alert(msg(problem));
+    setProblem(null);
+  }, [problem, msg]);
+
+  // The browser tab follows the store's name and icon.
+  useEffect(() => {
+    document.title = site.name;
+    const icon = imageUrl(site.favicon || site.logo, 64);
+    const link = document.querySelector("link[rel='icon']");
+    if (icon && link) link.href = icon;
+  }, [site.name, site.favicon, site.logo]);
+
+  // Analytics funnel (see lib/tracker.js): quick views and the checkout
+  // page; product views, cart additions and orders are counted where they
+  // happen.
+  useEffect(() => {
+    if (quickView) tracker.track("quick_view", { productId: quickView.id });
+  }, [quickView]);
+  useEffect(() => {
+    if (pathname === "/thanh-toan") tracker.track("checkout_open");
+  }, [pathname]);
+
+  // Overlays never survive a navigation.
+  useEffect(() => {
+    setQuickView(null);
+    setCartOpen(false);
+  }, [pathname]);
 
   const total = useMemo(
     () => cart.reduce((s, i) => s + i.price * i.qty, 0),
     [cart]
   );
 
-  const filtered = useMemo(() => {
-    let list = [...products];
-    if (query)
-      list = list.filter((p) =>
-        p.name.toLowerCase().includes(query.toLowerCase())
+  const issues = useMemo(() => cartIssues(products, cart), [products, cart]);
+
+  // Lines keep the price they were added at until the catalogue changes it.
+  useEffect(() => setCart((prev) => refreshCart(products, prev)), [products]);
+
+  // What shoppers see: ratings come from approved reviews, names and
+  // descriptions in their language.
+  const catalogue = useMemo(
+    () => withRatings(products, reviews).map((p) => localizeProduct(p, locale)),
+    [products, reviews, locale]
+  );
+  const searchIndex = useMemo(() => buildSearchIndex(catalogue), [catalogue]);
+  const shownCart = useMemo(
+    () => localizeItems(cart, products, locale),
+    [cart, products, locale]
+  );
+  const openProduct = (p) => navigate(`/san-pham/${productSlug(p)}`);
+
+  // Adds up to what is in stock; returns false when nothing could be added.
+  const addLine = (p, qty = 1, variant = null) => {
+    const id = lineId(p, variant);
+    const available = availableFor(products, {
+      productId: p.id,
+      variantId: variant?.id,
+    });
+    const inCart = cart.find((i) => i.id === id)?.qty || 0;
+    if (inCart + qty > available) {
+      alert(
+        available - inCart > 0
+          ? t("cart.onlyLeft", { count: available })
+          : available === 0
+          ? t("cart.soldOut")
+          : t("cart.allInCart", { count: available })
       );
-    if (category !== "all") list = list.filter((p) => p.category === category);
-    if (sort === "priceAsc") list.sort((a, b) => a.price - b.price);
-    if (sort === "priceDesc") list.sort((a, b) => b.price - a.price);
-    if (sort === "popular") list.sort((a, b) => b.rating - a.rating);
-    return list;
-  }, [products, query, category, sort]);
-
-  const addToCart = (p, qty = 1) => {
+      qty = available - inCart;
+      if (qty <= 0) return false;
+    }
     setCart((prev) => {
-      const exists = prev.find((i) => i.id === p.id);
+      const exists = prev.find((i) => i.id === id);
       if (exists)
-        return prev.map((i) =>
-          i.id === p.id ? { ...i, qty: i.qty + qty } : i
-        );
+        return prev.map((i) => (i.id === id ? { ...i, qty: i.qty + qty } : i));
       return [
         ...prev,
         {
-          id: p.id,
-          name: p.name,
-          price: p.price,
+          id,
+          productId: p.id,
+          variantId: variant?.id || null,
+          sku: variant?.sku || p.sku || null,
+          variantLabel: variantLabel(variant),
+          // The shop's own name, whatever language the storefront shows.
+          name: products.find((x) => x.id === p.id)?.name || p.name,
+          price: variantPrice(p, variant),
           qty,
-          image: p.images?.[0] || null,
+          image: variantImage(p, variant, 320),
         },
       ];
     });
+    tracker.track("add_to_cart", { productId: p.id, qty });
+    return true;
+  };
+
+  const addToCart = (p, qty = 1, variant = null) => {
+    // Variant products can only be added once a size/color has been picked.
+    if (hasVariants(p) && !variant) return setQuickView(p);
+    if (addLine(p, qty, variant)) setCartOpen(true);
+  };
+
+  const buyNow = (p, variant = null) => {
+    if (hasVariants(p) && !variant) return setQuickView(p);
+    if (addLine(p, 1, variant)) navigate("/thanh-toan");
+  };
+
+  // `variantId` undefined: the whole product (see lib/wishlist.js).
+  const toggleWishlist = (p, variantId) =>
+    setWishlist((list) => toggleWish(list, p.id, variantId));
+
+  // Keeps the saved size/colour; without one, the quick view asks for it.
+  const moveToCart = ({ key, product, variant }) => {
+    if (hasVariants(product) && !variant) return setQuickView(product);
+    if (!addLine(product, 1, variant)) return;
+    setWishlist((list) => removeWish(list, key));
     setCartOpen(true);
   };
 
@@ -250,727 +338,817 @@ export default function App() {
     setCart((prev) => prev.filter((i) => i.id !== id));
   const updateQty = (id, qty) =>
     setCart((prev) =>
-      prev.map((i) => (i.id === id ? { ...i, qty: Math.max(1, qty) } : i))
+      prev.map((i) =>
+        i.id === id
+          ? {
+              ...i,
+              qty: Math.max(1, Math.min(qty, availableFor(products, i))),
+            }
+          : i
+      )
     );
+  const fixCart = () => setCart((prev) => clampCart(products, prev));
 
-  // Checkout calculation
-  const shippingFee = total > 500000 ? 0 : 30000;
-  const discount = 0; // set via coupon input in drawer footer
+  // summary: { details, totals, coupons, delivery } from the checkout.
+  const placeOrder = async (summary) => {
+    const reserved = reserveStock(products, cart);
+    if (!reserved.ok) {
+      alert(t("checkout.stockGone"));
+      return;
+    }
+    let order;
+    try {
+      // The server hands out another code if this one was just taken.
+      order = await store.createOrder(
+        createOrder({ orders, cart, ...summary }),
+        reserved.products
+      );
+    } catch (err) {
+      alert(t("checkout.failed", { message: msg(err) }));
+      return;
+    }
+    // The store has taken the stock already (the server does it on its own).
+    receive.products(reserved.products);
+    receive.orders([order, ...orders]);
+    tracker.track("order_placed", { value: order.totals.grand });
+    setCart([]);
+    navigate(orderPath(order), { replace: true });
+    if (PAYMENT_GATEWAYS[order.paymentMethod]) payOrder(order);
+  };
 
-  // Admin helpers
-  const handleLogoUpload = (e) => {
-    alert(
-      "Logo mặc định đã được cố định là img-7.jpg. Để thay đổi, vui lòng chỉnh sửa mã nguồn."
-    );
+  // Sends the customer to VNPAY/MoMo; they come back to PaymentReturnPage.
+  const payOrder = async (order) => {
+    const gateway = PAYMENT_GATEWAYS[order.paymentMethod];
+    try {
+      const url = await store.createPayment(order, {
+        gateways,
+        returnUrl: `${window.location.origin}/thanh-toan/ket-qua/${gateway.id}`,
+      });
+      // Events still queued would leave with the page.
+      tracker.flush();
+      window.location.assign(url);
+    } catch (err) {
+      alert(
+        t("checkout.gatewayFailed", {
+          gateway: gateway.label,
+          message: msg(err),
+        })
+      );
+    }
   };
 
+  // Resolves with { result, order } once the order has been updated;
+  // rejects when the callback cannot be trusted.
+  const confirmPayment = async (provider, params) => {
+    const { result, order } = await store.confirmPayment(provider, params, {
+      gateways,
+      orders,
+    });
+    receive.orders(withOrder(orders, order));
+    return { result, order };
+  };
+
+  // Orders placed in another browser are only known to the server.
+  const loadOrder = async (code, token) => {
+    const order = await store.fetchOrder(code, token);
+    if (order) receive.orders(withOrder(orders, order));
+    return order;
+  };
+
+  // Checkout calculation: the exact fee needs an address, so before checkout
+  // the cart shows the range of the default method over all zones.
+  const weight = useMemo(
+    () => cartWeight(products, cart, shipping),
+    [products, cart, shipping]
+  );
+  const range = shippingRange(shipping, { weight, subtotal: total });
+  const shippingEstimate = !range
+    ? t("cart.shippingAtCheckout")
+    : range.max === 0
+    ? t("common.free")
+    : range.min === range.max
+    ? vnd(range.min)
+    : `${vnd(range.min)} – ${vnd(range.max)}`;
+
   const upsertProduct = (p) => {
-    setProducts((list) => {
+    set.products((list) => {
       const idx = list.findIndex((x) => x.id === p.id);
       if (idx >= 0) {
         const copy = [...list];
-        copy[idx] = p;
+        copy[idx] = { ...p, slug: p.slug || slugify(p.name) };
         return copy;
       }
-      return [{ ...p, id: uid() }, ...list];
+      return [
+        {
+          ...p,
+          id: uid(),
+          slug: slugify(p.name),
+          createdAt: new Date().toISOString(),
+        },
+        ...list,
+      ];
     });
   };
 
+  const updateOrderStatus = async (code, status, note) => {
+    const order = orders.find((o) => o.code === code);
+    const restocked = RESTOCK_STATUSES.includes(status)
+      ? adjustStock(products, order.items, 1)
+      : products;
+    let saved;
+    try {
+      saved = await store.updateOrder(
+        transitionOrder(order, status, note),
+        restocked
+      );
+    } catch (err) {
+      alert(msg(err));
+      return;
+    }
+    // The store has given the stock back already (the server does it on its
+    // own).
+    receive.products(restocked);
+    receive.orders(withOrder(orders, saved));
+  };
+
+  const markPaid = (code, reference) => {
+    const order = orders.find((o) => o.code === code);
+    let next;
+    try {
+      next = markOrderPaid(order, reference);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    set.orders((list) => list.map((o) => (o.code === code ? next : o)));
+  };
+
+  // Staff count stock here; everything else about a product stays as it is.
+  const updateStock = (id, levels) =>
+    set.products((list) =>
+      list.map((p) => (p.id === id ? setStockLevels(p, levels) : p))
+    );
+
+  // Category edits: a rename also reaches products, collection rules and
+  // coupons.
+  const updateCatalogue = (changes) =>
+    Object.entries(changes)
+      .filter(([name, value]) => value && value !== shop.data[name])
+      .forEach(([name, value]) => set[name](value));
+
   const deleteProduct = (id) =>
-    setProducts((list) => list.filter((p) => p.id !== id));
+    set.products((list) => list.filter((p) => p.id !== id));
+
+  const bulkEditProducts = (ids, change) =>
+    set.products((list) => bulkEdit(list, ids, change));
+  const deleteProducts = (ids) =>
+    set.products((list) => list.filter((p) => !ids.includes(p.id)));
+  const importProducts = (report) =>
+    set.products((list) => applyImport(list, report));
+
+  // The store checks the purchase and stores the review as pending.
+  const submitReview = async (draft) => {
+    const review = await store.createReview(draft, orders);
+    receive.reviews([review, ...reviews]);
+    return review;
+  };
+
+  // Contact messages land in the admin inbox.
+  const sendMessage = async (draft) => {
+    const message = await store.sendMessage(draft);
+    receive.messages([message, ...messages]);
+    return message;
+  };
+
+  // Newsletter: the store emails the confirmation link; the links in the
+  // emails lead to NewsletterPage. Admin sees new sign-ups once it reloads.
+  const subscribeNewsletter = (email) =>
+    store.subscribeNewsletter(email, { locale });
+  const confirmSubscription = async (token) => {
+    const subscriber = await store.confirmSubscription(token);
+    receive.subscribers(withItem(subscribers, subscriber));
+    return subscriber;
+  };
+  const unsubscribeNewsletter = async (token) => {
+    const subscriber = await store.unsubscribeNewsletter(token);
+    receive.subscribers(withItem(subscribers, subscriber));
+    return subscriber;
+  };
+
+  // Sends everything this browser has in demo mode up to the server.
+  const importLocalData = async () => {
+    const local = await createLocalStore().load(SHOP_DEFAULTS);
+    const {
+      products,
+      categories,
+      orders,
+      reviews,
+      messages,
+      subscribers,
+      ...settings
+    } = local;
+    const counts = await store.importAll({
+      products,
+      categories,
+      orders,
+      reviews,
+      messages,
+      subscribers,
+      settings,
+    });
+    shop.reload();
+    return counts;
+  };
+
+  const showCartBar =
+    cart.length > 0 && !HIDE_CART_BAR.some((r) => pathname.startsWith(r));
+
+  if (shop.status !== "ready")
+    return (
+      <I18nProvider value={i18n}>
+        <LoadingScreen
+          name={site.name}
+          error={shop.error}
+          onRetry={shop.reload}
+        />
+      </I18nProvider>
+    );
 
   return (
-    <div className="min-h-screen bg-neutral-50 text-neutral-900">
-      {/* Navbar */}
-      <header className="sticky top-0 z-40 backdrop-blur bg-white/80 border-b">
-        <div className="mx-auto max-w-7xl px-4 py-3 flex items-center gap-3">
-          <div className="flex items-center gap-3">
-            {logoUrl ? (
-              <img
-                src={logoUrl}
-                alt="Việt Ký"
-                className="h-10 w-10 rounded-full object-cover"
-              />
-            ) : (
-              <div className="h-10 w-10 rounded-full bg-red-800 text-white grid place-items-center font-bold">
-                VK
+    <I18nProvider value={i18n}>
+      <div className="min-h-screen bg-neutral-50 text-neutral-900">
+        <StorageNotice />
+
+        {/* Navbar */}
+        <header className="sticky top-0 z-40 backdrop-blur bg-white/80 border-b">
+          <div className="mx-auto max-w-7xl px-4 py-3 flex items-center gap-3">
+            <NavLink to="/" className="flex items-center gap-3">
+              {site.logo ? (
+                <img
+                  src={imageUrl(site.logo, 80)}
+                  alt={t("brand.logo", { name: site.name })}
+                  className="h-10 w-10 rounded-full object-cover"
+                />
+              ) : (
+                <div className="h-10 w-10 rounded-full bg-red-800 text-white grid place-items-center font-bold">
+                  {initials(site.name)}
+                </div>
+              )}
+              <div className="font-serif text-xl tracking-wide uppercase">
+                {site.name}
               </div>
-            )}
-            <div className="font-serif text-xl tracking-wide">VIỆT KÝ</div>
-            <Badge>Thời trang & Phụ kiện</Badge>
+              {site.tagline && <Badge>{site.tagline}</Badge>}
+            </NavLink>
+            <div className="ml-auto hidden md:flex items-center gap-2 w-1/3">
+              <SearchBox
+                index={searchIndex}
+                placeholder={t("header.search")}
+                value={query}
+                onChange={setQuery}
+                onPick={openProduct}
+              />
+            </div>
+            <div className="ml-2 flex items-center gap-2">
+              <LocaleSwitcher />
+              <Button onClick={() => navigate(WISHLIST_PATH)}>
+                {t("header.wishlist", { count: wishlist.length })}
+              </Button>
+              <Button
+                className="bg-black text-white flex items-center gap-2"
+                onClick={() => navigate("/gio-hang")}
+              >
+                {t("header.cart", {
+                  count: cart.reduce((s, i) => s + i.qty, 0),
+                })}
+              </Button>
+              <Button
+                className="hidden md:inline-flex"
+                onClick={() => navigate("/admin")}
+              >
+                Admin
+              </Button>
+            </div>
           </div>
-          <div className="ml-auto hidden md:flex items-center gap-2 w-1/2">
-            <Input
-              placeholder="Tìm kiếm sản phẩm…"
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
+        </header>
+
+        <Routes>
+          <Route
+            element={
+              <StorefrontLayout
+                site={site}
+                products={catalogue}
+                categories={categories}
+                collections={collections}
+              />
+            }
+          >
+            <Route
+              index
+              element={
+                <ShopPage
+                  products={catalogue}
+                  searchIndex={searchIndex}
+                  onOpenProduct={openProduct}
+                  categories={categories}
+                  onQuickView={setQuickView}
+                  onAddToCart={addToCart}
+                  wishlist={wishlist}
+                  onToggleWish={toggleWishlist}
+                />
+              }
             />
-            <Select
-              value={category}
-              onChange={(e) => setCategory(e.target.value)}
-              options={[
-                { label: "Tất cả", value: "all" },
-                { label: "Áo thun", value: "Áo thun" },
-                { label: "Phụ kiện", value: "Phụ kiện" },
-              ]}
+            <Route path="gioi-thieu" element={<AboutPage site={site} />} />
+            <Route
+              path="lien-he"
+              element={
+                <ContactPage
+                  contact={site.contact}
+                  onSendMessage={sendMessage}
+                  onSubscribe={subscribeNewsletter}
+                />
+              }
             />
-            <Select
-              value={sort}
-              onChange={(e) => setSort(e.target.value)}
-              options={[
-                { label: "Phổ biến", value: "popular" },
-                { label: "Giá tăng dần", value: "priceAsc" },
-                { label: "Giá giảm dần", value: "priceDesc" },
-              ]}
+          </Route>
+          <Route element={<PageLayout />}>
+            <Route
+              path="san-pham/:slug"
+              element={
+                <ProductPage
+                  products={catalogue}
+                  reviews={reviews}
+                  storeName={site.name}
+                  onView={(productId) =>
+                    tracker.track("product_view", { productId })
+                  }
+                  onAddToCart={addToCart}
+                  onBuyNow={buyNow}
+                  onSubmitReview={submitReview}
+                  wishlist={wishlist}
+                  onToggleWish={toggleWishlist}
+                />
+              }
             />
-          </div>
-          <div className="ml-2 flex items-center gap-2">
-            <Button
-              className="bg-black text-white flex items-center gap-2"
-              onClick={() => setCartOpen(true)}
-            >
-              Giỏ hàng ({cart.reduce((s, i) => s + i.qty, 0)})
-            </Button>
-            <Button
-              className="hidden md:inline-flex"
-              onClick={() => setAdminOpen(true)}
-            >
-              Admin
-            </Button>
+            <Route
+              path="bo-suu-tap/:slug"
+              element={
+                <CollectionPage
+                  collections={collections}
+                  products={catalogue}
+                  categories={categories}
+                  onQuickView={setQuickView}
+                  onAddToCart={addToCart}
+                  wishlist={wishlist}
+                  onToggleWish={toggleWishlist}
+                />
+              }
+            />
+            <Route
+              path="yeu-thich"
+              element={
+                <WishlistPage
+                  products={catalogue}
+                  wishlist={wishlist}
+                  onRemove={(key) =>
+                    setWishlist((list) => removeWish(list, key))
+                  }
+                  onMoveToCart={moveToCart}
+                  onAddToCart={addToCart}
+                  onSaveShared={(items) =>
+                    setWishlist((list) => mergeWishlist(list, items))
+                  }
+                />
+              }
+            />
+            <Route
+              path="chinh-sach/:slug"
+              element={<PolicyPage policies={site.policies} />}
+            />
+            <Route
+              path="nhan-tin/:action/:token"
+              element={
+                <NewsletterPage
+                  onConfirm={confirmSubscription}
+                  onUnsubscribe={unsubscribeNewsletter}
+                />
+              }
+            />
+            <Route
+              path="danh-muc/:slug"
+              element={<CategoryRedirect categories={categories} />}
+            />
+            <Route
+              path="gio-hang"
+              element={
+                <CartPage
+                  cart={shownCart}
+                  total={total}
+                  shippingEstimate={shippingEstimate}
+                  issues={issues}
+                  onUpdateQty={updateQty}
+                  onRemove={removeFromCart}
+                  onFixCart={fixCart}
+                />
+              }
+            />
+            <Route
+              path="thanh-toan"
+              element={
+                <CheckoutPage
+                  cart={shownCart}
+                  total={total}
+                  weight={weight}
+                  shipping={shipping}
+                  products={products}
+                  categories={categories}
+                  orders={orders}
+                  coupons={coupons}
+                  bank={bank}
+                  gateways={gateways}
+                  issues={issues}
+                  onOrderPlaced={placeOrder}
+                />
+              }
+            />
+            <Route
+              path="thanh-toan/ket-qua/:provider"
+              element={<PaymentReturnPage onConfirm={confirmPayment} />}
+            />
+            <Route
+              path="don-hang/:code"
+              element={
+                <OrderPage
+                  orders={orders}
+                  products={products}
+                  bank={bank}
+                  onPay={payOrder}
+                  onLoadOrder={loadOrder}
+                />
+              }
+            />
+            <Route
+              path="admin/*"
+              element={
+                <AdminPage
+                  products={products}
+                  categories={categories}
+                  collections={collections}
+                  orders={orders}
+                  reviews={reviews}
+                  messages={messages}
+                  subscribers={subscribers}
+                  shipping={shipping}
+                  coupons={coupons}
+                  bank={bank}
+                  gateways={gateways}
+                  currencies={currencies}
+                  site={shop.data.site}
+                  user={user}
+                  onLogout={store.logout}
+                  onUpdateOrderStatus={updateOrderStatus}
+                  onUpdateStock={updateStock}
+                  onMarkPaid={markPaid}
+                  onSaveShipping={set.shipping}
+                  onSaveCoupons={set.coupons}
+                  onSaveBank={set.bank}
+                  onSaveGateways={set.gateways}
+                  onSaveCurrencies={set.currencies}
+                  onSaveSite={set.site}
+                  onImportLocalData={importLocalData}
+                  onSave={upsertProduct}
+                  onDelete={deleteProduct}
+                  onBulkEdit={bulkEditProducts}
+                  onBulkDelete={deleteProducts}
+                  onImportProducts={importProducts}
+                  onChangeCatalogue={updateCatalogue}
+                  onSaveCollections={set.collections}
+                  onSaveReviews={set.reviews}
+                  onSaveMessages={set.messages}
+                  onSaveSubscribers={set.subscribers}
+                />
+              }
+            />
+            <Route path="*" element={<NotFound />} />
+          </Route>
+        </Routes>
+
+        {/* Footer */}
+        <Footer
+          site={site}
+          paymentMethods={availablePaymentMethods(bank, gateways)}
+        />
+
+        {/* Quick View Modal */}
+        <Modal open={!!quickView} onClose={() => setQuickView(null)}>
+          {quickView && (
+            <ProductDetail
+              key={quickView.id}
+              product={quickView}
+              onAddToCart={addToCart}
+              onBuyNow={buyNow}
+              wishlist={wishlist}
+              onToggleWish={toggleWishlist}
+              showDetailLink
+            />
+          )}
+        </Modal>
+
+        {/* Cart Drawer */}
+        <Drawer
+          open={cartOpen}
+          onClose={() => setCartOpen(false)}
+          title={t("cart.title")}
+          footer={
+            <div className="flex gap-2">
+              <Button className="flex-1" onClick={() => navigate("/gio-hang")}>
+                {t("cart.view")}
+              </Button>
+              <Button
+                className="bg-black text-white flex-1"
+                onClick={() => navigate("/thanh-toan")}
+              >
+                {t("cart.checkout")}
+              </Button>
+            </div>
+          }
+        >
+          <CartLines
+            cart={shownCart}
+            issues={issues}
+            onUpdateQty={updateQty}
+            onRemove={removeFromCart}
+          />
+        </Drawer>
+
+        {/* Cart Footer */}
+        <div
+          className={`fixed bottom-4 left-1/2 z-40 w-[calc(100%-1rem)] max-w-3xl -translate-x-1/2 rounded-2xl border bg-white p-4 shadow-xl ${
+            showCartBar ? "" : "hidden"
+          }`}
+        >
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="font-semibold">
+              {t("cart.barSubtotal", { amount: vnd(total) })}
+            </div>
+            <div className="text-sm text-neutral-500">
+              {t("cart.barShipping", { amount: shippingEstimate })}
+            </div>
+            <div className="ml-auto flex gap-2">
+              <Button onClick={() => navigate("/gio-hang")}>
+                {t("cart.viewShort")}
+              </Button>
+              <Button
+                className="bg-black text-white"
+                onClick={() => navigate("/thanh-toan")}
+              >
+                {t("cart.checkout")}
+              </Button>
+            </div>
           </div>
         </div>
-      </header>
+      </div>
+    </I18nProvider>
+  );
+}
+
+// Language and display currency pickers in the navbar.
+function LocaleSwitcher() {
+  const { t, locale, setLocale, currency, currencies, setCurrency } = useI18n();
+  return (
+    <div className="flex gap-1">
+      <select
+        aria-label={t("header.language")}
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="rounded-xl border bg-white px-2 py-2 text-sm"
+      >
+        {Object.keys(LOCALES).map((code) => (
+          <option key={code} value={code}>
+            {code.toUpperCase()}
+          </option>
+        ))}
+      </select>
+      {currencies.length > 1 && (
+        <select
+          aria-label={t("header.currency")}
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          className="rounded-xl border bg-white px-2 py-2 text-sm"
+        >
+          {currencies.map((code) => (
+            <option key={code} value={code}>
+              {code}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
 
+// ----------------------- Layouts -----------------------
+// Hero + shop/about/contact tabs, shared by the three storefront routes.
+function StorefrontLayout({ site, products, categories, collections }) {
+  const { t } = useI18n();
+  // The featured collection fills the hero; otherwise the first products.
+  const featured = featuredCollection(collections);
+  const picks = featured
+    ? collectionProducts(featured, products, categories)
+    : [];
+  const hero = (picks.length ? picks : products).slice(0, 3);
+  return (
+    <>
       {/* Hero */}
       <section className="mx-auto max-w-7xl px-4 py-10 grid gap-6 md:grid-cols-2 items-center">
         <div>
           <h1 className="text-3xl md:text-5xl font-bold leading-tight">
-            Bộ sưu tập Việt Ký – Tinh thần Việt trong từng chi tiết
+            {site.heroTitle}
           </h1>
-          <p className="mt-3 text-neutral-600">
-            Ghi dấu bản sắc - Kết nối thế hệ
-          </p>
+          {site.heroSubtitle && (
+            <p className="mt-3 text-neutral-600">{site.heroSubtitle}</p>
+          )}
         </div>
         <div className="rounded-3xl bg-white p-5 shadow-sm border">
+          {picks.length > 0 && (
+            <div className="mb-3">
+              <div className="text-sm text-neutral-500">
+                {t("hero.featured")}
+              </div>
+              <div className="text-lg font-semibold">{featured.name}</div>
+              {featured.description && (
+                <p className="text-sm text-neutral-600">
+                  {featured.description}
+                </p>
+              )}
+            </div>
+          )}
           <div className="grid grid-cols-3 gap-3">
-            {products.slice(0, 3).map((p) => (
+            {hero.map((p) => (
               <div key={p.id} className="rounded-2xl border overflow-hidden">
-                {p.images?.[0] ? (
-                  <img
-                    src={p.images[0]}
-                    alt={p.name}
-                    className="aspect-square w-full object-cover"
-                  />
-                ) : (
-                  <PlaceholderImage />
-                )}
+                <ProductImage
+                  image={coverImage(p)}
+                  alt={p.name}
+                  width={320}
+                  className="aspect-square w-full object-cover"
+                />
               </div>
             ))}
           </div>
-          <div className="mt-3 text-sm text-neutral-500">
-            *Thêm ảnh thật sản phẩm để tăng tỷ lệ chuyển đổi.
-          </div>
+          {picks.length > 0 ? (
+            <Link
+              to={`/bo-suu-tap/${collectionSlug(featured)}`}
+              className="mt-3 inline-block text-sm underline"
+            >
+              {t("hero.viewCollection", { count: picks.length })}
+            </Link>
+          ) : (
+            <div className="mt-3 text-sm text-neutral-500">
+              {t("hero.addPhotos")}
+            </div>
+          )}
         </div>
       </section>
 
       {/* Tabs */}
       <nav className="mx-auto max-w-7xl px-4">
         <div className="inline-flex rounded-2xl border bg-white p-1 shadow-sm">
-          {["shop", "about", "contact"].map((t) => (
-            <button
-              key={t}
-              onClick={() => setTab(t)}
-              className={`px-4 py-2 rounded-xl ${
-                tab === t ? "bg-black text-white" : ""
-              }`}
+          {TABS.map((tab) => (
+            <NavLink
+              key={tab.to}
+              to={tab.to}
+              end
+              className={({ isActive }) =>
+                `px-4 py-2 rounded-xl ${isActive ? "bg-black text-white" : ""}`
+              }
             >
-              {t === "shop"
-                ? "Cửa hàng"
-                : t === "about"
-                ? "Giới thiệu"
-                : "Liên hệ"}
-            </button>
+              {t(tab.label)}
+            </NavLink>
           ))}
         </div>
       </nav>
 
       {/* Content */}
       <main className="mx-auto max-w-7xl px-4 py-8">
-        {tab === "shop" && (
-          <div>
-            {/* mobile filters */}
-            <div className="mb-4 flex gap-2 md:hidden">
-              <Input
-                placeholder="Tìm kiếm…"
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
-              />
-              <Select
-                value={category}
-                onChange={(e) => setCategory(e.target.value)}
-                options={[
-                  { label: "Tất cả", value: "all" },
-                  { label: "Áo thun", value: "Áo thun" },
-                  { label: "Phụ kiện", value: "Phụ kiện" },
-                ]}
-              />
-            </div>
-            <div className="grid grid-cols-2 gap-4 sm:grid-cols-3 lg:grid-cols-4">
-              {filtered.map((p) => (
-                <article
-                  key={p.id}
-                  className="rounded-3xl bg-white border hover:shadow-md transition overflow-hidden"
-                >
-                  <button
-                    onClick={() => setQuickView(p)}
-                    className="block w-full"
-                  >
-                    {p.images?.[0] ? (
-                      <img
-                        src={p.images[0]}
-                        alt={p.name}
-                        className="aspect-square w-full object-cover"
-                      />
-                    ) : (
-                      <PlaceholderImage />
-                    )}
-                  </button>
-                  <div className="p-4">
-                    <div className="text-sm text-neutral-500">{p.category}</div>
-                    <h3 className="mt-1 font-semibold leading-tight line-clamp-2">
-                      {p.name}
-                    </h3>
-                    <div className="mt-1 flex items-center justify-between">
-                      <div className="text-lg font-bold">
-                        {currency(p.price)}
-                      </div>
-                      <Badge>★ {p.rating}</Badge>
-                    </div>
-                    <div className="mt-3 flex gap-2">
-                      <Button
-                        className="bg-black text-white flex-1"
-                        onClick={() => addToCart(p)}
-                      >
-                        Thêm vào giỏ
-                      </Button>
-                      <Button
-                        className="flex-1"
-                        onClick={() => setQuickView(p)}
-                      >
-                        Xem nhanh
-                      </Button>
-                    </div>
-                  </div>
-                </article>
-              ))}
-            </div>
-          </div>
-        )}
-
-        {tab === "about" && (
-          <section className="prose max-w-none">
-            <h2>Về Việt Ký</h2>
-            <p>
-              Việt Ký tôn vinh bản sắc Việt qua thiết kế tinh giản. Toàn bộ quy
-              trình sản xuất hướng tới bền vững, thân thiện môi trường.
-            </p>
-            <ul>
-              <li>Chất liệu: Cotton 100%, giấy tái chế, kim loại bền.</li>
-              <li>Thiết kế: Lấy cảm hứng Rồng Việt, bản đồ Việt Nam.</li>
-              <li>Bảo hành 1 đổi 1 trong 7 ngày cho lỗi SX.</li>
-            </ul>
-          </section>
-        )}
-
-        {tab === "contact" && (
-          <section className="grid gap-6 md:grid-cols-2">
-            <div className="rounded-3xl border bg-white p-6">
-              <h3 className="text-xl font-semibold">Liên hệ</h3>
-              <p className="text-neutral-600">
-                Gửi tin nhắn, chúng tôi sẽ phản hồi trong 24h.
-              </p>
-              <form
-                className="mt-4 grid gap-3"
-                onSubmit={(e) => {
-                  e.preventDefault();
-                  alert("Đã gửi! Cảm ơn bạn.");
-                }}
-              >
-                <Input placeholder="Họ và tên" required />
-                <Input placeholder="Email" type="email" required />
-                <textarea
-                  className="min-h-[120px] rounded-xl border border-gray-200 p-3 outline-none focus:ring-2 focus:ring-black/10"
-                  placeholder="Nội dung"
-                  required
-                />
-                <Button className="bg-black text-white">Gửi</Button>
-              </form>
-            </div>
-            <div className="rounded-3xl border bg-white p-6">
-              <h3 className="text-xl font-semibold">Đăng ký nhận tin</h3>
-              <p className="text-neutral-600">
-                Nhận ưu đãi sớm và câu chuyện hậu trường.
-              </p>
-              <div className="mt-4 flex gap-2">
-                <Input placeholder="Email của bạn" />
-                <Button className="bg-black text-white">Đăng ký</Button>
-              </div>
-            </div>
-          </section>
-        )}
+        <Outlet />
       </main>
+    </>
+  );
+}
 
-      {/* Footer */}
-      <footer className="border-t bg-white">
-        <div className="mx-auto max-w-7xl px-4 py-10 grid gap-6 md:grid-cols-4 text-sm">
-          <div>
-            <div className="font-serif text-lg">VIỆT KÝ</div>
-            <p className="mt-2 text-neutral-600">
-              © {new Date().getFullYear()} Viet Ky. All rights reserved.
-            </p>
-          </div>
+// Policy links, the social accounts that are set and the payment methods on
+// offer, all from the store settings.
+function Footer({ site, paymentMethods }) {
+  const { t } = useI18n();
+  const social = Object.keys(SOCIAL_NETWORKS).filter((key) =>
+    site.social[key]?.trim()
+  );
+  return (
+    <footer className="border-t bg-white">
+      <div className="mx-auto max-w-7xl px-4 py-10 grid gap-6 md:grid-cols-4 text-sm">
+        <div>
+          <div className="font-serif text-lg uppercase">{site.name}</div>
+          <p className="mt-2 text-neutral-600">
+            {t("footer.rights", {
+              year: new Date().getFullYear(),
+              name: site.name,
+            })}
+          </p>
+        </div>
+        {site.policies.length > 0 && (
           <div>
-            <div className="font-semibold">Hỗ trợ</div>
+            <div className="font-semibold">{t("footer.support")}</div>
             <ul className="mt-2 space-y-1 text-neutral-600">
-              <li>Chính sách vận chuyển</li>
-              <li>Đổi/Trả & Bảo hành</li>
-              <li>Điều khoản & Bảo mật</li>
+              {site.policies.map((p) => (
+                <li key={p.slug}>
+                  <Link
+                    to={`/chinh-sach/${p.slug}`}
+                    className="hover:underline"
+                  >
+                    {p.title}
+                  </Link>
+                </li>
+              ))}
             </ul>
           </div>
+        )}
+        {social.length > 0 && (
           <div>
-            <div className="font-semibold">Theo dõi</div>
+            <div className="font-semibold">{t("footer.follow")}</div>
             <ul className="mt-2 space-y-1 text-neutral-600">
-              <li>Facebook</li>
-              <li>Instagram</li>
-              <li>TikTok</li>
+              {social.map((key) => (
+                <li key={key}>
+                  <a
+                    href={site.social[key]}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="hover:underline"
+                  >
+                    {SOCIAL_NETWORKS[key]}
+                  </a>
+                </li>
+              ))}
             </ul>
           </div>
-          <div>
-            <div className="font-semibold">Thanh toán</div>
-            <div className="mt-2 flex gap-2 text-xs text-neutral-600">
-              VNPAY · Momo · COD
-            </div>
-          </div>
-        </div>
-      </footer>
-
-      {/* Quick View Modal */}
-      <Modal open={!!quickView} onClose={() => setQuickView(null)}>
-        {quickView && (
-          <div className="grid gap-6 md:grid-cols-2">
-            <div>
-              {quickView.images?.[0] ? (
-                <img
-                  src={quickView.images[0]}
-                  alt={quickView.name}
-                  className="aspect-square w-full rounded-2xl object-cover border"
-                />
-              ) : (
-                <PlaceholderImage />
-              )}
-            </div>
-            <div>
-              <h3 className="text-2xl font-semibold">{quickView.name}</h3>
-              <div className="mt-1 text-neutral-500">
-                {quickView.category} • ★ {quickView.rating}
-              </div>
-              <div className="mt-3 text-3xl font-bold">
-                {currency(quickView.price)}
-              </div>
-              <p className="mt-3 text-neutral-700">{quickView.description}</p>
-              <div className="mt-5 flex gap-3">
-                <Button
-                  className="bg-black text-white"
-                  onClick={() => addToCart(quickView)}
-                >
-                  Thêm vào giỏ
-                </Button>
-                <Button
-                  onClick={() => {
-                    addToCart(quickView);
-                    setCheckoutOpen(true);
-                  }}
-                >
-                  Mua ngay
-                </Button>
-              </div>
-            </div>
-          </div>
         )}
-      </Modal>
-
-      {/* Cart Drawer */}
-      <Drawer
-        open={cartOpen}
-        onClose={() => setCartOpen(false)}
-        title="Giỏ hàng"
-      >
-        {cart.length === 0 ? (
-          <div className="text-center text-neutral-600">Chưa có sản phẩm.</div>
-        ) : (
-          <div className="space-y-4">
-            {cart.map((i) => (
-              <div key={i.id} className="flex gap-3 rounded-2xl border p-3">
-                <div className="h-20 w-20 overflow-hidden rounded-xl bg-gray-100">
-                  {i.image ? (
-                    <img
-                      src={i.image}
-                      alt=""
-                      className="h-full w-full object-cover"
-                    />
-                  ) : (
-                    <div className="grid h-full w-full place-items-center">
-                      🛍️
-                    </div>
-                  )}
-                </div>
-                <div className="flex-1">
-                  <div className="font-medium">{i.name}</div>
-                  <div className="text-sm text-neutral-500">
-                    {currency(i.price)}
-                  </div>
-                  <div className="mt-2 flex items-center gap-2">
-                    <button
-                      className="rounded-full border px-2"
-                      onClick={() => updateQty(i.id, i.qty - 1)}
-                    >
-                      -
-                    </button>
-                    <Input
-                      type="number"
-                      value={i.qty}
-                      onChange={(e) => updateQty(i.id, Number(e.target.value))}
-                      className="w-16 text-center"
-                    />
-                    <button
-                      className="rounded-full border px-2"
-                      onClick={() => updateQty(i.id, i.qty + 1)}
-                    >
-                      +
-                    </button>
-                    <div className="ml-auto">
-                      <Button
-                        className="text-red-600"
-                        onClick={() => removeFromCart(i.id)}
-                      >
-                        Xóa
-                      </Button>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            ))}
-          </div>
-        )}
-      </Drawer>
-
-      {/* Cart Footer */}
-      <div
-        className={`fixed bottom-4 left-1/2 z-40 w-[calc(100%-1rem)] max-w-3xl -translate-x-1/2 rounded-2xl border bg-white p-4 shadow-xl ${
-          cart.length ? "" : "hidden"
-        }`}
-      >
-        <div className="flex flex-wrap items-center gap-3">
-          <div className="font-semibold">Tổng tạm tính: {currency(total)}</div>
-          <div className="text-sm text-neutral-500">
-            Vận chuyển: {shippingFee === 0 ? "Miễn phí" : currency(shippingFee)}
-          </div>
-          <div className="ml-auto flex gap-2">
-            <Button onClick={() => setCartOpen(true)}>Xem giỏ</Button>
-            <Button
-              className="bg-black text-white"
-              onClick={() => setCheckoutOpen(true)}
-            >
-              Thanh toán
-            </Button>
+        <div>
+          <div className="font-semibold">{t("footer.payment")}</div>
+          <div className="mt-2 flex gap-2 text-xs text-neutral-600">
+            {paymentMethods.map((m) => t(`paymentShort.${m}`)).join(" · ")}
           </div>
         </div>
       </div>
+    </footer>
+  );
+}
 
-      {/* Checkout Drawer */}
-      <Drawer
-        open={checkoutOpen}
-        onClose={() => setCheckoutOpen(false)}
-        title="Thanh toán"
-        footer={
-          <CheckoutFooter
-            total={total}
-            shippingFee={shippingFee}
-            onOrderPlaced={() => {
-              setCart([]);
-              setCheckoutOpen(false);
-              alert("Đặt hàng thành công! Cảm ơn bạn.");
-            }}
-          />
-        }
-      >
-        <CheckoutForm />
-      </Drawer>
-
-      {/* Admin Drawer */}
-      <Drawer
-        open={adminOpen}
-        onClose={() => setAdminOpen(false)}
-        title="Quản trị (Local)"
-      >
-        <AdminPanel
-          products={products}
-          onSave={upsertProduct}
-          onDelete={deleteProduct}
-          onLogo={() =>
-            alert(
-              "Logo mặc định đã được cố định là img-7.jpg. Để thay đổi, vui lòng chỉnh sửa mã nguồn."
-            )
-          }
-        />
-      </Drawer>
-    </div>
+function PageLayout() {
+  return (
+    <main className="mx-auto max-w-7xl px-4 py-8">
+      <Outlet />
+    </main>
   );
 }
 
-// ----------------------- Checkout -----------------------
-function CheckoutForm() {
+// /danh-muc/:slug opens the shop listing filtered to that category.
+function CategoryRedirect({ categories }) {
+  const { slug } = useParams();
+  const category = categories.find((c) => categorySlug(c) === slug);
+  if (!category) return <NotFound />;
   return (
-    <form className="grid gap-4">
-      <div className="grid gap-2">
-        <div className="font-semibold">Thông tin giao hàng</div>
-        <Input placeholder="Họ và tên" required />
-        <div className="grid grid-cols-1 gap-2 md:grid-cols-2">
-          <Input placeholder="Số điện thoại" required />
-          <Input placeholder="Email (nhận hoá đơn)" type="email" />
-        </div>
-        <Input placeholder="Địa chỉ" required />
-        <div className="grid grid-cols-1 gap-2 md:grid-cols-3">
-          <Input placeholder="Tỉnh/Thành" required />
-          <Input placeholder="Quận/Huyện" required />
-          <Input placeholder="Phường/Xã" required />
-        </div>
-      </div>
-      <div className="grid gap-2">
-        <div className="font-semibold">Phương thức giao hàng</div>
-        <label className="flex items-center gap-3 rounded-xl border p-3">
-          <input type="radio" name="ship" defaultChecked /> Giao tiêu chuẩn (2–4
-          ngày) – 30.000đ
-        </label>
-        <label className="flex items-center gap-3 rounded-xl border p-3">
-          <input type="radio" name="ship" /> Hoả tốc (24h) – 60.000đ
-        </label>
-      </div>
-      <div className="grid gap-2">
-        <div className="font-semibold">Thanh toán</div>
-        <label className="flex items-center gap-3 rounded-xl border p-3">
-          <input type="radio" name="pay" defaultChecked /> COD (thanh toán khi
-          nhận)
-        </label>
-        <label className="flex items-center gap-3 rounded-xl border p-3">
-          <input type="radio" name="pay" /> Chuyển khoản/Ví điện tử
-        </label>
-      </div>
-    </form>
+    <Navigate to={`/?category=${encodeURIComponent(category.name)}`} replace />
   );
 }
 
-function CheckoutFooter({ total, shippingFee, onOrderPlaced }) {
-  const [coupon, setCoupon] = useState("");
-  const discount =
-    coupon.trim().toUpperCase() === "VIETKY10" ? Math.round(total * 0.1) : 0;
-  const grand = Math.max(0, total + shippingFee - discount);
+function NotFound() {
+  const { t } = useI18n();
   return (
-    <div className="grid gap-3">
-      <div className="flex items-center gap-2">
-        <Input
-          placeholder="Mã giảm giá"
-          value={coupon}
-          onChange={(e) => setCoupon(e.target.value)}
-        />
-        <Badge>DEMO: VIETKY10</Badge>
-      </div>
-      <div className="grid gap-1 text-sm">
-        <div className="flex justify-between">
-          <span>Tạm tính</span>
-          <span>{currency(total)}</span>
-        </div>
-        <div className="flex justify-between">
-          <span>Vận chuyển</span>
-          <span>{shippingFee === 0 ? "Miễn phí" : currency(shippingFee)}</span>
-        </div>
-        <div className="flex justify-between">
-          <span>Giảm giá</span>
-          <span>-{currency(discount)}</span>
-        </div>
-        <div className="mt-1 flex justify-between text-base font-semibold">
-          <span>Tổng thanh toán</span>
-          <span>{currency(grand)}</span>
-        </div>
-      </div>
-      <Button className="bg-black text-white w-full" onClick={onOrderPlaced}>
-        Đặt hàng
-      </Button>
+    <div className="rounded-3xl border bg-white p-6 text-center">
+      <div className="text-lg font-semibold">{t("notFound.title")}</div>
+      <NavLink to="/" className="mt-2 inline-block underline text-neutral-600">
+        {t("notFound.home")}
+      </NavLink>
     </div>
   );
 }
 
-// ----------------------- Admin -----------------------
-function AdminPanel({ products, onSave, onDelete, onLogo }) {
-  const empty = {
-    id: uid(),
-    name: "",
-    price: 0,
-    category: "Áo thun",
-    stock: 0,
-    rating: 4.8,
-    description: "",
-    images: [null],
-  };
-  const [draft, setDraft] = useState(empty);
-  const fileRef = useRef(null);
-
-  const pickImage = () => fileRef.current?.click();
-  const onFile = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => setDraft((d) => ({ ...d, images: [reader.result] }));
-    reader.readAsDataURL(file);
-  };
-
+// Shown while the shop data comes from the server.
+function LoadingScreen({ name, error, onRetry }) {
+  const { t } = useI18n();
   return (
-    <div className="grid gap-6">
-      <div className="rounded-2xl border p-4 bg-white">
-        <div className="mb-2 font-semibold">Logo</div>
-        <div className="flex items-center gap-3">
-          {onLogo && (
-            <>
-              <label className="cursor-pointer">
-                <input
-                  type="file"
-                  accept="image/*"
-                  className="hidden"
-                  onChange={() =>
-                    alert(
-                      "Logo mặc định đã được cố định là img-7.jpg. Để thay đổi, vui lòng chỉnh sửa mã nguồn."
-                    )
-                  }
-                />
-                <span className="rounded-xl border px-3 py-2">Tải logo</span>
-              </label>
-            </>
-          )}
-        </div>
-      </div>
-
-      <div className="rounded-2xl border p-4 bg-white">
-        <div className="mb-2 font-semibold">Thêm / sửa sản phẩm</div>
-        <div className="grid gap-3 md:grid-cols-2">
-          <Input
-            placeholder="Tên sản phẩm"
-            value={draft.name}
-            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
-          />
-          <Input
-            placeholder="Giá (VND)"
-            type="number"
-            value={draft.price}
-            onChange={(e) =>
-              setDraft({ ...draft, price: Number(e.target.value) })
-            }
-          />
-          <Select
-            value={draft.category}
-            onChange={(e) => setDraft({ ...draft, category: e.target.value })}
-            options={[
-              { label: "Áo thun", value: "Áo thun" },
-              { label: "Phụ kiện", value: "Phụ kiện" },
-            ]}
-          />
-          <Input
-            placeholder="Tồn kho"
-            type="number"
-            value={draft.stock}
-            onChange={(e) =>
-              setDraft({ ...draft, stock: Number(e.target.value) })
-            }
-          />
-          <textarea
-            className="md:col-span-2 min-h-[90px] rounded-xl border p-3"
-            placeholder="Mô tả"
-            value={draft.description}
-            onChange={(e) =>
-              setDraft({ ...draft, description: e.target.value })
-            }
-          />
-          <div className="md:col-span-2 flex items-center gap-3">
-            <input
-              ref={fileRef}
-              type="file"
-              accept="image/*"
-              className="hidden"
-              onChange={onFile}
-            />
-            <Button onClick={pickImage}>Tải ảnh</Button>
-            {draft.images?.[0] ? (
-              <img
-                src={draft.images[0]}
-                alt="prev"
-                className="h-14 w-14 rounded-lg object-cover border"
-              />
-            ) : (
-              <Badge>Chưa có ảnh</Badge>
-            )}
-          </div>
-        </div>
-        <div className="mt-3 flex gap-2">
-          <Button
-            className="bg-black text-white"
-            onClick={() => {
-              onSave(draft);
-              setDraft({ ...empty, id: uid() });
-            }}
-          >
-            Lưu sản phẩm
-          </Button>
-          <Button onClick={() => setDraft({ ...empty, id: uid() })}>
-            Làm mới
-          </Button>
-        </div>
-      </div>
-
-      <div className="rounded-2xl border p-4 bg-white">
-        <div className="mb-2 font-semibold">
-          Danh sách sản phẩm ({products.length})
-        </div>
-        <div className="grid gap-3">
-          {products.map((p) => (
-            <div
-              key={p.id}
-              className="flex items-center gap-3 rounded-xl border p-3"
-            >
-              <div className="h-14 w-14 overflow-hidden rounded-lg bg-gray-100">
-                {p.images?.[0] ? (
-                  <img
-                    src={p.images[0]}
-                    alt=""
-                    className="h-full w-full object-cover"
-                  />
-                ) : (
-                  <div className="grid h-full w-full place-items-center">
-                    🛍️
-                  </div>
-                )}
-              </div>
-              <div className="flex-1">
-                <div className="font-medium">{p.name}</div>
-                <div className="text-sm text-neutral-500">
-                  {p.category} • {currency(p.price)}
-                </div>
-              </div>
-              <Button onClick={() => setDraft(p)}>Sửa</Button>
-              <Button className="text-red-600" onClick={() => onDelete(p.id)}>
-                Xoá
-              </Button>
+    <div className="min-h-screen grid place-items-center bg-neutral-50 p-4">
+      <div className="rounded-3xl border bg-white p-6 text-center">
+        <div className="font-serif text-xl uppercase">{name}</div>
+        {error ? (
+          <>
+            <div className="mt-2 text-red-600">
+              {t("loading.error", { error })}
             </div>
-          ))}
-        </div>
+            <Button className="mt-4" onClick={onRetry}>
+              {t("loading.retry")}
+            </Button>
+          </>
+        ) : (
+          <div className="mt-2 text-neutral-500">{t("loading.text")}</div>
+        )}
       </div>
     </div>
   );
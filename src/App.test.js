@@ -1,8 +1,62 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { webcrypto } from "crypto";
+import { TextEncoder } from "util";
+import { act, render, screen } from "@testing-library/react";
+import { MemoryRouter, useLocation } from "react-router-dom";
+import App from "./App";
+import { store } from "./lib/api";
+import { DEFAULT_PRODUCTS } from "./lib/data";
+import { productSlug } from "./lib/utils";
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Admin passwords are hashed with WebCrypto, which jsdom leaves out.
+global.crypto = webcrypto;
+global.TextEncoder = TextEncoder;
+
+const Path = () => <output data-testid="path">{useLocation().pathname}</output>;
+
+const visit = (path) =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <App />
+      <Path />
+    </MemoryRouter>
+  );
+
+const [shirt] = DEFAULT_PRODUCTS;
+
+test("lists the products in the shop", () => {
+  visit("/");
+  expect(screen.getAllByText(shirt.name).length).toBeGreaterThan(0);
+});
+
+test("opens a product by its slug", () => {
+  visit(`/san-pham/${productSlug(shirt)}`);
+  expect(
+    screen.getByRole("heading", { level: 3, name: shirt.name })
+  ).toBeInTheDocument();
+});
+
+test("shows the empty cart", () => {
+  visit("/gio-hang");
+  expect(
+    screen.getByRole("heading", { level: 2, name: "Giỏ hàng" })
+  ).toBeInTheDocument();
+  expect(screen.getAllByText("Chưa có sản phẩm.").length).toBeGreaterThan(0);
+});
+
+test("asks for a sign-in, then sends /admin to its first section", async () => {
+  const { unmount } = visit("/admin");
+  expect(
+    await screen.findByText("Tạo tài khoản chủ cửa hàng")
+  ).toBeInTheDocument();
+  unmount();
+
+  await act(() =>
+    store.setupOwner({
+      username: "chu",
+      name: "Chủ cửa hàng",
+      password: "mat-khau-dai",
+    })
+  );
+  visit("/admin");
+  expect(screen.getByTestId("path")).toHaveTextContent("/admin/san-pham");
 });
@@ -0,0 +1,270 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Badge, Button, Input } from "../components/ui";
+import { store } from "../lib/api";
+import { currency } from "../lib/utils";
+import {
+  categorySales,
+  dailySales,
+  funnel,
+  lastDays,
+  lowPerformers,
+  productSales,
+  salesSummary,
+  vitalsSummary,
+} from "../lib/analytics";
+
+const PRESETS = [7, 30, 90];
+
+const RATINGS = {
+  good: {
+    label: "Tốt",
+    className: "border-green-200 bg-green-50 text-green-700",
+  },
+  "needs-improvement": {
+    label: "Cần cải thiện",
+    className: "border-amber-200 bg-amber-50 text-amber-700",
+  },
+  poor: { label: "Kém", className: "border-red-200 bg-red-50 text-red-700" },
+};
+
+const percent = (rate) =>
+  rate === null ? "—" : `${Math.round(rate * 1000) / 10}%`;
+const vitalValue = ({ name, value }) =>
+  name === "CLS" ? value.toFixed(2) : `${Math.round(value)} ms`;
+
+const Card = ({ title, children }) => (
+  <div className="rounded-2xl border p-4 bg-white">
+    <div className="mb-3 font-semibold">{title}</div>
+    {children}
+  </div>
+);
+
+const Stat = ({ label, value }) => (
+  <div className="rounded-2xl border p-4 bg-white">
+    <div className="text-sm text-neutral-500">{label}</div>
+    <div className="mt-1 text-2xl font-semibold">{value}</div>
+  </div>
+);
+
+// Product or category rows: name, units, revenue (and views when given).
+const SalesTable = ({ rows, views = false, empty }) =>
+  rows.length === 0 ? (
+    <div className="text-sm text-neutral-500">{empty}</div>
+  ) : (
+    <table className="w-full text-sm">
+      <thead className="text-left text-neutral-500">
+        <tr>
+          <th className="py-1 font-normal">Tên</th>
+          <th className="py-1 text-right font-normal">SL</th>
+          {views && <th className="py-1 text-right font-normal">Lượt xem</th>}
+          <th className="py-1 text-right font-normal">Doanh thu</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.productId || r.name} className="border-t">
+            <td className="py-1.5">{r.name}</td>
+            <td className="py-1.5 text-right">{r.qty}</td>
+            {views && <td className="py-1.5 text-right">{r.views}</td>}
+            <td className="py-1.5 text-right">{currency(r.revenue)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+// ----------------------- Admin: sales and funnel analytics -----------------------
+// Sales come from the orders; the funnel and page speed from the events the
+// storefront records (see lib/tracker.js), fetched for the chosen range.
+export default function AdminAnalytics({ orders, products }) {
+  const [range, setRange] = useState(() => lastDays(30));
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    let current = true;
+    store
+      .fetchEvents(range)
+      .then((list) => current && setEvents(list))
+      .catch((err) => alert(`Không tải được số liệu truy cập: ${err.message}`));
+    return () => {
+      current = false;
+    };
+  }, [range]);
+
+  const summary = useMemo(() => salesSummary(orders, range), [orders, range]);
+  const days = useMemo(() => dailySales(orders, range), [orders, range]);
+  const rows = useMemo(
+    () => productSales(orders, products, events, range),
+    [orders, products, events, range]
+  );
+  const steps = useMemo(() => funnel(events, range), [events, range]);
+  const vitals = useMemo(() => vitalsSummary(events, range), [events, range]);
+  const peak = Math.max(...days.map((d) => d.revenue), 1);
+  const sold = rows.filter((r) => r.qty > 0);
+
+  // Both ends stay valid: a start after the end moves the end along.
+  const setDay = (key, value) =>
+    value &&
+    setRange((r) => {
+      const next = { ...r, [key]: value };
+      return next.from <= next.to ? next : { from: value, to: value };
+    });
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="flex flex-wrap items-center gap-2">
+          {PRESETS.map((n) => {
+            const preset = lastDays(n);
+            const active = preset.from === range.from && preset.to === range.to;
+            return (
+              <Button
+                key={n}
+                className={active ? "bg-black text-white" : ""}
+                onClick={() => setRange(preset)}
+              >
+                {n} ngày
+              </Button>
+            );
+          })}
+          <label className="ml-auto flex items-center gap-2 text-sm">
+            Từ
+            <Input
+              type="date"
+              value={range.from}
+              onChange={(e) => setDay("from", e.target.value)}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            đến
+            <Input
+              type="date"
+              value={range.to}
+              onChange={(e) => setDay("to", e.target.value)}
+            />
+          </label>
+        </div>
+        <div className="mt-2 text-sm text-neutral-500">
+          Không tính đơn đã huỷ hoặc hoàn trả. Doanh thu theo sản phẩm chưa gồm
+          phí giao hàng và giảm giá.
+        </div>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-3">
+        <Stat label="Doanh thu" value={currency(summary.revenue)} />
+        <Stat label="Số đơn" value={summary.count} />
+        <Stat
+          label="Giá trị trung bình/đơn"
+          value={currency(summary.average)}
+        />
+      </div>
+
+      <Card title="Doanh thu theo ngày">
+        <div className="flex h-32 items-end gap-px">
+          {days.map((d) => (
+            <div
+              key={d.day}
+              className="flex-1 rounded-t bg-black/80"
+              style={{ height: `${(d.revenue / peak) * 100}%` }}
+              title={`${d.day}: ${currency(d.revenue)} (${d.count} đơn)`}
+            />
+          ))}
+        </div>
+        <div className="mt-1 flex justify-between text-xs text-neutral-500">
+          <span>{range.from}</span>
+          <span>{range.to}</span>
+        </div>
+      </Card>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <Card title="Sản phẩm bán chạy">
+          <SalesTable
+            rows={sold.slice(0, 5)}
+            empty="Chưa bán được sản phẩm nào trong khoảng này."
+          />
+        </Card>
+        <Card title="Danh mục">
+          <SalesTable
+            rows={categorySales(rows).filter((c) => c.qty > 0)}
+            empty="Chưa có doanh thu trong khoảng này."
+          />
+        </Card>
+      </div>
+
+      <Card title="Bán chậm">
+        <div className="mb-2 text-sm text-neutral-500">
+          Bán ít nhất trong khoảng này; nhiều lượt xem mà ít người mua thường là
+          do giá, ảnh hoặc mô tả.
+        </div>
+        <SalesTable
+          rows={lowPerformers(rows, products)}
+          views
+          empty="Chưa có sản phẩm."
+        />
+      </Card>
+
+      <Card title="Phễu mua hàng">
+        <div className="mb-3 text-sm text-neutral-500">
+          Số lượt truy cập đi tới từng bước. Khách có thể thêm vào giỏ ngay từ
+          danh sách, nên các bước không nhất thiết nối tiếp nhau.
+        </div>
+        <div className="grid gap-2">
+          {steps.map((s, i) => (
+            <div key={s.type} className="grid gap-1">
+              <div className="flex justify-between text-sm">
+                <span>{s.label}</span>
+                <span>
+                  {s.visits}
+                  {i > 0 && (
+                    <span className="text-neutral-500">
+                      {" "}
+                      · {percent(s.ofPrevious)} so với bước trước
+                    </span>
+                  )}
+                </span>
+              </div>
+              <div className="h-3 rounded-full bg-neutral-100">
+                <div
+                  className="h-3 rounded-full bg-black/80"
+                  style={{ width: `${(s.ofFirst ?? 0) * 100}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      </Card>
+
+      <Card title="Tốc độ trang">
+        {vitals.length === 0 ? (
+          <div className="text-sm text-neutral-500">
+            Chưa có số đo nào trong khoảng này.
+          </div>
+        ) : (
+          <div className="grid gap-2 md:grid-cols-2">
+            {vitals.map((v) => (
+              <div
+                key={v.name}
+                className="flex items-center justify-between rounded-xl border p-3"
+              >
+                <div>
+                  <div className="font-medium">
+                    {v.name}: {vitalValue(v)}
+                  </div>
+                  <div className="text-sm text-neutral-500">
+                    {v.label} · {v.count} lượt đo
+                  </div>
+                </div>
+                <Badge className={RATINGS[v.rating].className}>
+                  {RATINGS[v.rating].label}
+                </Badge>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="mt-2 text-xs text-neutral-500">
+          Mức của 75% lượt truy cập, đo trên trình duyệt của khách.
+        </div>
+      </Card>
+    </div>
+  );
+}
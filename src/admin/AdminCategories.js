@@ -0,0 +1,181 @@
+import React, { useState } from "react";
+import { Button, Input, Select } from "../components/ui";
+import {
+  categorySlug,
+  categoryTree,
+  deleteCategory,
+  descendantIds,
+  emptyCategory,
+  moveCategory,
+  saveCategory,
+  validateCategory,
+} from "../lib/categories";
+import {
+  removeCollectionCategory,
+  renameCollectionCategory,
+} from "../lib/collections";
+import { ImageField } from "./fields";
+
+// ----------------------- Admin: categories -----------------------
+// onChange({ categories, products, collections, coupons }): a rename reaches
+// the products, collection rules and coupons that name the category; after
+// a delete its children take its place in rules and coupons.
+export default function AdminCategories({
+  categories,
+  products,
+  collections,
+  coupons,
+  onChange,
+}) {
+  const [draft, setDraft] = useState(emptyCategory);
+  const set = (changes) => setDraft((d) => ({ ...d, ...changes }));
+  const tree = categoryTree(categories);
+  const editing = categories.some((c) => c.id === draft.id);
+
+  const save = () => {
+    const error = validateCategory(draft, categories);
+    if (error) {
+      alert(error);
+      return;
+    }
+    const before = categories.find((c) => c.id === draft.id);
+    const name = draft.name.trim();
+    onChange({
+      ...saveCategory(categories, products, draft, coupons),
+      collections:
+        before && before.name !== name
+          ? renameCollectionCategory(collections, before.name, name)
+          : collections,
+    });
+    setDraft(emptyCategory());
+  };
+
+  const remove = (category) => {
+    if (!window.confirm(`Xoá danh mục ${category.name}?`)) return;
+    try {
+      onChange({
+        ...deleteCategory(categories, products, category.id, coupons),
+        collections: removeCollectionCategory(
+          collections,
+          category.name,
+          categories
+            .filter((c) => c.parentId === category.id)
+            .map((c) => c.name)
+        ),
+      });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // A category cannot move inside itself.
+  const blocked = new Set([draft.id, ...descendantIds(categories, draft.id)]);
+  const parents = tree.filter(({ category }) => !blocked.has(category.id));
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">
+          {editing ? `Sửa danh mục ${draft.name}` : "Thêm danh mục"}
+        </div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <label className="grid gap-1 text-sm">
+            Tên danh mục
+            <Input
+              value={draft.name}
+              onChange={(e) => set({ name: e.target.value })}
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            Đường dẫn
+            <Input
+              placeholder={categorySlug({ name: draft.name }) || "tu-dong"}
+              value={draft.slug}
+              onChange={(e) => set({ slug: e.target.value.toLowerCase() })}
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            Nằm trong
+            <Select
+              value={draft.parentId || ""}
+              onChange={(e) => set({ parentId: e.target.value || null })}
+              options={[
+                { label: "— Danh mục gốc —", value: "" },
+                ...parents.map(({ category, depth }) => ({
+                  label: `${"— ".repeat(depth)}${category.name}`,
+                  value: category.id,
+                })),
+              ]}
+            />
+          </label>
+          <div className="grid gap-1 text-sm">
+            Ảnh bìa
+            <ImageField
+              label="Tải ảnh bìa"
+              value={draft.banner}
+              onChange={(banner) => set({ banner })}
+            />
+          </div>
+          <textarea
+            className="md:col-span-2 min-h-[90px] rounded-xl border p-3"
+            placeholder="Mô tả (hiện trên đầu trang danh mục)"
+            value={draft.description || ""}
+            onChange={(e) => set({ description: e.target.value })}
+          />
+        </div>
+        <div className="mt-3 flex gap-2">
+          <Button className="bg-black text-white" onClick={save}>
+            Lưu danh mục
+          </Button>
+          <Button onClick={() => setDraft(emptyCategory())}>Làm mới</Button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">
+          Danh sách danh mục ({categories.length})
+        </div>
+        <div className="grid gap-2">
+          {tree.map(({ category: c, depth }) => (
+            <div
+              key={c.id}
+              className="flex flex-wrap items-center gap-2 rounded-xl border p-3"
+              style={{ marginLeft: depth * 24 }}
+            >
+              <div className="flex-1">
+                <div className="font-medium">{c.name}</div>
+                <div className="text-sm text-neutral-500">
+                  /danh-muc/{categorySlug(c)} •{" "}
+                  {products.filter((p) => p.category === c.name).length} sản
+                  phẩm
+                </div>
+              </div>
+              <Button
+                aria-label={`Đưa ${c.name} lên`}
+                onClick={() =>
+                  onChange({ categories: moveCategory(categories, c.id, -1) })
+                }
+              >
+                ↑
+              </Button>
+              <Button
+                aria-label={`Đưa ${c.name} xuống`}
+                onClick={() =>
+                  onChange({ categories: moveCategory(categories, c.id, 1) })
+                }
+              >
+                ↓
+              </Button>
+              <Button onClick={() => setDraft({ ...emptyCategory(), ...c })}>
+                Sửa
+              </Button>
+              <Button className="text-red-600" onClick={() => remove(c)}>
+                Xoá
+              </Button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+import React, { useState } from "react";
+import { Badge, Button, Input, Select } from "../components/ui";
+import { currency } from "../lib/utils";
+import { categoryNames } from "../lib/filters";
+import {
+  collectionProducts,
+  collectionSlug,
+  emptyCollection,
+  saveCollection,
+  validateCollection,
+} from "../lib/collections";
+import { CheckList, ImageField } from "./fields";
+
+const MODES = [
+  { label: "Tự chọn sản phẩm", value: "manual" },
+  { label: "Theo điều kiện", value: "rules" },
+];
+
+const describe = (c) => {
+  if (c.mode === "manual") return `${c.productIds.length} sản phẩm tự chọn`;
+  const r = c.rules;
+  return [
+    r.categories.length && r.categories.join(", "),
+    r.tags.length && `từ khoá: ${r.tags.join(", ")}`,
+    r.maxPrice != null && `đến ${currency(r.maxPrice)}`,
+    r.sale && "đang giảm giá",
+    r.newArrival && "hàng mới về",
+  ]
+    .filter(Boolean)
+    .join(" • ");
+};
+
+// ----------------------- Admin: collections -----------------------
+export default function AdminCollections({
+  collections,
+  products,
+  categories,
+  onSave,
+}) {
+  const [draft, setDraft] = useState(emptyCollection);
+  const set = (changes) => setDraft((d) => ({ ...d, ...changes }));
+  const setRules = (changes) =>
+    setDraft((d) => ({ ...d, rules: { ...d.rules, ...changes } }));
+  const matched = collectionProducts(draft, products, categories);
+
+  const save = () => {
+    const tags = draft.rules.tags.map((t) => t.trim()).filter(Boolean);
+    const collection = { ...draft, rules: { ...draft.rules, tags } };
+    const error = validateCollection(collection, collections);
+    if (error) {
+      alert(error);
+      return;
+    }
+    onSave(saveCollection(collections, collection));
+    setDraft(emptyCollection());
+  };
+
+  const remove = (collection) => {
+    if (!window.confirm(`Xoá bộ sưu tập ${collection.name}?`)) return;
+    onSave(collections.filter((c) => c.id !== collection.id));
+  };
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Thêm / sửa bộ sưu tập</div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <label className="grid gap-1 text-sm">
+            Tên bộ sưu tập
+            <Input
+              value={draft.name}
+              onChange={(e) => set({ name: e.target.value })}
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            Đường dẫn
+            <Input
+              placeholder={collectionSlug({ name: draft.name }) || "tu-dong"}
+              value={draft.slug}
+              onChange={(e) => set({ slug: e.target.value.toLowerCase() })}
+            />
+          </label>
+          <textarea
+            className="md:col-span-2 min-h-[70px] rounded-xl border p-3"
+            placeholder="Mô tả"
+            value={draft.description}
+            onChange={(e) => set({ description: e.target.value })}
+          />
+          <div className="grid gap-1 text-sm">
+            Ảnh bìa
+            <ImageField
+              label="Tải ảnh bìa"
+              value={draft.banner}
+              onChange={(banner) => set({ banner })}
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={draft.featured}
+              onChange={(e) => set({ featured: e.target.checked })}
+            />
+            Nổi bật trên trang chủ (thay bộ sưu tập nổi bật hiện tại)
+          </label>
+          <label className="grid gap-1 text-sm">
+            Cách chọn sản phẩm
+            <Select
+              value={draft.mode}
+              onChange={(e) => set({ mode: e.target.value })}
+              options={MODES}
+            />
+          </label>
+          <div />
+          {draft.mode === "manual" ? (
+            <div className="md:col-span-2">
+              <CheckList
+                label="sản phẩm"
+                values={products.map((p) => ({ label: p.name, value: p.id }))}
+                selected={draft.productIds}
+                onChange={(list) => set({ productIds: list })}
+              />
+            </div>
+          ) : (
+            <>
+              <div className="md:col-span-2 grid gap-1 text-sm">
+                Danh mục (gồm cả danh mục con)
+                <CheckList
+                  label="danh mục"
+                  values={categoryNames(categories, products).map((name) => ({
+                    label: name,
+                    value: name,
+                  }))}
+                  selected={draft.rules.categories}
+                  onChange={(list) => setRules({ categories: list })}
+                />
+              </div>
+              <label className="grid gap-1 text-sm">
+                Từ khoá sản phẩm, cách nhau bằng dấu phẩy
+                <Input
+                  // Kept as typed until saved, like product tags.
+                  value={draft.rules.tags.join(",")}
+                  onChange={(e) =>
+                    setRules({ tags: e.target.value.split(",") })
+                  }
+                />
+              </label>
+              <label className="grid gap-1 text-sm">
+                Giá tối đa (VND)
+                <Input
+                  type="number"
+                  min={0}
+                  placeholder="Không giới hạn"
+                  value={draft.rules.maxPrice ?? ""}
+                  onChange={(e) =>
+                    setRules({
+                      maxPrice:
+                        e.target.value === "" ? null : Number(e.target.value),
+                    })
+                  }
+                />
+              </label>
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={draft.rules.sale}
+                  onChange={(e) => setRules({ sale: e.target.checked })}
+                />
+                Chỉ hàng đang giảm giá
+              </label>
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={draft.rules.newArrival}
+                  onChange={(e) => setRules({ newArrival: e.target.checked })}
+                />
+                Chỉ hàng mới về
+              </label>
+            </>
+          )}
+        </div>
+        <div className="mt-3 text-sm text-neutral-500">
+          {matched.length} sản phẩm
+          {matched.length > 0 && `: ${matched.map((p) => p.name).join(", ")}`}
+        </div>
+        <div className="mt-3 flex gap-2">
+          <Button className="bg-black text-white" onClick={save}>
+            Lưu bộ sưu tập
+          </Button>
+          <Button onClick={() => setDraft(emptyCollection())}>Làm mới</Button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">
+          Danh sách bộ sưu tập ({collections.length})
+        </div>
+        <div className="grid gap-3">
+          {collections.map((c) => (
+            <div
+              key={c.id}
+              className="flex flex-wrap items-center gap-3 rounded-xl border p-3"
+            >
+              <div className="flex-1">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{c.name}</span>
+                  {c.featured && <Badge>Nổi bật</Badge>}
+                </div>
+                <div className="text-sm text-neutral-500">
+                  /bo-suu-tap/{collectionSlug(c)} • {describe(c)}
+                </div>
+              </div>
+              <div className="text-sm text-neutral-500">
+                {collectionProducts(c, products, categories).length} sản phẩm
+              </div>
+              <Button onClick={() => setDraft(c)}>Sửa</Button>
+              <Button className="text-red-600" onClick={() => remove(c)}>
+                Xoá
+              </Button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
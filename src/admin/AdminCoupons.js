@@ -0,0 +1,253 @@
+import React, { useState } from "react";
+import { Badge, Button, Input, Select } from "../components/ui";
+import { currency } from "../lib/utils";
+import {
+  COUPON_SCOPES,
+  COUPON_TYPES,
+  couponUsage,
+  emptyCoupon,
+  normalizeCode,
+  validateCoupon,
+} from "../lib/coupons";
+import { CheckList } from "./fields";
+
+// Number inputs where an empty box means "no limit".
+const optionalNumber = (value) => (value === "" ? null : Number(value));
+
+const describe = (c) => {
+  const amount =
+    c.type === "percent"
+      ? `-${c.value}%${
+          c.maxDiscount != null ? ` (tối đa ${currency(c.maxDiscount)})` : ""
+        }`
+      : c.type === "fixed"
+      ? `-${currency(c.value)}`
+      : "Miễn phí vận chuyển";
+  const rules = [
+    c.minOrder > 0 && `đơn từ ${currency(c.minOrder)}`,
+    c.scope === "category" && c.categories.join(", "),
+    c.scope === "product" && `${c.productIds.length} sản phẩm`,
+    c.endsAt && `đến ${c.endsAt.split("-").reverse().join("/")}`,
+    c.stackable && "dùng chung được",
+  ].filter(Boolean);
+  return [amount, ...rules].join(" • ");
+};
+
+// ----------------------- Admin: coupons -----------------------
+export default function AdminCoupons({ coupons, products, orders, onSave }) {
+  const [draft, setDraft] = useState(emptyCoupon);
+  const set = (changes) => setDraft((d) => ({ ...d, ...changes }));
+  const categories = [...new Set(products.map((p) => p.category))];
+
+  const save = () => {
+    const error = validateCoupon(draft, coupons);
+    if (error) {
+      alert(error);
+      return;
+    }
+    const coupon = { ...draft, code: normalizeCode(draft.code) };
+    onSave(
+      coupons.some((c) => c.id === coupon.id)
+        ? coupons.map((c) => (c.id === coupon.id ? coupon : c))
+        : [coupon, ...coupons]
+    );
+    setDraft(emptyCoupon());
+  };
+
+  const remove = (coupon) => {
+    if (!window.confirm(`Xoá mã ${coupon.code}?`)) return;
+    onSave(coupons.filter((c) => c.id !== coupon.id));
+  };
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Thêm / sửa mã giảm giá</div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <Input
+            placeholder="Mã (VD: VIETKY10)"
+            value={draft.code}
+            onChange={(e) => set({ code: e.target.value.toUpperCase() })}
+          />
+          <Input
+            placeholder="Mô tả (chỉ hiện trong admin)"
+            value={draft.description}
+            onChange={(e) => set({ description: e.target.value })}
+          />
+          <Select
+            value={draft.type}
+            onChange={(e) => set({ type: e.target.value })}
+            options={Object.entries(COUPON_TYPES).map(([value, label]) => ({
+              label,
+              value,
+            }))}
+          />
+          {draft.type === "freeship" ? (
+            <div />
+          ) : (
+            <div className="flex gap-2">
+              <Input
+                type="number"
+                min={0}
+                placeholder={draft.type === "percent" ? "%" : "Số tiền (VND)"}
+                value={draft.value}
+                onChange={(e) => set({ value: Number(e.target.value) })}
+              />
+              {draft.type === "percent" && (
+                <Input
+                  type="number"
+                  min={0}
+                  placeholder="Giảm tối đa (VND)"
+                  value={draft.maxDiscount ?? ""}
+                  onChange={(e) =>
+                    set({ maxDiscount: optionalNumber(e.target.value) })
+                  }
+                />
+              )}
+            </div>
+          )}
+          <label className="grid gap-1 text-sm">
+            Đơn tối thiểu (VND)
+            <Input
+              type="number"
+              min={0}
+              value={draft.minOrder}
+              onChange={(e) => set({ minOrder: Number(e.target.value) })}
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            Áp dụng cho
+            <Select
+              value={draft.scope}
+              onChange={(e) => set({ scope: e.target.value })}
+              options={Object.entries(COUPON_SCOPES).map(([value, label]) => ({
+                label,
+                value,
+              }))}
+            />
+          </label>
+          {draft.scope === "category" && (
+            <div className="md:col-span-2">
+              <CheckList
+                label="danh mục"
+                values={categories.map((c) => ({ label: c, value: c }))}
+                selected={draft.categories}
+                onChange={(list) => set({ categories: list })}
+              />
+            </div>
+          )}
+          {draft.scope === "product" && (
+            <div className="md:col-span-2">
+              <CheckList
+                label="sản phẩm"
+                values={products.map((p) => ({ label: p.name, value: p.id }))}
+                selected={draft.productIds}
+                onChange={(list) => set({ productIds: list })}
+              />
+            </div>
+          )}
+          <label className="grid gap-1 text-sm">
+            Bắt đầu
+            <Input
+              type="date"
+              value={draft.startsAt}
+              onChange={(e) => set({ startsAt: e.target.value })}
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            Kết thúc
+            <Input
+              type="date"
+              value={draft.endsAt}
+              onChange={(e) => set({ endsAt: e.target.value })}
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            Tổng lượt dùng
+            <Input
+              type="number"
+              min={0}
+              placeholder="Không giới hạn"
+              value={draft.usageLimit ?? ""}
+              onChange={(e) =>
+                set({ usageLimit: optionalNumber(e.target.value) })
+              }
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            Lượt dùng mỗi khách (theo số điện thoại)
+            <Input
+              type="number"
+              min={0}
+              placeholder="Không giới hạn"
+              value={draft.perCustomerLimit ?? ""}
+              onChange={(e) =>
+                set({ perCustomerLimit: optionalNumber(e.target.value) })
+              }
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={draft.stackable}
+              onChange={(e) => set({ stackable: e.target.checked })}
+            />
+            Cho phép dùng chung với mã khác (cũng được đánh dấu dùng chung)
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={draft.active}
+              onChange={(e) => set({ active: e.target.checked })}
+            />
+            Đang hoạt động
+          </label>
+        </div>
+        <div className="mt-3 flex gap-2">
+          <Button className="bg-black text-white" onClick={save}>
+            Lưu mã
+          </Button>
+          <Button onClick={() => setDraft(emptyCoupon())}>Làm mới</Button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">
+          Danh sách mã ({coupons.length})
+        </div>
+        <div className="grid gap-3">
+          {coupons.map((c) => {
+            const used = couponUsage(orders, c.code);
+            return (
+              <div
+                key={c.id}
+                className="flex flex-wrap items-center gap-3 rounded-xl border p-3"
+              >
+                <div className="flex-1">
+                  <div className="flex items-center gap-2">
+                    <span className="font-mono font-medium">{c.code}</span>
+                    {!c.active && <Badge>Đã tắt</Badge>}
+                  </div>
+                  <div className="text-sm text-neutral-500">{describe(c)}</div>
+                  {c.description && (
+                    <div className="text-sm text-neutral-500">
+                      {c.description}
+                    </div>
+                  )}
+                </div>
+                <div className="text-sm text-neutral-500">
+                  Đã dùng {used}
+                  {c.usageLimit != null && `/${c.usageLimit}`}
+                </div>
+                <Button onClick={() => setDraft(c)}>Sửa</Button>
+                <Button className="text-red-600" onClick={() => remove(c)}>
+                  Xoá
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "../components/ui";
+import { API_URL, store } from "../lib/api";
+import { storage, storageEstimate } from "../lib/storage";
+
+const megabytes = (bytes) =>
+  `${(bytes / 1024 / 1024).toLocaleString("vi-VN", {
+    maximumFractionDigits: 1,
+  })} MB`;
+
+// ----------------------- Admin: data source -----------------------
+export default function AdminData({ onImport }) {
+  const [busy, setBusy] = useState(false);
+  const remote = store.mode === "remote";
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    if (!remote) storageEstimate().then(setUsage);
+  }, [remote]);
+
+  const importLocal = async () => {
+    if (
+      !window.confirm(
+        "Đưa sản phẩm, danh mục, đơn hàng, đánh giá, tin nhắn, người đăng ký bản tin và cài đặt đang lưu trong trình duyệt này lên máy chủ? Bản ghi trùng mã trên máy chủ sẽ bị ghi đè."
+      )
+    )
+      return;
+    setBusy(true);
+    try {
+      const counts = await onImport();
+      alert(
+        `Đã đưa lên ${counts.products} sản phẩm, ${counts.categories} danh mục, ${counts.orders} đơn hàng, ${counts.reviews} đánh giá, ${counts.messages} tin nhắn và ${counts.subscribers} người đăng ký bản tin.`
+      );
+    } catch (err) {
+      alert(`Không đưa được dữ liệu lên: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-1 font-semibold">Nguồn dữ liệu</div>
+        {remote ? (
+          <div className="text-sm text-neutral-600">
+            Sản phẩm, đơn hàng và cài đặt được lưu trên máy chủ{" "}
+            <code className="rounded bg-neutral-100 px-1">{API_URL}</code>; mọi
+            khách hàng đều thấy cùng một dữ liệu. Giỏ hàng vẫn lưu riêng trong
+            trình duyệt của từng khách.
+          </div>
+        ) : (
+          <div className="grid gap-2 text-sm text-neutral-600">
+            <div>
+              Chế độ demo: mọi dữ liệu chỉ nằm trong trình duyệt này (
+              {storage.kind()}), khách hàng khác không thấy thay đổi của bạn.
+              {usage && (
+                <>
+                  {" "}
+                  Đã dùng {megabytes(usage.usage)} trên {megabytes(usage.quota)}{" "}
+                  cho phép.
+                </>
+              )}
+            </div>
+            <div>
+              Để dùng máy chủ, chạy{" "}
+              <code className="rounded bg-neutral-100 px-1">
+                npm run server
+              </code>{" "}
+              rồi khởi động cửa hàng với{" "}
+              <code className="rounded bg-neutral-100 px-1">
+                REACT_APP_API_URL=http://localhost:4001
+              </code>
+              .
+            </div>
+          </div>
+        )}
+      </div>
+
+      {remote && (
+        <div className="rounded-2xl border p-4 bg-white">
+          <div className="mb-1 font-semibold">
+            Chuyển dữ liệu demo lên máy chủ
+          </div>
+          <div className="mb-3 text-sm text-neutral-500">
+            Sản phẩm đã thêm ở chế độ demo chỉ có trong trình duyệt đã thêm
+            chúng. Mở trang này trên trình duyệt đó để đưa chúng lên máy chủ;
+            trình duyệt chưa có dữ liệu sẽ gửi danh mục mẫu.
+          </div>
+          <Button
+            className="bg-black text-white disabled:opacity-40"
+            disabled={busy}
+            onClick={importLocal}
+          >
+            {busy ? "Đang gửi…" : "Đưa dữ liệu trình duyệt lên máy chủ"}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
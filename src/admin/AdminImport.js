@@ -0,0 +1,229 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Badge, Button, Select } from "../components/ui";
+import { currency } from "../lib/utils";
+import {
+  IMPORT_FIELDS,
+  checkImport,
+  csvEntries,
+  exportCsv,
+  exportJson,
+  guessMapping,
+  jsonEntries,
+  parseCsv,
+} from "../lib/catalog";
+import { download } from "./fields";
+
+const readText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Không đọc được tệp."));
+    reader.readAsText(file);
+  });
+
+const ACTIONS = {
+  create: { label: "Thêm mới", className: "bg-green-100 text-green-700" },
+  update: { label: "Cập nhật", className: "" },
+  error: { label: "Lỗi", className: "bg-red-100 text-red-700" },
+};
+
+// ----------------------- Admin: import / export -----------------------
+// Nothing changes until the preview has been checked and applied.
+export default function AdminImport({ products, categories, onImport }) {
+  const fileRef = useRef(null);
+  const [file, setFile] = useState(null); // { name, rows } or { name, entries }
+  const [mapping, setMapping] = useState({});
+
+  const report = useMemo(() => {
+    if (!file) return null;
+    const entries = file.rows ? csvEntries(file.rows, mapping) : file.entries;
+    return checkImport(entries, products, { categories });
+  }, [file, mapping, products, categories]);
+
+  const onFile = async (e) => {
+    const picked = e.target.files?.[0];
+    e.target.value = "";
+    if (!picked) return;
+    try {
+      const text = await readText(picked);
+      if (/\.json$/i.test(picked.name) || /^\s*[[{]/.test(text)) {
+        setFile({ name: picked.name, entries: jsonEntries(text) });
+        return;
+      }
+      const rows = parseCsv(text);
+      if (rows.length < 2)
+        throw new Error("Tệp CSV chưa có dòng sản phẩm nào.");
+      setMapping(guessMapping(rows[0]));
+      setFile({ name: picked.name, rows });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const apply = () => {
+    const { create, update, error } = report.counts;
+    if (
+      error &&
+      !window.confirm(`Bỏ qua ${error} dòng lỗi và nhập các dòng còn lại?`)
+    )
+      return;
+    onImport(report);
+    alert(`Đã thêm ${create} và cập nhật ${update} sản phẩm.`);
+    setFile(null);
+  };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const columns = file?.rows?.[0] || [];
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-1 font-semibold">Xuất danh mục sản phẩm</div>
+        <div className="mb-3 text-sm text-neutral-500">
+          {products.length} sản phẩm. CSV mở được bằng Excel hoặc Google Sheets
+          (ảnh tải lên từ máy không đi kèm, chỉ có link ảnh); JSON giữ đủ mọi
+          thông tin, kể cả biến thể.
+        </div>
+        <div className="flex gap-2">
+          <Button
+            onClick={() =>
+              download(
+                `viet-ky-san-pham-${today}.csv`,
+                "text/csv;charset=utf-8",
+                // The BOM tells Excel the file is UTF-8.
+                `\uFEFF${exportCsv(products)}`
+              )
+            }
+          >
+            Tải CSV
+          </Button>
+          <Button
+            onClick={() =>
+              download(
+                `viet-ky-san-pham-${today}.json`,
+                "application/json",
+                exportJson(products)
+              )
+            }
+          >
+            Tải JSON
+          </Button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-1 font-semibold">Nhập từ tệp CSV / JSON</div>
+        <div className="mb-3 text-sm text-neutral-500">
+          Dòng có SKU (hoặc mã nội bộ) trùng sản phẩm có sẵn sẽ cập nhật sản
+          phẩm đó, ô để trống giữ nguyên giá trị cũ; các dòng khác thêm sản phẩm
+          mới. Từ khoá và link ảnh cách nhau bằng dấu |.
+        </div>
+        <div className="flex items-center gap-3">
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            className="hidden"
+            aria-label="Tệp sản phẩm"
+            onChange={onFile}
+          />
+          <Button onClick={() => fileRef.current?.click()}>Chọn tệp</Button>
+          {file && <span className="text-sm">{file.name}</span>}
+        </div>
+
+        {file?.rows && (
+          <div className="mt-4 grid gap-2 md:grid-cols-2">
+            {IMPORT_FIELDS.map((f) => (
+              <label key={f.key} className="grid gap-1 text-sm">
+                {f.label}
+                <Select
+                  value={mapping[f.key] ?? -1}
+                  onChange={(e) =>
+                    setMapping({ ...mapping, [f.key]: Number(e.target.value) })
+                  }
+                  options={[
+                    { label: "— Không nhập —", value: -1 },
+                    ...columns.map((name, i) => ({
+                      label: name || `Cột ${i + 1}`,
+                      value: i,
+                    })),
+                  ]}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {report && (
+        <div className="rounded-2xl border p-4 bg-white">
+          <div className="mb-1 font-semibold">Xem trước</div>
+          <div className="mb-3 text-sm text-neutral-500">
+            {report.counts.create} sản phẩm mới • {report.counts.update} cập
+            nhật • {report.counts.error} dòng lỗi (sẽ bỏ qua)
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-neutral-500">
+                <tr>
+                  <th className="p-2">Dòng</th>
+                  <th className="p-2">Sản phẩm</th>
+                  <th className="p-2">Giá</th>
+                  <th className="p-2">Kết quả</th>
+                  <th className="p-2">Ghi chú</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map((r) => (
+                  <tr key={r.line} className="border-t align-top">
+                    <td className="p-2">{r.line}</td>
+                    <td className="p-2">
+                      {r.product.name || "—"}
+                      {r.product.sku && (
+                        <div className="text-xs text-neutral-500">
+                          {r.product.sku}
+                        </div>
+                      )}
+                    </td>
+                    <td className="p-2">
+                      {Number.isFinite(r.product.price)
+                        ? currency(r.product.price)
+                        : "—"}
+                    </td>
+                    <td className="p-2">
+                      <Badge className={ACTIONS[r.action].className}>
+                        {ACTIONS[r.action].label}
+                      </Badge>
+                    </td>
+                    <td className="p-2">
+                      {r.errors.map((m) => (
+                        <div key={m} className="text-red-600">
+                          {m}
+                        </div>
+                      ))}
+                      {r.warnings.map((m) => (
+                        <div key={m} className="text-amber-700">
+                          {m}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-3 flex gap-2">
+            <Button
+              className="bg-black text-white disabled:opacity-40"
+              disabled={!report.counts.create && !report.counts.update}
+              onClick={apply}
+            >
+              Áp dụng
+            </Button>
+            <Button onClick={() => setFile(null)}>Huỷ</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { Badge, Button } from "../components/ui";
+import { MESSAGE_STATUSES, replyLink, setMessageStatus } from "../lib/messages";
+
+const STATUS_STYLES = {
+  new: "border-amber-200 bg-amber-50 text-amber-700",
+  read: "border-neutral-300 bg-neutral-100 text-neutral-700",
+  replied: "border-green-200 bg-green-50 text-green-700",
+};
+
+// ----------------------- Admin: contact inbox -----------------------
+// What customers send from the "Liên hệ" page; new messages come first.
+export default function AdminInbox({ messages, shopName, onSave }) {
+  const [status, setStatus] = useState("new");
+  const [open, setOpen] = useState(null);
+  // The open message stays in the list after its status changes.
+  const shown = messages
+    .filter((m) => m.status === status || m.id === open)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const update = (next) =>
+    onSave(messages.map((m) => (m.id === next.id ? next : m)));
+
+  // Opening a new message marks it read.
+  const toggle = (m) => {
+    setOpen(open === m.id ? null : m.id);
+    if (m.status === "new") update(setMessageStatus(m, "read"));
+  };
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Hộp thư liên hệ</div>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(MESSAGE_STATUSES).map(([value, label]) => (
+            <Button
+              key={value}
+              className={status === value ? "bg-black text-white" : ""}
+              onClick={() => {
+                setStatus(value);
+                setOpen(null);
+              }}
+            >
+              {label} ({messages.filter((m) => m.status === value).length})
+            </Button>
+          ))}
+        </div>
+      </div>
+      {shown.map((m) => (
+        <div key={m.id} className="rounded-2xl border p-4 bg-white">
+          <button
+            className="flex w-full flex-wrap items-center gap-2 text-left"
+            onClick={() => toggle(m)}
+          >
+            <span className="font-medium">{m.name}</span>
+            <span className="text-sm text-neutral-500">{m.email}</span>
+            <Badge className={STATUS_STYLES[m.status]}>
+              {MESSAGE_STATUSES[m.status]}
+            </Badge>
+            <span className="ml-auto text-sm text-neutral-500">
+              {new Date(m.createdAt).toLocaleString("vi-VN")}
+            </span>
+          </button>
+          {open === m.id ? (
+            <>
+              <p className="mt-2 whitespace-pre-line">{m.text}</p>
+              {m.repliedAt && (
+                <div className="mt-1 text-sm text-neutral-500">
+                  Đã trả lời lúc {new Date(m.repliedAt).toLocaleString("vi-VN")}
+                </div>
+              )}
+              <div className="mt-3 flex flex-wrap gap-2">
+                <a
+                  href={replyLink(m, shopName)}
+                  className="rounded-2xl border px-4 py-2 font-medium"
+                >
+                  Trả lời qua email
+                </a>
+                {m.status !== "replied" && (
+                  <Button
+                    className="bg-black text-white"
+                    onClick={() => update(setMessageStatus(m, "replied"))}
+                  >
+                    Đánh dấu đã trả lời
+                  </Button>
+                )}
+                {m.status !== "new" && (
+                  <Button onClick={() => update(setMessageStatus(m, "new"))}>
+                    Đánh dấu chưa đọc
+                  </Button>
+                )}
+                <Button
+                  className="ml-auto text-red-600"
+                  onClick={() =>
+                    window.confirm(`Xoá tin nhắn của ${m.name}?`) &&
+                    onSave(messages.filter((x) => x.id !== m.id))
+                  }
+                >
+                  Xoá
+                </Button>
+              </div>
+            </>
+          ) : (
+            <p className="mt-1 truncate text-sm text-neutral-600">{m.text}</p>
+          )}
+        </div>
+      ))}
+      {shown.length === 0 && (
+        <div className="text-center text-neutral-500">
+          Không có tin nhắn nào {MESSAGE_STATUSES[status].toLowerCase()}.
+        </div>
+      )}
+    </div>
+  );
+}
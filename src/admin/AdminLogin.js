@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from "react";
+import { Button, Input } from "../components/ui";
+import { store } from "../lib/api";
+
+// ----------------------- Admin: sign in -----------------------
+// The very first visit creates the owner account instead.
+export default function AdminLogin() {
+  const [setup, setSetup] = useState(null);
+  const [draft, setDraft] = useState({ username: "", name: "", password: "" });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let live = true;
+    store
+      .authStatus()
+      .then((status) => live && setSetup(status.setup))
+      .catch((err) => live && setError(err.message));
+    return () => {
+      live = false;
+    };
+  }, []);
+
+  const change = (field) => (e) =>
+    setDraft((d) => ({ ...d, [field]: e.target.value }));
+
+  // A successful login updates the session, which replaces this page.
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      if (setup) await store.setupOwner(draft);
+      else await store.login(draft.username, draft.password);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  if (setup === null && !error)
+    return <div className="text-center text-neutral-500">Đang tải…</div>;
+
+  return (
+    <form
+      onSubmit={submit}
+      className="mx-auto grid w-full max-w-sm gap-3 rounded-2xl border bg-white p-6"
+    >
+      <div className="text-lg font-semibold">
+        {setup ? "Tạo tài khoản chủ cửa hàng" : "Đăng nhập quản trị"}
+      </div>
+      {setup && (
+        <div className="text-sm text-neutral-500">
+          Cửa hàng chưa có tài khoản quản trị. Tài khoản đầu tiên là chủ cửa
+          hàng và có thể thêm tài khoản nhân viên sau.
+        </div>
+      )}
+      <label className="grid gap-1 text-sm">
+        Tên đăng nhập
+        <Input
+          value={draft.username}
+          onChange={change("username")}
+          autoComplete="username"
+          autoCapitalize="none"
+        />
+      </label>
+      {setup && (
+        <label className="grid gap-1 text-sm">
+          Họ tên
+          <Input value={draft.name} onChange={change("name")} />
+        </label>
+      )}
+      <label className="grid gap-1 text-sm">
+        Mật khẩu
+        <Input
+          type="password"
+          value={draft.password}
+          onChange={change("password")}
+          autoComplete={setup ? "new-password" : "current-password"}
+        />
+      </label>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <Button
+        type="submit"
+        className="bg-black text-white disabled:opacity-40"
+        disabled={busy}
+      >
+        {busy ? "Đang xử lý…" : setup ? "Tạo tài khoản" : "Đăng nhập"}
+      </Button>
+    </form>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { Badge, Button } from "../components/ui";
+import {
+  SUBSCRIBER_STATUSES,
+  exportSubscribers,
+  unsubscribeSubscriber,
+} from "../lib/newsletter";
+import { download } from "./fields";
+
+const STATUS_STYLES = {
+  pending: "border-amber-200 bg-amber-50 text-amber-700",
+  confirmed: "border-green-200 bg-green-50 text-green-700",
+  unsubscribed: "border-neutral-300 bg-neutral-100 text-neutral-700",
+};
+
+const date = (iso) => (iso ? new Date(iso).toLocaleDateString("vi-VN") : "—");
+
+// ----------------------- Admin: newsletter subscribers -----------------------
+// Only confirmed addresses should get the newsletter; the CSV export follows
+// the current filter.
+export default function AdminNewsletter({ subscribers, onSave }) {
+  const [status, setStatus] = useState("confirmed");
+  const shown = subscribers
+    .filter((s) => !status || s.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const filters = [["", "Tất cả"], ...Object.entries(SUBSCRIBER_STATUSES)];
+
+  const exportCsv = () =>
+    download(
+      `ban-tin${status ? `-${status}` : ""}.csv`,
+      "text/csv;charset=utf-8",
+      // The BOM tells Excel the file is UTF-8.
+      `\uFEFF${exportSubscribers(shown)}`
+    );
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Người đăng ký bản tin</div>
+        <div className="flex flex-wrap gap-2">
+          {filters.map(([value, label]) => (
+            <Button
+              key={value}
+              className={status === value ? "bg-black text-white" : ""}
+              onClick={() => setStatus(value)}
+            >
+              {label} (
+              {value
+                ? subscribers.filter((s) => s.status === value).length
+                : subscribers.length}
+              )
+            </Button>
+          ))}
+          <Button
+            className="ml-auto"
+            disabled={shown.length === 0}
+            onClick={exportCsv}
+          >
+            Xuất CSV
+          </Button>
+        </div>
+      </div>
+      <div className="overflow-x-auto rounded-2xl border bg-white">
+        <table className="w-full text-sm">
+          <thead className="bg-neutral-50 text-left">
+            <tr>
+              <th className="p-3">Email</th>
+              <th className="p-3">Trạng thái</th>
+              <th className="p-3">Ngôn ngữ</th>
+              <th className="p-3">Đăng ký</th>
+              <th className="p-3">Xác nhận</th>
+              <th className="p-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((s) => (
+              <tr key={s.id} className="border-t">
+                <td className="p-3">{s.email}</td>
+                <td className="p-3">
+                  <Badge className={STATUS_STYLES[s.status]}>
+                    {SUBSCRIBER_STATUSES[s.status]}
+                  </Badge>
+                </td>
+                <td className="p-3">{s.locale.toUpperCase()}</td>
+                <td className="p-3">{date(s.createdAt)}</td>
+                <td className="p-3">{date(s.confirmedAt)}</td>
+                <td className="p-3 text-right whitespace-nowrap">
+                  {s.status !== "unsubscribed" && (
+                    <button
+                      className="mr-3 underline"
+                      onClick={() =>
+                        onSave(
+                          subscribers.map((x) =>
+                            x.id === s.id ? unsubscribeSubscriber(x) : x
+                          )
+                        )
+                      }
+                    >
+                      Huỷ đăng ký
+                    </button>
+                  )}
+                  <button
+                    className="text-red-600 underline"
+                    onClick={() =>
+                      window.confirm(`Xoá ${s.email} khỏi danh sách?`) &&
+                      onSave(subscribers.filter((x) => x.id !== s.id))
+                    }
+                  >
+                    Xoá
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {shown.length === 0 && (
+          <div className="p-4 text-center text-neutral-500">
+            Chưa có người đăng ký nào.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
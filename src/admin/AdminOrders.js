@@ -0,0 +1,327 @@
+import React, { useMemo, useState } from "react";
+import { Link, Route, Routes, useParams } from "react-router-dom";
+import { Badge, Button, Input, Select } from "../components/ui";
+import { currency } from "../lib/utils";
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  RESTOCK_STATUSES,
+  fullAddress,
+  orderCoupons,
+  orderStatus,
+  paymentStatus,
+  shippingMethodLabel,
+} from "../lib/orders";
+import { transferMemo } from "../lib/vietqr";
+import { SHIPPING_ZONES } from "../lib/shipping";
+
+const STATUS_STYLES = {
+  pending: "border-amber-200 bg-amber-50 text-amber-700",
+  confirmed: "border-blue-200 bg-blue-50 text-blue-700",
+  shipping: "border-indigo-200 bg-indigo-50 text-indigo-700",
+  delivered: "border-green-200 bg-green-50 text-green-700",
+  cancelled: "border-red-200 bg-red-50 text-red-700",
+  returned: "border-neutral-300 bg-neutral-100 text-neutral-700",
+};
+
+const StatusBadge = ({ status }) => (
+  <Badge className={STATUS_STYLES[status]}>{ORDER_STATUSES[status]}</Badge>
+);
+
+const formatTime = (iso) => new Date(iso).toLocaleString("vi-VN");
+
+// ----------------------- Admin: orders -----------------------
+export default function AdminOrders({ orders, onUpdateStatus, onMarkPaid }) {
+  return (
+    <Routes>
+      <Route index element={<OrderList orders={orders} />} />
+      <Route
+        path=":code"
+        element={
+          <OrderDetail
+            orders={orders}
+            onUpdateStatus={onUpdateStatus}
+            onMarkPaid={onMarkPaid}
+          />
+        }
+      />
+    </Routes>
+  );
+}
+
+function OrderList({ orders }) {
+  const [status, setStatus] = useState("all");
+  const [search, setSearch] = useState("");
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toUpperCase().replace(/\s+/g, "");
+    return orders.filter(
+      (o) =>
+        (status === "all" || orderStatus(o) === status) &&
+        (!q ||
+          o.code.includes(q) ||
+          // Transfer memos carry the code without dashes.
+          o.code.replace(/-/g, "").includes(q) ||
+          o.customer.phone.replace(/\s+/g, "").includes(q))
+    );
+  }, [orders, status, search]);
+
+  return (
+    <div className="rounded-2xl border p-4 bg-white">
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <div className="font-semibold mr-auto">
+          Đơn hàng ({filtered.length}/{orders.length})
+        </div>
+        <div className="w-full md:w-64">
+          <Input
+            placeholder="Mã đơn hoặc số điện thoại"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+        <div className="w-full md:w-48">
+          <Select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            options={[
+              { label: "Tất cả trạng thái", value: "all" },
+              ...Object.entries(ORDER_STATUSES).map(([value, label]) => ({
+                label,
+                value,
+              })),
+            ]}
+          />
+        </div>
+      </div>
+      {filtered.length === 0 ? (
+        <div className="py-6 text-center text-neutral-500">
+          Không có đơn hàng.
+        </div>
+      ) : (
+        <div className="grid gap-2">
+          {filtered.map((o) => (
+            <Link
+              key={o.code}
+              to={o.code}
+              className="flex flex-wrap items-center gap-3 rounded-xl border p-3 hover:bg-neutral-50"
+            >
+              <div className="font-mono font-medium">{o.code}</div>
+              <StatusBadge status={orderStatus(o)} />
+              {paymentStatus(o) === "paid" && (
+                <Badge className="border-green-200 bg-green-50 text-green-700">
+                  {PAYMENT_STATUSES.paid}
+                </Badge>
+              )}
+              <div className="text-sm text-neutral-500">
+                {o.customer.name} • {o.customer.phone}
+              </div>
+              <div className="ml-auto text-right">
+                <div className="font-semibold">{currency(o.totals.grand)}</div>
+                <div className="text-xs text-neutral-500">
+                  {formatTime(o.createdAt)}
+                </div>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function OrderDetail({ orders, onUpdateStatus, onMarkPaid }) {
+  const { code } = useParams();
+  const [note, setNote] = useState("");
+  const [reference, setReference] = useState("");
+  const order = orders.find((o) => o.code === code);
+
+  if (!order)
+    return (
+      <div className="rounded-2xl border p-4 bg-white">
+        Không tìm thấy đơn hàng.{" "}
+        <Link to=".." className="underline">
+          Quay lại
+        </Link>
+      </div>
+    );
+
+  const status = orderStatus(order);
+  const next = ORDER_TRANSITIONS[status];
+  const history = order.history?.length
+    ? order.history
+    : [{ status, at: order.createdAt, note: "" }];
+
+  const move = (to) => {
+    if (
+      RESTOCK_STATUSES.includes(to) &&
+      !window.confirm(
+        `Chuyển đơn sang "${ORDER_STATUSES[to]}"? Hàng sẽ được trả lại kho.`
+      )
+    )
+      return;
+    onUpdateStatus(order.code, to, note);
+    setNote("");
+  };
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="flex flex-wrap items-center gap-3">
+          <Link to=".." className="text-sm underline text-neutral-500">
+            ← Đơn hàng
+          </Link>
+          <div className="font-mono text-lg font-semibold">{order.code}</div>
+          <StatusBadge status={status} />
+          <div className="ml-auto text-sm text-neutral-500">
+            {formatTime(order.createdAt)}
+          </div>
+        </div>
+        <div className="mt-4 grid gap-4 md:grid-cols-2 text-sm">
+          <div>
+            <div className="font-semibold">Khách hàng</div>
+            <div>{order.customer.name}</div>
+            <div>{order.customer.phone}</div>
+            {order.customer.email && <div>{order.customer.email}</div>}
+            <div className="mt-1 text-neutral-600">
+              {fullAddress(order.shipping)}
+            </div>
+          </div>
+          <div>
+            <div className="font-semibold">Vận chuyển & thanh toán</div>
+            <div>
+              {shippingMethodLabel(order)}
+              {order.delivery &&
+                ` · ${SHIPPING_ZONES[order.delivery.zone]} · ${(
+                  order.delivery.weight / 1000
+                ).toLocaleString("vi-VN")} kg`}
+            </div>
+            <div>
+              {PAYMENT_METHODS[order.paymentMethod]} ·{" "}
+              {PAYMENT_STATUSES[paymentStatus(order)]}
+              {order.payment?.reference && ` (${order.payment.reference})`}
+            </div>
+            {order.payment?.paidAt && (
+              <div className="text-neutral-500">
+                Nhận tiền lúc {formatTime(order.payment.paidAt)}
+              </div>
+            )}
+            {orderCoupons(order).map((c) => (
+              <div key={c.code}>
+                Mã giảm giá: {c.code} (-{currency(c.amount)})
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white text-sm">
+        <div className="mb-2 font-semibold">Sản phẩm</div>
+        <div className="grid gap-1">
+          {order.items.map((i, idx) => (
+            <div key={idx} className="flex justify-between gap-3">
+              <span>
+                {i.name}
+                {i.variantLabel && ` (${i.variantLabel})`}
+                {i.sku && (
+                  <span className="text-neutral-400"> • {i.sku}</span>
+                )}{" "}
+                × {i.qty}
+              </span>
+              <span>{currency(i.price * i.qty)}</span>
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 grid gap-1 border-t pt-3">
+          <div className="flex justify-between">
+            <span>Vận chuyển</span>
+            <span>{currency(order.totals.shippingFee)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Giảm giá</span>
+            <span>-{currency(order.totals.discount)}</span>
+          </div>
+          <div className="flex justify-between font-semibold">
+            <span>Tổng thanh toán</span>
+            <span>{currency(order.totals.grand)}</span>
+          </div>
+        </div>
+      </div>
+
+      {order.paymentMethod === "transfer" &&
+        paymentStatus(order) === "unpaid" &&
+        status !== "cancelled" && (
+          <div className="rounded-2xl border p-4 bg-white">
+            <div className="mb-1 font-semibold">Chờ chuyển khoản</div>
+            <div className="mb-2 text-sm text-neutral-500">
+              Đối chiếu sao kê: {currency(order.totals.grand)} với nội dung{" "}
+              <span className="font-mono">{transferMemo(order.code)}</span>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <div className="w-full md:w-64">
+                <Input
+                  placeholder="Mã giao dịch (không bắt buộc)"
+                  value={reference}
+                  onChange={(e) => setReference(e.target.value)}
+                />
+              </div>
+              <Button
+                className="bg-black text-white"
+                onClick={() => {
+                  onMarkPaid(order.code, reference);
+                  setReference("");
+                }}
+              >
+                Đã nhận tiền
+              </Button>
+            </div>
+          </div>
+        )}
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Xử lý đơn</div>
+        {next.length === 0 ? (
+          <div className="text-sm text-neutral-500">
+            Đơn đã kết thúc, không thể chuyển trạng thái.
+          </div>
+        ) : (
+          <div className="grid gap-2">
+            <textarea
+              className="min-h-[70px] rounded-xl border p-3 text-sm"
+              placeholder="Ghi chú của nhân viên (không bắt buộc)"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <div className="flex flex-wrap gap-2">
+              {next.map((to) => (
+                <Button
+                  key={to}
+                  className={
+                    RESTOCK_STATUSES.includes(to)
+                      ? "text-red-600"
+                      : "bg-black text-white"
+                  }
+                  onClick={() => move(to)}
+                >
+                  {ORDER_STATUSES[to]}
+                </Button>
+              ))}
+            </div>
+          </div>
+        )}
+        <ol className="mt-4 grid gap-2 border-l pl-4 text-sm">
+          {history.map((h, idx) => (
+            <li key={idx}>
+              <div className="flex items-center gap-2">
+                <StatusBadge status={h.status} />
+                <span className="text-neutral-500">{formatTime(h.at)}</span>
+              </div>
+              {h.note && <div className="mt-1 text-neutral-700">{h.note}</div>}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
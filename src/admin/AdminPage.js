@@ -0,0 +1,213 @@
+import React from "react";
+import { Navigate, NavLink, Route, Routes } from "react-router-dom";
+import AdminPanel from "./AdminPanel";
+import AdminCategories from "./AdminCategories";
+import AdminImport from "./AdminImport";
+import AdminReviews from "./AdminReviews";
+import AdminCollections from "./AdminCollections";
+import AdminOrders from "./AdminOrders";
+import AdminShipping from "./AdminShipping";
+import AdminCoupons from "./AdminCoupons";
+import AdminPayment from "./AdminPayment";
+import AdminStore from "./AdminStore";
+import AdminAnalytics from "./AdminAnalytics";
+import AdminData from "./AdminData";
+import AdminInbox from "./AdminInbox";
+import AdminNewsletter from "./AdminNewsletter";
+import AdminLogin from "./AdminLogin";
+import AdminStock from "./AdminStock";
+import AdminUsers from "./AdminUsers";
+import { Button } from "../components/ui";
+import { store } from "../lib/api";
+import { ROLES, can } from "../lib/auth";
+import { orderStatus } from "../lib/orders";
+
+// Each section needs one permission (see lib/auth.js).
+const SECTIONS = [
+  { path: "san-pham", label: "Sản phẩm", permission: "products" },
+  { path: "danh-muc", label: "Danh mục", permission: "products" },
+  { path: "nhap-xuat", label: "Nhập / xuất", permission: "products" },
+  { path: "bo-suu-tap", label: "Bộ sưu tập", permission: "settings" },
+  { path: "danh-gia", label: "Đánh giá", permission: "products" },
+  { path: "don-hang", label: "Đơn hàng", permission: "orders" },
+  { path: "hop-thu", label: "Hộp thư", permission: "orders" },
+  { path: "thong-ke", label: "Thống kê", permission: "orders" },
+  { path: "ton-kho", label: "Tồn kho", permission: "stock" },
+  { path: "cua-hang", label: "Cửa hàng", permission: "settings" },
+  { path: "van-chuyen", label: "Vận chuyển", permission: "settings" },
+  { path: "ma-giam-gia", label: "Mã giảm giá", permission: "settings" },
+  { path: "thanh-toan", label: "Thanh toán", permission: "settings" },
+  { path: "ban-tin", label: "Bản tin", permission: "settings" },
+  { path: "du-lieu", label: "Dữ liệu", permission: "settings" },
+  { path: "tai-khoan", label: "Tài khoản", permission: "users" },
+];
+
+// ----------------------- Admin routes (/admin/*) -----------------------
+export default function AdminPage({
+  products,
+  categories,
+  collections,
+  orders,
+  reviews,
+  messages,
+  subscribers,
+  shipping,
+  coupons,
+  bank,
+  gateways,
+  currencies,
+  site,
+  onSave,
+  onDelete,
+  onBulkEdit,
+  onBulkDelete,
+  onImportProducts,
+  onChangeCatalogue,
+  onSaveCollections,
+  onSaveReviews,
+  onSaveMessages,
+  onSaveSubscribers,
+  onUpdateOrderStatus,
+  onMarkPaid,
+  onSaveShipping,
+  onSaveCoupons,
+  onSaveBank,
+  onSaveGateways,
+  onSaveCurrencies,
+  onSaveSite,
+  onImportLocalData,
+  onUpdateStock,
+  user,
+  onLogout,
+}) {
+  if (!user) return <AdminLogin />;
+
+  const sections = SECTIONS.filter((s) => can(user, s.permission));
+  // Waiting for someone: shown next to the section name.
+  const queued = {
+    "don-hang": orders.filter((o) => orderStatus(o) === "pending").length,
+    "danh-gia": reviews.filter((r) => r.status === "pending").length,
+    "hop-thu": messages.filter((m) => m.status === "new").length,
+  };
+  const pages = {
+    "san-pham": (
+      <AdminPanel
+        products={products}
+        categories={categories}
+        onSave={onSave}
+        onDelete={onDelete}
+        onBulkEdit={onBulkEdit}
+        onBulkDelete={onBulkDelete}
+      />
+    ),
+    "danh-muc": (
+      <AdminCategories
+        categories={categories}
+        products={products}
+        collections={collections}
+        coupons={coupons}
+        onChange={onChangeCatalogue}
+      />
+    ),
+    "nhap-xuat": (
+      <AdminImport
+        products={products}
+        categories={categories}
+        onImport={onImportProducts}
+      />
+    ),
+    "bo-suu-tap": (
+      <AdminCollections
+        collections={collections}
+        products={products}
+        categories={categories}
+        onSave={onSaveCollections}
+      />
+    ),
+    "danh-gia": (
+      <AdminReviews
+        reviews={reviews}
+        products={products}
+        onSave={onSaveReviews}
+      />
+    ),
+    "don-hang": (
+      <AdminOrders
+        orders={orders}
+        onUpdateStatus={onUpdateOrderStatus}
+        onMarkPaid={onMarkPaid}
+      />
+    ),
+    "hop-thu": (
+      <AdminInbox
+        messages={messages}
+        shopName={site.name}
+        onSave={onSaveMessages}
+      />
+    ),
+    "thong-ke": <AdminAnalytics orders={orders} products={products} />,
+    "ton-kho": <AdminStock products={products} onSave={onUpdateStock} />,
+    "cua-hang": <AdminStore site={site} onSave={onSaveSite} />,
+    "van-chuyen": <AdminShipping settings={shipping} onSave={onSaveShipping} />,
+    "ma-giam-gia": (
+      <AdminCoupons
+        coupons={coupons}
+        products={products}
+        orders={orders}
+        onSave={onSaveCoupons}
+      />
+    ),
+    "thanh-toan": (
+      <AdminPayment
+        bank={bank}
+        gateways={gateways}
+        currencies={currencies}
+        onSave={onSaveBank}
+        onSaveGateways={onSaveGateways}
+        onSaveCurrencies={onSaveCurrencies}
+      />
+    ),
+    "ban-tin": (
+      <AdminNewsletter subscribers={subscribers} onSave={onSaveSubscribers} />
+    ),
+    "du-lieu": <AdminData onImport={onImportLocalData} />,
+    "tai-khoan": <AdminUsers user={user} />,
+  };
+  return (
+    <div className="grid gap-6 md:grid-cols-[200px_1fr]">
+      <aside className="h-fit rounded-2xl border bg-white p-2">
+        <div className="px-3 py-2 text-sm font-semibold text-neutral-500">
+          Quản trị ({store.mode === "remote" ? "Máy chủ" : "Local"})
+        </div>
+        <nav className="grid gap-1">
+          {sections.map((s) => (
+            <NavLink
+              key={s.path}
+              to={s.path}
+              className={({ isActive }) =>
+                `rounded-xl px-3 py-2 ${isActive ? "bg-black text-white" : ""}`
+              }
+            >
+              {s.label}
+              {queued[s.path] > 0 && ` (${queued[s.path]})`}
+            </NavLink>
+          ))}
+        </nav>
+        <div className="mt-2 border-t px-3 pt-3 text-sm">
+          <div className="font-medium">{user.name}</div>
+          <div className="text-neutral-500">{ROLES[user.role]}</div>
+          <Button className="mt-2 w-full border" onClick={onLogout}>
+            Đăng xuất
+          </Button>
+        </div>
+      </aside>
+      <Routes>
+        <Route index element={<Navigate to={sections[0].path} replace />} />
+        {sections.map((s) => (
+          <Route key={s.path} path={`${s.path}/*`} element={pages[s.path]} />
+        ))}
+        <Route path="*" element={<Navigate to={sections[0].path} replace />} />
+      </Routes>
+    </div>
+  );
+}
@@ -0,0 +1,322 @@
+import React, { useState } from "react";
+import { Button, Input, Select } from "../components/ui";
+import { currency, uid } from "../lib/utils";
+import { hasVariants, productStock } from "../lib/variants";
+import { categoryNames } from "../lib/filters";
+import { coverImage } from "../lib/images";
+import VariantEditor from "./VariantEditor";
+import GalleryEditor from "./GalleryEditor";
+import ProductImage from "../components/ProductImage";
+
+// ----------------------- Admin -----------------------
+export default function AdminPanel({
+  products,
+  categories,
+  onSave,
+  onDelete,
+  onBulkEdit,
+  onBulkDelete,
+}) {
+  const names = categoryNames(categories, products);
+  const empty = {
+    id: uid(),
+    name: "",
+    sku: "",
+    price: 0,
+    compareAtPrice: null,
+    category: names[0] || "",
+    stock: 0,
+    weight: 0,
+    description: "",
+    tags: [],
+    images: [],
+    options: [],
+    variants: [],
+    translations: {},
+  };
+  const [draft, setDraft] = useState(empty);
+  // The English storefront falls back to the Vietnamese text when empty.
+  const english = draft.translations?.en || {};
+  const setEnglish = (changes) =>
+    setDraft((d) => ({
+      ...d,
+      translations: {
+        ...d.translations,
+        en: { ...d.translations?.en, ...changes },
+      },
+    }));
+  const [selected, setSelected] = useState([]);
+  // Ids of deleted products drop out of the selection.
+  const picked = products.filter((p) => selected.includes(p.id));
+  const toggle = (id) =>
+    setSelected((ids) =>
+      ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]
+    );
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Thêm / sửa sản phẩm</div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <Input
+            placeholder="Tên sản phẩm"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          <Input
+            placeholder="SKU (mã sản phẩm)"
+            value={draft.sku || ""}
+            onChange={(e) => setDraft({ ...draft, sku: e.target.value })}
+          />
+          <Input
+            placeholder="Giá (VND)"
+            type="number"
+            value={draft.price}
+            onChange={(e) =>
+              setDraft({ ...draft, price: Number(e.target.value) })
+            }
+          />
+          <Select
+            value={draft.category}
+            onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+            options={names.map((name) => ({ label: name, value: name }))}
+          />
+          <Input
+            placeholder="Giá gốc trước giảm (để trống nếu không giảm giá)"
+            type="number"
+            min={0}
+            value={draft.compareAtPrice ?? ""}
+            onChange={(e) =>
+              setDraft({
+                ...draft,
+                compareAtPrice:
+                  e.target.value === "" ? null : Number(e.target.value),
+              })
+            }
+          />
+          <Input
+            placeholder="Tồn kho"
+            type="number"
+            title={hasVariants(draft) ? "Tổng tồn kho các biến thể" : ""}
+            disabled={hasVariants(draft)}
+            value={productStock(draft)}
+            onChange={(e) =>
+              setDraft({ ...draft, stock: Number(e.target.value) })
+            }
+          />
+          <Input
+            placeholder="Khối lượng (gram)"
+            type="number"
+            title="Dùng để tính phí vận chuyển; để 0 sẽ dùng khối lượng mặc định"
+            value={draft.weight || ""}
+            onChange={(e) =>
+              setDraft({ ...draft, weight: Number(e.target.value) })
+            }
+          />
+          <Input
+            placeholder="Từ khoá tìm kiếm, cách nhau bằng dấu phẩy (VD: ly, quà tặng)"
+            className="md:col-span-2"
+            // Kept as typed until saved, so a trailing comma stays put.
+            value={(draft.tags || []).join(",")}
+            onChange={(e) =>
+              setDraft({ ...draft, tags: e.target.value.split(",") })
+            }
+          />
+          <textarea
+            className="md:col-span-2 min-h-[90px] rounded-xl border p-3"
+            placeholder="Mô tả"
+            value={draft.description}
+            onChange={(e) =>
+              setDraft({ ...draft, description: e.target.value })
+            }
+          />
+          <Input
+            className="md:col-span-2"
+            placeholder="Tên tiếng Anh (English name, không bắt buộc)"
+            value={english.name || ""}
+            onChange={(e) => setEnglish({ name: e.target.value })}
+          />
+          <textarea
+            className="md:col-span-2 min-h-[60px] rounded-xl border p-3"
+            placeholder="Mô tả tiếng Anh (English description, không bắt buộc)"
+            value={english.description || ""}
+            onChange={(e) => setEnglish({ description: e.target.value })}
+          />
+          <div className="md:col-span-2">
+            <GalleryEditor
+              images={draft.images || []}
+              onChange={(images) => setDraft((d) => ({ ...d, images }))}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <VariantEditor draft={draft} onChange={setDraft} />
+          </div>
+        </div>
+        <div className="mt-3 flex gap-2">
+          <Button
+            className="bg-black text-white"
+            onClick={() => {
+              onSave({
+                ...draft,
+                stock: productStock(draft),
+                tags: (draft.tags || []).map((t) => t.trim()).filter(Boolean),
+              });
+              setDraft({ ...empty, id: uid() });
+            }}
+          >
+            Lưu sản phẩm
+          </Button>
+          <Button onClick={() => setDraft({ ...empty, id: uid() })}>
+            Làm mới
+          </Button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 flex items-center gap-3">
+          <input
+            type="checkbox"
+            aria-label="Chọn tất cả"
+            checked={products.length > 0 && picked.length === products.length}
+            onChange={(e) =>
+              setSelected(e.target.checked ? products.map((p) => p.id) : [])
+            }
+          />
+          <div className="font-semibold">
+            Danh sách sản phẩm ({products.length})
+          </div>
+        </div>
+        {picked.length > 0 && (
+          <BulkBar
+            ids={picked.map((p) => p.id)}
+            names={names}
+            onEdit={onBulkEdit}
+            onDelete={(ids) => {
+              onBulkDelete(ids);
+              setSelected([]);
+            }}
+          />
+        )}
+        <div className="grid gap-3">
+          {products.map((p) => (
+            <div
+              key={p.id}
+              className="flex items-center gap-3 rounded-xl border p-3"
+            >
+              <input
+                type="checkbox"
+                aria-label={`Chọn ${p.name}`}
+                checked={selected.includes(p.id)}
+                onChange={() => toggle(p.id)}
+              />
+              <div className="h-14 w-14 overflow-hidden rounded-lg bg-gray-100">
+                <ProductImage
+                  image={coverImage(p)}
+                  width={80}
+                  className="h-full w-full object-cover"
+                  fallback={
+                    <div className="grid h-full w-full place-items-center">
+                      🛍️
+                    </div>
+                  }
+                />
+              </div>
+              <div className="flex-1">
+                <div className="font-medium">{p.name}</div>
+                <div className="text-sm text-neutral-500">
+                  {p.sku && `${p.sku} • `}
+                  {p.category} • {currency(p.price)}
+                  {hasVariants(p) && ` • ${p.variants.length} biến thể`}
+                </div>
+              </div>
+              <Button onClick={() => setDraft(p)}>Sửa</Button>
+              <Button className="text-red-600" onClick={() => onDelete(p.id)}>
+                Xoá
+              </Button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ----------------------- Bulk edits -----------------------
+function BulkBar({ ids, names, onEdit, onDelete }) {
+  const [category, setCategory] = useState(names[0] || "");
+  const [percent, setPercent] = useState("");
+  const [round, setRound] = useState(false);
+  const [stock, setStock] = useState("");
+
+  const changePrices = () => {
+    const value = Number(percent);
+    if (percent === "" || !Number.isFinite(value) || value <= -100)
+      return alert("Nhập phần trăm lớn hơn -100, VD: 10 để tăng 10%.");
+    onEdit(ids, { pricePercent: value, roundTo: round ? 1000 : 1 });
+    setPercent("");
+  };
+  const setStockLevel = () => {
+    const value = Number(stock);
+    if (stock === "" || !Number.isInteger(value) || value < 0)
+      return alert("Tồn kho phải là số nguyên không âm.");
+    onEdit(ids, { stock: value });
+    setStock("");
+  };
+
+  return (
+    <div className="mb-3 grid gap-2 rounded-xl bg-neutral-100 p-3 text-sm">
+      <div className="font-medium">Đã chọn {ids.length} sản phẩm</div>
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="w-48">
+          <Select
+            aria-label="Danh mục mới"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            options={names.map((name) => ({ label: name, value: name }))}
+          />
+        </div>
+        <Button onClick={() => onEdit(ids, { category })}>
+          Chuyển danh mục
+        </Button>
+        <Input
+          type="number"
+          className="w-32"
+          placeholder="% giá (±)"
+          value={percent}
+          onChange={(e) => setPercent(e.target.value)}
+        />
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={round}
+            onChange={(e) => setRound(e.target.checked)}
+          />
+          Làm tròn 1.000 đ
+        </label>
+        <Button onClick={changePrices}>Đổi giá</Button>
+        <Input
+          type="number"
+          min={0}
+          className="w-28"
+          placeholder="Tồn kho"
+          value={stock}
+          onChange={(e) => setStock(e.target.value)}
+        />
+        <Button onClick={setStockLevel}>Đặt tồn kho</Button>
+        <Button
+          className="text-red-600"
+          onClick={() =>
+            window.confirm(`Xoá ${ids.length} sản phẩm đã chọn?`) &&
+            onDelete(ids)
+          }
+        >
+          Xoá đã chọn
+        </Button>
+      </div>
+      <div className="text-xs text-neutral-500">
+        Đổi giá áp dụng cả giá riêng của biến thể; tồn kho đặt cho từng biến
+        thể.
+      </div>
+    </div>
+  );
+}
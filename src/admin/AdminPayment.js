@@ -0,0 +1,244 @@
+import React, { useState } from "react";
+import { Button, Input, Select } from "../components/ui";
+import VietQR from "../components/VietQR";
+import { store } from "../lib/api";
+import { VIETQR_BANKS, isBankConfigured } from "../lib/vietqr";
+import {
+  MOCK_GATEWAYS,
+  PAYMENT_GATEWAYS,
+  isGatewayConfigured,
+} from "../lib/gateways";
+import {
+  DEFAULT_CURRENCIES,
+  DISPLAY_CURRENCIES,
+  formatMoney,
+  validateCurrencies,
+} from "../lib/i18n";
+
+const GATEWAY_FIELDS = {
+  vnpay: [
+    { key: "tmnCode", label: "Mã website (vnp_TmnCode)" },
+    { key: "hashSecret", label: "Chuỗi bí mật (vnp_HashSecret)", secret: true },
+    { key: "payUrl", label: "URL thanh toán" },
+  ],
+  momo: [
+    { key: "partnerCode", label: "Partner code" },
+    { key: "accessKey", label: "Access key" },
+    { key: "secretKey", label: "Secret key", secret: true },
+    { key: "endpoint", label: "API endpoint" },
+    { key: "ipnUrl", label: "URL nhận IPN (không bắt buộc)" },
+  ],
+};
+
+// ----------------------- Admin: payment -----------------------
+export default function AdminPayment({
+  bank,
+  gateways,
+  currencies,
+  onSave,
+  onSaveGateways,
+  onSaveCurrencies,
+}) {
+  const [draft, setDraft] = useState(bank);
+  const set = (changes) => setDraft((d) => ({ ...d, ...changes }));
+
+  const save = () => {
+    if (draft.accountNumber && !isBankConfigured(draft)) {
+      alert("Chọn ngân hàng và nhập số tài khoản (6–19 chữ số).");
+      return;
+    }
+    onSave(draft);
+    alert(
+      isBankConfigured(draft)
+        ? "Đã lưu tài khoản nhận chuyển khoản."
+        : "Đã tắt thanh toán chuyển khoản."
+    );
+  };
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-1 font-semibold">Tài khoản nhận chuyển khoản</div>
+        <div className="mb-3 text-sm text-neutral-500">
+          Khách chọn "Chuyển khoản" sẽ nhận mã VietQR với số tiền và nội dung là
+          mã đơn hàng. Để trống số tài khoản để ẩn lựa chọn này.
+        </div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <Select
+            value={draft.bin}
+            onChange={(e) => set({ bin: e.target.value })}
+            options={[
+              { label: "Chọn ngân hàng", value: "" },
+              ...VIETQR_BANKS.map((b) => ({
+                label: `${b.name} (${b.bin})`,
+                value: b.bin,
+              })),
+            ]}
+          />
+          <Input
+            placeholder="Số tài khoản"
+            inputMode="numeric"
+            value={draft.accountNumber}
+            onChange={(e) =>
+              set({ accountNumber: e.target.value.replace(/\s+/g, "") })
+            }
+          />
+          <Input
+            placeholder="Tên chủ tài khoản"
+            value={draft.accountName}
+            onChange={(e) => set({ accountName: e.target.value })}
+          />
+        </div>
+        <div className="mt-3 flex gap-2">
+          <Button className="bg-black text-white" onClick={save}>
+            Lưu
+          </Button>
+          <Button onClick={() => setDraft(bank)}>Huỷ thay đổi</Button>
+        </div>
+      </div>
+
+      {isBankConfigured(draft) && (
+        <div className="rounded-2xl border p-4 bg-white">
+          <div className="mb-1 font-semibold">Quét thử</div>
+          <div className="mb-3 text-sm text-neutral-500">
+            Mở ứng dụng ngân hàng và quét để kiểm tra thông tin (không cần
+            chuyển tiền).
+          </div>
+          <VietQR bank={draft} amount={10000} memo="KIEM TRA" />
+        </div>
+      )}
+
+      {Object.values(PAYMENT_GATEWAYS).map((g) => (
+        <GatewaySettings
+          key={g.id}
+          gateway={g}
+          config={gateways[g.id]}
+          onSave={(config) => onSaveGateways({ ...gateways, [g.id]: config })}
+        />
+      ))}
+
+      <CurrencySettings rates={currencies} onSave={onSaveCurrencies} />
+    </div>
+  );
+}
+
+// VND per unit of each display currency; 0 keeps it off the storefront.
+function CurrencySettings({ rates, onSave }) {
+  const [draft, setDraft] = useState({ ...DEFAULT_CURRENCIES, ...rates });
+
+  const save = () => {
+    const problem = validateCurrencies(draft);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    onSave(
+      Object.fromEntries(
+        DISPLAY_CURRENCIES.map((code) => [code, Number(draft[code]) || 0])
+      )
+    );
+    alert("Đã lưu tỷ giá hiển thị.");
+  };
+
+  return (
+    <div className="rounded-2xl border p-4 bg-white">
+      <div className="mb-1 font-semibold">Tỷ giá hiển thị</div>
+      <div className="mb-3 text-sm text-neutral-500">
+        Khách có thể xem giá quy đổi sang các tiền tệ có tỷ giá. Đơn hàng vẫn
+        được tính và thanh toán bằng VND. Để 0 để ẩn tiền tệ đó.
+      </div>
+      <div className="grid gap-3 md:grid-cols-3">
+        {DISPLAY_CURRENCIES.map((code) => (
+          <label key={code} className="grid gap-1 text-sm">
+            1 {code} = ? VND
+            <Input
+              type="number"
+              min={0}
+              value={draft[code]}
+              onChange={(e) => setDraft({ ...draft, [code]: e.target.value })}
+            />
+            {Number(draft[code]) > 0 && (
+              <span className="text-xs text-neutral-500">
+                169.000 ₫ ≈{" "}
+                {formatMoney(169000, {
+                  locale: "en",
+                  currency: code,
+                  rates: draft,
+                })}
+              </span>
+            )}
+          </label>
+        ))}
+      </div>
+      <div className="mt-3 flex gap-2">
+        <Button className="bg-black text-white" onClick={save}>
+          Lưu
+        </Button>
+        <Button onClick={() => setDraft({ ...DEFAULT_CURRENCIES, ...rates })}>
+          Huỷ thay đổi
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function GatewaySettings({ gateway, config, onSave }) {
+  const [draft, setDraft] = useState(config);
+  const set = (changes) => setDraft((d) => ({ ...d, ...changes }));
+
+  const save = () => {
+    if (draft.enabled && !isGatewayConfigured(gateway.id, draft)) {
+      alert(`Nhập đủ thông tin kết nối ${gateway.label} trước khi bật.`);
+      return;
+    }
+    onSave(draft);
+    alert(`Đã lưu cấu hình ${gateway.label}.`);
+  };
+
+  return (
+    <div className="rounded-2xl border p-4 bg-white">
+      <div className="mb-3 flex flex-wrap items-center gap-3">
+        <div className="font-semibold">{gateway.label}</div>
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(e) => set({ enabled: e.target.checked })}
+          />
+          Hiển thị khi thanh toán
+        </label>
+      </div>
+      <div className="grid gap-3 md:grid-cols-2">
+        {GATEWAY_FIELDS[gateway.id].map((f) => (
+          <label key={f.key} className="grid gap-1 text-sm">
+            {f.label}
+            <Input
+              type={f.secret ? "password" : "text"}
+              autoComplete="off"
+              value={draft[f.key]}
+              onChange={(e) => set({ [f.key]: e.target.value.trim() })}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <Button className="bg-black text-white" onClick={save}>
+          Lưu
+        </Button>
+        <Button onClick={() => setDraft(MOCK_GATEWAYS[gateway.id])}>
+          Dùng máy chủ giả lập
+        </Button>
+        <Button onClick={() => setDraft(config)}>Huỷ thay đổi</Button>
+      </div>
+      <div className="mt-2 text-xs text-neutral-500">
+        Máy chủ giả lập: chạy <code>npm run mock:gateway</code> rồi lưu.
+      </div>
+      {store.mode === "remote" && (
+        <div className="mt-1 text-xs text-neutral-500">
+          Khoá bí mật chỉ nằm trên máy chủ và hiện dưới dạng ••••••; để nguyên
+          nếu không đổi.
+        </div>
+      )}
+    </div>
+  );
+}
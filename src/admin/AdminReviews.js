@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { Badge, Button } from "../components/ui";
+import Stars from "../components/Stars";
+import { imageUrl } from "../lib/images";
+import { REVIEW_STATUSES, moderateReview, replyToReview } from "../lib/reviews";
+
+const STATUS_STYLES = {
+  pending: "border-amber-200 bg-amber-50 text-amber-700",
+  approved: "border-green-200 bg-green-50 text-green-700",
+  hidden: "border-neutral-300 bg-neutral-100 text-neutral-700",
+};
+
+// ----------------------- Admin: reviews -----------------------
+// New reviews wait here until they are approved.
+export default function AdminReviews({ reviews, products, onSave }) {
+  const [status, setStatus] = useState("pending");
+  const shown = reviews.filter((r) => r.status === status);
+  const productName = (id) =>
+    products.find((p) => p.id === id)?.name || "(sản phẩm đã xoá)";
+  const update = (next) =>
+    onSave(reviews.map((r) => (r.id === next.id ? next : r)));
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Đánh giá sản phẩm</div>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(REVIEW_STATUSES).map(([value, label]) => (
+            <Button
+              key={value}
+              className={status === value ? "bg-black text-white" : ""}
+              onClick={() => setStatus(value)}
+            >
+              {label} ({reviews.filter((r) => r.status === value).length})
+            </Button>
+          ))}
+        </div>
+      </div>
+      {shown.map((r) => (
+        <ReviewCard
+          key={r.id}
+          review={r}
+          productName={productName(r.productId)}
+          onChange={update}
+          onDelete={() =>
+            window.confirm(`Xoá hẳn đánh giá của ${r.name}?`) &&
+            onSave(reviews.filter((x) => x.id !== r.id))
+          }
+        />
+      ))}
+      {shown.length === 0 && (
+        <div className="text-center text-neutral-500">
+          Không có đánh giá nào {REVIEW_STATUSES[status].toLowerCase()}.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ReviewCard({ review: r, productName, onChange, onDelete }) {
+  const [reply, setReply] = useState(r.reply?.text || "");
+
+  return (
+    <div className="rounded-2xl border p-4 bg-white">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">{productName}</span>
+        <Badge className={STATUS_STYLES[r.status]}>
+          {REVIEW_STATUSES[r.status]}
+        </Badge>
+        {r.verified && <Badge>Đã mua hàng</Badge>}
+        <span className="ml-auto text-sm text-neutral-500">
+          {new Date(r.createdAt).toLocaleString("vi-VN")}
+        </span>
+      </div>
+      <div className="mt-2 flex items-center gap-2">
+        <Stars value={r.rating} />
+        <span className="text-sm">{r.name}</span>
+      </div>
+      <p className="mt-1 whitespace-pre-line">{r.text}</p>
+      {r.photos?.length > 0 && (
+        <div className="mt-2 flex gap-2">
+          {r.photos.map((photo) => (
+            <img
+              key={photo.id}
+              src={imageUrl(photo, 320)}
+              alt=""
+              className="h-20 w-20 rounded-lg border object-cover"
+            />
+          ))}
+        </div>
+      )}
+      <textarea
+        className="mt-3 min-h-[60px] w-full rounded-xl border p-3 text-sm"
+        placeholder="Phản hồi của cửa hàng (hiển thị dưới đánh giá)"
+        value={reply}
+        onChange={(e) => setReply(e.target.value)}
+      />
+      <div className="mt-2 flex flex-wrap gap-2">
+        {r.status !== "approved" && (
+          <Button
+            className="bg-black text-white"
+            onClick={() => onChange(moderateReview(r, "approved"))}
+          >
+            Duyệt
+          </Button>
+        )}
+        {r.status !== "hidden" && (
+          <Button onClick={() => onChange(moderateReview(r, "hidden"))}>
+            Ẩn
+          </Button>
+        )}
+        <Button
+          disabled={reply.trim() === (r.reply?.text || "")}
+          className="disabled:opacity-40"
+          onClick={() => onChange(replyToReview(r, reply))}
+        >
+          {reply.trim() || !r.reply ? "Lưu phản hồi" : "Gỡ phản hồi"}
+        </Button>
+        <Button className="ml-auto text-red-600" onClick={onDelete}>
+          Xoá
+        </Button>
+      </div>
+    </div>
+  );
+}
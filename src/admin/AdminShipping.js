@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from "react";
+import { Button, Input, Select } from "../components/ui";
+import { uid } from "../lib/utils";
+import { loadAddressData } from "../lib/address";
+import {
+  DEFAULT_SHIPPING,
+  SHIPPING_ZONES,
+  validateShipping,
+} from "../lib/shipping";
+
+const RATE_COLUMNS = [
+  { key: "fee", label: "Phí cơ bản" },
+  { key: "perKg", label: "+ mỗi kg" },
+  { key: "freeOver", label: "Miễn phí từ" },
+  { key: "minDays", label: "Từ (ngày)" },
+  { key: "maxDays", label: "Đến (ngày)" },
+];
+
+const newMethod = () => ({
+  ...DEFAULT_SHIPPING.methods[0],
+  id: uid(),
+  label: "",
+});
+
+// ----------------------- Admin: shipping rules -----------------------
+export default function AdminShipping({ settings, onSave }) {
+  const [draft, setDraft] = useState(settings);
+  const [provinces, setProvinces] = useState([]);
+
+  useEffect(() => {
+    let live = true;
+    loadAddressData("2025").then((units) => live && setProvinces(units));
+    return () => {
+      live = false;
+    };
+  }, []);
+
+  const setMethod = (id, changes) =>
+    setDraft((d) => ({
+      ...d,
+      methods: d.methods.map((m) => (m.id === id ? { ...m, ...changes } : m)),
+    }));
+  const setRate = (method, zone, changes) =>
+    setMethod(method.id, {
+      rates: {
+        ...method.rates,
+        [zone]: { ...method.rates[zone], ...changes },
+      },
+    });
+
+  const save = () => {
+    const error = validateShipping(draft);
+    if (error) {
+      alert(error);
+      return;
+    }
+    onSave(draft);
+    alert("Đã lưu cấu hình vận chuyển.");
+  };
+
+  const origins = provinces.length
+    ? provinces.map((p) => ({ label: p.name, value: p.name }))
+    : [{ label: draft.originProvince, value: draft.originProvince }];
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Nơi gửi hàng</div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <label className="grid gap-1 text-sm">
+            Tỉnh/Thành (nội thành/ngoại thành tính theo tỉnh này)
+            <Select
+              value={draft.originProvince}
+              onChange={(e) =>
+                setDraft({ ...draft, originProvince: e.target.value })
+              }
+              options={origins}
+            />
+          </label>
+          <label className="grid gap-1 text-sm">
+            Khối lượng mặc định mỗi sản phẩm (gram)
+            <Input
+              type="number"
+              min={0}
+              value={draft.defaultWeight}
+              onChange={(e) =>
+                setDraft({ ...draft, defaultWeight: Number(e.target.value) })
+              }
+            />
+          </label>
+        </div>
+      </div>
+
+      {draft.methods.map((m) => (
+        <div key={m.id} className="rounded-2xl border p-4 bg-white">
+          <div className="mb-3 flex flex-wrap items-center gap-3">
+            <Input
+              placeholder="Tên phương thức"
+              value={m.label}
+              onChange={(e) => setMethod(m.id, { label: e.target.value })}
+              className="max-w-xs font-semibold"
+            />
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={m.enabled}
+                onChange={(e) => setMethod(m.id, { enabled: e.target.checked })}
+              />
+              Đang dùng
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              Phí cơ bản gồm
+              <Input
+                type="number"
+                min={0}
+                value={m.baseWeight}
+                onChange={(e) =>
+                  setMethod(m.id, { baseWeight: Number(e.target.value) })
+                }
+                className="w-24"
+              />
+              gram
+            </label>
+            <Button
+              className="ml-auto text-red-600"
+              disabled={draft.methods.length === 1}
+              onClick={() =>
+                setDraft({
+                  ...draft,
+                  methods: draft.methods.filter((x) => x.id !== m.id),
+                })
+              }
+            >
+              Xoá
+            </Button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-neutral-500">
+                  <th className="py-1 pr-2 font-normal">Khu vực</th>
+                  {RATE_COLUMNS.map((c) => (
+                    <th key={c.key} className="py-1 pr-2 font-normal">
+                      {c.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(SHIPPING_ZONES).map(([zone, label]) => {
+                  const r = m.rates[zone];
+                  return (
+                    <tr key={zone}>
+                      <td className="py-1 pr-2">
+                        <label className="flex items-center gap-2 whitespace-nowrap">
+                          <input
+                            type="checkbox"
+                            checked={r.enabled}
+                            onChange={(e) =>
+                              setRate(m, zone, { enabled: e.target.checked })
+                            }
+                          />
+                          {label}
+                        </label>
+                      </td>
+                      {RATE_COLUMNS.map((c) => (
+                        <td key={c.key} className="py-1 pr-2">
+                          <Input
+                            type="number"
+                            min={0}
+                            disabled={!r.enabled}
+                            placeholder={c.key === "freeOver" ? "Không" : ""}
+                            value={r[c.key] ?? ""}
+                            onChange={(e) =>
+                              setRate(m, zone, {
+                                [c.key]:
+                                  c.key === "freeOver" && e.target.value === ""
+                                    ? null
+                                    : Number(e.target.value),
+                              })
+                            }
+                            className="min-w-[90px]"
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+
+      <div className="flex gap-2">
+        <Button
+          onClick={() =>
+            setDraft({ ...draft, methods: [...draft.methods, newMethod()] })
+          }
+        >
+          Thêm phương thức
+        </Button>
+        <Button className="bg-black text-white" onClick={save}>
+          Lưu cấu hình
+        </Button>
+        <Button onClick={() => setDraft(settings)}>Huỷ thay đổi</Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { Badge, Button, Input } from "../components/ui";
+import { LOW_STOCK } from "../lib/inventory";
+import { hasVariants, productStock, variantLabel } from "../lib/variants";
+
+// ----------------------- Admin: stock count -----------------------
+// Open to staff: changes stock levels and nothing else about a product.
+export default function AdminStock({ products, onSave }) {
+  const [query, setQuery] = useState("");
+  const q = query.trim().toLowerCase();
+  const shown = products.filter(
+    (p) =>
+      !q ||
+      p.name.toLowerCase().includes(q) ||
+      (p.sku || "").toLowerCase().includes(q)
+  );
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Tồn kho</div>
+        <Input
+          placeholder="Tìm theo tên hoặc SKU…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+      </div>
+      {/* A row starts over when its stock changes, e.g. after an order. */}
+      {shown.map((p) => (
+        <StockRow
+          key={`${p.id}:${JSON.stringify(levelsOf(p))}`}
+          product={p}
+          onSave={onSave}
+        />
+      ))}
+      {shown.length === 0 && (
+        <div className="text-center text-neutral-500">
+          Không có sản phẩm phù hợp.
+        </div>
+      )}
+    </div>
+  );
+}
+
+const levelsOf = (p) =>
+  hasVariants(p)
+    ? { variants: Object.fromEntries(p.variants.map((v) => [v.id, v.stock])) }
+    : { stock: p.stock };
+
+function StockRow({ product, onSave }) {
+  const [levels, setLevels] = useState(() => levelsOf(product));
+  const changed = JSON.stringify(levels) !== JSON.stringify(levelsOf(product));
+  const total = productStock(product);
+
+  return (
+    <div className="rounded-2xl border p-4 bg-white">
+      <div className="mb-2 flex items-center gap-2">
+        <div className="font-medium">{product.name}</div>
+        {product.sku && (
+          <span className="text-xs text-neutral-500">{product.sku}</span>
+        )}
+        {total <= LOW_STOCK && (
+          <Badge className={total === 0 ? "bg-red-100 text-red-700" : ""}>
+            {total === 0 ? "Hết hàng" : "Sắp hết"}
+          </Badge>
+        )}
+      </div>
+      <div className="flex flex-wrap items-end gap-3">
+        {hasVariants(product) ? (
+          product.variants.map((v) => (
+            <label key={v.id} className="grid gap-1 text-sm">
+              {variantLabel(v)}
+              <Input
+                type="number"
+                min={0}
+                className="w-24"
+                value={levels.variants[v.id]}
+                onChange={(e) =>
+                  setLevels({
+                    variants: { ...levels.variants, [v.id]: e.target.value },
+                  })
+                }
+              />
+            </label>
+          ))
+        ) : (
+          <label className="grid gap-1 text-sm">
+            Số lượng
+            <Input
+              type="number"
+              min={0}
+              className="w-24"
+              value={levels.stock}
+              onChange={(e) => setLevels({ stock: e.target.value })}
+            />
+          </label>
+        )}
+        <Button
+          className="bg-black text-white disabled:opacity-40"
+          disabled={!changed}
+          onClick={() => onSave(product.id, levels)}
+        >
+          Lưu
+        </Button>
+      </div>
+    </div>
+  );
+}
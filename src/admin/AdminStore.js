@@ -0,0 +1,296 @@
+import React, { useState } from "react";
+import { Button, Input } from "../components/ui";
+import RichText from "../components/RichText";
+import { ImageField } from "./fields";
+import {
+  DEFAULT_SITE,
+  SOCIAL_NETWORKS,
+  emptyPolicy,
+  policySlug,
+  validateSite,
+} from "../lib/site";
+
+const CONTACT_FIELDS = [
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Điện thoại" },
+  { key: "address", label: "Địa chỉ" },
+  { key: "hours", label: "Giờ mở cửa" },
+];
+
+const TextArea = ({ className = "", ...props }) => (
+  <textarea
+    className={`min-h-[90px] rounded-xl border p-3 ${className}`}
+    {...props}
+  />
+);
+
+const FORMAT_HINT =
+  "Định dạng: dòng trống tách đoạn, “## ” tiêu đề, “- ” gạch đầu dòng, **đậm**, [chữ](https://liên-kết).";
+
+// ----------------------- Admin: store settings and branding -----------------------
+export default function AdminStore({ site, onSave }) {
+  const [draft, setDraft] = useState(site);
+  const [preview, setPreview] = useState("vi");
+  const en = draft.translations?.en || {};
+
+  const set = (changes) => setDraft((d) => ({ ...d, ...changes }));
+  const setEn = (changes) =>
+    setDraft((d) => ({
+      ...d,
+      translations: {
+        ...d.translations,
+        en: { ...d.translations?.en, ...changes },
+      },
+    }));
+  const setPolicy = (index, changes) =>
+    setDraft((d) => ({
+      ...d,
+      policies: d.policies.map((p, i) =>
+        i === index ? { ...p, ...changes } : p
+      ),
+    }));
+  const setPolicyEn = (index, changes) =>
+    setPolicy(index, {
+      translations: {
+        en: { ...draft.policies[index].translations?.en, ...changes },
+      },
+    });
+
+  const save = () => {
+    const error = validateSite(draft);
+    if (error) {
+      alert(error);
+      return;
+    }
+    const saved = {
+      ...draft,
+      name: draft.name.trim(),
+      policies: draft.policies.map((p) => ({ ...p, slug: policySlug(p) })),
+    };
+    onSave(saved);
+    setDraft(saved);
+    alert("Đã lưu thông tin cửa hàng.");
+  };
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-3 font-semibold">Nhận diện</div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <Input
+            placeholder="Tên cửa hàng"
+            value={draft.name}
+            onChange={(e) => set({ name: e.target.value })}
+          />
+          <div />
+          <Input
+            placeholder="Khẩu hiệu"
+            value={draft.tagline}
+            onChange={(e) => set({ tagline: e.target.value })}
+          />
+          <Input
+            placeholder="Khẩu hiệu (English)"
+            value={en.tagline || ""}
+            onChange={(e) => setEn({ tagline: e.target.value })}
+          />
+          <div>
+            <div className="mb-1 text-sm text-neutral-500">
+              Logo (hiện trên thanh điều hướng)
+            </div>
+            <ImageField
+              value={draft.logo}
+              onChange={(logo) => set({ logo })}
+              label="Tải logo"
+              widths={[160]}
+              previewClassName="h-14 w-14"
+            />
+          </div>
+          <div>
+            <div className="mb-1 text-sm text-neutral-500">
+              Favicon (biểu tượng trên tab trình duyệt)
+            </div>
+            <ImageField
+              value={draft.favicon}
+              onChange={(favicon) => set({ favicon })}
+              label="Tải favicon"
+              widths={[64]}
+              previewClassName="h-8 w-8"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-3 font-semibold">Trang chủ</div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <Input
+            placeholder="Tiêu đề"
+            value={draft.heroTitle}
+            onChange={(e) => set({ heroTitle: e.target.value })}
+          />
+          <Input
+            placeholder="Tiêu đề (English)"
+            value={en.heroTitle || ""}
+            onChange={(e) => setEn({ heroTitle: e.target.value })}
+          />
+          <Input
+            placeholder="Dòng phụ"
+            value={draft.heroSubtitle}
+            onChange={(e) => set({ heroSubtitle: e.target.value })}
+          />
+          <Input
+            placeholder="Dòng phụ (English)"
+            value={en.heroSubtitle || ""}
+            onChange={(e) => setEn({ heroSubtitle: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-1 font-semibold">Giới thiệu</div>
+        <div className="mb-3 text-sm text-neutral-500">{FORMAT_HINT}</div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <TextArea
+            className="min-h-[160px]"
+            placeholder="Nội dung trang giới thiệu"
+            value={draft.about}
+            onChange={(e) => set({ about: e.target.value })}
+          />
+          <TextArea
+            className="min-h-[160px]"
+            placeholder="Nội dung (English, để trống sẽ dùng bản tiếng Việt)"
+            value={en.about || ""}
+            onChange={(e) => setEn({ about: e.target.value })}
+          />
+        </div>
+        <div className="mt-3 rounded-xl border bg-neutral-50 p-4">
+          <div className="mb-2 flex items-center gap-3 text-sm text-neutral-500">
+            Xem trước
+            {["vi", "en"].map((locale) => (
+              <button
+                key={locale}
+                className={preview === locale ? "font-semibold" : "underline"}
+                onClick={() => setPreview(locale)}
+              >
+                {locale.toUpperCase()}
+              </button>
+            ))}
+          </div>
+          <RichText
+            text={preview === "en" && en.about?.trim() ? en.about : draft.about}
+          />
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-3 font-semibold">Liên hệ</div>
+        <div className="grid gap-3 md:grid-cols-2">
+          {CONTACT_FIELDS.map((field) => (
+            <Input
+              key={field.key}
+              placeholder={field.label}
+              value={draft.contact[field.key]}
+              onChange={(e) =>
+                set({
+                  contact: { ...draft.contact, [field.key]: e.target.value },
+                })
+              }
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-1 font-semibold">Mạng xã hội</div>
+        <div className="mb-3 text-sm text-neutral-500">
+          Chỉ những liên kết được điền mới hiện ở chân trang.
+        </div>
+        <div className="grid gap-3 md:grid-cols-2">
+          {Object.entries(SOCIAL_NETWORKS).map(([key, label]) => (
+            <Input
+              key={key}
+              placeholder={`${label} (https://…)`}
+              value={draft.social[key] || ""}
+              onChange={(e) =>
+                set({ social: { ...draft.social, [key]: e.target.value } })
+              }
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-1 font-semibold">Trang chính sách</div>
+        <div className="mb-3 text-sm text-neutral-500">
+          Hiện ở chân trang, mỗi trang tại /chinh-sach/đường-dẫn. {FORMAT_HINT}
+        </div>
+        <div className="grid gap-4">
+          {draft.policies.map((policy, i) => (
+            <div
+              key={i}
+              className="grid gap-3 rounded-xl border p-3 md:grid-cols-2"
+            >
+              <Input
+                placeholder="Tiêu đề"
+                value={policy.title}
+                onChange={(e) => setPolicy(i, { title: e.target.value })}
+              />
+              <Input
+                placeholder="Tiêu đề (English)"
+                value={policy.translations?.en?.title || ""}
+                onChange={(e) => setPolicyEn(i, { title: e.target.value })}
+              />
+              <TextArea
+                placeholder="Nội dung"
+                value={policy.body}
+                onChange={(e) => setPolicy(i, { body: e.target.value })}
+              />
+              <TextArea
+                placeholder="Nội dung (English)"
+                value={policy.translations?.en?.body || ""}
+                onChange={(e) => setPolicyEn(i, { body: e.target.value })}
+              />
+              <Input
+                placeholder="Đường dẫn (để trống: theo tiêu đề)"
+                value={policy.slug}
+                onChange={(e) => setPolicy(i, { slug: e.target.value })}
+              />
+              <div className="flex items-center justify-end">
+                <button
+                  className="text-sm text-red-600 underline"
+                  onClick={() =>
+                    set({ policies: draft.policies.filter((_, j) => j !== i) })
+                  }
+                >
+                  Xoá trang
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <Button
+          className="mt-3"
+          onClick={() => set({ policies: [...draft.policies, emptyPolicy()] })}
+        >
+          Thêm trang
+        </Button>
+      </div>
+
+      <div className="flex gap-2">
+        <Button className="bg-black text-white" onClick={save}>
+          Lưu thông tin cửa hàng
+        </Button>
+        <Button onClick={() => setDraft(site)}>Huỷ thay đổi</Button>
+        <Button
+          onClick={() =>
+            window.confirm(
+              "Khôi phục nội dung mặc định? Thay đổi chưa lưu sẽ mất."
+            ) && setDraft(DEFAULT_SITE)
+          }
+        >
+          Nội dung mặc định
+        </Button>
+      </div>
+    </div>
+  );
+}
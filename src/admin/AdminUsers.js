@@ -0,0 +1,156 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Badge, Button, Input, Select } from "../components/ui";
+import { store } from "../lib/api";
+import { ROLES, validateAccount } from "../lib/auth";
+
+const emptyAccount = () => ({
+  username: "",
+  name: "",
+  role: "staff",
+  password: "",
+});
+
+const ROLE_OPTIONS = Object.entries(ROLES).map(([value, label]) => ({
+  label,
+  value,
+}));
+
+// ----------------------- Admin: accounts -----------------------
+// Owner only. Accounts live in the store, not in the shop data.
+export default function AdminUsers({ user }) {
+  const [users, setUsers] = useState(null);
+  const [draft, setDraft] = useState(emptyAccount);
+  const set = (changes) => setDraft((d) => ({ ...d, ...changes }));
+  const editing = !!draft.id;
+
+  const refresh = useCallback(
+    () =>
+      store
+        .listUsers()
+        .then(setUsers)
+        .catch((err) => alert(err.message)),
+    []
+  );
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const save = async () => {
+    const error = validateAccount(draft, users || [], {
+      requirePassword: !editing,
+    });
+    if (error) {
+      alert(error);
+      return;
+    }
+    try {
+      await store.saveUser(draft);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    alert(
+      editing && draft.password
+        ? "Đã lưu. Tài khoản này cần đăng nhập lại với mật khẩu mới."
+        : "Đã lưu tài khoản."
+    );
+    setDraft(emptyAccount());
+    refresh();
+  };
+
+  const remove = async (account) => {
+    if (!window.confirm(`Xoá tài khoản ${account.username}?`)) return;
+    try {
+      await store.deleteUser(account.id);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    refresh();
+  };
+
+  return (
+    <div className="grid gap-6">
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">
+          {editing ? `Sửa tài khoản ${draft.username}` : "Thêm tài khoản"}
+        </div>
+        <div className="grid gap-3 md:grid-cols-2">
+          <Input
+            placeholder="Tên đăng nhập (VD: nv.lan)"
+            value={draft.username}
+            disabled={editing}
+            onChange={(e) => set({ username: e.target.value.toLowerCase() })}
+          />
+          <Input
+            placeholder="Họ tên"
+            value={draft.name}
+            onChange={(e) => set({ name: e.target.value })}
+          />
+          <Select
+            value={draft.role}
+            onChange={(e) => set({ role: e.target.value })}
+            options={ROLE_OPTIONS}
+          />
+          <Input
+            type="password"
+            autoComplete="new-password"
+            placeholder={
+              editing ? "Mật khẩu mới (để trống nếu giữ nguyên)" : "Mật khẩu"
+            }
+            value={draft.password}
+            onChange={(e) => set({ password: e.target.value })}
+          />
+        </div>
+        <div className="mt-1 text-sm text-neutral-500">
+          Nhân viên chỉ xem, xử lý đơn hàng và cập nhật tồn kho; không sửa được
+          giá, sản phẩm hay cài đặt cửa hàng.
+        </div>
+        <div className="mt-3 flex gap-2">
+          <Button className="bg-black text-white" onClick={save}>
+            Lưu tài khoản
+          </Button>
+          {editing && (
+            <Button onClick={() => setDraft(emptyAccount())}>Huỷ</Button>
+          )}
+        </div>
+      </div>
+
+      <div className="rounded-2xl border p-4 bg-white">
+        <div className="mb-2 font-semibold">Tài khoản quản trị</div>
+        {users === null ? (
+          <div className="text-sm text-neutral-500">Đang tải…</div>
+        ) : (
+          <div className="grid gap-2">
+            {users.map((u) => (
+              <div
+                key={u.id}
+                className="flex items-center gap-3 rounded-xl border p-3"
+              >
+                <div className="flex-1">
+                  <div className="font-medium">
+                    {u.name}{" "}
+                    {u.id === user.id && (
+                      <span className="text-sm text-neutral-500">(bạn)</span>
+                    )}
+                  </div>
+                  <div className="text-sm text-neutral-500">{u.username}</div>
+                </div>
+                <Badge>{ROLES[u.role]}</Badge>
+                <Button onClick={() => setDraft({ ...u, password: "" })}>
+                  Sửa
+                </Button>
+                {u.id !== user.id && (
+                  <Button className="text-red-600" onClick={() => remove(u)}>
+                    Xoá
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useRef, useState } from "react";
+import { Badge, Button, Input } from "../components/ui";
+import {
+  imageUrl,
+  makeCover,
+  moveImage,
+  resizeImage,
+  toImage,
+} from "../lib/images";
+
+// ----------------------- Product photos -----------------------
+// The first photo is the cover. Drag a photo onto another to move it there,
+// or use the arrows.
+export default function GalleryEditor({ images, onChange }) {
+  const list = images.map(toImage).filter(Boolean);
+  const fileRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [dragging, setDragging] = useState(null);
+
+  const onFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (!files.length) return;
+    setBusy(true);
+    try {
+      const added = [];
+      for (const file of files) added.push(await resizeImage(file));
+      onChange([...list, ...added]);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const update = (index, patch) =>
+    onChange(list.map((img, i) => (i === index ? { ...img, ...patch } : img)));
+
+  return (
+    <div className="grid gap-2">
+      <div className="flex items-center gap-3">
+        <input
+          ref={fileRef}
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          onChange={onFiles}
+        />
+        <Button onClick={() => fileRef.current?.click()} disabled={busy}>
+          {busy ? "Đang xử lý ảnh…" : "Tải ảnh"}
+        </Button>
+        {list.length === 0 ? (
+          <Badge>Chưa có ảnh</Badge>
+        ) : (
+          <span className="text-sm text-neutral-500">
+            {list.length} ảnh • kéo thả để sắp xếp
+          </span>
+        )}
+      </div>
+      <div className="grid gap-2 sm:grid-cols-2">
+        {list.map((img, i) => (
+          <div
+            key={img.id}
+            draggable
+            onDragStart={() => setDragging(i)}
+            onDragEnd={() => setDragging(null)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragging != null) onChange(moveImage(list, dragging, i));
+              setDragging(null);
+            }}
+            className={`flex items-center gap-2 rounded-xl border p-2 ${
+              dragging === i ? "opacity-40" : ""
+            }`}
+          >
+            <img
+              src={imageUrl(img, 160)}
+              alt=""
+              className="h-14 w-14 flex-none cursor-move rounded-lg border object-cover"
+            />
+            <div className="grid min-w-0 flex-1 gap-1">
+              <Input
+                aria-label={`Mô tả ảnh ${i + 1}`}
+                placeholder="Mô tả ảnh (alt)"
+                value={img.alt}
+                onChange={(e) => update(i, { alt: e.target.value })}
+              />
+              <div className="flex items-center gap-2 text-xs">
+                {i === 0 ? (
+                  <Badge>Ảnh bìa</Badge>
+                ) : (
+                  <button
+                    className="underline"
+                    onClick={() => onChange(makeCover(list, i))}
+                  >
+                    Đặt làm ảnh bìa
+                  </button>
+                )}
+                <button
+                  aria-label={`Đưa ảnh ${i + 1} lên trước`}
+                  disabled={i === 0}
+                  onClick={() => onChange(moveImage(list, i, i - 1))}
+                  className="disabled:opacity-30"
+                >
+                  ←
+                </button>
+                <button
+                  aria-label={`Đưa ảnh ${i + 1} ra sau`}
+                  disabled={i === list.length - 1}
+                  onClick={() => onChange(moveImage(list, i, i + 1))}
+                  className="disabled:opacity-30"
+                >
+                  →
+                </button>
+                <button
+                  className="ml-auto text-red-600"
+                  onClick={() => onChange(list.filter((_, j) => j !== i))}
+                >
+                  Xoá
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
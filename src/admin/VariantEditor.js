@@ -0,0 +1,195 @@
+import React, { useState } from "react";
+import { Button, Input } from "../components/ui";
+import { OPTION_PRESETS, buildVariants, variantLabel } from "../lib/variants";
+import { resizeImage } from "../lib/images";
+
+// A variant keeps one photo as a plain URL, resized like product photos.
+const readImage = (file, cb) =>
+  resizeImage(file, { widths: [640] }).then(
+    (image) => cb(image.src),
+    (err) => alert(err.message)
+  );
+
+// ----------------------- Variant matrix -----------------------
+export default function VariantEditor({ draft, onChange }) {
+  const options = draft.options || [];
+  const variants = draft.variants || [];
+  const [newValue, setNewValue] = useState({});
+
+  const setOptions = (next) =>
+    onChange({
+      ...draft,
+      options: next,
+      variants: buildVariants({ ...draft, options: next }),
+    });
+
+  const updateOption = (idx, patch) =>
+    setOptions(options.map((o, i) => (i === idx ? { ...o, ...patch } : o)));
+
+  const addValue = (idx) => {
+    const value = (newValue[idx] || "").trim();
+    if (!value || options[idx].values.includes(value)) return;
+    updateOption(idx, { values: [...options[idx].values, value] });
+    setNewValue((s) => ({ ...s, [idx]: "" }));
+  };
+
+  const addOption = () => {
+    const name =
+      OPTION_PRESETS.find((n) => !options.some((o) => o.name === n)) || "";
+    setOptions([...options, { name, values: [] }]);
+  };
+
+  const updateVariant = (id, patch) =>
+    onChange({
+      ...draft,
+      variants: variants.map((v) => (v.id === id ? { ...v, ...patch } : v)),
+    });
+
+  return (
+    <div className="grid gap-3">
+      <div className="flex items-center justify-between">
+        <div className="font-medium">Biến thể</div>
+        <Button onClick={addOption}>+ Thuộc tính</Button>
+      </div>
+
+      {options.map((o, idx) => (
+        <div key={idx} className="grid gap-2 rounded-xl border p-3">
+          <div className="flex gap-2">
+            <Input
+              placeholder="Tên thuộc tính (Size, Màu…)"
+              list="vk-option-presets"
+              value={o.name}
+              onChange={(e) => updateOption(idx, { name: e.target.value })}
+            />
+            <Button
+              className="text-red-600"
+              onClick={() => setOptions(options.filter((_, i) => i !== idx))}
+            >
+              Xoá
+            </Button>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {o.values.map((value) => (
+              <span
+                key={value}
+                className="inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-sm"
+              >
+                {value}
+                <button
+                  onClick={() =>
+                    updateOption(idx, {
+                      values: o.values.filter((v) => v !== value),
+                    })
+                  }
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            <Input
+              className="w-40"
+              placeholder="Thêm giá trị ⏎"
+              value={newValue[idx] || ""}
+              onChange={(e) =>
+                setNewValue((s) => ({ ...s, [idx]: e.target.value }))
+              }
+              onKeyDown={(e) => {
+                if (e.key !== "Enter") return;
+                e.preventDefault();
+                addValue(idx);
+              }}
+            />
+          </div>
+        </div>
+      ))}
+      <datalist id="vk-option-presets">
+        {OPTION_PRESETS.map((n) => (
+          <option key={n} value={n} />
+        ))}
+      </datalist>
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-neutral-500">
+              <tr>
+                <th className="py-1 pr-2">Biến thể</th>
+                <th className="py-1 pr-2">SKU</th>
+                <th className="py-1 pr-2">Giá</th>
+                <th className="py-1 pr-2">Tồn</th>
+                <th className="py-1">Ảnh</th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((v) => (
+                <tr key={v.id} className="border-t">
+                  <td className="py-1 pr-2 whitespace-nowrap">
+                    {variantLabel(v)}
+                  </td>
+                  <td className="py-1 pr-2">
+                    <Input
+                      value={v.sku}
+                      onChange={(e) =>
+                        updateVariant(v.id, { sku: e.target.value })
+                      }
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <Input
+                      type="number"
+                      placeholder={String(draft.price)}
+                      value={v.price ?? ""}
+                      onChange={(e) =>
+                        updateVariant(v.id, {
+                          price:
+                            e.target.value === ""
+                              ? null
+                              : Number(e.target.value),
+                        })
+                      }
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <Input
+                      type="number"
+                      className="w-20"
+                      value={v.stock}
+                      onChange={(e) =>
+                        updateVariant(v.id, { stock: Number(e.target.value) })
+                      }
+                    />
+                  </td>
+                  <td className="py-1">
+                    <label className="cursor-pointer">
+                      <input
+                        type="file"
+                        accept="image/*"
+                        className="hidden"
+                        onChange={(e) => {
+                          const file = e.target.files?.[0];
+                          if (file)
+                            readImage(file, (image) =>
+                              updateVariant(v.id, { image })
+                            );
+                        }}
+                      />
+                      {v.image ? (
+                        <img
+                          src={v.image}
+                          alt=""
+                          className="h-9 w-9 rounded-lg object-cover border"
+                        />
+                      ) : (
+                        <span className="rounded-xl border px-2 py-1">＋</span>
+                      )}
+                    </label>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
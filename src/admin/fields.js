@@ -0,0 +1,87 @@
+import React, { useRef } from "react";
+import { Badge, Button } from "../components/ui";
+import { resizeImage } from "../lib/images";
+
+// ----------------------- Admin: shared form fields -----------------------
+// Saves `text` as a file through the browser.
+export const download = (name, type, text) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// A row of checkboxes picking several `values` ({ label, value }).
+export const CheckList = ({ values, selected, onChange, label }) => (
+  <div className="flex flex-wrap gap-2">
+    {values.map((v) => (
+      <label
+        key={v.value}
+        className="flex items-center gap-2 rounded-xl border px-3 py-1 text-sm"
+      >
+        <input
+          type="checkbox"
+          checked={selected.includes(v.value)}
+          onChange={(e) =>
+            onChange(
+              e.target.checked
+                ? [...selected, v.value]
+                : selected.filter((x) => x !== v.value)
+            )
+          }
+        />
+        {v.label}
+      </label>
+    ))}
+    {values.length === 0 && (
+      <span className="text-sm text-neutral-500">Chưa có {label}.</span>
+    )}
+  </div>
+);
+
+// One picture (a banner by default), resized and kept inline as a data URL.
+export const ImageField = ({
+  value,
+  onChange,
+  label = "Tải ảnh",
+  widths = [1600],
+  previewClassName = "h-14 w-24",
+}) => {
+  const fileRef = useRef(null);
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    resizeImage(file, { widths }).then(
+      (image) => onChange(image.src),
+      (err) => alert(err.message)
+    );
+  };
+  return (
+    <div className="flex items-center gap-3">
+      <input
+        ref={fileRef}
+        type="file"
+        accept="image/*"
+        className="hidden"
+        onChange={onFile}
+      />
+      <Button onClick={() => fileRef.current?.click()}>{label}</Button>
+      {value ? (
+        <>
+          <img
+            src={value}
+            alt=""
+            className={`${previewClassName} rounded-lg border object-cover`}
+          />
+          <button className="text-sm underline" onClick={() => onChange(null)}>
+            Bỏ ảnh
+          </button>
+        </>
+      ) : (
+        <Badge>Chưa có ảnh</Badge>
+      )}
+    </div>
+  );
+};
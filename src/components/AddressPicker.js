@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from "react";
+import SearchableSelect from "./SearchableSelect";
+import {
+  ADDRESS_SCHEMES,
+  hasDistricts,
+  loadAddressData,
+  searchUnits,
+} from "../lib/address";
+import { useI18n } from "../lib/useI18n";
+
+const CLEARED = {
+  province: "",
+  provinceCode: "",
+  district: "",
+  districtCode: "",
+  ward: "",
+  wardCode: "",
+};
+
+const FieldError = ({ error }) =>
+  error ? <div className="mt-1 text-sm text-red-600">{error}</div> : null;
+
+/**
+ * Cascading Tỉnh/Thành → (Quận/Huyện →) Phường/Xã picker. `value` holds the
+ * names and codes of each level plus `addressScheme`; changes come back as a
+ * patch through `onChange`.
+ */
+export default function AddressPicker({
+  value,
+  errors = {},
+  onChange,
+  onBlur,
+}) {
+  const { t } = useI18n();
+  const scheme = value.addressScheme;
+  const threeLevels = hasDistricts(scheme);
+  const [provinces, setProvinces] = useState([]);
+
+  useEffect(() => {
+    let live = true;
+    loadAddressData(scheme).then((units) => live && setProvinces(units));
+    return () => {
+      live = false;
+    };
+  }, [scheme]);
+
+  const province = provinces.find((p) => p.code === value.provinceCode);
+  const districts = threeLevels ? province?.children || [] : [];
+  const district = districts.find((d) => d.code === value.districtCode);
+  const wards = threeLevels
+    ? district?.children || []
+    : province?.children || [];
+
+  return (
+    <div className="grid gap-2">
+      <div className="flex flex-wrap gap-3 text-sm">
+        {Object.keys(ADDRESS_SCHEMES).map((key) => (
+          <label key={key} className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="addressScheme"
+              checked={scheme === key}
+              onChange={() => onChange({ ...CLEARED, addressScheme: key })}
+            />
+            {t(`address.scheme.${key}`)}
+          </label>
+        ))}
+      </div>
+      <div
+        className={`grid grid-cols-1 gap-2 ${
+          threeLevels ? "md:grid-cols-3" : "md:grid-cols-2"
+        }`}
+      >
+        <div>
+          <SearchableSelect
+            placeholder={t("address.province")}
+            options={provinces}
+            search={searchUnits}
+            value={value.province}
+            invalid={!!errors.province}
+            onBlur={() => onBlur("province")}
+            onChange={(p) =>
+              onChange({ ...CLEARED, province: p.name, provinceCode: p.code })
+            }
+          />
+          <FieldError error={errors.province} />
+        </div>
+        {threeLevels && (
+          <div>
+            <SearchableSelect
+              placeholder={t("address.district")}
+              options={districts}
+              search={searchUnits}
+              value={value.district}
+              disabled={!province}
+              invalid={!!errors.district}
+              onBlur={() => onBlur("district")}
+              onChange={(d) =>
+                onChange({
+                  district: d.name,
+                  districtCode: d.code,
+                  ward: "",
+                  wardCode: "",
+                })
+              }
+            />
+            <FieldError error={errors.district} />
+          </div>
+        )}
+        <div>
+          <SearchableSelect
+            placeholder={t("address.ward")}
+            options={wards}
+            search={searchUnits}
+            value={value.ward}
+            disabled={threeLevels ? !district : !province}
+            invalid={!!errors.ward}
+            onBlur={() => onBlur("ward")}
+            onChange={(w) => onChange({ ward: w.name, wardCode: w.code })}
+          />
+          <FieldError error={errors.ward} />
+        </div>
+      </div>
+    </div>
+  );
+}
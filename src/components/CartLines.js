@@ -0,0 +1,88 @@
+import React from "react";
+import { Button, Input } from "./ui";
+import { useI18n } from "../lib/useI18n";
+
+// Cart line list, used by both the mini-cart drawer and the /gio-hang page.
+export default function CartLines({
+  cart,
+  issues = {},
+  onUpdateQty,
+  onRemove,
+}) {
+  const { t, vnd } = useI18n();
+  if (cart.length === 0)
+    return (
+      <div className="text-center text-neutral-600">{t("cart.empty")}</div>
+    );
+
+  return (
+    <div className="space-y-4">
+      {cart.map((i) => (
+        <div
+          key={i.id}
+          className={`flex gap-3 rounded-2xl border p-3 ${
+            issues[i.id] ? "border-red-300 bg-red-50" : ""
+          }`}
+        >
+          <div className="h-20 w-20 overflow-hidden rounded-xl bg-gray-100">
+            {i.image ? (
+              <img
+                src={i.image}
+                alt=""
+                className="h-full w-full object-cover"
+              />
+            ) : (
+              <div className="grid h-full w-full place-items-center">🛍️</div>
+            )}
+          </div>
+          <div className="flex-1">
+            <div className="font-medium">{i.name}</div>
+            {i.variantLabel && (
+              <div className="text-xs text-neutral-500">{i.variantLabel}</div>
+            )}
+            <div className="text-sm text-neutral-500">
+              {vnd(i.price)}
+              {i.priceWas != null && (
+                <span className="ml-2 text-amber-700">
+                  {t("cart.priceChanged", { was: vnd(i.priceWas) })}
+                </span>
+              )}
+            </div>
+            {issues[i.id] && (
+              <div className="mt-1 text-sm text-red-600">
+                {issues[i.id].available > 0
+                  ? t("cart.issueFewer", { count: issues[i.id].available })
+                  : t("cart.issueSoldOut")}
+              </div>
+            )}
+            <div className="mt-2 flex items-center gap-2">
+              <button
+                className="rounded-full border px-2"
+                onClick={() => onUpdateQty(i.id, i.qty - 1)}
+              >
+                -
+              </button>
+              <Input
+                type="number"
+                value={i.qty}
+                onChange={(e) => onUpdateQty(i.id, Number(e.target.value))}
+                className="w-16 text-center"
+              />
+              <button
+                className="rounded-full border px-2"
+                onClick={() => onUpdateQty(i.id, i.qty + 1)}
+              >
+                +
+              </button>
+              <div className="ml-auto">
+                <Button className="text-red-600" onClick={() => onRemove(i.id)}>
+                  {t("cart.remove")}
+                </Button>
+              </div>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useId } from "react";
+import { useI18n } from "../lib/useI18n";
+import { RATING_OPTIONS } from "../lib/filters";
+
+const Section = ({ title, children }) => (
+  <div className="border-b py-4 first:pt-0 last:border-b-0">
+    <div className="mb-2 text-sm font-semibold">{title}</div>
+    {children}
+  </div>
+);
+
+const Toggle = ({ checked, onChange, children }) => (
+  <label className="flex items-center gap-2 py-1 text-sm">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+    />
+    {children}
+  </label>
+);
+
+/**
+ * Shop filters (see lib/filters.js): the desktop sidebar and the mobile
+ * sheet. `onChange(changes, options)` gets only the filters that changed.
+ */
+export default function FilterPanel({ filters, facets, bounds, onChange }) {
+  const { t, money } = useI18n();
+  // The sidebar and the mobile sheet are both mounted; keep their radio
+  // groups apart.
+  const group = useId();
+  const low = filters.minPrice ?? bounds.min;
+  const high = filters.maxPrice ?? bounds.max;
+  // The slider ends mean "no bound", so the filter follows catalogue prices.
+  const setPrice = (min, max) =>
+    onChange(
+      {
+        minPrice: min <= bounds.min ? null : min,
+        maxPrice: max >= bounds.max ? null : max,
+      },
+      { replace: true }
+    );
+
+  return (
+    <div>
+      <Section title={t("filters.category")}>
+        <div className="grid gap-1 text-sm">
+          {[{ name: "all", count: null, depth: 0 }, ...facets].map((c) => (
+            <label
+              key={c.name}
+              className="flex items-center gap-2"
+              style={{ paddingLeft: c.depth * 16 }}
+            >
+              <input
+                type="radio"
+                name={`${group}-category`}
+                checked={filters.category === c.name}
+                onChange={() => onChange({ category: c.name })}
+              />
+              <span className="flex-1">
+                {c.name === "all" ? t("filters.all") : c.name}
+              </span>
+              {c.count != null && (
+                <span className="text-neutral-500">{c.count}</span>
+              )}
+            </label>
+          ))}
+        </div>
+      </Section>
+
+      {bounds.max > bounds.min && (
+        <Section title={t("filters.price")}>
+          <div className="mb-2 text-sm text-neutral-600">
+            {money(low)} – {money(high)}
+          </div>
+          <div className="grid gap-1">
+            <input
+              type="range"
+              aria-label={t("filters.priceFrom")}
+              min={bounds.min}
+              max={bounds.max}
+              step={1000}
+              value={low}
+              onChange={(e) =>
+                setPrice(Math.min(Number(e.target.value), high), high)
+              }
+            />
+            <input
+              type="range"
+              aria-label={t("filters.priceTo")}
+              min={bounds.min}
+              max={bounds.max}
+              step={1000}
+              value={high}
+              onChange={(e) =>
+                setPrice(low, Math.max(Number(e.target.value), low))
+              }
+            />
+          </div>
+        </Section>
+      )}
+
+      <Section title={t("filters.rating")}>
+        <div className="grid gap-1 text-sm">
+          {[0, ...RATING_OPTIONS].map((r) => (
+            <label key={r} className="flex items-center gap-2">
+              <input
+                type="radio"
+                name={`${group}-rating`}
+                checked={filters.rating === r}
+                onChange={() => onChange({ rating: r })}
+              />
+              {r ? t("filters.ratingAtLeast", { rating: r }) : t("filters.all")}
+            </label>
+          ))}
+        </div>
+      </Section>
+
+      <Section title={t("filters.other")}>
+        <Toggle
+          checked={filters.inStock}
+          onChange={(v) => onChange({ inStock: v })}
+        >
+          {t("filters.inStock")}
+        </Toggle>
+        <Toggle checked={filters.sale} onChange={(v) => onChange({ sale: v })}>
+          {t("filters.sale")}
+        </Toggle>
+        <Toggle
+          checked={filters.newArrival}
+          onChange={(v) => onChange({ newArrival: v })}
+        >
+          {t("filters.newArrival")}
+        </Toggle>
+      </Section>
+    </div>
+  );
+}
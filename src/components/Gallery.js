@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import { PlaceholderImage } from "./ui";
+import { imageUrl, srcSet } from "../lib/images";
+import { useI18n } from "../lib/useI18n";
+
+const SWIPE = 40; // px of horizontal travel that turns the page
+
+/**
+ * Product photo gallery for the quick view and product page: the big image
+ * with thumbnails below. Swipe or use the arrows to page through; click (or
+ * tap) the big image to zoom in where the pointer is, again to zoom out.
+ * `images` are image records (see lib/images.js).
+ */
+export default function Gallery({ images, alt }) {
+  const { t } = useI18n();
+  const [index, setIndex] = useState(0);
+  const [zoom, setZoom] = useState(null); // { x, y } in % while zoomed
+  const [touchX, setTouchX] = useState(null);
+
+  if (!images.length) return <PlaceholderImage />;
+  const current = images[Math.min(index, images.length - 1)];
+  const go = (step) => {
+    setZoom(null);
+    setIndex((i) => (i + step + images.length) % images.length);
+  };
+  const pointAt = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    return {
+      x: ((e.clientX - box.left) / (box.width || 1)) * 100,
+      y: ((e.clientY - box.top) / (box.height || 1)) * 100,
+    };
+  };
+
+  return (
+    <div className="grid gap-3">
+      <div
+        className="relative overflow-hidden rounded-2xl border bg-white"
+        tabIndex={0}
+        onKeyDown={(e) => {
+          if (e.key === "ArrowLeft") go(-1);
+          if (e.key === "ArrowRight") go(1);
+          if (e.key === "Escape") setZoom(null);
+        }}
+        onTouchStart={(e) => setTouchX(e.touches[0].clientX)}
+        onTouchEnd={(e) => {
+          const dx = e.changedTouches[0].clientX - touchX;
+          setTouchX(null);
+          if (!zoom && images.length > 1 && Math.abs(dx) > SWIPE)
+            go(dx < 0 ? 1 : -1);
+        }}
+      >
+        <img
+          src={imageUrl(current, 1280)}
+          srcSet={srcSet(current)}
+          sizes="(min-width: 768px) 50vw, 100vw"
+          alt={current.alt || alt}
+          draggable={false}
+          onClick={(e) => setZoom(zoom ? null : pointAt(e))}
+          onMouseMove={(e) => zoom && setZoom(pointAt(e))}
+          className={`aspect-square w-full object-cover transition-transform duration-200 ${
+            zoom ? "cursor-zoom-out" : "cursor-zoom-in"
+          }`}
+          style={
+            zoom
+              ? {
+                  transform: "scale(2.5)",
+                  transformOrigin: `${zoom.x}% ${zoom.y}%`,
+                }
+              : undefined
+          }
+        />
+        {images.length > 1 && (
+          <>
+            <button
+              aria-label={t("gallery.previous")}
+              onClick={() => go(-1)}
+              className="absolute left-2 top-1/2 -translate-y-1/2 rounded-full bg-white/80 px-3 py-1 shadow"
+            >
+              ‹
+            </button>
+            <button
+              aria-label={t("gallery.next")}
+              onClick={() => go(1)}
+              className="absolute right-2 top-1/2 -translate-y-1/2 rounded-full bg-white/80 px-3 py-1 shadow"
+            >
+              ›
+            </button>
+            <div className="absolute bottom-2 right-2 rounded-full bg-black/60 px-2 text-xs text-white">
+              {images.indexOf(current) + 1}/{images.length}
+            </div>
+          </>
+        )}
+      </div>
+      {images.length > 1 && (
+        <div className="flex gap-2 overflow-x-auto">
+          {images.map((img, i) => (
+            <button
+              key={img.id}
+              aria-label={t("gallery.show", { n: i + 1 })}
+              aria-current={img === current}
+              onClick={() => {
+                setZoom(null);
+                setIndex(i);
+              }}
+              className={`h-16 w-16 flex-none overflow-hidden rounded-lg border-2 ${
+                img === current ? "border-black" : "border-transparent"
+              }`}
+            >
+              <img
+                src={imageUrl(img, 160)}
+                alt=""
+                className="h-full w-full object-cover"
+              />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React from "react";
+import { Badge, Button } from "./ui";
+import StockBadge from "./StockBadge";
+import ProductImage from "./ProductImage";
+import WishButton from "./WishButton";
+import { coverImage } from "../lib/images";
+import { useI18n } from "../lib/useI18n";
+import { isNewArrival, isOnSale } from "../lib/filters";
+import { hasVariants, priceRange, productStock } from "../lib/variants";
+
+// A product in a listing grid (shop, collections). The heart shows when
+// `onToggleWish` is given.
+export default function ProductCard({
+  product: p,
+  onQuickView,
+  onAddToCart,
+  wished = false,
+  onToggleWish,
+}) {
+  const { t, money } = useI18n();
+  const price = money(priceRange(p)[0]);
+  return (
+    <article className="relative rounded-3xl bg-white border hover:shadow-md transition overflow-hidden">
+      {onToggleWish && (
+        <WishButton
+          wished={wished}
+          onClick={() => onToggleWish(p)}
+          className="absolute right-2 top-2 z-10"
+        />
+      )}
+      <button onClick={() => onQuickView(p)} className="relative block w-full">
+        <div className="absolute left-2 top-2 flex gap-1">
+          {isOnSale(p) && (
+            <Badge className="border-red-200 bg-red-50 text-red-700">
+              {t("product.sale")}
+            </Badge>
+          )}
+          {isNewArrival(p) && (
+            <Badge className="bg-white">{t("product.new")}</Badge>
+          )}
+        </div>
+        <ProductImage
+          image={coverImage(p)}
+          alt={p.name}
+          width={320}
+          className="aspect-square w-full object-cover"
+        />
+      </button>
+      <div className="p-4">
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-sm text-neutral-500">{p.category}</div>
+          <StockBadge stock={productStock(p)} />
+        </div>
+        <h3 className="mt-1 font-semibold leading-tight line-clamp-2">
+          {p.name}
+        </h3>
+        <div className="mt-1 flex items-center justify-between">
+          <div className="text-lg font-bold">
+            {hasVariants(p) ? t("product.from", { price }) : price}
+            {isOnSale(p) && (
+              <span className="ml-1 text-sm font-normal text-neutral-400 line-through">
+                {money(p.compareAtPrice)}
+              </span>
+            )}
+          </div>
+          {p.reviewCount > 0 && (
+            <Badge>
+              ★ {p.rating} ({p.reviewCount})
+            </Badge>
+          )}
+        </div>
+        <div className="mt-3 flex gap-2">
+          <Button
+            className="bg-black text-white flex-1 disabled:opacity-40"
+            disabled={productStock(p) <= 0}
+            onClick={() => onAddToCart(p)}
+          >
+            {t("product.addToCart")}
+          </Button>
+          <Button className="flex-1" onClick={() => onQuickView(p)}>
+            {t("product.quickView")}
+          </Button>
+        </div>
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Button } from "./ui";
+import { productSlug } from "../lib/utils";
+import { useI18n } from "../lib/useI18n";
+import {
+  findVariant,
+  hasVariants,
+  priceRange,
+  productStock,
+  variantPrice,
+} from "../lib/variants";
+import { productImages, toImage } from "../lib/images";
+import { stockOf } from "../lib/inventory";
+import StockBadge from "./StockBadge";
+import Gallery from "./Gallery";
+import WishButton from "./WishButton";
+import { isWished } from "../lib/wishlist";
+
+// Shared body of the quick view modal and the /san-pham/:slug page.
+export default function ProductDetail({
+  product,
+  onAddToCart,
+  onBuyNow,
+  wishlist,
+  onToggleWish,
+  showDetailLink = false,
+}) {
+  const { t, money } = useI18n();
+  const [selection, setSelection] = useState({});
+  const withVariants = hasVariants(product);
+  const variant = withVariants ? findVariant(product, selection) : null;
+  const stock = variant ? stockOf(product, variant) : productStock(product);
+  const ready = (!withVariants || !!variant) && stock > 0;
+  // A variant's own photo leads the gallery once it is picked.
+  const images = [toImage(variant?.image), ...productImages(product)].filter(
+    Boolean
+  );
+  const [min, max] = priceRange(product);
+
+  return (
+    <div className="grid gap-6 md:grid-cols-2">
+      <Gallery
+        key={variant?.image ? variant.id : "product"}
+        images={images}
+        alt={product.name}
+      />
+      <div>
+        <h3 className="text-2xl font-semibold">{product.name}</h3>
+        <div className="mt-1 flex items-center gap-2 text-neutral-500">
+          {product.category}
+          {product.reviewCount > 0 &&
+            ` • ★ ${product.rating} (${t("product.reviewCount", {
+              count: product.reviewCount,
+            })})`}
+          <StockBadge stock={stock} />
+        </div>
+        <div className="mt-3 text-3xl font-bold">
+          {variant || min === max
+            ? money(variantPrice(product, variant))
+            : `${money(min)} – ${money(max)}`}
+        </div>
+        <p className="mt-3 text-neutral-700">{product.description}</p>
+        {withVariants && (
+          <div className="mt-4 grid gap-3">
+            {product.options.map((o) => (
+              <div key={o.name}>
+                <div className="mb-1 text-sm font-medium">{o.name}</div>
+                <div className="flex flex-wrap gap-2">
+                  {o.values.map((value) => (
+                    <button
+                      key={value}
+                      onClick={() =>
+                        setSelection((s) => ({ ...s, [o.name]: value }))
+                      }
+                      className={`rounded-xl border px-3 py-1 text-sm ${
+                        selection[o.name] === value ? "bg-black text-white" : ""
+                      }`}
+                    >
+                      {value}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+            {variant?.sku && (
+              <div className="text-xs text-neutral-500">SKU: {variant.sku}</div>
+            )}
+          </div>
+        )}
+        <div className="mt-5 flex gap-3">
+          <Button
+            className="bg-black text-white disabled:opacity-40"
+            disabled={!ready}
+            onClick={() => onAddToCart(product, 1, variant)}
+          >
+            {t("product.addToCart")}
+          </Button>
+          <Button
+            className="disabled:opacity-40"
+            disabled={!ready}
+            onClick={() => onBuyNow(product, variant)}
+          >
+            {t("product.buyNow")}
+          </Button>
+          {onToggleWish && (
+            // Saves the size/colour picked so far, if any.
+            <WishButton
+              wished={isWished(wishlist, product.id, variant?.id)}
+              onClick={() => onToggleWish(product, variant?.id)}
+              className="h-auto w-11 rounded-xl"
+            />
+          )}
+        </div>
+        {withVariants && !variant && (
+          <div className="mt-2 text-sm text-neutral-500">
+            {t("product.pickOptions", {
+              options: product.options.map((o) => o.name).join(", "),
+            })}
+          </div>
+        )}
+        {showDetailLink && (
+          <Link
+            to={`/san-pham/${productSlug(product)}`}
+            className="mt-4 inline-block text-sm underline text-neutral-600"
+          >
+            {t("product.details")}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
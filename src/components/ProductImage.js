@@ -0,0 +1,29 @@
+import React from "react";
+import { PlaceholderImage } from "./ui";
+import { imageUrl, srcSet, toImage } from "../lib/images";
+
+/**
+ * One product image (see lib/images.js). `width` is about how wide it shows,
+ * so the browser can pick a resized copy; the image's own alt text wins over
+ * `alt`. Without an image it shows `fallback` (the placeholder by default).
+ */
+export default function ProductImage({
+  image,
+  alt = "",
+  width,
+  className = "",
+  fallback = <PlaceholderImage />,
+}) {
+  const img = toImage(image);
+  if (!img) return fallback;
+  return (
+    <img
+      src={imageUrl(img, width)}
+      srcSet={srcSet(img)}
+      sizes={width ? `${width}px` : undefined}
+      alt={img.alt || alt}
+      loading="lazy"
+      className={className}
+    />
+  );
+}
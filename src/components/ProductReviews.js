@@ -0,0 +1,261 @@
+import React, { useRef, useState } from "react";
+import { Badge, Button, Input } from "./ui";
+import Stars from "./Stars";
+import { imageUrl, resizeImage } from "../lib/images";
+import {
+  MAX_REVIEW_PHOTOS,
+  REVIEW_PHOTO_WIDTHS,
+  approvedReviews,
+  emptyReview,
+  ratingSummary,
+  validateReview,
+} from "../lib/reviews";
+import { useI18n } from "../lib/useI18n";
+
+const DAY = { year: "numeric", month: "numeric", day: "numeric" };
+
+// Reviews under the product page: the rating summary, approved reviews with
+// the shop's replies, and a form to write one.
+export default function ProductReviews({
+  product,
+  reviews,
+  storeName,
+  onSubmit,
+}) {
+  const { t, date } = useI18n();
+  const summary = ratingSummary(reviews, product.id);
+  const list = approvedReviews(reviews, product.id);
+  const [writing, setWriting] = useState(false);
+
+  return (
+    <div className="grid gap-4">
+      <div className="flex flex-wrap items-center gap-6">
+        <div>
+          <div className="text-lg font-semibold">{t("reviews.title")}</div>
+          {summary.count > 0 ? (
+            <div className="flex items-center gap-2">
+              <span className="text-3xl font-bold">{summary.average}</span>
+              <Stars value={summary.average} />
+              <span className="text-sm text-neutral-500">
+                ({t("product.reviewCount", { count: summary.count })})
+              </span>
+            </div>
+          ) : (
+            <div className="text-sm text-neutral-500">{t("reviews.none")}</div>
+          )}
+        </div>
+        {summary.count > 0 && (
+          <div className="grid gap-1 text-sm">
+            {[5, 4, 3, 2, 1].map((n) => (
+              <div key={n} className="flex items-center gap-2">
+                <span className="w-8">{n}★</span>
+                <div className="h-2 w-32 overflow-hidden rounded-full bg-neutral-100">
+                  <div
+                    className="h-full bg-amber-400"
+                    style={{
+                      width: `${(summary.stars[n] / summary.count) * 100}%`,
+                    }}
+                  />
+                </div>
+                <span className="text-neutral-500">{summary.stars[n]}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {!writing && (
+          <Button className="ml-auto" onClick={() => setWriting(true)}>
+            {t("reviews.write")}
+          </Button>
+        )}
+      </div>
+
+      {writing && (
+        <ReviewForm
+          productId={product.id}
+          onSubmit={onSubmit}
+          onDone={() => setWriting(false)}
+        />
+      )}
+
+      {list.map((r) => (
+        <div key={r.id} className="border-t pt-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-medium">{r.name}</span>
+            <Stars value={r.rating} />
+            {r.verified && (
+              <Badge className="border-green-200 bg-green-50 text-green-700">
+                {t("reviews.verified")}
+              </Badge>
+            )}
+            <span className="text-sm text-neutral-500">
+              {date(r.createdAt, DAY)}
+            </span>
+          </div>
+          <p className="mt-1 whitespace-pre-line text-neutral-700">{r.text}</p>
+          {r.photos?.length > 0 && (
+            <div className="mt-2 flex gap-2">
+              {r.photos.map((photo, i) => (
+                <a
+                  key={photo.id}
+                  href={imageUrl(photo)}
+                  target="_blank"
+                  rel="noreferrer"
+                >
+                  <img
+                    src={imageUrl(photo, 320)}
+                    alt={t("reviews.photoAlt", { n: i + 1, name: r.name })}
+                    className="h-20 w-20 rounded-lg border object-cover"
+                  />
+                </a>
+              ))}
+            </div>
+          )}
+          {r.reply && (
+            <div className="mt-2 rounded-xl bg-neutral-50 p-3 text-sm">
+              <div className="font-medium">
+                {t("reviews.reply", { name: storeName })}
+              </div>
+              <p className="whitespace-pre-line">{r.reply.text}</p>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ReviewForm({ productId, onSubmit, onDone }) {
+  const { t, msg } = useI18n();
+  const [draft, setDraft] = useState(() => emptyReview(productId));
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const fileRef = useRef(null);
+  const edit = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  const onFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    const room = MAX_REVIEW_PHOTOS - draft.photos.length;
+    if (files.length > room)
+      alert(t("reviews.tooManyPhotos", { max: MAX_REVIEW_PHOTOS }));
+    try {
+      const added = [];
+      for (const file of files.slice(0, room))
+        added.push(await resizeImage(file, { widths: REVIEW_PHOTO_WIDTHS }));
+      setDraft((d) => ({ ...d, photos: [...d.photos, ...added] }));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const submit = async () => {
+    const problem = validateReview(draft);
+    setError(msg(problem) || "");
+    if (problem) return;
+    setBusy(true);
+    try {
+      const review = await onSubmit(draft);
+      alert(
+        t(
+          draft.orderCode.trim() && !review.verified
+            ? "reviews.thanksUnverified"
+            : "reviews.thanks"
+        )
+      );
+      onDone();
+    } catch (err) {
+      setError(msg(err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="grid gap-3 rounded-2xl border p-4">
+      <div className="flex items-center gap-1">
+        {[1, 2, 3, 4, 5].map((n) => (
+          <button
+            key={n}
+            aria-label={t("reviews.stars", { n, count: n })}
+            aria-pressed={draft.rating === n}
+            onClick={() => edit({ rating: n })}
+            className={`text-2xl ${
+              n <= draft.rating ? "text-amber-500" : "text-neutral-300"
+            }`}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+      <Input
+        placeholder={t("reviews.name")}
+        value={draft.name}
+        onChange={(e) => edit({ name: e.target.value })}
+      />
+      <textarea
+        className="min-h-[90px] rounded-xl border p-3"
+        placeholder={t("reviews.text")}
+        value={draft.text}
+        onChange={(e) => edit({ text: e.target.value })}
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          ref={fileRef}
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          onChange={onFiles}
+        />
+        <Button
+          disabled={draft.photos.length >= MAX_REVIEW_PHOTOS}
+          onClick={() => fileRef.current?.click()}
+        >
+          {t("reviews.addPhoto", {
+            count: draft.photos.length,
+            max: MAX_REVIEW_PHOTOS,
+          })}
+        </Button>
+        {draft.photos.map((photo, i) => (
+          <button
+            key={photo.id}
+            aria-label={t("reviews.removePhoto", { n: i + 1 })}
+            onClick={() =>
+              edit({ photos: draft.photos.filter((p) => p !== photo) })
+            }
+          >
+            <img
+              src={imageUrl(photo, 320)}
+              alt=""
+              className="h-14 w-14 rounded-lg border object-cover"
+            />
+          </button>
+        ))}
+      </div>
+      <div className="grid gap-2 md:grid-cols-2">
+        <Input
+          placeholder={t("reviews.orderCode")}
+          value={draft.orderCode}
+          onChange={(e) => edit({ orderCode: e.target.value })}
+        />
+        <Input
+          placeholder={t("reviews.phone")}
+          value={draft.phone}
+          onChange={(e) => edit({ phone: e.target.value })}
+        />
+      </div>
+      <div className="text-xs text-neutral-500">{t("reviews.verifyHint")}</div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <div className="flex gap-2">
+        <Button
+          className="bg-black text-white disabled:opacity-40"
+          disabled={busy}
+          onClick={submit}
+        >
+          {t(busy ? "reviews.sending" : "reviews.submit")}
+        </Button>
+        <Button onClick={onDone}>{t("common.cancel")}</Button>
+      </div>
+    </div>
+  );
+}
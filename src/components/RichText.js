@@ -0,0 +1,57 @@
+import React, { useMemo } from "react";
+import { Link } from "react-router-dom";
+import { parseRichText } from "../lib/richText";
+
+// Inline runs of one block: plain text, bold, or a link.
+const Parts = ({ parts }) =>
+  parts.map((part, i) => {
+    if (part.bold) return <strong key={i}>{part.text}</strong>;
+    if (!part.href) return <React.Fragment key={i}>{part.text}</React.Fragment>;
+    return part.href.startsWith("/") ? (
+      <Link key={i} to={part.href} className="underline">
+        {part.text}
+      </Link>
+    ) : (
+      <a
+        key={i}
+        href={part.href}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="underline"
+      >
+        {part.text}
+      </a>
+    );
+  });
+
+// Admin-written text (see lib/richText.js) as React elements, never as HTML.
+export default function RichText({ text, className = "" }) {
+  const blocks = useMemo(() => parseRichText(text), [text]);
+  return (
+    <div className={`grid gap-3 text-neutral-700 ${className}`}>
+      {blocks.map((block, i) => {
+        if (block.type === "heading")
+          return (
+            <h3 key={i} className="mt-2 text-lg font-semibold text-neutral-900">
+              <Parts parts={block.parts} />
+            </h3>
+          );
+        if (block.type === "list")
+          return (
+            <ul key={i} className="list-disc space-y-1 pl-5">
+              {block.items.map((parts, j) => (
+                <li key={j}>
+                  <Parts parts={parts} />
+                </li>
+              ))}
+            </ul>
+          );
+        return (
+          <p key={i} className="whitespace-pre-line">
+            <Parts parts={block.parts} />
+          </p>
+        );
+      })}
+    </div>
+  );
+}
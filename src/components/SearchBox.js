@@ -0,0 +1,128 @@
+import React, { useMemo, useState } from "react";
+import { Input } from "./ui";
+import { useI18n } from "../lib/useI18n";
+import { highlight, searchProducts } from "../lib/search";
+import { hasVariants, priceRange } from "../lib/variants";
+import { coverImage } from "../lib/images";
+import ProductImage from "./ProductImage";
+
+const SUGGESTIONS = 6;
+
+/**
+ * Product search field with suggestions: thumbnails and the matching part
+ * of each name. Arrow keys + Enter open a suggestion; typing keeps updating
+ * the query (`onChange`) so the listing follows along.
+ */
+export default function SearchBox({
+  index,
+  value,
+  onChange,
+  onPick,
+  placeholder,
+}) {
+  const { t, money } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const suggestions = useMemo(
+    () => (open ? searchProducts(index, value, { limit: SUGGESTIONS }) : []),
+    [index, value, open]
+  );
+
+  const pick = (product) => {
+    setOpen(false);
+    onPick(product);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setOpen(true);
+      setActive((i) => Math.min(i + 1, suggestions.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => Math.max(i - 1, -1));
+    } else if (e.key === "Enter") {
+      if (suggestions[active]) {
+        e.preventDefault();
+        pick(suggestions[active].product);
+      } else setOpen(false);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative w-full">
+      <Input
+        role="combobox"
+        aria-expanded={open && suggestions.length > 0}
+        aria-autocomplete="list"
+        placeholder={placeholder}
+        value={value}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setActive(-1);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+      />
+      {open && suggestions.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute z-50 mt-1 w-full overflow-hidden rounded-xl border bg-white py-1 shadow-lg"
+        >
+          {suggestions.map(({ product }, idx) => (
+            <li
+              key={product.id}
+              role="option"
+              aria-selected={idx === active}
+              // Keep focus in the input so onBlur does not close the list
+              // before the click lands.
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => pick(product)}
+              className={`flex cursor-pointer items-center gap-3 px-3 py-2 text-sm ${
+                idx === active ? "bg-neutral-100" : ""
+              }`}
+            >
+              <div className="h-10 w-10 flex-none overflow-hidden rounded-lg border">
+                <ProductImage
+                  image={coverImage(product)}
+                  width={80}
+                  className="h-full w-full object-cover"
+                  fallback={
+                    <div className="grid h-full w-full place-items-center bg-neutral-100">
+                      🛍️
+                    </div>
+                  }
+                />
+              </div>
+              <div className="min-w-0 flex-1">
+                <div className="truncate">
+                  {highlight(product.name, value).map((part, i) =>
+                    part.match ? (
+                      <mark key={i} className="bg-yellow-100 font-semibold">
+                        {part.text}
+                      </mark>
+                    ) : (
+                      <span key={i}>{part.text}</span>
+                    )
+                  )}
+                </div>
+                <div className="text-xs text-neutral-500">
+                  {product.category}
+                </div>
+              </div>
+              <div className="text-neutral-600">
+                {hasVariants(product)
+                  ? t("product.from", { price: money(priceRange(product)[0]) })
+                  : money(priceRange(product)[0])}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
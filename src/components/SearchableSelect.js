@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import { Input } from "./ui";
+import { useI18n } from "../lib/useI18n";
+
+/**
+ * Typeahead select: type to filter, arrow keys + Enter to pick.
+ * `search(options, query)` decides what matches; options are `{ code, name }`.
+ */
+export default function SearchableSelect({
+  options,
+  value,
+  onChange,
+  onBlur,
+  search,
+  placeholder,
+  disabled,
+  invalid,
+}) {
+  const { t } = useI18n();
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const matches = open ? search(options, query) : [];
+
+  const pick = (option) => {
+    onChange(option);
+    setQuery("");
+    setOpen(false);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setOpen(true);
+      setActive((i) => Math.min(i + 1, matches.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter" && open && matches[active]) {
+      e.preventDefault();
+      pick(matches[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Input
+        role="combobox"
+        aria-expanded={open}
+        aria-invalid={invalid}
+        placeholder={placeholder}
+        disabled={disabled}
+        value={open ? query : value || ""}
+        onFocus={() => {
+          setOpen(true);
+          setActive(0);
+        }}
+        onBlur={() => {
+          setOpen(false);
+          onBlur?.();
+        }}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+        className={`${invalid ? "border-red-400" : ""} ${
+          disabled ? "bg-gray-50 text-neutral-400" : ""
+        }`}
+      />
+      {open && (
+        <ul
+          role="listbox"
+          className="absolute z-20 mt-1 max-h-60 w-full overflow-y-auto rounded-xl border bg-white py-1 shadow-lg"
+        >
+          {matches.length === 0 ? (
+            <li className="px-3 py-2 text-sm text-neutral-500">
+              {t("common.notFound")}
+            </li>
+          ) : (
+            matches.map((o, idx) => (
+              <li
+                key={o.code}
+                role="option"
+                aria-selected={idx === active}
+                // Keep focus in the input so onBlur does not close the list
+                // before the click lands.
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => pick(o)}
+                className={`cursor-pointer px-3 py-2 text-sm ${
+                  idx === active ? "bg-neutral-100" : ""
+                }`}
+              >
+                {o.name}
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React from "react";
+import { useI18n } from "../lib/useI18n";
+
+// "★★★★☆" for a 1–5 rating, rounded to whole stars.
+export default function Stars({ value, className = "" }) {
+  const { t, number } = useI18n();
+  const full = Math.round(value);
+  return (
+    <span
+      className={`text-amber-500 ${className}`}
+      aria-label={t("reviews.rating", { n: number(value) })}
+    >
+      {"★".repeat(full)}
+      <span className="text-neutral-300">{"★".repeat(5 - full)}</span>
+    </span>
+  );
+}
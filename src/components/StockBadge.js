@@ -0,0 +1,21 @@
+import React from "react";
+import { Badge } from "./ui";
+import { LOW_STOCK } from "../lib/inventory";
+import { useI18n } from "../lib/useI18n";
+
+export default function StockBadge({ stock }) {
+  const { t } = useI18n();
+  if (stock <= 0)
+    return (
+      <Badge className="border-red-200 bg-red-50 text-red-700">
+        {t("stock.out")}
+      </Badge>
+    );
+  if (stock <= LOW_STOCK)
+    return (
+      <Badge className="border-amber-200 bg-amber-50 text-amber-700">
+        {t("stock.low", { count: stock })}
+      </Badge>
+    );
+  return null;
+}
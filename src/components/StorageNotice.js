@@ -0,0 +1,22 @@
+import React, { useEffect, useState } from "react";
+import { onStorageError } from "../lib/storage";
+import { useI18n } from "../lib/useI18n";
+
+// Tells the shopper when the browser refused to save something.
+export default function StorageNotice() {
+  const { t, msg } = useI18n();
+  const [message, setMessage] = useState(null);
+  useEffect(() => onStorageError(setMessage), []);
+  if (!message) return null;
+  return (
+    <div
+      role="alert"
+      className="fixed inset-x-0 top-0 z-[60] flex items-start gap-3 border-b border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700"
+    >
+      <div className="mx-auto max-w-7xl flex-1">{msg(message)}</div>
+      <button className="underline" onClick={() => setMessage(null)}>
+        {t("common.close")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { useI18n } from "../lib/useI18n";
+import {
+  accountHolder,
+  bankName,
+  buildVietQR,
+  transferMemo,
+} from "../lib/vietqr";
+
+/**
+ * VietQR code with the transfer details printed underneath, for customers
+ * who would rather type them in. The image is an inline SVG drawn locally.
+ */
+export default function VietQR({ bank, amount, memo }) {
+  const { t, vnd } = useI18n();
+  const [svg, setSvg] = useState("");
+  const payload = buildVietQR({
+    bin: bank.bin,
+    accountNumber: bank.accountNumber,
+    amount,
+    memo,
+  });
+
+  useEffect(() => {
+    let live = true;
+    QRCode.toString(payload, { type: "svg", errorCorrectionLevel: "M" })
+      .then((s) => live && setSvg(s))
+      .catch(() => live && setSvg(""));
+    return () => {
+      live = false;
+    };
+  }, [payload]);
+
+  const rows = [
+    [t("qr.bank"), bankName(bank.bin)],
+    [t("qr.accountNumber"), bank.accountNumber],
+    [t("qr.accountName"), accountHolder(bank.accountName)],
+    amount && [t("qr.amount"), vnd(amount)],
+    memo && [t("qr.memo"), transferMemo(memo)],
+  ].filter(Boolean);
+
+  return (
+    <div className="grid items-center gap-4 sm:grid-cols-[200px_1fr]">
+      <div className="mx-auto h-[200px] w-[200px] rounded-xl border bg-white p-2">
+        {svg && (
+          <img
+            src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+            alt={t("qr.alt")}
+            className="h-full w-full"
+          />
+        )}
+      </div>
+      <dl className="grid gap-1 text-sm">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between gap-3">
+            <dt className="text-neutral-500">{label}</dt>
+            <dd className="font-medium text-right">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from "react";
+import { useI18n } from "../lib/useI18n";
+
+// The heart that saves a product to the wishlist.
+export default function WishButton({ wished, onClick, className = "" }) {
+  const { t } = useI18n();
+  return (
+    <button
+      aria-label={t(wished ? "wish.remove" : "wish.add")}
+      aria-pressed={wished}
+      onClick={onClick}
+      className={`grid h-9 w-9 place-items-center rounded-full border bg-white text-lg ${
+        wished ? "text-red-600" : "text-neutral-500"
+      } ${className}`}
+    >
+      {wished ? "♥" : "♡"}
+    </button>
+  );
+}
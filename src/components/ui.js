@@ -0,0 +1,94 @@
+import React from "react";
+import { useI18n } from "../lib/useI18n";
+
+// ----------------------- Components -----------------------
+export const Badge = ({ children, className = "" }) => (
+  <span
+    className={`inline-flex items-center rounded-full border px-2 py-0.5 text-xs font-medium text-gray-700 border-gray-200 ${className}`}
+  >
+    {children}
+  </span>
+);
+
+export const Button = ({ children, className = "", ...props }) => (
+  <button
+    className={`rounded-2xl px-4 py-2 font-medium shadow-sm hover:shadow transition active:translate-y-[1px] ${className}`}
+    {...props}
+  >
+    {children}
+  </button>
+);
+
+export const Input = (props) => (
+  <input
+    {...props}
+    className={`w-full rounded-xl border border-gray-200 px-3 py-2 outline-none focus:ring-2 focus:ring-black/10 ${
+      props.className || ""
+    }`}
+  />
+);
+
+export const Select = ({ options, ...props }) => (
+  <select
+    {...props}
+    className="w-full rounded-xl border border-gray-200 px-3 py-2 outline-none focus:ring-2 focus:ring-black/10"
+  >
+    {options.map((o) => (
+      <option key={o.value} value={o.value}>
+        {o.label}
+      </option>
+    ))}
+  </select>
+);
+
+export const Drawer = ({ open, onClose, title, children, footer }) => (
+  <div
+    className={`fixed inset-0 z-50 ${
+      open ? "pointer-events-auto" : "pointer-events-none"
+    }`}
+  >
+    <div
+      className={`absolute inset-0 bg-black/30 transition ${
+        open ? "opacity-100" : "opacity-0"
+      }`}
+      onClick={onClose}
+    />
+    <div
+      className={`absolute right-0 top-0 h-full w-full max-w-md bg-white shadow-xl transition transform ${
+        open ? "translate-x-0" : "translate-x-full"
+      }`}
+    >
+      <div className="flex items-center justify-between border-b px-5 py-4">
+        <h3 className="text-lg font-semibold">{title}</h3>
+        <button className="text-2xl leading-none" onClick={onClose}>
+          ×
+        </button>
+      </div>
+      <div className="h-[calc(100%-8rem)] overflow-y-auto px-5 py-4">
+        {children}
+      </div>
+      <div className="border-t px-5 py-4 bg-gray-50">{footer}</div>
+    </div>
+  </div>
+);
+
+export const Modal = ({ open, onClose, children }) => (
+  <div className={`fixed inset-0 z-50 ${open ? "" : "hidden"}`}>
+    <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+    <div className="absolute left-1/2 top-1/2 w-full max-w-2xl -translate-x-1/2 -translate-y-1/2 rounded-2xl bg-white p-6 shadow-xl">
+      {children}
+    </div>
+  </div>
+);
+
+export const PlaceholderImage = ({ seed }) => {
+  const { t } = useI18n();
+  return (
+    <div className="aspect-square w-full overflow-hidden rounded-2xl bg-gradient-to-br from-gray-100 to-gray-200 grid place-items-center">
+      <div className="text-center">
+        <div className="text-5xl">🛍️</div>
+        <div className="text-xs text-gray-500">{t("common.noPhoto")}</div>
+      </div>
+    </div>
+  );
+};
@@ -1,18 +1,27 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css";
+import { BrowserRouter } from "react-router-dom";
 import App from "./App";
+import { openStorage } from "./lib/storage";
 import "./styles/index.css";
 import reportWebVitals from "./reportWebVitals";
+import { tracker } from "./lib/tracker";
 const root = ReactDOM.createRoot(document.getElementById("root"));
 
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
+// Saved data (cart, demo shop) is read before the first render.
+openStorage().then(() =>
+  root.render(
+    <React.StrictMode>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </React.StrictMode>
+  )
 );
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Real page speed of shoppers' browsers goes to the analytics dashboard
+// (Admin ▶ Thống kê). Learn more: https://bit.ly/CRA-vitals
+reportWebVitals(({ name, value }) =>
+  tracker.track("web_vital", { name, value })
+);
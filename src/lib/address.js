@@ -0,0 +1,83 @@
+import { fold } from "./utils.js";
+
+/**
+ * Vietnamese administrative units
+ * ---------------------------------------------------------
+ * Two bundled, offline datasets (regenerate with scripts/build-address-data.js):
+ * - "2025":   34 provinces → wards, after the 1/7/2025 mergers (2 levels)
+ * - "legacy": 63 provinces → districts → wards, as printed on older
+ *             addresses and ID cards (3 levels)
+ *
+ * Each file is loaded on first use so it stays out of the main bundle.
+ */
+
+export const ADDRESS_SCHEMES = {
+  2025: { label: "Địa chỉ mới (từ 1/7/2025)", levels: 2 },
+  legacy: { label: "Địa chỉ cũ (Tỉnh/Huyện/Xã)", levels: 3 },
+};
+
+export const DEFAULT_SCHEME = "2025";
+
+export const hasDistricts = (scheme) => ADDRESS_SCHEMES[scheme]?.levels === 3;
+
+const toUnits = (rows) =>
+  rows.map(([code, name, children]) => ({
+    code,
+    name,
+    children: children ? toUnits(children) : undefined,
+  }));
+
+const cache = {};
+
+export const loadAddressData = (scheme = DEFAULT_SCHEME) => {
+  if (!cache[scheme])
+    cache[scheme] = (
+      scheme === "legacy"
+        ? import("../data/vn-address-legacy.json")
+        : import("../data/vn-address-2025.json")
+    ).then((m) => toUnits(m.default));
+  return cache[scheme];
+};
+
+// "Thành phố Hà Nội" -> "ha noi"; the unit type is not what people type.
+const UNIT_PREFIX =
+  /^(thanh pho|tinh|quan|huyen|thi xa|thi tran|phuong|xa|dac khu)\s+/;
+const bareName = (name) => fold(name).replace(UNIT_PREFIX, "");
+
+// "Thành phố Hồ Chí Minh" -> "hcm", as the name is often abbreviated.
+const initials = (bare) =>
+  bare
+    .split(" ")
+    .map((w) => w[0])
+    .join("");
+
+/**
+ * Diacritic-insensitive typeahead over a list of units: "ha noi" or "HN"
+ * finds "Thành phố Hà Nội". Units whose bare name starts with the query
+ * come first, then full names, initials, words and anything containing it.
+ */
+export const searchUnits = (units, query, limit = 50) => {
+  const q = fold(query);
+  if (!q) return units.slice(0, limit);
+  const scored = [];
+  for (const u of units) {
+    const bare = bareName(u.name);
+    const full = fold(u.name);
+    const rank = bare.startsWith(q)
+      ? 0
+      : full.startsWith(q)
+      ? 1
+      : q.length > 1 && !q.includes(" ") && initials(bare).startsWith(q)
+      ? 2
+      : bare.split(" ").some((w) => w.startsWith(q))
+      ? 3
+      : full.includes(q)
+      ? 4
+      : -1;
+    if (rank >= 0) scored.push([rank, u]);
+  }
+  return scored
+    .sort((a, b) => a[0] - b[0])
+    .slice(0, limit)
+    .map(([, u]) => u);
+};
@@ -0,0 +1,72 @@
+import { hasDistricts, loadAddressData, searchUnits } from "./address.js";
+
+const names = (units) => units.map((u) => u.name);
+const unit = (name) => ({ code: name, name });
+
+test("finds units without accents, prefixes or the full name", async () => {
+  const provinces = await loadAddressData("2025");
+  const first = (query) => searchUnits(provinces, query)[0]?.name;
+  expect(first("ha noi")).toBe("Thành phố Hà Nội");
+  expect(first("Hà Nội")).toBe("Thành phố Hà Nội");
+  expect(first("HN")).toBe("Thành phố Hà Nội");
+  expect(first("hcm")).toBe("Thành phố Hồ Chí Minh");
+  // đ and Đ read as d.
+  expect(first("da nang")).toBe("Thành phố Đà Nẵng");
+  expect(first("ĐÀ NẴNG")).toBe("Thành phố Đà Nẵng");
+  expect(searchUnits(provinces, "xyz")).toEqual([]);
+  expect(searchUnits(provinces, "", 3)).toHaveLength(3);
+});
+
+test("ranks the bare name before the unit type and inner words", () => {
+  const units = [
+    unit("Tỉnh Lâm Đồng"),
+    unit("Phường Tân Định"),
+    unit("Tỉnh Đồng Tháp"),
+    unit("Xã Phú Thạnh"),
+    unit("Phường Phú Mỹ"),
+  ];
+  // "Phường"/"Tỉnh" are not what people type...
+  expect(names(searchUnits(units, "dong"))).toEqual([
+    "Tỉnh Đồng Tháp",
+    "Tỉnh Lâm Đồng",
+  ]);
+  // ...but typing them still works, after the bare-name matches.
+  expect(names(searchUnits(units, "phu"))).toEqual([
+    "Xã Phú Thạnh",
+    "Phường Phú Mỹ",
+    "Phường Tân Định",
+  ]);
+  expect(names(searchUnits(units, "phuong"))).toEqual([
+    "Phường Tân Định",
+    "Phường Phú Mỹ",
+  ]);
+  expect(names(searchUnits(units, "tinh"))).toEqual([
+    "Tỉnh Lâm Đồng",
+    "Tỉnh Đồng Tháp",
+  ]);
+});
+
+test("loads both schemes", async () => {
+  const current = await loadAddressData("2025");
+  const legacy = await loadAddressData("legacy");
+  expect(current).toHaveLength(34);
+  expect(legacy).toHaveLength(63);
+  expect(hasDistricts("2025")).toBe(false);
+  expect(hasDistricts("legacy")).toBe(true);
+
+  // 2025: province -> ward.
+  const hanoi = current.find((p) => p.code === "01");
+  expect(names(searchUnits(hanoi.children, "dong da"))).toContain(
+    "Phường Đống Đa"
+  );
+  expect(hanoi.children[0].children).toBeUndefined();
+  // Legacy: province -> district -> ward.
+  const oldHanoi = legacy.find((p) => p.code === "01");
+  const [baVi] = searchUnits(oldHanoi.children, "ba vi");
+  expect(baVi.name).toBe("Huyện Ba Vì");
+  expect(names(searchUnits(baVi.children, "tay dang"))).toEqual([
+    "Thị trấn Tây Đằng",
+  ]);
+  // Loaded once.
+  expect(await loadAddressData("legacy")).toBe(legacy);
+});
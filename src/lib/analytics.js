@@ -0,0 +1,304 @@
+import { RESTOCK_STATUSES, orderStatus } from "./orders.js";
+import { uid } from "./utils.js";
+
+/**
+ * Sales and funnel analytics
+ * ---------------------------------------------------------
+ * Sales figures come from the orders themselves; cancelled and returned
+ * orders do not count. The funnel and page speed come from first-party
+ * events the storefront records (see lib/tracker.js):
+ *
+ *   event: { id, type, at, visit, productId?, qty?, value?, name? }
+ *
+ * `visit` is a random id for one page load of the shop, nothing that
+ * identifies the shopper. Events are kept next to the shop data: the
+ * last MAX_EVENTS in the browser in demo mode, on the server otherwise
+ * (which takes them through acceptEvents).
+ *
+ * Ranges are whole days in the admin's time zone: { from, to } as
+ * "YYYY-MM-DD", both included.
+ */
+
+export const MAX_EVENTS = 20000;
+// Events per request the server accepts.
+export const MAX_EVENT_BATCH = 50;
+
+// A visit counts at each step it reached, whichever way it got there: a
+// shopper may add to the cart straight from the listing.
+export const FUNNEL_STEPS = [
+  { type: "product_view", label: "Xem sản phẩm" },
+  { type: "quick_view", label: "Xem nhanh" },
+  { type: "add_to_cart", label: "Thêm vào giỏ" },
+  { type: "checkout_open", label: "Mở thanh toán" },
+  { type: "order_placed", label: "Đặt hàng" },
+];
+
+export const EVENT_TYPES = [...FUNNEL_STEPS.map((s) => s.type), "web_vital"];
+
+// Core Web Vitals with web.dev's limits for "good" and "poor", in ms
+// (CLS has no unit).
+export const WEB_VITALS = {
+  LCP: { label: "Hiển thị nội dung chính", good: 2500, poor: 4000 },
+  FID: { label: "Độ trễ thao tác đầu", good: 100, poor: 300 },
+  CLS: { label: "Độ xô lệch bố cục", good: 0.1, poor: 0.25 },
+  FCP: { label: "Hiển thị nội dung đầu", good: 1800, poor: 3000 },
+  TTFB: { label: "Thời gian phản hồi máy chủ", good: 800, poor: 1800 },
+};
+
+export const createEvent = (type, data = {}, { visit, now = new Date() }) => ({
+  id: uid(),
+  type,
+  at: now.toISOString(),
+  visit,
+  ...data,
+});
+
+const shortText = (v) =>
+  typeof v === "string" && v.length > 0 && v.length <= 100 ? v : undefined;
+const amount = (v) => (Number.isFinite(v) && v >= 0 ? v : undefined);
+
+/**
+ * What the server keeps of a batch anyone may post: known types and fields
+ * only, stamped with its own time. Unknown events are dropped; throws when
+ * the batch itself is not acceptable.
+ */
+export const acceptEvents = (batch, now = new Date()) => {
+  if (!Array.isArray(batch) || batch.length === 0)
+    throw new Error("Dữ liệu không hợp lệ.");
+  if (batch.length > MAX_EVENT_BATCH)
+    throw new Error(`Tối đa ${MAX_EVENT_BATCH} sự kiện mỗi lần.`);
+  return batch
+    .filter(
+      (e) =>
+        EVENT_TYPES.includes(e?.type) &&
+        (e.type !== "web_vital" || Object.keys(WEB_VITALS).includes(e.name))
+    )
+    .map((e) => {
+      const event = createEvent(
+        e.type,
+        {
+          productId: shortText(e.productId),
+          qty: amount(e.qty),
+          value: amount(e.value),
+          name: e.type === "web_vital" ? e.name : undefined,
+        },
+        { visit: shortText(e.visit), now }
+      );
+      return Object.fromEntries(
+        Object.entries(event).filter(([, v]) => v !== undefined)
+      );
+    });
+};
+
+// ----------------------- Date ranges -----------------------
+const pad = (n) => String(n).padStart(2, "0");
+const dayOf = (d) =>
+  `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const parseDay = (day) => {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/** The last `days` days, today included. */
+export const lastDays = (days, now = new Date()) => ({
+  from: dayOf(
+    new Date(now.getFullYear(), now.getMonth(), now.getDate() - days + 1)
+  ),
+  to: dayOf(now),
+});
+
+/** { start, end } instants of a range, `end` excluded (ISO strings). */
+export const rangeBounds = ({ from, to }) => {
+  const end = parseDay(to);
+  end.setDate(end.getDate() + 1);
+  return { start: parseDay(from).toISOString(), end: end.toISOString() };
+};
+
+/** Every day of the range, oldest first. */
+export const rangeDays = ({ from, to }) => {
+  const days = [];
+  for (let d = parseDay(from); dayOf(d) <= to; d.setDate(d.getDate() + 1))
+    days.push(dayOf(d));
+  return days;
+};
+
+const within = (range) => {
+  const { start, end } = rangeBounds(range);
+  return (iso) => iso >= start && iso < end;
+};
+
+// ----------------------- Sales -----------------------
+const counted = (order) => !RESTOCK_STATUSES.includes(orderStatus(order));
+
+const ordersIn = (orders, range) => {
+  const inRange = within(range);
+  return orders.filter((o) => counted(o) && inRange(o.createdAt));
+};
+
+/** { revenue, count, average } of the orders placed in the range. */
+export const salesSummary = (orders, range) => {
+  const placed = ordersIn(orders, range);
+  const revenue = placed.reduce((sum, o) => sum + o.totals.grand, 0);
+  return {
+    revenue,
+    count: placed.length,
+    average: placed.length ? Math.round(revenue / placed.length) : 0,
+  };
+};
+
+/** Revenue per day of the range: [{ day, revenue, count }]. */
+export const dailySales = (orders, range) => {
+  const byDay = Object.fromEntries(
+    rangeDays(range).map((day) => [day, { day, revenue: 0, count: 0 }])
+  );
+  ordersIn(orders, range).forEach((o) => {
+    const row = byDay[dayOf(new Date(o.createdAt))];
+    if (!row) return;
+    row.revenue += o.totals.grand;
+    row.count += 1;
+  });
+  return Object.values(byDay);
+};
+
+/**
+ * One row per product: { productId, name, category, qty, revenue, views },
+ * best sellers first. Products nobody bought are included with 0, and items
+ * of deleted products keep the name on the order. Revenue is before
+ * shipping and discounts.
+ */
+export const productSales = (orders, products, events, range) => {
+  const rows = new Map(
+    products.map((p) => [
+      p.id,
+      {
+        productId: p.id,
+        name: p.name,
+        category: p.category || "",
+        qty: 0,
+        revenue: 0,
+        views: 0,
+      },
+    ])
+  );
+  const row = (productId, name) => {
+    if (!rows.has(productId))
+      rows.set(productId, {
+        productId,
+        name,
+        category: "",
+        qty: 0,
+        revenue: 0,
+        views: 0,
+      });
+    return rows.get(productId);
+  };
+  ordersIn(orders, range).forEach((o) =>
+    o.items.forEach((item) => {
+      const r = row(item.productId, item.name);
+      r.qty += item.qty;
+      r.revenue += item.price * item.qty;
+    })
+  );
+  const inRange = within(range);
+  events
+    .filter(
+      (e) =>
+        (e.type === "product_view" || e.type === "quick_view") &&
+        rows.has(e.productId) &&
+        inRange(e.at)
+    )
+    .forEach((e) => (rows.get(e.productId).views += 1));
+  return [...rows.values()].sort(
+    (a, b) => b.revenue - a.revenue || b.qty - a.qty
+  );
+};
+
+/** The product rows summed per category, best first. */
+export const categorySales = (rows) =>
+  Object.values(
+    rows.reduce((out, r) => {
+      const name = r.category || "Chưa phân loại";
+      const c = out[name] || { name, qty: 0, revenue: 0, products: 0 };
+      return {
+        ...out,
+        [name]: {
+          ...c,
+          qty: c.qty + r.qty,
+          revenue: c.revenue + r.revenue,
+          products: c.products + 1,
+        },
+      };
+    }, {})
+  ).sort((a, b) => b.revenue - a.revenue || b.qty - a.qty);
+
+/**
+ * Current products that sold least in the range; among equals, the most
+ * viewed first (looked at a lot, bought rarely).
+ */
+export const lowPerformers = (rows, products, limit = 5) => {
+  const current = new Set(products.map((p) => p.id));
+  return rows
+    .filter((r) => current.has(r.productId))
+    .sort((a, b) => a.qty - b.qty || a.revenue - b.revenue || b.views - a.views)
+    .slice(0, limit);
+};
+
+// ----------------------- Funnel -----------------------
+/**
+ * Visits that reached each step in the range:
+ * [{ type, label, visits, ofFirst, ofPrevious }], the rates from 0 to 1
+ * (null when there is nothing to compare with).
+ */
+export const funnel = (events, range) => {
+  const inRange = within(range);
+  const visits = {};
+  events.forEach((e) => {
+    if (!inRange(e.at)) return;
+    (visits[e.type] = visits[e.type] || new Set()).add(e.visit);
+  });
+  const counts = FUNNEL_STEPS.map((s) => visits[s.type]?.size || 0);
+  return FUNNEL_STEPS.map((step, i) => ({
+    ...step,
+    visits: counts[i],
+    ofFirst: counts[0] ? counts[i] / counts[0] : null,
+    ofPrevious: i > 0 && counts[i - 1] ? counts[i] / counts[i - 1] : null,
+  }));
+};
+
+// ----------------------- Page speed -----------------------
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+};
+
+export const vitalRating = (name, value) =>
+  value <= WEB_VITALS[name].good
+    ? "good"
+    : value <= WEB_VITALS[name].poor
+    ? "needs-improvement"
+    : "poor";
+
+/**
+ * The 75th percentile of each measured web vital in the range, the figure
+ * Google rates a site by: [{ name, label, value, count, rating }].
+ */
+export const vitalsSummary = (events, range) => {
+  const inRange = within(range);
+  return Object.entries(WEB_VITALS)
+    .map(([name, { label }]) => {
+      const values = events
+        .filter((e) => e.type === "web_vital" && e.name === name)
+        .filter((e) => inRange(e.at))
+        .map((e) => e.value);
+      if (!values.length) return null;
+      const value = percentile(values, 0.75);
+      return {
+        name,
+        label,
+        value,
+        count: values.length,
+        rating: vitalRating(name, value),
+      };
+    })
+    .filter(Boolean);
+};
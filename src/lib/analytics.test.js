@@ -0,0 +1,138 @@
+import {
+  categorySales,
+  createEvent,
+  dailySales,
+  funnel,
+  lastDays,
+  lowPerformers,
+  productSales,
+  rangeDays,
+  salesSummary,
+  vitalsSummary,
+} from "./analytics.js";
+
+const at = (day, hour = 12) => new Date(2026, 9, day, hour).toISOString();
+const range = { from: "2026-10-16", to: "2026-10-18" };
+
+const products = [
+  { id: "ao", name: "Áo Rồng", category: "Áo thun" },
+  { id: "coc", name: "Cốc", category: "Cốc" },
+  { id: "but", name: "Bút", category: "Phụ kiện" },
+];
+
+const order = (code, day, items, status = "pending") => ({
+  code,
+  createdAt: at(day),
+  status,
+  items,
+  totals: {
+    grand: items.reduce((s, i) => s + i.price * i.qty, 0) + 30000,
+  },
+});
+
+const orders = [
+  order("VK-1", 16, [
+    { productId: "ao", name: "Áo Rồng", price: 200000, qty: 2 },
+  ]),
+  order("VK-2", 18, [
+    { productId: "coc", name: "Cốc", price: 100000, qty: 1 },
+    { productId: "old", name: "Móc khoá cũ", price: 50000, qty: 1 },
+  ]),
+  order(
+    "VK-3",
+    17,
+    [{ productId: "but", name: "Bút", price: 20000, qty: 5 }],
+    "cancelled"
+  ),
+  order("VK-4", 10, [{ productId: "but", name: "Bút", price: 20000, qty: 1 }]),
+];
+
+const event = (type, visit, data = {}, day = 17) =>
+  createEvent(type, data, { visit, now: new Date(at(day)) });
+
+test("builds date ranges from whole days", () => {
+  expect(lastDays(7, new Date(2026, 9, 18, 9))).toEqual({
+    from: "2026-10-12",
+    to: "2026-10-18",
+  });
+  expect(rangeDays({ from: "2026-10-30", to: "2026-11-01" })).toEqual([
+    "2026-10-30",
+    "2026-10-31",
+    "2026-11-01",
+  ]);
+});
+
+test("sums the orders placed in the range, without cancelled ones", () => {
+  expect(salesSummary(orders, range)).toEqual({
+    revenue: 430000 + 180000,
+    count: 2,
+    average: 305000,
+  });
+  expect(salesSummary([], range)).toEqual({
+    revenue: 0,
+    count: 0,
+    average: 0,
+  });
+  expect(dailySales(orders, range).map((d) => d.count)).toEqual([1, 0, 1]);
+});
+
+test("ranks products and categories, and finds low performers", () => {
+  const events = [
+    event("product_view", "v1", { productId: "but" }),
+    event("quick_view", "v2", { productId: "but" }),
+    event("product_view", "v3", { productId: "ao" }, 12),
+  ];
+  const rows = productSales(orders, products, events, range);
+  expect(rows.map((r) => [r.productId, r.qty, r.revenue, r.views])).toEqual([
+    ["ao", 2, 400000, 0],
+    ["coc", 1, 100000, 0],
+    ["old", 1, 50000, 0],
+    ["but", 0, 0, 2],
+  ]);
+  expect(categorySales(rows).map((c) => [c.name, c.revenue])).toEqual([
+    ["Áo thun", 400000],
+    ["Cốc", 100000],
+    ["Chưa phân loại", 50000],
+    ["Phụ kiện", 0],
+  ]);
+  // Deleted products are not worth flagging.
+  expect(lowPerformers(rows, products, 2).map((r) => r.productId)).toEqual([
+    "but",
+    "coc",
+  ]);
+});
+
+test("counts the visits that reached each funnel step", () => {
+  const events = [
+    event("product_view", "v1"),
+    event("product_view", "v1"),
+    event("product_view", "v2"),
+    event("quick_view", "v3"),
+    event("add_to_cart", "v1"),
+    event("add_to_cart", "v3"),
+    event("checkout_open", "v1"),
+    event("order_placed", "v1"),
+    event("order_placed", "v9", {}, 12),
+  ];
+  const steps = funnel(events, range);
+  expect(steps.map((s) => s.visits)).toEqual([2, 1, 2, 1, 1]);
+  expect(steps[0].ofPrevious).toBeNull();
+  expect(steps[2].ofFirst).toBe(1);
+  expect(steps[3].ofPrevious).toBe(0.5);
+  expect(funnel([], range)[4].ofFirst).toBeNull();
+});
+
+test("rates page speed by the 75th percentile", () => {
+  const vitals = [1200, 1800, 2600, 5000].map((value, i) =>
+    event("web_vital", `v${i}`, { name: "LCP", value })
+  );
+  expect(vitalsSummary(vitals, range)).toEqual([
+    {
+      name: "LCP",
+      label: "Hiển thị nội dung chính",
+      value: 2600,
+      count: 4,
+      rating: "needs-improvement",
+    },
+  ]);
+});
@@ -0,0 +1,465 @@
+import { forget, load, save } from "./utils.js";
+import {
+  SESSION_HOURS,
+  can,
+  hashPassword,
+  publicUser,
+  randomHex,
+  sessionExpired,
+  validateAccount,
+  verifyPassword,
+} from "./auth.js";
+import { PAYMENT_GATEWAYS, recordGatewayPayment } from "./gateways.js";
+import { createReview } from "./reviews.js";
+import { createMessage } from "./messages.js";
+import { MAX_EVENTS, rangeBounds } from "./analytics.js";
+import {
+  confirmSubscriber,
+  subscriberByToken,
+  newsletterLinks,
+  subscribe,
+  unsubscribeSubscriber,
+} from "./newsletter.js";
+
+/**
+ * Data access
+ * ---------------------------------------------------------
+ * The catalogue, orders and shop settings are read and written through a
+ * store. Both stores have the same shape:
+ *
+ *   initial(name, fallback)   value to show before load() resolves
+ *   load(defaults)            -> Promise<{ products, categories, orders, ...settings }>
+ *   sync(name, prev, next)    persists one collection or setting after a change
+ *   createOrder(order, products) -> Promise<order>; takes the stock, and the
+ *                             server may change the code
+ *   updateOrder(order, products) -> Promise<order>; a cancelled or returned
+ *                             order gives its stock back (the server does
+ *                             that from its own catalogue)
+ *   fetchOrder(code, token)   -> Promise<order | null>; the token comes
+ *                             with the order from createOrder (see orderPath)
+ *   createReview(draft, orders) -> Promise<review>; anyone may post one, it
+ *                             waits for approval (see reviews.js)
+ *   sendMessage(draft)        -> Promise<message>; anyone, lands in the
+ *                             admin inbox (see messages.js)
+ *   subscribeNewsletter(email, { locale }) -> Promise<{ email }>; anyone,
+ *                             emails the confirmation link (see newsletter.js);
+ *                             the answer says nothing about the address.
+ *                             Locally there is no mail: the answer carries
+ *                             { confirmUrl } instead
+ *   confirmSubscription(token), unsubscribeNewsletter(token)
+ *                             -> Promise<subscriber>
+ *   trackEvents(events)       anyone; shopper events and page speed for the
+ *                             analytics dashboard (see analytics.js)
+ *   fetchEvents(range)        -> Promise<events> of the date range
+ *   createPayment(order, { gateways, returnUrl }) -> Promise<pay URL>
+ *   confirmPayment(provider, params, { gateways, orders })
+ *                             -> Promise<{ result, order }>; throws when the
+ *                             gateway's callback cannot be trusted
+ *   importAll(data)           -> Promise<counts>; remote only
+ *
+ * Admin accounts (see auth.js):
+ *
+ *   authStatus()              -> Promise<{ setup }>; setup = no account yet
+ *   setupOwner(draft), login(username, password) -> Promise<session>
+ *   logout(), session()       the current session, or null once expired
+ *   subscribe(listener)       called on login and logout; returns unsubscribe
+ *   listUsers(), saveUser(draft), deleteUser(id)
+ *
+ * - remote: the REST API in server/, used when REACT_APP_API_URL is set.
+ * - local: the browser's own storage (`vk_products`, `vk_orders`, …, see
+ *   storage.js), for demos and development without a server.
+ *
+ * The cart is never shared, so it stays in the browser in both modes.
+ */
+
+export const API_URL = (process.env.REACT_APP_API_URL || "").replace(/\/$/, "");
+
+// Collection -> field that identifies an item (same as server/db.js).
+export const COLLECTIONS = {
+  products: "id",
+  categories: "id",
+  orders: "code",
+  reviews: "id",
+  messages: "id",
+  subscribers: "id",
+};
+
+// Items of `next` that are new or were replaced, and keys that disappeared.
+// App updates are immutable, so an unchanged item is the very same object.
+export const diffCollection = (prev, next, key) => {
+  const before = new Map(prev.map((item) => [item[key], item]));
+  const after = new Set(next.map((item) => item[key]));
+  return {
+    saved: next.filter((item) => before.get(item[key]) !== item),
+    removed: prev.filter((item) => !after.has(item[key])).map((i) => i[key]),
+  };
+};
+
+// The signed-in admin is kept as `vk_session` in both modes.
+const sessionKeeper = () => {
+  const listeners = new Set();
+  const notify = () => listeners.forEach((listener) => listener());
+  return {
+    get() {
+      const session = load("vk_session", null);
+      return sessionExpired(session) ? null : session;
+    },
+    set(session) {
+      if (session) save("vk_session", session);
+      else forget("vk_session");
+      notify();
+      return session;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+const LAST_OWNER = "Cửa hàng cần ít nhất một chủ cửa hàng.";
+const BAD_LINK = "Liên kết không hợp lệ hoặc đã hết hạn.";
+
+// ----------------------- Browser storage -----------------------
+export const createLocalStore = () => {
+  const session = sessionKeeper();
+  const users = () => load("vk_users", []);
+  const start = (user) =>
+    session.set({
+      user: publicUser(user),
+      expiresAt: new Date(
+        Date.now() + SESSION_HOURS * 3600 * 1000
+      ).toISOString(),
+    });
+  const hashed = async (draft, existing = null) => {
+    const problem = validateAccount(draft, users(), {
+      requirePassword: !existing,
+    });
+    if (problem) throw new Error(problem);
+    return {
+      id: existing?.id || randomHex(8),
+      username: draft.username,
+      name: draft.name.trim(),
+      role: draft.role,
+      passwordHash: draft.password
+        ? await hashPassword(draft.password)
+        : existing.passwordHash,
+    };
+  };
+
+  const updateSubscriber = (token, change) => {
+    const subscribers = load("vk_subscribers", []);
+    const current = subscriberByToken(subscribers, token);
+    if (!current) throw new Error(BAD_LINK);
+    const subscriber = change(current);
+    save(
+      "vk_subscribers",
+      subscribers.map((s) => (s === current ? subscriber : s))
+    );
+    return subscriber;
+  };
+
+  return {
+    mode: "local",
+    initial: (name, fallback) => load(`vk_${name}`, fallback),
+    load: async (defaults) =>
+      Object.fromEntries(
+        Object.entries(defaults).map(([name, fallback]) => [
+          name,
+          load(`vk_${name}`, fallback),
+        ])
+      ),
+    sync: async (name, prev, next) => save(`vk_${name}`, next),
+    createOrder: async (order, products) => {
+      save("vk_products", products);
+      save("vk_orders", [order, ...load("vk_orders", [])]);
+      return order;
+    },
+    updateOrder: async (order, products) => {
+      save("vk_products", products);
+      save(
+        "vk_orders",
+        load("vk_orders", []).map((o) => (o.code === order.code ? order : o))
+      );
+      return order;
+    },
+    fetchOrder: async (code) =>
+      load("vk_orders", []).find((o) => o.code === code) || null,
+    createReview: async (draft, orders) => {
+      const review = createReview(draft, { orders });
+      save("vk_reviews", [review, ...load("vk_reviews", [])]);
+      return review;
+    },
+    sendMessage: async (draft) => {
+      const message = createMessage(draft);
+      save("vk_messages", [message, ...load("vk_messages", [])]);
+      return message;
+    },
+    // No mail server in the browser: the confirmation link comes back with
+    // the answer, for the form to show.
+    subscribeNewsletter: async (email, { locale } = {}) => {
+      const { subscriber, subscribers, notify } = subscribe(
+        load("vk_subscribers", []),
+        email,
+        { locale }
+      );
+      save("vk_subscribers", subscribers);
+      if (!notify) return { email: subscriber.email };
+      return {
+        email: subscriber.email,
+        confirmUrl: newsletterLinks(subscriber.token, window.location.origin)
+          .confirm,
+      };
+    },
+    confirmSubscription: async (token) =>
+      updateSubscriber(token, confirmSubscriber),
+    unsubscribeNewsletter: async (token) =>
+      updateSubscriber(token, unsubscribeSubscriber),
+    // Newest first, the oldest dropped past MAX_EVENTS.
+    trackEvents: async (events) =>
+      save(
+        "vk_events",
+        [...[...events].reverse(), ...load("vk_events", [])].slice(
+          0,
+          MAX_EVENTS
+        )
+      ),
+    fetchEvents: async (range) => {
+      const { start, end } = rangeBounds(range);
+      return load("vk_events", []).filter((e) => e.at >= start && e.at < end);
+    },
+    createPayment: (order, { gateways, returnUrl }) =>
+      PAYMENT_GATEWAYS[order.paymentMethod].createPayment(
+        order,
+        gateways[order.paymentMethod],
+        { returnUrl }
+      ),
+    async confirmPayment(provider, params, { gateways, orders }) {
+      const result = await PAYMENT_GATEWAYS[provider].verifyCallback(
+        params,
+        gateways[provider]
+      );
+      const current = orders.find((o) => o.code === result.orderCode);
+      const order = recordGatewayPayment(current, result, provider);
+      save(
+        "vk_orders",
+        load("vk_orders", []).map((o) => (o.code === order.code ? order : o))
+      );
+      return { result, order };
+    },
+    importAll: async () => {
+      throw new Error("Chưa cấu hình máy chủ (REACT_APP_API_URL).");
+    },
+
+    authStatus: async () => ({ setup: users().length === 0 }),
+    async setupOwner(draft) {
+      if (users().length) throw new Error("Cửa hàng đã có tài khoản quản trị.");
+      const user = await hashed({ ...draft, role: "owner" });
+      save("vk_users", [user]);
+      return start(user);
+    },
+    async login(username, password) {
+      const user = users().find((u) => u.username === username);
+      if (!user || !(await verifyPassword(password, user.passwordHash)))
+        throw new Error("Sai tên đăng nhập hoặc mật khẩu.");
+      return start(user);
+    },
+    logout: async () => session.set(null),
+    // Role changes and deleted accounts apply at once.
+    session() {
+      const current = session.get();
+      const user = current && users().find((u) => u.id === current.user.id);
+      return user ? { ...current, user: publicUser(user) } : null;
+    },
+    subscribe: session.subscribe,
+    listUsers: async () => users().map(publicUser),
+    async saveUser(draft) {
+      const existing = users().find((u) => u.id === draft.id) || null;
+      const user = await hashed(draft, existing);
+      const owners = users().filter((u) => u.role === "owner");
+      if (
+        existing?.role === "owner" &&
+        owners.length === 1 &&
+        user.role !== "owner"
+      )
+        throw new Error(LAST_OWNER);
+      save(
+        "vk_users",
+        existing
+          ? users().map((u) => (u.id === user.id ? user : u))
+          : [...users(), user]
+      );
+      return publicUser(user);
+    },
+    async deleteUser(id) {
+      if (id === session.get()?.user.id)
+        throw new Error("Không thể xoá tài khoản đang đăng nhập.");
+      const owners = users().filter((u) => u.role === "owner");
+      if (owners.length === 1 && owners[0].id === id)
+        throw new Error(LAST_OWNER);
+      save(
+        "vk_users",
+        users().filter((u) => u.id !== id)
+      );
+    },
+  };
+};
+
+// ----------------------- REST API -----------------------
+export const createRemoteStore = (baseUrl, fetchImpl = fetch) => {
+  const session = sessionKeeper();
+  // keepalive: the request outlives the page (at most 64 kB of body).
+  const request = async (method, path, body, { keepalive = false } = {}) => {
+    const token = session.get()?.token;
+    let res;
+    try {
+      res = await fetchImpl(`${baseUrl}/api${path}`, {
+        method,
+        keepalive,
+        headers: {
+          ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch {
+      throw new Error("Không kết nối được máy chủ.");
+    }
+    // The server no longer knows this session (expired, or the account
+    // changed): sign out here too.
+    if (res.status === 401 && token) session.set(null);
+    if (res.status === 204) return null;
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      const err = new Error(data?.error || `Máy chủ báo lỗi ${res.status}.`);
+      // A lib message the server passed on keeps its phrase (phrases.js).
+      throw Object.assign(err, {
+        status: res.status,
+        key: data?.key,
+        vars: data?.vars,
+      });
+    }
+    return data;
+  };
+  const itemPath = (name, item) =>
+    `/${name}/${encodeURIComponent(item[COLLECTIONS[name]])}`;
+
+  return {
+    mode: "remote",
+    // Nothing to show until the server answers.
+    initial: (name, fallback) => (COLLECTIONS[name] ? [] : fallback),
+    async load(defaults) {
+      // Only staff see every order and the inbox; customers fetch their
+      // orders by code. The server only lists approved reviews to customers.
+      const user = session.get()?.user;
+      const staff = can(user, "orders");
+      const [
+        products,
+        categories,
+        orders,
+        reviews,
+        messages,
+        subscribers,
+        settings,
+      ] = await Promise.all(
+        [
+          "/products",
+          "/categories",
+          staff ? "/orders" : null,
+          "/reviews",
+          staff ? "/messages" : null,
+          can(user, "settings") ? "/subscribers" : null,
+          "/settings",
+        ].map((p) => (p ? request("GET", p) : []))
+      );
+      // Settings never saved on this server keep their defaults.
+      const known = Object.fromEntries(
+        Object.entries(settings).filter(([name]) => name in defaults)
+      );
+      return {
+        ...defaults,
+        ...known,
+        products,
+        categories,
+        orders,
+        reviews,
+        messages,
+        subscribers,
+      };
+    },
+    async sync(name, prev, next) {
+      if (!COLLECTIONS[name]) return request("PUT", `/settings/${name}`, next);
+      const { saved, removed } = diffCollection(prev, next, COLLECTIONS[name]);
+      for (const item of saved)
+        await request("PUT", itemPath(name, item), item);
+      for (const key of removed)
+        await request("DELETE", `/${name}/${encodeURIComponent(key)}`);
+    },
+    // The server takes the stock itself.
+    createOrder: (order) => request("POST", "/orders", order),
+    updateOrder: (order) =>
+      request("PUT", `/orders/${encodeURIComponent(order.code)}`, order),
+    // The server checks the purchase against its own orders.
+    createReview: (draft) => request("POST", "/reviews", draft),
+    sendMessage: (draft) => request("POST", "/messages", draft),
+    // The server sends the confirmation email.
+    subscribeNewsletter: (email, { locale } = {}) =>
+      request("POST", "/subscribers", { email, locale }),
+    confirmSubscription: (token) =>
+      request("POST", "/subscribers/confirm", { token }),
+    unsubscribeNewsletter: (token) =>
+      request("POST", "/subscribers/unsubscribe", { token }),
+    // The server stamps the time itself. Batches go out as the shopper
+    // leaves the page, so they must not die with it.
+    trackEvents: (events) =>
+      request("POST", "/events", events, { keepalive: true }),
+    fetchEvents: (range) => {
+      const { start, end } = rangeBounds(range);
+      return request(
+        "GET",
+        `/events?${new URLSearchParams({ from: start, to: end })}`
+      );
+    },
+    fetchOrder: (code, token) =>
+      request(
+        "GET",
+        `/orders/${encodeURIComponent(code)}?${new URLSearchParams({
+          token: token || "",
+        })}`
+      ).catch((err) => {
+        if (err.status === 404) return null;
+        throw err;
+      }),
+    createPayment: async (order, { returnUrl }) =>
+      (
+        await request("POST", `/payments/${order.paymentMethod}`, {
+          code: order.code,
+          token: order.token,
+          returnUrl,
+        })
+      ).url,
+    confirmPayment: (provider, params) =>
+      request("POST", `/payments/${provider}/return`, params),
+    importAll: (data) => request("POST", "/import", data),
+
+    authStatus: () => request("GET", "/auth/status"),
+    setupOwner: async (draft) =>
+      session.set(await request("POST", "/auth/setup", draft)),
+    login: async (username, password) =>
+      session.set(await request("POST", "/auth/login", { username, password })),
+    async logout() {
+      await request("POST", "/auth/logout").catch(() => {});
+      session.set(null);
+    },
+    session: session.get,
+    subscribe: session.subscribe,
+    listUsers: () => request("GET", "/users"),
+    saveUser: (draft) =>
+      draft.id
+        ? request("PUT", `/users/${draft.id}`, draft)
+        : request("POST", "/users", draft),
+    deleteUser: (id) => request("DELETE", `/users/${id}`),
+  };
+};
+
+export const store = API_URL ? createRemoteStore(API_URL) : createLocalStore();
@@ -0,0 +1,186 @@
+import { webcrypto } from "crypto";
+import { createLocalStore, createRemoteStore, diffCollection } from "./api.js";
+
+// Jest's jsdom environment does not expose WebCrypto as a global.
+global.crypto = webcrypto;
+
+const a = { id: "a", name: "Áo" };
+const b = { id: "b", name: "Cốc" };
+
+test("finds what changed in a collection", () => {
+  const b2 = { ...b, price: 1 };
+  const c = { id: "c", name: "Bút" };
+  expect(diffCollection([a, b], [c, a, b2], "id")).toEqual({
+    saved: [c, b2],
+    removed: [],
+  });
+  expect(diffCollection([a, b], [b], "id")).toEqual({
+    saved: [],
+    removed: ["a"],
+  });
+});
+
+test("keeps demo data in localStorage", async () => {
+  localStorage.clear();
+  const local = createLocalStore();
+  await local.sync("products", [], [a]);
+  expect(local.initial("products", [])).toEqual([a]);
+  await local.createOrder({ code: "VK-20261018-0001" }, [a]);
+  expect(await local.load({ products: [], orders: [], bank: {} })).toEqual({
+    products: [a],
+    orders: [{ code: "VK-20261018-0001" }],
+    bank: {},
+  });
+});
+
+test("keeps the inbox and newsletter sign-ups in demo mode", async () => {
+  localStorage.clear();
+  const local = createLocalStore();
+  const message = await local.sendMessage({
+    name: "Lan",
+    email: "lan@example.vn",
+    text: "Còn áo size M không ạ?",
+  });
+  expect(local.initial("messages", [])).toEqual([message]);
+
+  const reply = await local.subscribeNewsletter("Lan@Example.vn");
+  const [subscriber] = local.initial("subscribers", []);
+  expect(subscriber.status).toBe("pending");
+  // The confirmation link comes back instead of an email.
+  expect(reply).toEqual({
+    email: "lan@example.vn",
+    confirmUrl: expect.stringContaining(
+      `/nhan-tin/xac-nhan/${subscriber.token}`
+    ),
+  });
+  expect(await local.subscribeNewsletter("lan@example.vn")).toEqual({
+    email: "lan@example.vn",
+  });
+  expect(local.initial("subscribers", [])).toHaveLength(1);
+  expect((await local.confirmSubscription(subscriber.token)).status).toBe(
+    "confirmed"
+  );
+  expect((await local.unsubscribeNewsletter(subscriber.token)).status).toBe(
+    "unsubscribed"
+  );
+  await expect(local.confirmSubscription("nope")).rejects.toThrow(
+    "Liên kết không hợp lệ"
+  );
+});
+
+test("keeps the newest analytics events in demo mode", async () => {
+  localStorage.clear();
+  const local = createLocalStore();
+  const at = (day) => new Date(2026, 9, day, 12).toISOString();
+  await local.trackEvents([
+    { id: "1", type: "product_view", at: at(16) },
+    { id: "2", type: "add_to_cart", at: at(17) },
+  ]);
+  await local.trackEvents([{ id: "3", type: "order_placed", at: at(18) }]);
+  expect(local.initial("events", []).map((e) => e.id)).toEqual(["3", "2", "1"]);
+  const events = await local.fetchEvents({
+    from: "2026-10-17",
+    to: "2026-10-18",
+  });
+  expect(events.map((e) => e.id)).toEqual(["3", "2"]);
+});
+
+// Records each request and answers from `replies` (path -> body).
+const fakeServer = (replies = {}) => {
+  const calls = [];
+  const fetchImpl = async (url, { method, headers, body }) => {
+    const path = url.replace("http://api.test/api", "");
+    calls.push([method, path, body && JSON.parse(body)]);
+    calls.auth = headers.Authorization;
+    const reply = replies[`${method} ${path}`];
+    if (reply instanceof Error) throw reply;
+    const status = reply?.status || (method === "DELETE" ? 204 : 200);
+    return {
+      ok: status < 400,
+      status,
+      json: async () => reply?.body ?? reply,
+    };
+  };
+  return { calls, store: createRemoteStore("http://api.test", fetchImpl) };
+};
+
+test("loads from the API, keeping defaults for unsaved settings", async () => {
+  const { store } = fakeServer({
+    "GET /products": [a],
+    "GET /categories": [],
+    "GET /orders": [],
+    "GET /reviews": [],
+    "GET /settings": { bank: { bin: "970436" }, legacy: true },
+  });
+  expect(
+    await store.load({ products: [], bank: {}, shipping: { methods: [] } })
+  ).toEqual({
+    products: [a],
+    categories: [],
+    orders: [],
+    reviews: [],
+    messages: [],
+    subscribers: [],
+    bank: { bin: "970436" },
+    shipping: { methods: [] },
+  });
+});
+
+test("saves only the items that changed", async () => {
+  const { store, calls } = fakeServer();
+  const b2 = { ...b, price: 1 };
+  await store.sync("products", [a, b], [b2]);
+  await store.sync("shipping", {}, { defaultWeight: 300 });
+  expect(calls).toEqual([
+    ["PUT", "/products/b", b2],
+    ["DELETE", "/products/a", undefined],
+    ["PUT", "/settings/shipping", { defaultWeight: 300 }],
+  ]);
+});
+
+test("reports server and network errors", async () => {
+  const { store } = fakeServer({
+    "POST /orders": { status: 400, body: { error: "Mã đơn không hợp lệ." } },
+    "POST /import": new TypeError("Failed to fetch"),
+  });
+  await expect(store.createOrder({ code: "X" })).rejects.toThrow(
+    "Mã đơn không hợp lệ."
+  );
+  await expect(store.importAll({})).rejects.toThrow(
+    "Không kết nối được máy chủ."
+  );
+});
+
+test("signs requests and drops a session the server refused", async () => {
+  localStorage.clear();
+  const session = {
+    token: "abc",
+    user: { id: "1", role: "staff" },
+    expiresAt: new Date(Date.now() + 60000).toISOString(),
+  };
+  const { store, calls } = fakeServer({
+    "POST /auth/login": session,
+    "GET /orders": { status: 401, body: { error: "Vui lòng đăng nhập." } },
+  });
+  const changes = jest.fn();
+  store.subscribe(changes);
+  await store.login("nv", "12345678");
+  expect(store.session()).toEqual(session);
+  await expect(store.load({})).rejects.toThrow("Vui lòng đăng nhập.");
+  expect(calls.auth).toBe("Bearer abc");
+  expect(store.session()).toBe(null);
+  expect(changes).toHaveBeenCalledTimes(2);
+});
+
+test("posts events so that they outlive the page", async () => {
+  const fetchImpl = jest.fn(async () => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ saved: 1 }),
+  }));
+  await createRemoteStore("http://api.test", fetchImpl).trackEvents([a]);
+  expect(fetchImpl).toHaveBeenCalledWith(
+    "http://api.test/api/events",
+    expect.objectContaining({ method: "POST", keepalive: true })
+  );
+});
@@ -0,0 +1,116 @@
+/**
+ * Admin accounts
+ * ---------------------------------------------------------
+ * Two roles:
+ *   owner  everything: catalogue and prices, settings, accounts
+ *   staff  orders and stock levels only
+ *
+ * Passwords are stored as "pbkdf2$<iterations>$<salt>$<hash>" (PBKDF2-SHA256,
+ * hex) through WebCrypto, so the demo store and the API (which imports this
+ * module) hash the same way and can check each other's hashes.
+ *
+ * A session lasts SESSION_HOURS from login; after that the admin is logged
+ * out and has to sign in again.
+ */
+
+export const ROLES = { owner: "Chủ cửa hàng", staff: "Nhân viên" };
+
+export const PERMISSIONS = {
+  owner: ["products", "stock", "orders", "settings", "users"],
+  staff: ["stock", "orders"],
+};
+
+export const can = (user, permission) =>
+  !!user && (PERMISSIONS[user.role] || []).includes(permission);
+
+export const SESSION_HOURS = 8;
+
+export const sessionExpired = (session, now = new Date()) =>
+  !session || new Date(session.expiresAt) <= now;
+
+// A product edit that only touches stock levels (and the sales count that
+// moves with them), which staff may save.
+const withoutStock = ({ stock, sold, variants, ...rest }) => ({
+  ...rest,
+  variants: (variants || []).map(({ stock: _, ...v }) => v),
+});
+export const isStockOnlyChange = (before, after) =>
+  !!before &&
+  JSON.stringify(withoutStock(before)) === JSON.stringify(withoutStock(after));
+
+// Drafts may come from anyone's request on the server, so nothing about
+// their types is taken for granted.
+export const validateAccount = (draft, users, { requirePassword }) => {
+  const { username, name, role, password } = draft;
+  if (typeof username !== "string" || !/^[a-z0-9._-]{3,32}$/.test(username))
+    return "Tên đăng nhập gồm 3–32 ký tự a-z, 0-9, dấu chấm, gạch ngang.";
+  if (users.some((u) => u.username === username && u.id !== draft.id))
+    return `Tên đăng nhập ${username} đã được dùng.`;
+  if (typeof name !== "string" || !name.trim()) return "Nhập họ tên.";
+  if (!Object.keys(ROLES).includes(role)) return "Chọn vai trò.";
+  if (password != null && typeof password !== "string")
+    return "Mật khẩu không hợp lệ.";
+  if ((requirePassword || password) && (password || "").length < 8)
+    return "Mật khẩu cần ít nhất 8 ký tự.";
+  return null;
+};
+
+// ----------------------- Password hashing -----------------------
+const PBKDF2_ITERATIONS = 100000;
+
+const toHex = (buffer) =>
+  [...new Uint8Array(buffer)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+const pbkdf2 = async (password, salt, iterations) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: encoder.encode(salt), iterations },
+    key,
+    256
+  );
+  return toHex(bits);
+};
+
+export const randomHex = (bytes) =>
+  toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+
+export const hashPassword = async (
+  password,
+  salt = randomHex(16),
+  iterations = PBKDF2_ITERATIONS
+) => `pbkdf2$${iterations}$${salt}$${await pbkdf2(password, salt, iterations)}`;
+
+// Compares two strings in time that depends on their length only, so a
+// wrong guess does not tell how much of it was right.
+export const safeEqual = (a, b) => {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length)
+    return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1)
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+};
+
+export const verifyPassword = async (password, stored = "") => {
+  const [scheme, iterations, salt, hash] = stored.split("$");
+  if (scheme !== "pbkdf2" || !hash || typeof password !== "string")
+    return false;
+  return safeEqual(await pbkdf2(password, salt, Number(iterations)), hash);
+};
+
+// What the app keeps about the signed-in admin; never the hash.
+export const publicUser = ({ id, username, name, role }) => ({
+  id,
+  username,
+  name,
+  role,
+});
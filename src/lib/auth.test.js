@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+import { pbkdf2Sync, webcrypto } from "crypto";
+import {
+  can,
+  hashPassword,
+  isStockOnlyChange,
+  sessionExpired,
+  validateAccount,
+  verifyPassword,
+} from "./auth.js";
+
+// Node only exposes WebCrypto globally from v19 on.
+global.crypto = webcrypto;
+
+test("hashes passwords in the format the server uses", async () => {
+  const stored = await hashPassword("mật khẩu 123", "abcd", 1000);
+  expect(stored).toBe(
+    `pbkdf2$1000$abcd$${pbkdf2Sync(
+      "mật khẩu 123",
+      "abcd",
+      1000,
+      32,
+      "sha256"
+    ).toString("hex")}`
+  );
+  expect(await verifyPassword("mật khẩu 123", stored)).toBe(true);
+  expect(await verifyPassword("mat khau 123", stored)).toBe(false);
+  expect(await verifyPassword("x", "")).toBe(false);
+});
+
+test("gives staff orders and stock only", () => {
+  const staff = { role: "staff" };
+  expect(can(staff, "orders")).toBe(true);
+  expect(can(staff, "stock")).toBe(true);
+  expect(can(staff, "products")).toBe(false);
+  expect(can(staff, "settings")).toBe(false);
+  expect(can({ role: "owner" }, "users")).toBe(true);
+  expect(can(null, "orders")).toBe(false);
+});
+
+test("tells stock counts from other product edits", () => {
+  const shirt = {
+    id: "ao",
+    price: 169000,
+    stock: 5,
+    variants: [{ id: "s", price: null, stock: 5 }],
+  };
+  const counted = {
+    ...shirt,
+    stock: 2,
+    variants: [{ id: "s", price: null, stock: 2 }],
+  };
+  expect(isStockOnlyChange(shirt, counted)).toBe(true);
+  expect(isStockOnlyChange(shirt, { ...counted, sold: 3 })).toBe(true);
+  expect(isStockOnlyChange(shirt, { ...counted, price: 1000 })).toBe(false);
+  expect(
+    isStockOnlyChange(shirt, {
+      ...shirt,
+      variants: [{ id: "s", price: 1000, stock: 5 }],
+    })
+  ).toBe(false);
+  expect(isStockOnlyChange(null, counted)).toBe(false);
+});
+
+test("expires sessions", () => {
+  const session = { expiresAt: "2026-10-18T10:00:00.000Z" };
+  expect(sessionExpired(session, new Date("2026-10-18T09:59:00Z"))).toBe(false);
+  expect(sessionExpired(session, new Date("2026-10-18T10:00:00Z"))).toBe(true);
+  expect(sessionExpired(null)).toBe(true);
+});
+
+test("validates account drafts", () => {
+  const users = [{ id: "1", username: "chu" }];
+  const draft = { username: "nv.lan", name: "Lan", role: "staff" };
+  const check = (d, opts = { requirePassword: true }) =>
+    validateAccount({ ...draft, ...d }, users, opts);
+  expect(check({ password: "12345678" })).toBe(null);
+  expect(check({ password: "1234" })).toMatch(/8 ký tự/);
+  expect(check({}, { requirePassword: false })).toBe(null);
+  expect(check({ username: "chu", password: "12345678" })).toMatch(
+    /đã được dùng/
+  );
+  expect(check({ username: "Lan Anh" })).toMatch(/Tên đăng nhập/);
+});
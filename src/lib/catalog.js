@@ -0,0 +1,372 @@
+import { fold, slugify, uid } from "./utils.js";
+import { hasVariants, productStock } from "./variants.js";
+import { toImage } from "./images.js";
+
+/**
+ * Catalogue import / export and bulk edits
+ * ---------------------------------------------------------
+ * CSV: one product per row. The first row names the columns; the admin maps
+ * them to IMPORT_FIELDS (guessMapping suggests a mapping from the headers).
+ * Lists (tags, image URLs) are separated by "|". Money may be written
+ * "169000", "169.000" or "169.000 đ".
+ *
+ * JSON: what exportJson writes, `{ products: [...] }`, or a bare list of
+ * products. It keeps everything, variants included.
+ *
+ * Both become import entries `{ line, fields }` and go through
+ * checkImport, which matches rows to products (by id, then SKU) and reports
+ * what would happen without changing anything:
+ *
+ *   { rows: [{ line, action: "create" | "update" | "error", product,
+ *              errors: [], warnings: [] }],
+ *     counts: { create, update, error } }
+ *
+ * applyImport then takes the rows without errors. An empty cell leaves the
+ * product's current value alone.
+ */
+
+export const IMPORT_FIELDS = [
+  { key: "id", label: "Mã nội bộ (id)", aliases: [] },
+  { key: "sku", label: "SKU", aliases: ["ma", "ma sp", "ma san pham"] },
+  { key: "name", label: "Tên sản phẩm", aliases: ["ten", "ten sp"] },
+  { key: "category", label: "Danh mục", aliases: [] },
+  { key: "price", label: "Giá", type: "money", aliases: ["gia ban"] },
+  {
+    key: "compareAtPrice",
+    label: "Giá gốc",
+    type: "money",
+    aliases: ["compare at price", "gia truoc giam"],
+  },
+  { key: "stock", label: "Tồn kho", type: "count", aliases: ["so luong"] },
+  {
+    key: "weight",
+    label: "Khối lượng (g)",
+    type: "count",
+    aliases: ["khoi luong", "can nang"],
+  },
+  { key: "tags", label: "Từ khoá", type: "list", aliases: ["tu khoa"] },
+  {
+    key: "images",
+    label: "Ảnh (URL)",
+    type: "list",
+    aliases: ["image", "anh", "hinh anh"],
+  },
+  { key: "description", label: "Mô tả", aliases: ["mo ta"] },
+];
+
+// ----------------------- CSV -----------------------
+/** Rows of cells; understands quotes, "," or ";" and Excel's BOM. */
+export const parseCsv = (text) => {
+  const src = text.replace(/^\uFEFF/, "");
+  const header = src.split(/\r?\n/, 1)[0];
+  const count = (ch) => header.split(ch).length;
+  const delimiter = count(";") > count(",") ? ";" : ",";
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+};
+
+// A spreadsheet runs a cell starting with one of these as a formula (a
+// leading tab or carriage return hides one), so exported text gets a
+// leading ' (shown by the spreadsheet, dropped on import).
+const FORMULA = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const raw = value == null ? "" : String(value);
+  const s = FORMULA.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const fromCsvCell = (cell = "") => {
+  const s = cell.trim();
+  return s.startsWith("'") && FORMULA.test(s.slice(1)) ? s.slice(1) : s;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+/** Field key -> column index (-1 = not imported), guessed from headers. */
+export const guessMapping = (headers) => {
+  const names = headers.map(fold);
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((f) => [
+      f.key,
+      names.findIndex((h) =>
+        [f.key, f.label, ...f.aliases].some((alias) => fold(alias) === h)
+      ),
+    ])
+  );
+};
+
+/** CSV rows (header first) -> import entries, using `mapping`. */
+export const csvEntries = (rows, mapping) =>
+  rows.slice(1).map((cells, i) => ({
+    line: i + 2,
+    fields: Object.fromEntries(
+      Object.entries(mapping)
+        .filter(([, column]) => column >= 0)
+        .map(([key, column]) => [key, fromCsvCell(cells[column])])
+    ),
+  }));
+
+// ----------------------- JSON -----------------------
+export const jsonEntries = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Tệp JSON không đọc được.");
+  }
+  const list = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(list))
+    throw new Error(
+      'Tệp JSON cần là danh sách sản phẩm hoặc { "products": [...] }.'
+    );
+  return list.map((fields, i) => ({ line: i + 1, fields }));
+};
+
+// ----------------------- Checking -----------------------
+// "169.000 đ" -> 169000; NaN when it is not a whole, non-negative amount.
+export const parseMoney = (raw) => {
+  if (typeof raw === "number") return raw;
+  const s = String(raw).replace(/\s|đ|₫|vnd/gi, "");
+  const digits = /^\d{1,3}([.,]\d{3})+$/.test(s) ? s.replace(/[.,]/g, "") : s;
+  return /^\d+$/.test(digits) ? Number(digits) : NaN;
+};
+
+const parseField = (field, raw) => {
+  if (field.type === "list")
+    return Array.isArray(raw)
+      ? raw
+      : String(raw)
+          .split("|")
+          .map((s) => s.trim())
+          .filter(Boolean);
+  if (field.type === "money" || field.type === "count") {
+    const n = parseMoney(raw);
+    return Number.isInteger(n) && n >= 0 ? n : NaN;
+  }
+  return typeof raw === "string" ? raw.trim() : raw;
+};
+
+const FIELD_NAMES = {
+  price: "Giá",
+  compareAtPrice: "Giá gốc",
+  stock: "Tồn kho",
+  weight: "Khối lượng",
+};
+const skuKey = (sku) =>
+  String(sku || "")
+    .trim()
+    .toUpperCase();
+
+/** Dry run: what importing `entries` into `products` would do. */
+export const checkImport = (
+  entries,
+  products,
+  { categories = [], now = new Date() } = {}
+) => {
+  const byId = new Map(products.map((p) => [p.id, p]));
+  const bySku = new Map(
+    products.filter((p) => p.sku).map((p) => [skuKey(p.sku), p])
+  );
+  const variantSkus = new Map(
+    products.flatMap((p) =>
+      (p.variants || []).filter((v) => v.sku).map((v) => [skuKey(v.sku), p])
+    )
+  );
+  const known = new Set([
+    ...categories.map((c) => c.name),
+    ...products.map((p) => p.category),
+  ]);
+  const names = new Set(products.map((p) => fold(p.name)));
+  const seenSkus = new Map();
+
+  const rows = entries.map(({ line, fields }) => {
+    if (!fields || typeof fields !== "object" || Array.isArray(fields))
+      return {
+        line,
+        action: "error",
+        product: {},
+        errors: ["Dòng này không phải là một sản phẩm."],
+        warnings: [],
+      };
+    const errors = [];
+    const warnings = [];
+    // Empty cells are left out, so they keep the current value.
+    const values = { ...fields };
+    IMPORT_FIELDS.forEach((f) => {
+      const raw = fields[f.key];
+      if (raw == null || raw === "") {
+        delete values[f.key];
+        return;
+      }
+      values[f.key] = parseField(f, raw);
+      if (Number.isNaN(values[f.key]))
+        errors.push(`${FIELD_NAMES[f.key]} "${raw}" không hợp lệ.`);
+    });
+    if (values.images)
+      values.images = values.images.map(toImage).filter(Boolean);
+
+    const sku = skuKey(values.sku);
+    const existing = byId.get(values.id) || (sku && bySku.get(sku)) || null;
+    if (sku) {
+      if (seenSkus.has(sku))
+        errors.push(`SKU ${sku} trùng với dòng ${seenSkus.get(sku)}.`);
+      else seenSkus.set(sku, line);
+      const owner = variantSkus.get(sku);
+      if (owner && owner.id !== existing?.id)
+        errors.push(`SKU ${sku} đang là mã biến thể của "${owner.name}".`);
+    }
+    const name = values.name ?? existing?.name;
+    if (!name) errors.push("Thiếu tên sản phẩm.");
+    if (!existing && values.price === undefined) errors.push("Thiếu giá.");
+    if (!existing && name && names.has(fold(name)))
+      warnings.push("Trùng tên với một sản phẩm có sẵn (thiếu SKU?).");
+    if (values.category && !known.has(values.category))
+      warnings.push(`Danh mục mới: ${values.category}.`);
+    const target = { ...existing, ...values };
+    if (values.stock !== undefined && hasVariants(target)) {
+      warnings.push("Sản phẩm có biến thể: bỏ qua cột tồn kho.");
+      delete values.stock;
+    }
+
+    const product = existing
+      ? { ...existing, ...values }
+      : {
+          category: "",
+          compareAtPrice: null,
+          stock: 0,
+          weight: 0,
+          sold: 0,
+          description: "",
+          tags: [],
+          images: [],
+          options: [],
+          variants: [],
+          ...values,
+          id: values.id || uid(),
+          slug: values.slug || slugify(name || ""),
+          createdAt: now.toISOString(),
+        };
+    return {
+      line,
+      action: errors.length ? "error" : existing ? "update" : "create",
+      product,
+      errors,
+      warnings,
+    };
+  });
+
+  const counts = { create: 0, update: 0, error: 0 };
+  rows.forEach((r) => (counts[r.action] += 1));
+  return { rows, counts };
+};
+
+/** Applies the rows without errors; new products go first. */
+export const applyImport = (products, report) => {
+  const ok = report.rows.filter((r) => r.action !== "error");
+  const updates = new Map(
+    ok.filter((r) => r.action === "update").map((r) => [r.product.id, r])
+  );
+  return [
+    ...ok.filter((r) => r.action === "create").map((r) => r.product),
+    ...products.map((p) => updates.get(p.id)?.product || p),
+  ];
+};
+
+// ----------------------- Export -----------------------
+// Photos uploaded in the browser are inlined data, too big for a sheet;
+// only links are written.
+const imageLinks = (p) =>
+  (p.images || [])
+    .map((img) => (typeof img === "string" ? img : img?.src))
+    .filter((src) => src && !src.startsWith("data:"));
+
+export const exportCsv = (products) =>
+  toCsv([
+    IMPORT_FIELDS.map((f) => f.key),
+    ...products.map((p) =>
+      IMPORT_FIELDS.map(({ key, type }) =>
+        key === "images"
+          ? imageLinks(p).join(" | ")
+          : type === "list"
+          ? (p[key] || []).join(" | ")
+          : key === "stock" && hasVariants(p)
+          ? ""
+          : p[key] ?? ""
+      )
+    ),
+  ]);
+
+export const exportJson = (products, now = new Date()) =>
+  JSON.stringify({ exportedAt: now.toISOString(), products }, null, 2);
+
+// ----------------------- Bulk edits -----------------------
+const roundPrice = (n, step = 1) => Math.max(0, Math.round(n / step) * step);
+
+/**
+ * Applies one change to the products in `ids`:
+ *   { category }        moves them
+ *   { pricePercent, roundTo }
+ *                       raises (or, negative, lowers) prices, the price
+ *                       before sale and variant prices included; the new
+ *                       prices are rounded to `roundTo` đồng (default 1)
+ *   { stock }           sets the stock; every variant gets that many, and
+ *                       the product's stock is their total
+ */
+export const bulkEdit = (products, ids, change) => {
+  const picked = new Set(ids);
+  const edit = (p) => {
+    if (change.category !== undefined)
+      return { ...p, category: change.category };
+    if (change.pricePercent !== undefined) {
+      const scale = (n) =>
+        roundPrice(n * (1 + change.pricePercent / 100), change.roundTo);
+      return {
+        ...p,
+        price: scale(p.price),
+        compareAtPrice: p.compareAtPrice
+          ? scale(p.compareAtPrice)
+          : p.compareAtPrice,
+        variants: (p.variants || []).map((v) =>
+          v.price == null || v.price === ""
+            ? v
+            : { ...v, price: scale(Number(v.price)) }
+        ),
+      };
+    }
+    if (change.stock !== undefined) {
+      if (!hasVariants(p)) return { ...p, stock: change.stock };
+      const edited = {
+        ...p,
+        variants: p.variants.map((v) => ({ ...v, stock: change.stock })),
+      };
+      return { ...edited, stock: productStock(edited) };
+    }
+    return p;
+  };
+  return products.map((p) => (picked.has(p.id) ? edit(p) : p));
+};
@@ -0,0 +1,144 @@
+import {
+  applyImport,
+  bulkEdit,
+  checkImport,
+  csvEntries,
+  exportCsv,
+  guessMapping,
+  jsonEntries,
+  parseCsv,
+  parseMoney,
+  toCsv,
+} from "./catalog.js";
+
+const now = new Date("2026-10-18T00:00:00Z");
+const products = [
+  {
+    id: "ao",
+    sku: "VK-AO",
+    name: "Áo thun Việt Ký",
+    category: "Áo thun",
+    price: 169000,
+    stock: 5,
+    tags: ["cotton"],
+    images: [],
+  },
+  {
+    id: "non",
+    name: "Nón lá",
+    category: "Phụ kiện",
+    price: 99000,
+    images: [],
+    options: [{ name: "Size", values: ["S", "M"] }],
+    variants: [
+      { id: "s", sku: "NON-S", price: null, stock: 1 },
+      { id: "m", sku: "NON-M", price: 109000, stock: 2 },
+    ],
+  },
+];
+
+test("parses quoted CSV, semicolons and a BOM", () => {
+  expect(parseCsv('\uFEFFa;b\r\n"x; ""y""";2\n\n')).toEqual([
+    ["a", "b"],
+    ['x; "y"', "2"],
+  ]);
+  expect(parseMoney("169.000 đ")).toBe(169000);
+  expect(parseMoney("12,5")).toBeNaN();
+});
+
+test("maps headers and reports bad rows before importing", () => {
+  const rows = parseCsv(
+    [
+      "Mã SP,Tên sản phẩm,Giá bán,Tồn kho",
+      "VK-AO,,189000,7",
+      "VK-MU,Mũ Việt Ký,abc,3",
+      "VK-MU,Mũ Việt Ký,89000,3",
+      "VK-MU,Mũ khác,89000,1",
+      ",,",
+      "NON-S,Nón S,1000,1",
+    ].join("\n")
+  );
+  const mapping = guessMapping(rows[0]);
+  expect(mapping).toMatchObject({ sku: 0, name: 1, price: 2, stock: 3 });
+  const report = checkImport(csvEntries(rows, mapping), products, { now });
+  expect(report.rows.map((r) => [r.line, r.action])).toEqual([
+    [2, "update"],
+    [3, "error"],
+    [4, "error"],
+    [5, "error"],
+    [6, "error"],
+  ]);
+  expect(report.rows[1].errors).toEqual(['Giá "abc" không hợp lệ.']);
+  expect(report.rows[2].errors).toEqual(["SKU VK-MU trùng với dòng 3."]);
+  expect(report.rows[4].errors[0]).toMatch(/mã biến thể của "Nón lá"/);
+  // An empty name cell keeps the current name.
+  expect(report.rows[0].product).toMatchObject({
+    name: "Áo thun Việt Ký",
+    price: 189000,
+    stock: 7,
+  });
+  expect(report.counts).toEqual({ create: 0, update: 1, error: 4 });
+});
+
+test("imports new products and round-trips an export", () => {
+  const report = checkImport(
+    jsonEntries(
+      JSON.stringify({
+        products: [{ name: "Mũ Việt Ký", price: 89000, images: ["/mu.jpg"] }],
+      })
+    ),
+    products,
+    { now }
+  );
+  const next = applyImport(products, report);
+  expect(next).toHaveLength(3);
+  expect(next[0]).toMatchObject({
+    name: "Mũ Việt Ký",
+    slug: "mu-viet-ky",
+    stock: 0,
+    createdAt: now.toISOString(),
+    images: [{ src: "/mu.jpg", alt: "" }],
+  });
+
+  const rows = parseCsv(exportCsv(products));
+  const again = checkImport(csvEntries(rows, guessMapping(rows[0])), products);
+  expect(again.counts).toEqual({ create: 0, update: 2, error: 0 });
+  expect(applyImport(products, again)).toEqual(products);
+  expect(() => jsonEntries("{}")).toThrow(/danh sách sản phẩm/);
+  const odd = checkImport(jsonEntries('[null, 5, {"name": "Mũ"}]'), products);
+  expect(odd.rows.map((r) => r.action)).toEqual(["error", "error", "error"]);
+  expect(odd.rows[0].errors).toEqual(["Dòng này không phải là một sản phẩm."]);
+});
+
+test("keeps spreadsheet formulas out of exported cells", () => {
+  expect(toCsv([["=1+1", "-5", "@x", "+84 912", "a-b"]])).toBe(
+    "'=1+1,'-5,'@x,'+84 912,a-b"
+  );
+  expect(toCsv([["\t=1+1", "\r=1+1"]])).toBe("'\t=1+1,\"'\r=1+1\"");
+  const risky = [{ ...products[0], name: '=HYPERLINK("http://x", "Áo")' }];
+  const rows = parseCsv(exportCsv(risky));
+  const again = checkImport(csvEntries(rows, guessMapping(rows[0])), risky);
+  expect(applyImport(risky, again)).toEqual(risky);
+});
+
+test("bulk edits prices, stock and category", () => {
+  const raised = bulkEdit(products, ["ao", "non"], { pricePercent: 10 });
+  expect(raised[0].price).toBe(185900);
+  expect(raised[1].variants.map((v) => v.price)).toEqual([null, 119900]);
+  const onSale = [{ ...products[0], compareAtPrice: 199000 }];
+  expect(
+    bulkEdit(onSale, ["ao"], { pricePercent: -10, roundTo: 1000 })[0]
+      .compareAtPrice
+  ).toBe(179000);
+  // Small changes still reach cheap items; 0% changes nothing.
+  const cheap = [{ ...products[0], price: 9500 }];
+  expect(bulkEdit(cheap, ["ao"], { pricePercent: 2 })[0].price).toBe(9690);
+  expect(bulkEdit(cheap, ["ao"], { pricePercent: 0 })[0].price).toBe(9500);
+  const stocked = bulkEdit(products, ["non"], { stock: 4 });
+  expect(stocked[0]).toBe(products[0]);
+  expect(stocked[1].variants.map((v) => v.stock)).toEqual([4, 4]);
+  expect(stocked[1].stock).toBe(8);
+  expect(bulkEdit(products, ["ao"], { category: "Mới" })[0].category).toBe(
+    "Mới"
+  );
+});
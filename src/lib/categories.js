@@ -0,0 +1,182 @@
+import { fold, slugify, uid } from "./utils.js";
+
+/**
+ * Categories
+ * ---------------------------------------------------------
+ * Category: { id, name, slug, parentId, position, description, banner }
+ *   Products and category coupons name their category (`product.category`,
+ *   `coupon.categories`), so renaming a category renames it there too, and
+ *   deleting one hands its place in coupons to its children. A category may
+ *   sit inside another (parentId); the parent's listing includes its
+ *   children.
+ */
+
+export const emptyCategory = () => ({
+  id: uid(),
+  name: "",
+  slug: "",
+  parentId: null,
+  description: "",
+  banner: null,
+});
+
+// Siblings in display order: by position, then as stored.
+const siblings = (categories, parentId) =>
+  categories
+    .map((c, index) => ({ c, index }))
+    .filter(({ c }) => (c.parentId || null) === (parentId || null))
+    .sort(
+      (a, b) =>
+        (a.c.position ?? a.index) - (b.c.position ?? b.index) ||
+        a.index - b.index
+    )
+    .map(({ c }) => c);
+
+/** Every category in display order, each with its nesting depth. */
+export const categoryTree = (categories) => {
+  const known = new Set(categories.map((c) => c.id));
+  const walk = (parentId, depth) =>
+    siblings(categories, parentId).flatMap((category) => [
+      { category, depth },
+      ...walk(category.id, depth + 1),
+    ]);
+  // A category whose parent was deleted shows at the top level.
+  const orphans = categories.filter(
+    (c) => c.parentId && !known.has(c.parentId)
+  );
+  return [
+    ...walk(null, 0),
+    ...orphans.flatMap((c) => [{ category: c, depth: 0 }, ...walk(c.id, 1)]),
+  ];
+};
+
+/** Ids of every category nested inside `id`, at any depth. */
+export const descendantIds = (categories, id) =>
+  categories
+    .filter((c) => c.parentId === id)
+    .flatMap((c) => [c.id, ...descendantIds(categories, c.id)]);
+
+/** The category called `name` and everything nested inside it. */
+export const categoryScope = (categories, name) => {
+  const category = categories.find((c) => c.name === name);
+  if (!category) return new Set([name]);
+  return new Set([
+    name,
+    ...descendantIds(categories, category.id).map(
+      (id) => categories.find((c) => c.id === id).name
+    ),
+  ]);
+};
+
+export const categorySlug = (c) => c.slug || slugify(c.name);
+
+export const validateCategory = (draft, categories) => {
+  const name = (draft.name || "").trim();
+  if (!name) return "Nhập tên danh mục.";
+  const others = categories.filter((c) => c.id !== draft.id);
+  if (others.some((c) => fold(c.name) === fold(name)))
+    return `Đã có danh mục "${name}".`;
+  const slug = categorySlug({ ...draft, name });
+  if (!/^[a-z0-9-]+$/.test(slug))
+    return "Đường dẫn chỉ gồm chữ thường không dấu, số và dấu gạch ngang.";
+  if (others.some((c) => categorySlug(c) === slug))
+    return `Đường dẫn "${slug}" đã được dùng.`;
+  if (
+    draft.parentId &&
+    (draft.parentId === draft.id ||
+      descendantIds(categories, draft.id).includes(draft.parentId))
+  )
+    return "Không thể đặt danh mục vào chính nó hoặc danh mục con của nó.";
+  return null;
+};
+
+// Category coupons naming `from` name `to` (a list of names) instead.
+const replaceInCoupons = (coupons, from, to) =>
+  coupons.map((c) =>
+    c.scope === "category" && c.categories.includes(from)
+      ? {
+          ...c,
+          categories: [
+            ...new Set(c.categories.flatMap((n) => (n === from ? to : [n]))),
+          ],
+        }
+      : c
+  );
+
+/**
+ * Adds or updates a category. Returns `{ categories, products, coupons }`;
+ * products and coupons of a renamed category follow the new name.
+ */
+export const saveCategory = (categories, products, draft, coupons = []) => {
+  const before = categories.find((c) => c.id === draft.id);
+  const parentId = draft.parentId || null;
+  const category = {
+    ...draft,
+    name: draft.name.trim(),
+    slug: categorySlug({ ...draft, name: draft.name.trim() }),
+    parentId,
+    // Added, or moved to another parent: last among its new siblings.
+    position:
+      before && (before.parentId || null) === parentId
+        ? before.position
+        : siblings(categories, parentId).length,
+  };
+  const renamed = before && before.name !== category.name;
+  return {
+    categories: before
+      ? categories.map((c) => (c.id === category.id ? category : c))
+      : [...categories, category],
+    products: renamed
+      ? products.map((p) =>
+          p.category === before.name ? { ...p, category: category.name } : p
+        )
+      : products,
+    coupons: renamed
+      ? replaceInCoupons(coupons, before.name, [category.name])
+      : coupons,
+  };
+};
+
+/**
+ * Removes a category; its children move up a level. Refuses while products
+ * still use it, so none are left without a category. Returns
+ * `{ categories, coupons }`: coupons for the category name its children
+ * instead, which they covered before (see categoryScope).
+ */
+export const deleteCategory = (categories, products, id, coupons = []) => {
+  const category = categories.find((c) => c.id === id);
+  const used = products.filter((p) => p.category === category.name).length;
+  if (used)
+    throw new Error(
+      `Danh mục "${category.name}" còn ${used} sản phẩm. Chuyển chúng sang danh mục khác trước khi xoá.`
+    );
+  return {
+    categories: categories
+      .filter((c) => c.id !== id)
+      .map((c) =>
+        c.parentId === id ? { ...c, parentId: category.parentId || null } : c
+      ),
+    coupons: replaceInCoupons(
+      coupons,
+      category.name,
+      categories.filter((c) => c.parentId === id).map((c) => c.name)
+    ),
+  };
+};
+
+/** Moves a category up (-1) or down (+1) among its siblings. */
+export const moveCategory = (categories, id, step) => {
+  const category = categories.find((c) => c.id === id);
+  const order = siblings(categories, category.parentId);
+  const from = order.indexOf(category);
+  const to = from + step;
+  if (to < 0 || to >= order.length) return categories;
+  [order[from], order[to]] = [order[to], order[from]];
+  const position = new Map(order.map((c, i) => [c.id, i]));
+  // Only siblings whose position really changes become new objects.
+  return categories.map((c) =>
+    position.has(c.id) && c.position !== position.get(c.id)
+      ? { ...c, position: position.get(c.id) }
+      : c
+  );
+};
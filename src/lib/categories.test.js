@@ -0,0 +1,88 @@
+import {
+  categoryScope,
+  categoryTree,
+  deleteCategory,
+  moveCategory,
+  saveCategory,
+  validateCategory,
+} from "./categories.js";
+
+const categories = [
+  { id: "ao", name: "Áo thun" },
+  { id: "pk", name: "Phụ kiện" },
+  { id: "coc", name: "Cốc", parentId: "pk" },
+  { id: "so", name: "Sổ", parentId: "pk" },
+];
+const products = [
+  { id: "1", category: "Cốc" },
+  { id: "2", category: "Phụ kiện" },
+];
+const names = (list) => categoryTree(list).map((t) => t.category.name);
+
+test("lists nested categories in order with their depth", () => {
+  expect(categoryTree(categories).map((t) => t.depth)).toEqual([0, 0, 1, 1]);
+  expect(names(categories)).toEqual(["Áo thun", "Phụ kiện", "Cốc", "Sổ"]);
+  expect([...categoryScope(categories, "Phụ kiện")]).toEqual([
+    "Phụ kiện",
+    "Cốc",
+    "Sổ",
+  ]);
+});
+
+test("renaming a category renames it on its products", () => {
+  const saved = saveCategory(categories, products, {
+    ...categories[2],
+    name: "Cốc sứ",
+    slug: "",
+  });
+  expect(saved.categories[2]).toMatchObject({ name: "Cốc sứ", slug: "coc-su" });
+  expect(saved.products.map((p) => p.category)).toEqual(["Cốc sứ", "Phụ kiện"]);
+});
+
+test("renaming a category renames it in category coupons", () => {
+  const coupons = [
+    { code: "COC", scope: "category", categories: ["Cốc", "Sổ"] },
+    { code: "ALL", scope: "all", categories: [] },
+  ];
+  const saved = saveCategory(
+    categories,
+    products,
+    { ...categories[2], name: "Cốc sứ" },
+    coupons
+  );
+  expect(saved.coupons[0].categories).toEqual(["Cốc sứ", "Sổ"]);
+  expect(saved.coupons[1]).toBe(coupons[1]);
+  expect(
+    saveCategory(categories, products, categories[3], coupons).coupons
+  ).toBe(coupons);
+});
+
+test("rejects duplicates and loops", () => {
+  expect(validateCategory({ id: "x", name: "cốc" }, categories)).toMatch(
+    /Đã có/
+  );
+  expect(
+    validateCategory({ ...categories[1], parentId: "coc" }, categories)
+  ).toMatch(/chính nó/);
+  expect(validateCategory({ id: "x", name: "Bút" }, categories)).toBeNull();
+});
+
+test("deletes only unused categories and lifts their children", () => {
+  expect(() => deleteCategory(categories, products, "pk")).toThrow(
+    /còn 1 sản phẩm/
+  );
+  const left = deleteCategory(categories, [], "pk", [
+    { code: "PK", scope: "category", categories: ["Phụ kiện", "Cốc"] },
+    { code: "ALL", scope: "all", categories: [] },
+  ]);
+  expect(left.categories.find((c) => c.id === "coc").parentId).toBeNull();
+  // Its children were covered by the coupon before, and still are.
+  expect(left.coupons.map((c) => c.categories)).toEqual([["Cốc", "Sổ"], []]);
+});
+
+test("moves a category among its siblings", () => {
+  const moved = moveCategory(categories, "so", -1);
+  expect(names(moved)).toEqual(["Áo thun", "Phụ kiện", "Sổ", "Cốc"]);
+  expect(moved[0]).toBe(categories[0]);
+  expect(moveCategory(categories, "ao", -1)).toBe(categories);
+});
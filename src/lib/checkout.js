@@ -0,0 +1,196 @@
+import { applyCoupons } from "./coupons.js";
+import { availablePaymentMethods } from "./gateways.js";
+import { cartWeight, shippingOptions, shippingZone } from "./shipping.js";
+import { phrase, phraseError } from "./phrases.js";
+import { validateCheckout } from "./validation.js";
+import { hasVariants, lineId, variantLabel, variantPrice } from "./variants.js";
+
+/**
+ * Order pricing
+ * ---------------------------------------------------------
+ * What an order costs: catalogue prices, the shipping fee for the address,
+ * the coupons that still apply (usage limits count every order) and the
+ * total. The checkout shows these figures; the server works them out again
+ * from its own catalogue, settings and orders before it accepts an order,
+ * so a crafted request can neither change a price nor stretch a coupon.
+ */
+
+/** { subtotal, shippingFee, discount, grand }; never below zero. */
+export const orderTotals = ({ subtotal, shippingFee, discount }) => ({
+  subtotal,
+  shippingFee,
+  discount,
+  grand: Math.max(0, subtotal + shippingFee - discount),
+});
+
+/**
+ * Cart lines at today's catalogue prices and names. Throws when a line
+ * names something that is not for sale, or a quantity that is not a whole
+ * number above zero, or when two lines are the same product (the cart adds
+ * to a line instead).
+ */
+export const priceLines = (products, cart) => {
+  if (!Array.isArray(cart) || cart.length === 0)
+    throw new Error("Giỏ hàng đang trống.");
+  const lines = cart.map((line) => {
+    const id = line?.productId || line?.id;
+    const product = products.find((p) => p.id === id);
+    const variant = line?.variantId
+      ? product?.variants?.find((v) => v.id === line.variantId)
+      : null;
+    if (!product || (line.variantId ? !variant : hasVariants(product)))
+      throw new Error("Giỏ hàng có sản phẩm không còn bán.");
+    if (!Number.isInteger(line.qty) || line.qty <= 0)
+      throw phraseError(
+        phrase(
+          "checkout.badQty",
+          { name: product.name },
+          `Số lượng của ${product.name} không hợp lệ.`
+        )
+      );
+    return {
+      id: lineId(product, variant),
+      productId: product.id,
+      variantId: variant?.id || null,
+      sku: variant?.sku || product.sku || null,
+      name: product.name,
+      variantLabel: variantLabel(variant),
+      price: variantPrice(product, variant),
+      qty: line.qty,
+    };
+  });
+  if (new Set(lines.map((l) => l.id)).size < lines.length)
+    throw new Error("Giỏ hàng có sản phẩm bị lặp.");
+  return lines;
+};
+
+/**
+ * The saved cart at today's prices. A line whose price changed since it was
+ * added takes the new one and keeps the price the shopper saw in
+ * `priceWas`, so the cart can point it out; the order drops it. Lines no
+ * longer for sale stay as they are (cartIssues flags them). Returns `cart`
+ * itself when nothing changed.
+ */
+export const refreshCart = (products, cart) => {
+  let changed = false;
+  const next = cart.map((line) => {
+    const product = products.find((p) => p.id === (line.productId || line.id));
+    const variant = line.variantId
+      ? product?.variants?.find((v) => v.id === line.variantId)
+      : null;
+    if (!product || (line.variantId && !variant)) return line;
+    const price = variantPrice(product, variant);
+    if (price === line.price) return line;
+    changed = true;
+    const { priceWas = line.price, ...rest } = line;
+    return price === priceWas
+      ? { ...rest, price }
+      : { ...rest, price, priceWas };
+  });
+  return changed ? next : cart;
+};
+
+/**
+ * Everything a checkout costs: { lines, quote, promo, totals }. `quote` is
+ * null while the chosen method does not deliver to the address; `promo` is
+ * applyCoupons' result for the entered `codes`.
+ */
+export const priceOrder = ({
+  products,
+  categories = [],
+  cart,
+  details,
+  shipping,
+  coupons,
+  codes = [],
+  orders,
+  now = new Date(),
+}) => {
+  const lines = priceLines(products, cart);
+  const subtotal = lines.reduce((s, l) => s + l.price * l.qty, 0);
+  const weight = cartWeight(products, lines, shipping);
+  const zone = shippingZone(details, shipping);
+  const quote =
+    shippingOptions(shipping, zone, { weight, subtotal }).find(
+      (o) => o.method.id === details.shippingMethod
+    )?.quote || null;
+  const shippingFee = quote ? quote.fee : 0;
+  const promo = applyCoupons(coupons, codes, {
+    products,
+    categories,
+    cart: lines,
+    subtotal,
+    shippingFee,
+    orders,
+    phone: details.phone,
+    now,
+  });
+  return {
+    lines,
+    quote,
+    promo,
+    totals: orderTotals({ subtotal, shippingFee, discount: promo.discount }),
+  };
+};
+
+// ----------------------- Placing an order -----------------------
+const text = (v) => (typeof v === "string" ? v : "");
+
+/** The checkout details an order was placed with (see createOrder). */
+export const orderDetails = (order) => ({
+  name: text(order.customer?.name),
+  phone: text(order.customer?.phone),
+  email: text(order.customer?.email),
+  address: text(order.shipping?.address),
+  ward: text(order.shipping?.ward),
+  district: text(order.shipping?.district),
+  province: text(order.shipping?.province),
+  addressScheme: text(order.shipping?.addressScheme),
+  provinceCode: text(order.shipping?.provinceCode),
+  districtCode: text(order.shipping?.districtCode),
+  wardCode: text(order.shipping?.wardCode),
+  shippingMethod: text(order.shippingMethod),
+  paymentMethod: text(order.paymentMethod),
+});
+
+/**
+ * Prices an order the browser sent again, from the shop's own data:
+ *   shop: { products, categories, orders, shipping, coupons, bank, gateways }
+ * Returns what createOrder needs ({ cart, details, totals, coupons,
+ * delivery }). Throws when the details are incomplete, or when the total
+ * differs from the one the customer saw (a price, fee or coupon changed).
+ */
+export const repriceOrder = (draft, shop, now = new Date()) => {
+  const details = orderDetails(draft);
+  const problem = Object.values(validateCheckout(details))[0];
+  if (problem) throw new Error(problem);
+  if (
+    !availablePaymentMethods(shop.bank, shop.gateways).includes(
+      details.paymentMethod
+    )
+  )
+    throw new Error("Phương thức thanh toán không khả dụng.");
+  const { lines, quote, promo, totals } = priceOrder({
+    ...shop,
+    cart: draft.items,
+    details,
+    codes: Array.isArray(draft.coupons)
+      ? [...new Set(draft.coupons.map((c) => c?.code))]
+      : [],
+    now,
+  });
+  if (!quote)
+    throw new Error("Phương thức giao hàng không áp dụng cho địa chỉ này.");
+  if (promo.rejected.length) throw phraseError(promo.rejected[0].message);
+  if (totals.grand !== draft.totals?.grand)
+    throw new Error(
+      "Giá hoặc phí giao hàng vừa thay đổi. Vui lòng tải lại trang và kiểm tra đơn hàng."
+    );
+  return {
+    cart: lines,
+    details,
+    totals,
+    coupons: promo.applied,
+    delivery: quote,
+  };
+};
@@ -0,0 +1,196 @@
+import {
+  priceLines,
+  priceOrder,
+  refreshCart,
+  repriceOrder,
+} from "./checkout.js";
+import { emptyCoupon } from "./coupons.js";
+import { createOrder } from "./orders.js";
+import { DEFAULT_SHIPPING } from "./shipping.js";
+
+const products = [
+  { id: "ao", name: "Áo thun", price: 169000, stock: 5, weight: 200 },
+  {
+    id: "mu",
+    name: "Mũ",
+    price: 99000,
+    variants: [
+      { id: "den", options: { Màu: "Đen" }, price: 120000, stock: 2 },
+      { id: "trang", options: { Màu: "Trắng" }, price: null, stock: 1 },
+    ],
+  },
+];
+const details = {
+  name: "Nguyễn Lan",
+  phone: "0912345678",
+  email: "",
+  address: "12 Hàng Bạc",
+  addressScheme: "2025",
+  province: "Thành phố Hà Nội",
+  provinceCode: "01",
+  ward: "Phường Hoàn Kiếm",
+  wardCode: "00070",
+  shippingMethod: "standard",
+  paymentMethod: "cod",
+};
+const shop = {
+  products,
+  orders: [],
+  shipping: DEFAULT_SHIPPING,
+  coupons: [
+    { ...emptyCoupon(), code: "GIAM10", usageLimit: 1 },
+    { ...emptyCoupon(), code: "MOT", perCustomerLimit: 1 },
+  ],
+  bank: {},
+  gateways: {},
+};
+const now = new Date(2026, 9, 18);
+
+test("prices lines from the catalogue, not from the cart", () => {
+  expect(
+    priceLines(products, [
+      { productId: "ao", price: 1, name: "?", qty: 2 },
+      { productId: "mu", variantId: "trang", qty: 1 },
+    ])
+  ).toEqual([
+    expect.objectContaining({ id: "ao", name: "Áo thun", price: 169000 }),
+    expect.objectContaining({
+      id: "mu:trang",
+      price: 99000,
+      variantLabel: "Trắng",
+    }),
+  ]);
+});
+
+test("brings saved cart lines to today's prices", () => {
+  const cart = [
+    { id: "ao", productId: "ao", price: 150000, qty: 1 },
+    {
+      id: "mu:trang",
+      productId: "mu",
+      variantId: "trang",
+      price: 99000,
+      qty: 1,
+    },
+    { id: "gone", productId: "gone", price: 1000, qty: 1 },
+  ];
+  const fresh = refreshCart(products, cart);
+  expect(fresh[0]).toMatchObject({ price: 169000, priceWas: 150000 });
+  expect(fresh[1]).toBe(cart[1]);
+  expect(fresh[2]).toBe(cart[2]);
+  expect(refreshCart(products, fresh)).toBe(fresh);
+  // Back at the price the shopper saw: nothing left to point out.
+  const back = refreshCart(
+    [{ ...products[0], price: 150000 }, ...products.slice(1)],
+    fresh
+  );
+  expect(back[0]).toEqual(cart[0]);
+});
+
+test("refuses quantities that are not whole numbers above zero", () => {
+  for (const qty of [0, -1000, 1.5, "2", null])
+    expect(() => priceLines(products, [{ productId: "ao", qty }])).toThrow(
+      /Số lượng/
+    );
+  expect(() => priceLines(products, [{ productId: "mu", qty: 1 }])).toThrow(
+    /không còn bán/
+  );
+  expect(() => priceLines(products, [])).toThrow(/trống/);
+  expect(() =>
+    priceLines(products, [
+      { productId: "ao", qty: 1 },
+      { id: "ao", qty: 1 },
+    ])
+  ).toThrow(/bị lặp/);
+});
+
+test("adds shipping and coupons to the subtotal", () => {
+  const { totals, quote, promo } = priceOrder({
+    ...shop,
+    cart: [{ productId: "mu", variantId: "den", qty: 2 }],
+    details,
+    codes: ["GIAM10"],
+    now,
+  });
+  expect(quote).toMatchObject({ zone: "inner", fee: 20000 });
+  expect(promo.applied).toEqual([
+    { code: "GIAM10", type: "percent", amount: 24000 },
+  ]);
+  expect(totals).toEqual({
+    subtotal: 240000,
+    shippingFee: 20000,
+    discount: 24000,
+    grand: 236000,
+  });
+});
+
+describe("repriceOrder", () => {
+  const draft = (fields = {}) =>
+    createOrder({
+      orders: [],
+      cart: [{ productId: "ao", name: "Áo thun", price: 169000, qty: 1 }],
+      details,
+      totals: {
+        subtotal: 169000,
+        shippingFee: 20000,
+        discount: 16900,
+        grand: 172100,
+      },
+      coupons: [{ code: "GIAM10", type: "percent", amount: 16900 }],
+      now,
+      ...fields,
+    });
+
+  test("keeps an order whose figures agree with the shop's", () => {
+    const priced = repriceOrder(draft(), shop, now);
+    expect(priced.totals.grand).toBe(172100);
+    expect(priced.coupons).toEqual([
+      { code: "GIAM10", type: "percent", amount: 16900 },
+    ]);
+    expect(priced.delivery).toMatchObject({ method: "standard", fee: 20000 });
+  });
+
+  test("refuses a lowered price or total", () => {
+    const cheap = draft({
+      cart: [{ productId: "ao", name: "Áo thun", price: 1, qty: 1 }],
+      totals: { subtotal: 1, shippingFee: 0, discount: 0, grand: 1 },
+    });
+    expect(() => repriceOrder(cheap, shop, now)).toThrow(/vừa thay đổi/);
+  });
+
+  test("counts coupon usage over every order", () => {
+    const used = { ...draft(), code: "VK-20261017-0001" };
+    expect(() =>
+      repriceOrder(draft(), { ...shop, orders: [used] }, now)
+    ).toThrow(/hết lượt sử dụng/);
+    const once = draft({
+      coupons: [{ code: "MOT", type: "percent", amount: 16900 }],
+    });
+    expect(() =>
+      repriceOrder(once, { ...shop, orders: [{ ...once, code: "X" }] }, now)
+    ).toThrow(/đã dùng hết lượt/);
+  });
+
+  test("uses a code once however often it is sent", () => {
+    const twice = draft({
+      coupons: [
+        { code: "GIAM10", amount: 16900 },
+        { code: "GIAM10", amount: 16900 },
+      ],
+    });
+    expect(repriceOrder(twice, shop, now).coupons).toHaveLength(1);
+  });
+
+  test("needs complete details and an available payment method", () => {
+    expect(() =>
+      repriceOrder(draft({ details: { ...details, phone: "" } }), shop, now)
+    ).toThrow(/điện thoại/);
+    expect(() =>
+      repriceOrder(
+        draft({ details: { ...details, paymentMethod: "vnpay" } }),
+        shop,
+        now
+      )
+    ).toThrow(/thanh toán/);
+  });
+});
@@ -0,0 +1,144 @@
+import { fold, slugify, uid } from "./utils.js";
+import { categoryScope } from "./categories.js";
+import { isNewArrival, isOnSale } from "./filters.js";
+import { priceRange } from "./variants.js";
+
+/**
+ * Collections
+ * ---------------------------------------------------------
+ * { id, name, slug, description, banner, featured, mode, productIds, rules }
+ *   mode "manual" lists `productIds` in that order; mode "rules" takes every
+ *   product matching all the rules that are set:
+ *   { categories: [names], tags: [tags], maxPrice, sale, newArrival }.
+ * The first featured collection fills the hero on the shop page.
+ */
+
+export const emptyCollection = () => ({
+  id: uid(),
+  name: "",
+  slug: "",
+  description: "",
+  banner: null,
+  featured: false,
+  mode: "manual",
+  productIds: [],
+  rules: {
+    categories: [],
+    tags: [],
+    maxPrice: null,
+    sale: false,
+    newArrival: false,
+  },
+});
+
+export const DEFAULT_COLLECTIONS = [
+  {
+    ...emptyCollection(),
+    id: "qua-tet",
+    name: "Quà Tết",
+    slug: "qua-tet",
+    description: "Quà nhỏ xinh mang tinh thần Việt cho người thân dịp Tết.",
+    featured: true,
+    mode: "rules",
+    rules: { ...emptyCollection().rules, tags: ["quà tặng"] },
+  },
+];
+
+export const collectionSlug = (c) => c.slug || slugify(c.name);
+
+export const validateCollection = (draft, collections) => {
+  const name = (draft.name || "").trim();
+  if (!name) return "Nhập tên bộ sưu tập.";
+  const slug = collectionSlug({ ...draft, name });
+  if (!/^[a-z0-9-]+$/.test(slug))
+    return "Đường dẫn chỉ gồm chữ thường không dấu, số và dấu gạch ngang.";
+  if (collections.some((c) => c.id !== draft.id && collectionSlug(c) === slug))
+    return `Đường dẫn "${slug}" đã được dùng.`;
+  if (draft.mode === "manual" && !draft.productIds.length)
+    return "Chọn ít nhất một sản phẩm.";
+  const r = draft.rules;
+  if (
+    draft.mode === "rules" &&
+    !r.categories.length &&
+    !r.tags.length &&
+    r.maxPrice == null &&
+    !r.sale &&
+    !r.newArrival
+  )
+    return "Đặt ít nhất một điều kiện cho bộ sưu tập.";
+  return null;
+};
+
+const matchesRules = (p, rules, categories, now) => {
+  const tags = (p.tags || []).map(fold);
+  return (
+    (!rules.categories.length ||
+      rules.categories.some((name) =>
+        categoryScope(categories, name).has(p.category)
+      )) &&
+    (!rules.tags.length || rules.tags.some((t) => tags.includes(fold(t)))) &&
+    (rules.maxPrice == null || priceRange(p)[0] <= rules.maxPrice) &&
+    (!rules.sale || isOnSale(p)) &&
+    (!rules.newArrival || isNewArrival(p, now))
+  );
+};
+
+export const collectionProducts = (
+  collection,
+  products,
+  categories = [],
+  now = new Date()
+) =>
+  collection.mode === "manual"
+    ? collection.productIds
+        .map((id) => products.find((p) => p.id === id))
+        .filter(Boolean)
+    : products.filter((p) =>
+        matchesRules(p, collection.rules, categories, now)
+      );
+
+export const featuredCollection = (collections = []) =>
+  collections.find((c) => c.featured) || null;
+
+// Rule-based collections naming category `from` name `to` (a list of
+// names) instead.
+const replaceCategory = (collections, from, to) =>
+  collections.map((c) =>
+    c.rules?.categories.includes(from)
+      ? {
+          ...c,
+          rules: {
+            ...c.rules,
+            categories: [
+              ...new Set(
+                c.rules.categories.flatMap((n) => (n === from ? to : [n]))
+              ),
+            ],
+          },
+        }
+      : c
+  );
+
+// Keeps rule-based collections pointing at a category after a rename.
+export const renameCollectionCategory = (collections, from, to) =>
+  replaceCategory(collections, from, [to]);
+
+// After a category is deleted, its children (`children`, names) take its
+// place in rules: the collection keeps the products it had.
+export const removeCollectionCategory = (collections, name, children) =>
+  replaceCategory(collections, name, children);
+
+// Only one collection is featured at a time.
+export const saveCollection = (collections, draft) => {
+  const collection = {
+    ...draft,
+    name: draft.name.trim(),
+    slug: collectionSlug({ ...draft, name: draft.name.trim() }),
+  };
+  const others = collection.featured
+    ? collections.map((c) => (c.featured ? { ...c, featured: false } : c))
+    : collections;
+  return collections.some((c) => c.id === collection.id)
+    ? others.map((c) => (c.id === collection.id ? collection : c))
+    : [...others, collection];
+};
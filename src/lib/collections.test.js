@@ -0,0 +1,98 @@
+import {
+  collectionProducts,
+  removeCollectionCategory,
+  renameCollectionCategory,
+  saveCollection,
+  validateCollection,
+} from "./collections.js";
+
+const now = new Date("2026-10-18T00:00:00Z");
+const categories = [
+  { id: "pk", name: "Phụ kiện" },
+  { id: "coc", name: "Cốc", parentId: "pk" },
+];
+const products = [
+  { id: "ao", category: "Áo thun", price: 169000, tags: ["Cotton"] },
+  {
+    id: "coc",
+    category: "Cốc",
+    price: 99000,
+    compareAtPrice: 129000,
+    tags: ["quà tặng"],
+    createdAt: "2026-10-10T00:00:00Z",
+  },
+  { id: "but", category: "Phụ kiện", price: 49500, tags: ["Quà tặng"] },
+];
+const rules = {
+  categories: [],
+  tags: [],
+  maxPrice: null,
+  sale: false,
+  newArrival: false,
+};
+const ids = (collection) =>
+  collectionProducts(collection, products, categories, now).map((p) => p.id);
+
+test("lists hand-picked products in their order", () => {
+  expect(
+    ids({ mode: "manual", productIds: ["but", "gone", "ao"], rules })
+  ).toEqual(["but", "ao"]);
+});
+
+test("matches every rule that is set", () => {
+  const byRules = (changes) =>
+    ids({ mode: "rules", productIds: [], rules: { ...rules, ...changes } });
+  expect(byRules({ categories: ["Phụ kiện"] })).toEqual(["coc", "but"]);
+  expect(byRules({ tags: ["QUÀ TẶNG"], maxPrice: 60000 })).toEqual(["but"]);
+  expect(byRules({ sale: true })).toEqual(["coc"]);
+  expect(byRules({ newArrival: true, tags: ["cotton"] })).toEqual([]);
+});
+
+test("needs a name and something to show", () => {
+  const draft = {
+    id: "a",
+    name: "Quà Tết",
+    mode: "rules",
+    productIds: [],
+    rules,
+  };
+  expect(validateCollection(draft, [])).toMatch(/điều kiện/);
+  expect(
+    validateCollection({ ...draft, rules: { ...rules, sale: true } }, [
+      { id: "b", name: "Quà tết" },
+    ])
+  ).toMatch(/đã được dùng/);
+});
+
+test("features one collection and follows category renames", () => {
+  const list = [
+    {
+      id: "a",
+      name: "A",
+      featured: true,
+      rules: { ...rules, categories: ["Cốc"] },
+    },
+  ];
+  const saved = saveCollection(list, {
+    id: "b",
+    name: "Rồng Việt",
+    featured: true,
+    mode: "manual",
+    productIds: ["ao"],
+    rules,
+  });
+  expect(saved.map((c) => [c.slug || c.id, c.featured])).toEqual([
+    ["a", false],
+    ["rong-viet", true],
+  ]);
+  expect(
+    renameCollectionCategory(saved, "Cốc", "Cốc sứ")[0].rules.categories
+  ).toEqual(["Cốc sứ"]);
+  expect(
+    removeCollectionCategory(saved, "Cốc", ["Cốc sứ", "Cốc gốm"])[0].rules
+      .categories
+  ).toEqual(["Cốc sứ", "Cốc gốm"]);
+  expect(
+    removeCollectionCategory(saved, "Cốc", [])[0].rules.categories
+  ).toEqual([]);
+});
@@ -0,0 +1,275 @@
+import { categoryScope } from "./categories.js";
+import { currency, fold, uid } from "./utils.js";
+import { normalizePhone } from "./validation.js";
+import { orderCoupons, orderStatus } from "./orders.js";
+import { phrase } from "./phrases.js";
+
+/**
+ * Coupons
+ * ---------------------------------------------------------
+ * Managed in admin and stored as `vk_coupons`. A coupon takes money off the
+ * items it is scoped to (percent, optionally capped, or a fixed amount) or
+ * waives the shipping fee. Usage is counted from the orders that recorded
+ * it, so cancelling an order gives the use back.
+ *
+ * Stacking: a code marked `stackable` combines with other stackable codes;
+ * any other code must be used alone.
+ */
+
+export const COUPON_TYPES = {
+  percent: "Giảm theo %",
+  fixed: "Giảm số tiền",
+  freeship: "Miễn phí vận chuyển",
+};
+
+export const COUPON_SCOPES = {
+  all: "Toàn bộ đơn hàng",
+  category: "Theo danh mục",
+  product: "Theo sản phẩm",
+};
+
+export const emptyCoupon = () => ({
+  id: uid(),
+  code: "",
+  description: "",
+  type: "percent",
+  value: 10,
+  maxDiscount: null,
+  minOrder: 0,
+  scope: "all",
+  categories: [],
+  productIds: [],
+  startsAt: "",
+  endsAt: "",
+  usageLimit: null,
+  perCustomerLimit: null,
+  stackable: false,
+  active: true,
+});
+
+export const DEFAULT_COUPONS = [
+  {
+    ...emptyCoupon(),
+    code: "VIETKY10",
+    description: "Giảm 10% cho mọi đơn hàng",
+  },
+];
+
+// Customers type codes in any case, with stray accents or spaces.
+export const normalizeCode = (code) =>
+  fold(code || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+const pad = (n) => String(n).padStart(2, "0");
+const today = (now) =>
+  `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+const formatDate = (iso) => iso.split("-").reverse().join("/");
+
+/** Orders (not cancelled) that used a code, optionally by one phone number. */
+export const couponUsage = (orders, code, phone = "") =>
+  orders.filter(
+    (o) =>
+      orderStatus(o) !== "cancelled" &&
+      orderCoupons(o).some((c) => c.code === code) &&
+      (!phone || o.customer.phone === phone)
+  ).length;
+
+// A category coupon also covers the categories nested inside its own, as
+// their listings do (see categoryScope).
+const inScope = (coupon, products, categories = []) => {
+  const productId = (line) => line.productId || line.id;
+  if (coupon.scope === "category") {
+    const names = new Set(
+      coupon.categories.flatMap((name) => [...categoryScope(categories, name)])
+    );
+    return (line) =>
+      names.has(products.find((p) => p.id === productId(line))?.category);
+  }
+  if (coupon.scope === "product")
+    return (line) => coupon.productIds.includes(productId(line));
+  return () => true;
+};
+
+/**
+ * Checks one coupon against the cart. Returns `{ ok: true, amount }` with the
+ * money it takes off, or `{ ok: false, message }` explaining the refusal.
+ *
+ * ctx: { products, categories, cart, subtotal, shippingFee, orders, phone,
+ *        now }
+ */
+export const evaluateCoupon = (coupon, ctx) => {
+  // message: a phrase (see phrases.js) keyed "coupon.<key>".
+  const fail = (key, vars, text) => ({
+    ok: false,
+    message: phrase(`coupon.${key}`, vars, text),
+  });
+  const { code } = coupon;
+  const date = today(ctx.now || new Date());
+  if (!coupon.active)
+    return fail("inactive", { code }, `Mã ${code} không còn hiệu lực.`);
+  if (coupon.startsAt && date < coupon.startsAt) {
+    const from = formatDate(coupon.startsAt);
+    return fail(
+      "notYet",
+      { code, date: from },
+      `Mã ${code} áp dụng từ ngày ${from}.`
+    );
+  }
+  if (coupon.endsAt && date > coupon.endsAt) {
+    const until = formatDate(coupon.endsAt);
+    return fail(
+      "expired",
+      { code, date: until },
+      `Mã ${code} đã hết hạn ngày ${until}.`
+    );
+  }
+  if (
+    coupon.usageLimit != null &&
+    couponUsage(ctx.orders, code) >= coupon.usageLimit
+  )
+    return fail("usedUp", { code }, `Mã ${code} đã hết lượt sử dụng.`);
+  const phone = normalizePhone(ctx.phone || "");
+  if (
+    coupon.perCustomerLimit != null &&
+    phone &&
+    couponUsage(ctx.orders, code, phone) >= coupon.perCustomerLimit
+  )
+    return fail(
+      "phoneUsedUp",
+      { code },
+      `Số điện thoại này đã dùng hết lượt của mã ${code}.`
+    );
+  if (ctx.subtotal < coupon.minOrder) {
+    const vars = {
+      min: currency(coupon.minOrder),
+      missing: currency(coupon.minOrder - ctx.subtotal),
+    };
+    return fail(
+      "minOrder",
+      vars,
+      `Đơn tối thiểu ${vars.min} (còn thiếu ${vars.missing}).`
+    );
+  }
+
+  const eligible = ctx.cart
+    .filter(inScope(coupon, ctx.products, ctx.categories))
+    .reduce((s, i) => s + i.price * i.qty, 0);
+  if (eligible === 0) {
+    const categories = coupon.categories.join(", ");
+    return coupon.scope === "category"
+      ? fail(
+          "categoriesOnly",
+          { code, categories },
+          `Mã ${code} chỉ áp dụng cho ${categories}.`
+        )
+      : fail(
+          "notInCart",
+          { code },
+          `Mã ${code} không áp dụng cho sản phẩm trong giỏ.`
+        );
+  }
+
+  if (coupon.type === "freeship") {
+    if (!ctx.shippingFee)
+      return fail("alreadyFree", {}, "Đơn hàng đã được miễn phí vận chuyển.");
+    return { ok: true, amount: ctx.shippingFee };
+  }
+  const raw =
+    coupon.type === "percent"
+      ? Math.round((eligible * coupon.value) / 100)
+      : coupon.value;
+  const capped =
+    coupon.type === "percent" && coupon.maxDiscount != null
+      ? Math.min(raw, coupon.maxDiscount)
+      : raw;
+  return { ok: true, amount: Math.min(capped, eligible) };
+};
+
+/**
+ * Applies codes in the order they were entered. Returns the accepted ones with
+ * their amounts, the refused ones with a reason, and the total discount, which
+ * never exceeds the subtotal plus shipping.
+ */
+export const applyCoupons = (coupons, codes, ctx) => {
+  const applied = [];
+  const rejected = [];
+  let goods = 0;
+  let shipping = 0;
+  for (const code of codes) {
+    const coupon = coupons.find((c) => c.code === code);
+    if (!coupon) {
+      rejected.push({
+        code,
+        message: phrase(
+          "coupon.unknown",
+          { code },
+          `Mã ${code} không tồn tại.`
+        ),
+      });
+      continue;
+    }
+    const blocker = applied.length
+      ? [coupon, ...applied.map((a) => a.coupon)].find((c) => !c.stackable)
+      : null;
+    if (blocker) {
+      rejected.push({
+        code,
+        message: phrase(
+          "coupon.notStackable",
+          { code: blocker.code },
+          `Mã ${blocker.code} không dùng chung với mã khác.`
+        ),
+      });
+      continue;
+    }
+    if (coupon.type === "freeship" && shipping > 0) {
+      rejected.push({
+        code,
+        message: phrase(
+          "coupon.oneFreeship",
+          {},
+          "Chỉ dùng một mã miễn phí vận chuyển."
+        ),
+      });
+      continue;
+    }
+    const result = evaluateCoupon(coupon, ctx);
+    if (!result.ok) {
+      rejected.push({ code, message: result.message });
+      continue;
+    }
+    const amount =
+      coupon.type === "freeship"
+        ? result.amount
+        : Math.min(result.amount, ctx.subtotal - goods);
+    if (coupon.type === "freeship") shipping += amount;
+    else goods += amount;
+    applied.push({ code, type: coupon.type, amount, coupon });
+  }
+  return {
+    applied: applied.map(({ coupon, ...a }) => a),
+    rejected,
+    discount: goods + shipping,
+  };
+};
+
+/** First problem with a coupon draft from admin, or null. */
+export const validateCoupon = (draft, coupons) => {
+  const code = normalizeCode(draft.code);
+  if (!/^[A-Z0-9_-]{3,20}$/.test(code))
+    return "Mã gồm 3–20 ký tự chữ, số, - hoặc _.";
+  if (coupons.some((c) => c.code === code && c.id !== draft.id))
+    return `Mã ${code} đã tồn tại.`;
+  if (draft.type === "percent" && !(draft.value > 0 && draft.value <= 100))
+    return "Phần trăm giảm phải từ 1 đến 100.";
+  if (draft.type === "fixed" && !(draft.value > 0))
+    return "Số tiền giảm phải lớn hơn 0.";
+  if (draft.scope === "category" && !draft.categories.length)
+    return "Chọn ít nhất một danh mục.";
+  if (draft.scope === "product" && !draft.productIds.length)
+    return "Chọn ít nhất một sản phẩm.";
+  if (draft.startsAt && draft.endsAt && draft.startsAt > draft.endsAt)
+    return "Ngày kết thúc phải sau ngày bắt đầu.";
+  return null;
+};
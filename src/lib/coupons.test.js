@@ -0,0 +1,150 @@
+import {
+  applyCoupons,
+  emptyCoupon,
+  evaluateCoupon,
+  normalizeCode,
+  validateCoupon,
+} from "./coupons.js";
+
+const products = [
+  { id: "ao", category: "Áo thun" },
+  { id: "coc", category: "Phụ kiện" },
+];
+const cart = [
+  { id: "ao:m", productId: "ao", price: 169000, qty: 1 },
+  { id: "coc", price: 99000, qty: 2 },
+];
+const ctx = {
+  products,
+  cart,
+  subtotal: 367000,
+  shippingFee: 30000,
+  orders: [],
+  phone: "0912345678",
+  now: new Date(2026, 9, 18),
+};
+const coupon = (fields) => ({ ...emptyCoupon(), code: "TEST", ...fields });
+
+test("normalizes what customers type", () => {
+  expect(normalizeCode(" vietky 10 ")).toBe("VIETKY10");
+});
+
+test("computes percent, fixed and free-shipping discounts", () => {
+  expect(evaluateCoupon(coupon({ value: 10 }), ctx)).toEqual({
+    ok: true,
+    amount: 36700,
+  });
+  expect(
+    evaluateCoupon(coupon({ value: 10, maxDiscount: 20000 }), ctx).amount
+  ).toBe(20000);
+  expect(
+    evaluateCoupon(coupon({ type: "fixed", value: 50000 }), ctx).amount
+  ).toBe(50000);
+  expect(evaluateCoupon(coupon({ type: "freeship" }), ctx).amount).toBe(30000);
+  // Only the scoped items count towards the discount.
+  expect(
+    evaluateCoupon(
+      coupon({ value: 50, scope: "category", categories: ["Áo thun"] }),
+      ctx
+    ).amount
+  ).toBe(84500);
+  // A category coupon covers the categories nested inside it.
+  const categories = [
+    { id: "pk", name: "Phụ kiện" },
+    { id: "ly", name: "Ly cốc", parentId: "pk" },
+  ];
+  const nested = {
+    ...ctx,
+    categories,
+    products: [
+      { id: "ao", category: "Áo thun" },
+      { id: "coc", category: "Ly cốc" },
+    ],
+  };
+  const accessories = coupon({
+    value: 50,
+    scope: "category",
+    categories: ["Phụ kiện"],
+  });
+  expect(evaluateCoupon(accessories, nested).amount).toBe(99000);
+  expect(evaluateCoupon(accessories, { ...nested, categories: [] }).ok).toBe(
+    false
+  );
+});
+
+test("explains why a coupon is refused", () => {
+  const refuse = (fields, extra = {}) =>
+    evaluateCoupon(coupon(fields), { ...ctx, ...extra }).message?.text;
+  expect(refuse({ minOrder: 400000 })).toMatch(/^Đơn tối thiểu 400.000/);
+  expect(refuse({ endsAt: "2026-10-17" })).toBe(
+    "Mã TEST đã hết hạn ngày 17/10/2026."
+  );
+  expect(
+    evaluateCoupon(coupon({ endsAt: "2026-10-17" }), ctx).message
+  ).toMatchObject({
+    key: "coupon.expired",
+    vars: { code: "TEST", date: "17/10/2026" },
+  });
+  expect(refuse({ startsAt: "2026-10-19" })).toMatch(/áp dụng từ ngày/);
+  expect(refuse({ scope: "product", productIds: ["but"] })).toMatch(
+    /không áp dụng/
+  );
+  const orders = [
+    {
+      status: "delivered",
+      customer: { phone: "0912345678" },
+      coupons: [{ code: "TEST" }],
+    },
+    {
+      status: "cancelled",
+      customer: { phone: "0987654321" },
+      coupons: [{ code: "TEST" }],
+    },
+  ];
+  expect(refuse({ usageLimit: 1 }, { orders })).toMatch(/hết lượt/);
+  expect(refuse({ usageLimit: 2 }, { orders })).toBe(undefined);
+  expect(refuse({ perCustomerLimit: 1 }, { orders })).toMatch(
+    /Số điện thoại này/
+  );
+});
+
+test("applies the stacking policy", () => {
+  const coupons = [
+    coupon({ code: "SOLO", type: "fixed", value: 10000 }),
+    coupon({ code: "A", type: "fixed", value: 10000, stackable: true }),
+    coupon({ code: "SHIP", type: "freeship", stackable: true }),
+  ];
+  const stacked = applyCoupons(coupons, ["A", "SHIP"], ctx);
+  expect(stacked.discount).toBe(40000);
+  expect(stacked.applied.map((a) => a.code)).toEqual(["A", "SHIP"]);
+
+  const alone = applyCoupons(coupons, ["SOLO", "A", "NOPE"], ctx);
+  expect(alone.applied.map((a) => a.code)).toEqual(["SOLO"]);
+  expect(alone.rejected).toEqual([
+    {
+      code: "A",
+      message: {
+        key: "coupon.notStackable",
+        vars: { code: "SOLO" },
+        text: "Mã SOLO không dùng chung với mã khác.",
+      },
+    },
+    {
+      code: "NOPE",
+      message: {
+        key: "coupon.unknown",
+        vars: { code: "NOPE" },
+        text: "Mã NOPE không tồn tại.",
+      },
+    },
+  ]);
+});
+
+test("validates coupon drafts", () => {
+  expect(validateCoupon(coupon({}), [])).toBe(null);
+  expect(validateCoupon(coupon({ code: "X" }), [])).toMatch(/3–20/);
+  expect(validateCoupon(coupon({}), [coupon({ id: "other" })])).toBe(
+    "Mã TEST đã tồn tại."
+  );
+  expect(validateCoupon(coupon({ value: 120 }), [])).toMatch(/1 đến 100/);
+});
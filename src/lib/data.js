@@ -0,0 +1,118 @@
+import { uid } from "./utils.js";
+import { buildVariants } from "./variants.js";
+
+// ----------------------- Data -----------------------
+const daysAgo = (days) =>
+  new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+
+const withVariants = (p, fill) => ({
+  ...p,
+  variants: buildVariants(p).map((v) => ({ ...v, ...fill(v) })),
+});
+
+export const DEFAULT_CATEGORIES = [
+  { id: "ao-thun", name: "Áo thun", slug: "ao-thun", position: 0 },
+  { id: "phu-kien", name: "Phụ kiện", slug: "phu-kien", position: 1 },
+  { id: "coc", name: "Cốc", slug: "coc", parentId: "phu-kien", position: 0 },
+  {
+    id: "moc-khoa",
+    name: "Móc khoá",
+    slug: "moc-khoa",
+    parentId: "phu-kien",
+    position: 1,
+  },
+  { id: "so", name: "Sổ", slug: "so", parentId: "phu-kien", position: 2 },
+];
+
+export const DEFAULT_PRODUCTS = [
+  withVariants(
+    {
+      id: uid(),
+      name: "Áo thun Việt Ký",
+      price: 169000,
+      category: "Áo thun",
+      stock: 120,
+      weight: 250,
+      sold: 420,
+      createdAt: daysAgo(120),
+      images: ["/img-1.jpg"],
+      description: "Cotton 100%, in logo Việt Ký mặt trước.",
+      tags: ["áo phông", "cotton", "unisex"],
+      options: [
+        { name: "Size", values: ["S", "M", "L", "XL", "XXL"] },
+        { name: "Màu", values: ["Trắng", "Đen"] },
+      ],
+    },
+    (v) => ({
+      stock: 12,
+      price: v.options.Size === "XXL" ? 189000 : null,
+    })
+  ),
+  {
+    id: uid(),
+    name: "Cốc sứ Việt Ký",
+    price: 99000,
+    category: "Cốc",
+    stock: 80,
+    weight: 400,
+    compareAtPrice: 129000,
+    sold: 260,
+    createdAt: daysAgo(200),
+    images: ["/img-3.jpg"],
+    description: "Cốc sứ trắng in đồ họa Việt Ký.",
+    tags: ["ly", "quà tặng"],
+  },
+  {
+    id: uid(),
+    name: "Móc khóa Việt Ký",
+    price: 49000,
+    category: "Móc khoá",
+    stock: 200,
+    weight: 30,
+    sold: 510,
+    createdAt: daysAgo(300),
+    images: ["/img-2.jpg"],
+    description: "Móc khóa mica in chữ 'Tôi Yêu Việt Nam'.",
+    tags: ["quà lưu niệm", "keychain"],
+  },
+  {
+    id: uid(),
+    name: "Sổ tay da Việt Ký",
+    price: 110000,
+    category: "Sổ",
+    stock: 60,
+    weight: 350,
+    sold: 140,
+    createdAt: daysAgo(10),
+    images: ["/img-5.jpg"],
+    description: "Sổ tay bìa da dập logo.",
+    tags: ["notebook", "văn phòng phẩm"],
+  },
+  {
+    id: uid(),
+    name: "Bình giữ nhiệt Việt Ký",
+    price: 130000,
+    category: "Phụ kiện",
+    stock: 70,
+    weight: 450,
+    compareAtPrice: 159000,
+    sold: 190,
+    createdAt: daysAgo(60),
+    images: ["/img-6.jpg"],
+    description: "Bình 500ml in logo Việt Ký.",
+    tags: ["bình nước", "thermos"],
+  },
+  {
+    id: uid(),
+    name: "Bút ký Việt Ký",
+    price: 99000,
+    category: "Phụ kiện",
+    stock: 150,
+    weight: 50,
+    sold: 85,
+    createdAt: daysAgo(5),
+    images: ["/img-4.jpg"],
+    description: "Bút kim loại khắc lazer.",
+    tags: ["bút bi", "văn phòng phẩm", "quà tặng"],
+  },
+];
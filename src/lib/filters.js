@@ -0,0 +1,171 @@
+import { currency } from "./utils.js";
+import { priceRange, productStock } from "./variants.js";
+import { categoryScope, categoryTree } from "./categories.js";
+
+/**
+ * Shop listing filters
+ * ---------------------------------------------------------
+ * filters: {
+ *   category    "all" or a category name; its subcategories are included
+ *   minPrice, maxPrice   VND, null = no bound
+ *   rating      minimum stars, 0 = any
+ *   inStock, sale, newArrival   booleans
+ * }
+ *
+ * A product is on sale when `compareAtPrice` (the crossed-out price) is
+ * above what it sells for, and new for NEW_ARRIVAL_DAYS after `createdAt`.
+ */
+
+export const NEW_ARRIVAL_DAYS = 30;
+
+export const DEFAULT_FILTERS = {
+  category: "all",
+  minPrice: null,
+  maxPrice: null,
+  rating: 0,
+  inStock: false,
+  sale: false,
+  newArrival: false,
+};
+
+export const RATING_OPTIONS = [4.5, 4, 3];
+
+export const SORT_OPTIONS = [
+  { label: "Phổ biến", value: "popular" },
+  { label: "Mới nhất", value: "newest" },
+  { label: "Bán chạy", value: "bestSelling" },
+  { label: "Giá tăng dần", value: "priceAsc" },
+  { label: "Giá giảm dần", value: "priceDesc" },
+];
+
+export const isOnSale = (p) => Number(p.compareAtPrice) > priceRange(p)[0];
+
+export const isNewArrival = (p, now = new Date()) =>
+  !!p.createdAt &&
+  now - new Date(p.createdAt) <= NEW_ARRIVAL_DAYS * 24 * 3600 * 1000;
+
+// Checks every filter but `except`, so facet counts can leave their own
+// filter out. `scope` holds the picked category and its subcategories.
+const matches = (p, f, scope, now, except) =>
+  (except === "category" || f.category === "all" || scope.has(p.category)) &&
+  (f.minPrice == null || priceRange(p)[1] >= f.minPrice) &&
+  (f.maxPrice == null || priceRange(p)[0] <= f.maxPrice) &&
+  (!f.rating || (Number(p.rating) || 0) >= f.rating) &&
+  (!f.inStock || productStock(p) > 0) &&
+  (!f.sale || isOnSale(p)) &&
+  (!f.newArrival || isNewArrival(p, now));
+
+export const filterProducts = (
+  products,
+  filters,
+  { categories = [], now = new Date() } = {}
+) => {
+  const scope = categoryScope(categories, filters.category);
+  return products.filter((p) => matches(p, filters, scope, now));
+};
+
+// Category names in the admin's order, then any a product names on its own.
+export const categoryNames = (categories, products) => [
+  ...new Set([
+    ...categoryTree(categories).map((t) => t.category.name),
+    ...products.map((p) => p.category).filter(Boolean),
+  ]),
+];
+
+/**
+ * Categories, nested as in the admin (`depth`), with the number of products
+ * each would show given the other filters; empty categories are left out,
+ * unless picked.
+ */
+export const categoryFacets = (
+  categories,
+  products,
+  filters,
+  now = new Date()
+) => {
+  const shown = products.filter((p) =>
+    matches(p, filters, null, now, "category")
+  );
+  const depth = new Map(
+    categoryTree(categories).map((t) => [t.category.name, t.depth])
+  );
+  return categoryNames(categories, products)
+    .map((name) => {
+      const scope = categoryScope(categories, name);
+      return {
+        name,
+        depth: depth.get(name) || 0,
+        count: shown.filter((p) => scope.has(p.category)).length,
+      };
+    })
+    .filter((c) => c.count > 0 || c.name === filters.category);
+};
+
+// Slider bounds: the cheapest and dearest prices, to the thousand.
+export const priceBounds = (products) => {
+  if (!products.length) return { min: 0, max: 0 };
+  const prices = products.flatMap(priceRange);
+  return {
+    min: Math.floor(Math.min(...prices) / 1000) * 1000,
+    max: Math.ceil(Math.max(...prices) / 1000) * 1000,
+  };
+};
+
+const time = (p) => (p.createdAt ? new Date(p.createdAt).getTime() : 0);
+const COMPARE = {
+  popular: (a, b) => (b.rating || 0) - (a.rating || 0),
+  newest: (a, b) => time(b) - time(a),
+  bestSelling: (a, b) => (b.sold || 0) - (a.sold || 0),
+  priceAsc: (a, b) => priceRange(a)[0] - priceRange(b)[0],
+  priceDesc: (a, b) => priceRange(b)[0] - priceRange(a)[0],
+};
+
+export const sortProducts = (list, sort) =>
+  COMPARE[sort] ? [...list].sort(COMPARE[sort]) : list;
+
+/**
+ * The filters in use, as removable chips: `{ key, label, clear }` where
+ * `clear` holds the filter values that remove it.
+ */
+export const filterChips = (filters) => {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  const chips = [];
+  if (f.category !== "all")
+    chips.push({
+      key: "category",
+      label: f.category,
+      clear: { category: "all" },
+    });
+  if (f.minPrice != null || f.maxPrice != null)
+    chips.push({
+      key: "price",
+      label:
+        f.maxPrice == null
+          ? `Từ ${currency(f.minPrice)}`
+          : f.minPrice == null
+          ? `Đến ${currency(f.maxPrice)}`
+          : `${currency(f.minPrice)} – ${currency(f.maxPrice)}`,
+      clear: { minPrice: null, maxPrice: null },
+    });
+  if (f.rating)
+    chips.push({
+      key: "rating",
+      label: `Từ ${f.rating}★`,
+      clear: { rating: 0 },
+    });
+  if (f.inStock)
+    chips.push({
+      key: "inStock",
+      label: "Còn hàng",
+      clear: { inStock: false },
+    });
+  if (f.sale)
+    chips.push({ key: "sale", label: "Đang giảm giá", clear: { sale: false } });
+  if (f.newArrival)
+    chips.push({
+      key: "newArrival",
+      label: "Hàng mới về",
+      clear: { newArrival: false },
+    });
+  return chips;
+};
@@ -0,0 +1,118 @@
+import {
+  DEFAULT_FILTERS,
+  categoryFacets,
+  filterChips,
+  filterProducts,
+  priceBounds,
+  sortProducts,
+} from "./filters.js";
+
+const now = new Date("2026-10-18T00:00:00Z");
+const products = [
+  {
+    id: "ao",
+    category: "Áo thun",
+    price: 169000,
+    rating: 4.8,
+    sold: 420,
+    stock: 0,
+    createdAt: "2026-06-01T00:00:00Z",
+  },
+  {
+    id: "coc",
+    category: "Phụ kiện",
+    price: 99000,
+    compareAtPrice: 129000,
+    rating: 4.7,
+    sold: 260,
+    stock: 80,
+    createdAt: "2026-10-10T00:00:00Z",
+  },
+  {
+    id: "but",
+    category: "Phụ kiện",
+    price: 49500,
+    rating: 4.5,
+    stock: 150,
+  },
+];
+const categories = [
+  { id: "phu-kien", name: "Phụ kiện" },
+  { id: "moc", name: "Móc khoá" },
+];
+const ids = (list) => list.map((p) => p.id);
+const filter = (changes) =>
+  ids(
+    filterProducts(
+      products,
+      { ...DEFAULT_FILTERS, ...changes },
+      { categories, now }
+    )
+  );
+
+test("filters by price, rating, stock, sale and new arrivals", () => {
+  expect(filter({})).toEqual(["ao", "coc", "but"]);
+  expect(filter({ minPrice: 60000, maxPrice: 120000 })).toEqual(["coc"]);
+  expect(filter({ rating: 4.7 })).toEqual(["ao", "coc"]);
+  expect(filter({ inStock: true, category: "Áo thun" })).toEqual([]);
+  expect(filter({ sale: true })).toEqual(["coc"]);
+  expect(filter({ newArrival: true })).toEqual(["coc"]);
+});
+
+test("counts categories from the catalogue under the other filters", () => {
+  const filters = { ...DEFAULT_FILTERS, category: "Áo thun", inStock: true };
+  expect(categoryFacets(categories, products, filters, now)).toEqual([
+    { name: "Phụ kiện", depth: 0, count: 2 },
+    { name: "Áo thun", depth: 0, count: 0 },
+  ]);
+  expect(categoryFacets(categories, products, DEFAULT_FILTERS, now)).toEqual([
+    { name: "Phụ kiện", depth: 0, count: 2 },
+    { name: "Áo thun", depth: 0, count: 1 },
+  ]);
+});
+
+test("a category takes in its subcategories", () => {
+  const nested = [
+    ...categories,
+    { id: "coc", name: "Cốc", parentId: "phu-kien" },
+  ];
+  const shop = products.map((p) =>
+    p.id === "coc" ? { ...p, category: "Cốc" } : p
+  );
+  const filters = { ...DEFAULT_FILTERS, category: "Phụ kiện" };
+  expect(
+    ids(filterProducts(shop, filters, { categories: nested, now }))
+  ).toEqual(["coc", "but"]);
+  expect(categoryFacets(nested, shop, filters, now)).toEqual([
+    { name: "Phụ kiện", depth: 0, count: 2 },
+    { name: "Cốc", depth: 1, count: 1 },
+    { name: "Áo thun", depth: 0, count: 1 },
+  ]);
+});
+
+test("sorts by newest and best-selling", () => {
+  expect(ids(sortProducts(products, "newest"))).toEqual(["coc", "ao", "but"]);
+  expect(ids(sortProducts(products, "bestSelling"))).toEqual([
+    "ao",
+    "coc",
+    "but",
+  ]);
+  expect(ids(sortProducts(products, "priceAsc"))).toEqual(["but", "coc", "ao"]);
+});
+
+test("rounds the price slider to the thousand", () => {
+  expect(priceBounds(products)).toEqual({ min: 49000, max: 169000 });
+  expect(priceBounds([])).toEqual({ min: 0, max: 0 });
+});
+
+test("lists active filters as chips", () => {
+  const chips = filterChips({
+    ...DEFAULT_FILTERS,
+    maxPrice: 100000,
+    sale: true,
+  });
+  expect(chips.map((c) => c.key)).toEqual(["price", "sale"]);
+  expect(chips[0].label).toMatch(/^Đến 100\.000/);
+  expect(chips[0].clear).toEqual({ minPrice: null, maxPrice: null });
+  expect(filterChips(DEFAULT_FILTERS)).toEqual([]);
+});
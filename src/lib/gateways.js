@@ -0,0 +1,292 @@
+import { stripDiacritics } from "./utils.js";
+import { PAYMENT_METHODS, markOrderPaid, paymentStatus } from "./orders.js";
+import { isBankConfigured } from "./vietqr.js";
+import { safeEqual } from "./auth.js";
+
+/**
+ * Payment gateways
+ * ---------------------------------------------------------
+ * Every provider is an adapter with the same shape:
+ *
+ *   createPayment(order, config, { returnUrl, ipnUrl, ip, now }) -> Promise<url>
+ *       signed URL to send the customer to
+ *   verifyCallback(params, config, { equal }) -> Promise<result>
+ *       checks the signature of a return redirect or an IPN call;
+ *       result = { valid, paid, orderCode, amount, transactionId, message }.
+ *       `equal(a, b)` compares the hex signatures (default safeEqual; the
+ *       server passes Node's crypto.timingSafeEqual)
+ *
+ * Signatures use WebCrypto HMAC (SHA-512 for VNPAY, SHA-256 for MoMo), so the
+ * same code runs in the browser and in Node: the API server and
+ * `scripts/mock-gateway.js`, which plays both providers for offline testing
+ * (see MOCK_GATEWAYS), import this module. The secret keys sit next to the
+ * shop settings in admin.
+ */
+
+export const DEFAULT_GATEWAYS = {
+  vnpay: {
+    enabled: false,
+    tmnCode: "",
+    hashSecret: "",
+    payUrl: "https://sandbox.vnpayment.vn/paymentv2/vpcpay.html",
+  },
+  momo: {
+    enabled: false,
+    partnerCode: "",
+    accessKey: "",
+    secretKey: "",
+    endpoint: "https://test-payment.momo.vn",
+    ipnUrl: "",
+  },
+};
+
+// Credentials understood by `npm run mock:gateway` (port 4100).
+export const MOCK_GATEWAYS = {
+  vnpay: {
+    enabled: true,
+    tmnCode: "VIETKY01",
+    hashSecret: "MOCKVNPAYSECRET",
+    payUrl: "http://localhost:4100/vnpay/paymentv2/vpcpay.html",
+  },
+  momo: {
+    enabled: true,
+    partnerCode: "MOMOVIETKY",
+    accessKey: "mockaccesskey",
+    secretKey: "MOCKMOMOSECRET",
+    endpoint: "http://localhost:4100",
+    ipnUrl: "",
+  },
+};
+
+const toHex = (buffer) =>
+  [...new Uint8Array(buffer)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+export const hmac = async (hash, secret, data) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash },
+    false,
+    ["sign"]
+  );
+  return toHex(await crypto.subtle.sign("HMAC", key, encoder.encode(data)));
+};
+
+// Gateways show the description as plain ASCII.
+const orderInfo = (order) =>
+  stripDiacritics(`Thanh toan don hang ${order.code}`);
+
+// A retried payment needs a fresh reference; the order code stays in front.
+const paymentRef = (order, now) => `${order.code}_${now.getTime()}`;
+const orderCodeOf = (ref = "") => String(ref).split("_")[0];
+
+// yyyyMMddHHmmss in Vietnam time, whatever the browser's time zone.
+export const vnTimestamp = (date) =>
+  new Date(date.getTime() + 7 * 3600 * 1000)
+    .toISOString()
+    .replace(/\D/g, "")
+    .slice(0, 14);
+
+// ----------------------- VNPAY (v2.1.0) -----------------------
+// Sorted keys, values URL-encoded with "+" for spaces, signed with SHA-512.
+export const vnpQuery = (params) =>
+  Object.keys(params)
+    .sort()
+    .map((k) => `${k}=${encodeURIComponent(params[k]).replace(/%20/g, "+")}`)
+    .join("&");
+
+const VNPAY_MESSAGES = {
+  "00": "Giao dịch thành công",
+  24: "Khách hàng đã huỷ giao dịch",
+  51: "Tài khoản không đủ số dư",
+  11: "Hết hạn chờ thanh toán",
+};
+
+export const vnpay = {
+  id: "vnpay",
+  label: "VNPAY",
+  async createPayment(order, config, { returnUrl, ip, now = new Date() }) {
+    const params = {
+      vnp_Version: "2.1.0",
+      vnp_Command: "pay",
+      vnp_TmnCode: config.tmnCode,
+      vnp_Amount: String(order.totals.grand * 100),
+      vnp_CurrCode: "VND",
+      vnp_TxnRef: paymentRef(order, now),
+      vnp_OrderInfo: orderInfo(order),
+      vnp_OrderType: "other",
+      vnp_Locale: "vn",
+      vnp_ReturnUrl: returnUrl,
+      vnp_IpAddr: ip || "127.0.0.1",
+      vnp_CreateDate: vnTimestamp(now),
+      vnp_ExpireDate: vnTimestamp(new Date(now.getTime() + 15 * 60 * 1000)),
+    };
+    const query = vnpQuery(params);
+    const hash = await hmac("SHA-512", config.hashSecret, query);
+    return `${config.payUrl}?${query}&vnp_SecureHash=${hash}`;
+  },
+  async verifyCallback(params, config, { equal = safeEqual } = {}) {
+    const { vnp_SecureHash, vnp_SecureHashType, ...rest } = params;
+    const signed = Object.fromEntries(
+      Object.entries(rest).filter(([k]) => k.startsWith("vnp_"))
+    );
+    const expected = await hmac("SHA-512", config.hashSecret, vnpQuery(signed));
+    const code = params.vnp_ResponseCode;
+    return {
+      valid: equal(String(vnp_SecureHash || "").toLowerCase(), expected),
+      paid: code === "00" && params.vnp_TransactionStatus === "00",
+      orderCode: orderCodeOf(params.vnp_TxnRef),
+      amount: Number(params.vnp_Amount) / 100,
+      transactionId: params.vnp_TransactionNo || "",
+      message:
+        VNPAY_MESSAGES[code] || `Giao dịch không thành công (mã ${code})`,
+    };
+  },
+};
+
+// ----------------------- MoMo (v2, captureWallet) -----------------------
+export const momoRaw = (fields, params) =>
+  fields.map((k) => `${k}=${params[k] ?? ""}`).join("&");
+
+export const MOMO_CREATE_FIELDS = [
+  "accessKey",
+  "amount",
+  "extraData",
+  "ipnUrl",
+  "orderId",
+  "orderInfo",
+  "partnerCode",
+  "redirectUrl",
+  "requestId",
+  "requestType",
+];
+
+export const MOMO_RESULT_FIELDS = [
+  "accessKey",
+  "amount",
+  "extraData",
+  "message",
+  "orderId",
+  "orderInfo",
+  "orderType",
+  "partnerCode",
+  "payType",
+  "requestId",
+  "responseTime",
+  "resultCode",
+  "transId",
+];
+
+export const momo = {
+  id: "momo",
+  label: "MoMo",
+  async createRequest(order, config, { returnUrl, ipnUrl, now = new Date() }) {
+    const ref = paymentRef(order, now);
+    const body = {
+      partnerCode: config.partnerCode,
+      accessKey: config.accessKey,
+      requestId: ref,
+      amount: String(order.totals.grand),
+      orderId: ref,
+      orderInfo: orderInfo(order),
+      redirectUrl: returnUrl,
+      ipnUrl: ipnUrl || config.ipnUrl || returnUrl,
+      requestType: "captureWallet",
+      extraData: "",
+      lang: "vi",
+    };
+    body.signature = await hmac(
+      "SHA-256",
+      config.secretKey,
+      momoRaw(MOMO_CREATE_FIELDS, body)
+    );
+    return body;
+  },
+  // MoMo hands out the pay URL in answer to a signed server call.
+  async createPayment(order, config, urls) {
+    const body = await momo.createRequest(order, config, urls);
+    const res = await fetch(`${config.endpoint}/v2/gateway/api/create`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (data.resultCode !== 0 || !data.payUrl)
+      throw new Error(data.message || "MoMo từ chối yêu cầu thanh toán.");
+    return data.payUrl;
+  },
+  async verifyCallback(params, config, { equal = safeEqual } = {}) {
+    const expected = await hmac(
+      "SHA-256",
+      config.secretKey,
+      momoRaw(MOMO_RESULT_FIELDS, { ...params, accessKey: config.accessKey })
+    );
+    return {
+      valid: equal(String(params.signature || "").toLowerCase(), expected),
+      paid: String(params.resultCode) === "0",
+      orderCode: orderCodeOf(params.orderId),
+      amount: Number(params.amount),
+      transactionId: String(params.transId || ""),
+      message: params.message || "",
+    };
+  },
+};
+
+export const PAYMENT_GATEWAYS = { vnpay, momo };
+
+export const isGatewayConfigured = (id, config) =>
+  !!config?.enabled &&
+  (id === "vnpay"
+    ? !!(config.tmnCode && config.hashSecret && config.payUrl)
+    : !!(config.partnerCode && config.accessKey && config.secretKey));
+
+// Payment methods customers can pick: transfers need the shop's account to
+// build the QR code, gateways their merchant keys.
+export const availablePaymentMethods = (bank, gateways) =>
+  Object.keys(PAYMENT_METHODS).filter((key) =>
+    key === "transfer"
+      ? isBankConfigured(bank)
+      : !PAYMENT_GATEWAYS[key] || isGatewayConfigured(key, gateways[key])
+  );
+
+const PAYMENT_PROBLEMS = {
+  signature: () => "Chữ ký thanh toán không hợp lệ.",
+  order: (result) => `Không tìm thấy đơn ${result.orderCode}.`,
+  amount: () => "Số tiền thanh toán không khớp với đơn hàng.",
+};
+
+/**
+ * Why a callback cannot be applied to `order`: "signature", "order" (no such
+ * order), "amount" (not the order's total), or null when it can. The total
+ * is the one stored with the order; on the API that is the server's own
+ * figure (see repriceOrder), which staff cannot edit afterwards.
+ */
+export const paymentProblem = (order, result) =>
+  !result.valid
+    ? "signature"
+    : !order
+    ? "order"
+    : result.amount !== order.totals.grand
+    ? "amount"
+    : null;
+
+/**
+ * Applies a verified callback to its order. The return redirect and the IPN
+ * both report the same payment, so an order that is already paid is left
+ * as it is. Throws when the callback cannot be trusted.
+ */
+export const recordGatewayPayment = (order, result, provider, now) => {
+  const problem = paymentProblem(order, result);
+  if (problem) throw new Error(PAYMENT_PROBLEMS[problem](result));
+  if (paymentStatus(order) === "paid") return order;
+  if (!result.paid)
+    return {
+      ...order,
+      payment: { status: "failed", provider, message: result.message },
+    };
+  const paid = markOrderPaid(order, result.transactionId, now);
+  return { ...paid, payment: { ...paid.payment, provider } };
+};
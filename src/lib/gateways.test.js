@@ -0,0 +1,174 @@
+/**
+ * @jest-environment node
+ */
+import { createHmac, webcrypto } from "crypto";
+import {
+  DEFAULT_GATEWAYS,
+  MOCK_GATEWAYS,
+  availablePaymentMethods,
+  momo,
+  paymentProblem,
+  recordGatewayPayment,
+  vnpay,
+} from "./gateways.js";
+import { DEFAULT_BANK } from "./vietqr.js";
+
+// Jest's Node environment does not expose WebCrypto as a global.
+global.crypto = webcrypto;
+
+const order = {
+  code: "VK-20261018-0001",
+  totals: { grand: 119100 },
+  payment: { status: "unpaid" },
+};
+const now = new Date(Date.UTC(2026, 9, 18, 3, 30));
+const urls = {
+  returnUrl: "http://localhost:4000/thanh-toan/ket-qua/vnpay",
+  now,
+};
+
+test("signs VNPAY requests with HMAC-SHA512 over the sorted query", async () => {
+  const url = new URL(
+    await vnpay.createPayment(order, MOCK_GATEWAYS.vnpay, urls)
+  );
+  const params = Object.fromEntries(url.searchParams);
+  expect(params).toMatchObject({
+    vnp_Amount: "11910000",
+    vnp_TxnRef: `VK-20261018-0001_${now.getTime()}`,
+    vnp_CreateDate: "20261018103000",
+    vnp_OrderInfo: "Thanh toan don hang VK-20261018-0001",
+  });
+  const signed = url.search.slice(1).replace(/&vnp_SecureHash=.*$/, "");
+  expect(params.vnp_SecureHash).toBe(
+    createHmac("sha512", MOCK_GATEWAYS.vnpay.hashSecret)
+      .update(signed)
+      .digest("hex")
+  );
+});
+
+test("verifies VNPAY callbacks and rejects tampering", async () => {
+  const back = {
+    vnp_Amount: "11910000",
+    vnp_ResponseCode: "00",
+    vnp_TransactionStatus: "00",
+    vnp_TransactionNo: "14412345",
+    vnp_TxnRef: "VK-20261018-0001_1",
+    vnp_OrderInfo: "Thanh toan don hang VK-20261018-0001",
+  };
+  const query = Object.keys(back)
+    .sort()
+    .map((k) => `${k}=${encodeURIComponent(back[k]).replace(/%20/g, "+")}`)
+    .join("&");
+  back.vnp_SecureHash = createHmac("sha512", MOCK_GATEWAYS.vnpay.hashSecret)
+    .update(query)
+    .digest("hex");
+
+  const result = await vnpay.verifyCallback(back, MOCK_GATEWAYS.vnpay);
+  expect(result).toMatchObject({
+    valid: true,
+    paid: true,
+    orderCode: "VK-20261018-0001",
+    amount: 119100,
+    transactionId: "14412345",
+  });
+  const forged = await vnpay.verifyCallback(
+    { ...back, vnp_Amount: "100" },
+    MOCK_GATEWAYS.vnpay
+  );
+  expect(forged.valid).toBe(false);
+  const strict = await vnpay.verifyCallback(back, MOCK_GATEWAYS.vnpay, {
+    equal: () => false,
+  });
+  expect(strict.valid).toBe(false);
+});
+
+test("signs and verifies MoMo with HMAC-SHA256", async () => {
+  const body = await momo.createRequest(order, MOCK_GATEWAYS.momo, urls);
+  const { secretKey, accessKey } = MOCK_GATEWAYS.momo;
+  const raw =
+    `accessKey=${accessKey}&amount=119100&extraData=` +
+    `&ipnUrl=${urls.returnUrl}&orderId=${body.orderId}` +
+    `&orderInfo=${body.orderInfo}&partnerCode=MOMOVIETKY` +
+    `&redirectUrl=${urls.returnUrl}&requestId=${body.requestId}` +
+    `&requestType=captureWallet`;
+  expect(body.signature).toBe(
+    createHmac("sha256", secretKey).update(raw).digest("hex")
+  );
+
+  const back = {
+    partnerCode: "MOMOVIETKY",
+    orderId: body.orderId,
+    requestId: body.requestId,
+    amount: "119100",
+    orderInfo: body.orderInfo,
+    orderType: "momo_wallet",
+    transId: "4088878653",
+    resultCode: "0",
+    message: "Thành công.",
+    payType: "qr",
+    responseTime: "1792301400000",
+    extraData: "",
+  };
+  back.signature = createHmac("sha256", secretKey)
+    .update(
+      `accessKey=${accessKey}&amount=119100&extraData=&message=Thành công.` +
+        `&orderId=${body.orderId}&orderInfo=${body.orderInfo}` +
+        `&orderType=momo_wallet&partnerCode=MOMOVIETKY&payType=qr` +
+        `&requestId=${body.requestId}&responseTime=1792301400000` +
+        `&resultCode=0&transId=4088878653`
+    )
+    .digest("hex");
+  const result = await momo.verifyCallback(back, MOCK_GATEWAYS.momo);
+  expect(result).toMatchObject({ valid: true, paid: true, amount: 119100 });
+});
+
+test("records the payment on the order once", () => {
+  const ok = {
+    valid: true,
+    paid: true,
+    orderCode: order.code,
+    amount: 119100,
+    transactionId: "T1",
+    message: "",
+  };
+  const paid = recordGatewayPayment(order, ok, "vnpay", now);
+  expect(paid.payment).toEqual({
+    status: "paid",
+    paidAt: now.toISOString(),
+    reference: "T1",
+    provider: "vnpay",
+  });
+  // The IPN after the return redirect changes nothing.
+  expect(recordGatewayPayment(paid, ok, "vnpay")).toBe(paid);
+  expect(
+    recordGatewayPayment(order, { ...ok, paid: false, message: "Huỷ" }, "vnpay")
+      .payment
+  ).toEqual({ status: "failed", provider: "vnpay", message: "Huỷ" });
+  expect(() =>
+    recordGatewayPayment(order, { ...ok, amount: 1000 }, "vnpay")
+  ).toThrow(/không khớp/);
+  expect(() =>
+    recordGatewayPayment(order, { ...ok, valid: false }, "vnpay")
+  ).toThrow(/Chữ ký/);
+});
+
+test("names why a callback cannot be applied", () => {
+  const ok = { valid: true, orderCode: order.code, amount: 119100 };
+  expect(paymentProblem(order, ok)).toBe(null);
+  expect(paymentProblem(order, { ...ok, valid: false })).toBe("signature");
+  expect(paymentProblem(undefined, ok)).toBe("order");
+  expect(paymentProblem(order, { ...ok, amount: 119 })).toBe("amount");
+});
+
+test("offers only the payment methods the shop has set up", () => {
+  expect(availablePaymentMethods(DEFAULT_BANK, DEFAULT_GATEWAYS)).toEqual([
+    "cod",
+  ]);
+  const bank = { bin: "970436", accountNumber: "0123456789", accountName: "" };
+  const gateways = { ...DEFAULT_GATEWAYS, momo: MOCK_GATEWAYS.momo };
+  expect(availablePaymentMethods(bank, gateways)).toEqual([
+    "cod",
+    "transfer",
+    "momo",
+  ]);
+});
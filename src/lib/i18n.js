@@ -0,0 +1,130 @@
+import vi from "../locales/vi.js";
+import en from "../locales/en.js";
+
+/**
+ * Storefront languages and display currencies
+ * ---------------------------------------------------------
+ * Texts live in src/locales/<locale>.js as flat "area.name" keys; `{name}`
+ * marks a value filled in by translate(). A key with a ".one" twin uses it
+ * when `count` is 1. A key missing from a dictionary falls back to
+ * Vietnamese, then to the key itself.
+ *
+ * Products carry their own translations, edited in admin:
+ *
+ *   translations: { en: { name, description } }
+ *
+ * Prices stay in VND everywhere. A shopper may pick USD, EUR or AUD to see
+ * them converted at the admin's rates (`currencies`, VND per unit; 0 hides
+ * the currency); orders are still placed and paid in VND.
+ */
+
+export const LOCALES = {
+  vi: { label: "Tiếng Việt", tag: "vi-VN" },
+  en: { label: "English", tag: "en-GB" },
+};
+
+export const DEFAULT_LOCALE = "vi";
+
+const DICTIONARIES = { vi, en };
+
+export const BASE_CURRENCY = "VND";
+
+export const DISPLAY_CURRENCIES = ["USD", "EUR", "AUD"];
+
+export const DEFAULT_CURRENCIES = { USD: 0, EUR: 0, AUD: 0 };
+
+export const isLocale = (locale) => !!LOCALES[locale];
+
+const lookup = (locale, key) =>
+  DICTIONARIES[locale]?.[key] ?? DICTIONARIES[DEFAULT_LOCALE][key];
+
+const fill = (text, vars = {}) =>
+  text.replace(/\{(\w+)\}/g, (match, name) =>
+    name in vars ? String(vars[name]) : match
+  );
+
+export const translate = (locale, key, vars = {}) =>
+  fill(
+    (vars.count === 1 ? lookup(locale, `${key}.one`) : undefined) ??
+      lookup(locale, key) ??
+      key,
+    vars
+  );
+
+// Messages from the lib (validation and the like) are written in
+// Vietnamese; the dictionaries may carry them word for word under "msg.".
+// A phrase (see phrases.js), or an Error made of one, is looked up as
+// "msg.<key>" with its values filled in; any other Error shows its message.
+export const translateMessage = (locale, message) => {
+  const text =
+    message && typeof message === "object"
+      ? message.text ?? message.message
+      : message;
+  if (!text || locale === DEFAULT_LOCALE) return text;
+  const own = DICTIONARIES[locale]?.[`msg.${message.key ?? text}`];
+  return own ? fill(own, message.vars) : text;
+};
+
+// ----------------------- Money -----------------------
+/** The currencies a shopper can pick: VND and those with a rate. */
+export const availableCurrencies = (rates = {}) => [
+  BASE_CURRENCY,
+  ...DISPLAY_CURRENCIES.filter((code) => Number(rates[code]) > 0),
+];
+
+/** `vnd` in `currency`, or null when that currency has no rate. */
+export const convert = (vnd, currency, rates = {}) => {
+  if (currency === BASE_CURRENCY) return vnd || 0;
+  const rate = Number(rates[currency]);
+  return rate > 0 ? (vnd || 0) / rate : null;
+};
+
+export const formatMoney = (
+  vnd,
+  { locale = DEFAULT_LOCALE, currency = BASE_CURRENCY, rates = {} } = {}
+) => {
+  const amount = convert(vnd, currency, rates);
+  const shown = amount == null ? BASE_CURRENCY : currency;
+  return new Intl.NumberFormat(LOCALES[locale]?.tag || "vi-VN", {
+    style: "currency",
+    currency: shown,
+    maximumFractionDigits: shown === BASE_CURRENCY ? 0 : 2,
+  }).format(amount == null ? vnd || 0 : amount);
+};
+
+/** First problem with the admin's rates draft, or null. */
+export const validateCurrencies = (rates) => {
+  for (const code of DISPLAY_CURRENCIES) {
+    const rate = Number(rates[code]);
+    if (!Number.isFinite(rate) || rate < 0)
+      return `Tỷ giá ${code} không hợp lệ.`;
+  }
+  return null;
+};
+
+// ----------------------- Content -----------------------
+/** The product with its name and description in `locale`, where given. */
+export const localizeProduct = (product, locale) => {
+  const own = product.translations?.[locale];
+  if (locale === DEFAULT_LOCALE || !own) return product;
+  return {
+    ...product,
+    name: own.name?.trim() || product.name,
+    description: own.description?.trim() || product.description,
+  };
+};
+
+/**
+ * Cart lines and order items keep the name they were bought under; this
+ * shows them under the product's current name in `locale`.
+ */
+export const localizeItems = (items, products, locale) =>
+  locale === DEFAULT_LOCALE
+    ? items
+    : items.map((item) => {
+        const product = products.find(
+          (p) => p.id === (item.productId || item.id)
+        );
+        const own = product?.translations?.[locale]?.name?.trim();
+        return own ? { ...item, name: own } : item;
+      });
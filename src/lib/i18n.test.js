@@ -0,0 +1,96 @@
+import vi from "../locales/vi.js";
+import en from "../locales/en.js";
+import {
+  availableCurrencies,
+  formatMoney,
+  localizeItems,
+  localizeProduct,
+  translate,
+  translateMessage,
+  validateCurrencies,
+} from "./i18n.js";
+import { phrase, phraseError } from "./phrases.js";
+import { validateCheckout } from "./validation.js";
+
+test("translates with values, plurals and fallbacks", () => {
+  expect(translate("vi", "shop.count", { count: 1 })).toBe("1 sản phẩm");
+  expect(translate("en", "shop.count", { count: 1 })).toBe("1 product");
+  expect(translate("en", "shop.count", { count: 3 })).toBe("3 products");
+  expect(translate("en", "shop.emptyFor", { query: "áo" })).toBe(
+    "No products match “áo”."
+  );
+  expect(translate("en", "no.such.key")).toBe("no.such.key");
+  expect(translate("fr", "nav.shop")).toBe("Cửa hàng");
+  // Every Vietnamese text has its English counterpart.
+  expect(Object.keys(vi).filter((key) => !(key in en))).toEqual([]);
+});
+
+test("translates the checkout's validation messages", () => {
+  const errors = validateCheckout({ name: "", email: "x@" });
+  expect(translateMessage("en", errors.name)).toBe(
+    "Please enter your full name."
+  );
+  expect(translateMessage("en", errors.email)).toBe(
+    "The email address is not valid."
+  );
+  expect(translateMessage("vi", errors.name)).toBe(errors.name);
+  expect(translateMessage("en", "Mã ABC không tồn tại.")).toBe(
+    "Mã ABC không tồn tại."
+  );
+});
+
+test("translates phrases with their values", () => {
+  const unknown = phrase(
+    "coupon.unknown",
+    { code: "ABC" },
+    "Mã ABC không tồn tại."
+  );
+  expect(translateMessage("en", unknown)).toBe("Code ABC does not exist.");
+  expect(translateMessage("vi", unknown)).toBe("Mã ABC không tồn tại.");
+  expect(translateMessage("en", phraseError(unknown))).toBe(
+    "Code ABC does not exist."
+  );
+  expect(translateMessage("en", new Error("Lỗi máy chủ."))).toBe(
+    "Lỗi máy chủ."
+  );
+});
+
+test("shows prices in the picked currency, charges in VND", () => {
+  const rates = { USD: 25000, EUR: 0, AUD: 16500 };
+  expect(availableCurrencies(rates)).toEqual(["VND", "USD", "AUD"]);
+  expect(formatMoney(169000, { locale: "vi" })).toMatch(/^169\.000\s₫$/);
+  expect(formatMoney(169000, { locale: "en", currency: "USD", rates })).toBe(
+    "US$6.76"
+  );
+  expect(formatMoney(165000, { locale: "en", currency: "AUD", rates })).toBe(
+    "A$10.00"
+  );
+  // No rate: the price stays in VND.
+  expect(formatMoney(169000, { locale: "en", currency: "EUR", rates })).toBe(
+    "₫169,000"
+  );
+  expect(validateCurrencies({ USD: 25000, EUR: -1, AUD: 0 })).toMatch(/EUR/);
+  expect(validateCurrencies(rates)).toBeNull();
+});
+
+test("localizes product names and descriptions", () => {
+  const product = {
+    id: "ao",
+    name: "Áo thun",
+    description: "Cotton 100%",
+    translations: { en: { name: "T-shirt", description: "" } },
+  };
+  expect(localizeProduct(product, "vi")).toBe(product);
+  expect(localizeProduct(product, "en")).toMatchObject({
+    name: "T-shirt",
+    description: "Cotton 100%",
+  });
+  const lines = [
+    { id: "ao:m", productId: "ao", name: "Áo thun" },
+    { id: "coc", productId: "coc", name: "Cốc" },
+  ];
+  expect(localizeItems(lines, [product], "en").map((l) => l.name)).toEqual([
+    "T-shirt",
+    "Cốc",
+  ]);
+});
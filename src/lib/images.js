@@ -0,0 +1,115 @@
+import { uid } from "./utils.js";
+
+/**
+ * Product images
+ * ---------------------------------------------------------
+ * product.images: [{ id, src, alt, widths: [{ width, src }] }]
+ *   The first image is the cover. `src` is the largest copy and `widths`
+ *   the resized copies, smallest first, for `srcset`; the largest one's
+ *   entry has no `src` of its own, it reads as `src` (so a data URL is not
+ *   stored twice). Older products (and images added by URL) hold a plain
+ *   URL string, which reads as an image without resized copies.
+ *
+ * Uploads are resized and compressed in the browser before they are saved,
+ * so a phone photo takes tens of kilobytes instead of several megabytes.
+ * The API server keeps them as files (see server/uploads.js).
+ */
+
+export const IMAGE_WIDTHS = [320, 640, 1280];
+const QUALITY = 0.82;
+
+export const toImage = (value) => {
+  if (!value) return null;
+  if (typeof value === "string")
+    return { id: value, src: value, alt: "", widths: [] };
+  const image = { alt: "", widths: [], ...value };
+  return {
+    ...image,
+    widths: image.widths.map((w) => (w.src ? w : { ...w, src: image.src })),
+  };
+};
+
+export const productImages = (p) =>
+  (p?.images || []).map(toImage).filter(Boolean);
+
+export const coverImage = (p) => productImages(p)[0] || null;
+
+// The smallest copy at least `width` wide, else the largest there is.
+export const imageUrl = (image, width) => {
+  const img = toImage(image);
+  if (!img) return null;
+  if (!width) return img.src;
+  const fit = img.widths.find((w) => w.width >= width);
+  return fit ? fit.src : img.src;
+};
+
+export const srcSet = (image) =>
+  toImage(image)
+    ?.widths.map((w) => `${w.src} ${w.width}w`)
+    .join(", ") || undefined;
+
+export const moveImage = (images, from, to) => {
+  if (to < 0 || to >= images.length || from === to) return images;
+  const next = [...images];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+export const makeCover = (images, index) => moveImage(images, index, 0);
+
+// ----------------------- Resizing (browser only) -----------------------
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Không đọc được tệp ảnh."));
+    reader.readAsDataURL(file);
+  });
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Tệp không phải là ảnh hợp lệ."));
+    img.src = src;
+  });
+
+// WebP where the browser can encode it (Safari cannot), JPEG otherwise.
+const outputType = () => {
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = 1;
+  return canvas.toDataURL("image/webp").startsWith("data:image/webp")
+    ? "image/webp"
+    : "image/jpeg";
+};
+
+/**
+ * Reads an image file into one copy per width in `widths` (never wider than
+ * the original). Resolves to an image record, see above.
+ */
+export async function resizeImage(file, { widths = IMAGE_WIDTHS } = {}) {
+  const img = await loadImage(await readFile(file));
+  const type = outputType();
+  const sizes = [
+    ...new Set(widths.map((w) => Math.min(w, img.naturalWidth))),
+  ].sort((a, b) => a - b);
+  const copies = sizes.map((width) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = Math.round((img.naturalHeight * width) / img.naturalWidth);
+    const ctx = canvas.getContext("2d");
+    // JPEG has no transparency; keep transparent PNGs on white, not black.
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return { width, src: canvas.toDataURL(type, QUALITY) };
+  });
+  const largest = copies[copies.length - 1];
+  return {
+    id: uid(),
+    src: largest.src,
+    alt: "",
+    widths: [...copies.slice(0, -1), { width: largest.width }],
+  };
+}
@@ -0,0 +1,50 @@
+import {
+  coverImage,
+  imageUrl,
+  makeCover,
+  moveImage,
+  productImages,
+  srcSet,
+} from "./images.js";
+
+const resized = {
+  id: "a",
+  src: "a-1280",
+  alt: "Mặt trước",
+  widths: [
+    { width: 320, src: "a-320" },
+    { width: 640, src: "a-640" },
+    { width: 1280, src: "a-1280" },
+  ],
+};
+
+test("reads plain URLs as images without resized copies", () => {
+  const p = { images: ["/img-1.jpg", null, resized] };
+  expect(productImages(p).map((i) => i.src)).toEqual(["/img-1.jpg", "a-1280"]);
+  expect(coverImage(p)).toMatchObject({ src: "/img-1.jpg", alt: "" });
+  expect(coverImage({})).toBeNull();
+  expect(srcSet("/img-1.jpg")).toBeUndefined();
+});
+
+test("picks the smallest copy that is wide enough", () => {
+  expect(imageUrl(resized, 300)).toBe("a-320");
+  expect(imageUrl(resized, 641)).toBe("a-1280");
+  expect(imageUrl(resized, 4000)).toBe("a-1280");
+  expect(imageUrl("/img-1.jpg", 320)).toBe("/img-1.jpg");
+  expect(srcSet(resized)).toBe("a-320 320w, a-640 640w, a-1280 1280w");
+});
+
+test("reads the largest copy from src", () => {
+  const stored = {
+    ...resized,
+    widths: [...resized.widths.slice(0, 2), { width: 1280 }],
+  };
+  expect(srcSet(stored)).toBe("a-320 320w, a-640 640w, a-1280 1280w");
+  expect(imageUrl(stored, 1000)).toBe("a-1280");
+});
+
+test("reorders images and picks the cover", () => {
+  expect(moveImage(["a", "b", "c"], 0, 2)).toEqual(["b", "c", "a"]);
+  expect(moveImage(["a", "b"], 1, 2)).toEqual(["a", "b"]);
+  expect(makeCover(["a", "b", "c"], 2)).toEqual(["c", "a", "b"]);
+});
@@ -0,0 +1,121 @@
+import { hasVariants, productStock } from "./variants.js";
+
+/**
+ * Inventory
+ * ---------------------------------------------------------
+ * Stock lives on the product (or on each variant). The cart never holds more
+ * than what is available, and placing an order takes everything out of stock
+ * in one step: either every line fits, or nothing is decremented.
+ */
+
+export const LOW_STOCK = 10;
+
+export const stockOf = (p, v) =>
+  v ? Number(v.stock) || 0 : hasVariants(p) ? 0 : productStock(p);
+
+// Older cart lines (before variants) only carry `id`, which is the product id.
+const resolve = (products, line) => {
+  const product = products.find((p) => p.id === (line.productId || line.id));
+  const variant = line.variantId
+    ? product?.variants?.find((v) => v.id === line.variantId)
+    : null;
+  return { product, variant };
+};
+
+export const availableFor = (products, line) => {
+  const { product, variant } = resolve(products, line);
+  if (!product || (line.variantId && !variant)) return 0;
+  return stockOf(product, variant);
+};
+
+// What a line takes stock from: the product, or one of its variants.
+const stockKey = (line) =>
+  `${line.productId || line.id}:${line.variantId || ""}`;
+
+// Lines whose quantity no longer fits the current stock (or is not a whole
+// number above zero), keyed by line id. Lines taking from the same stock
+// count together.
+export const cartIssues = (products, cart) => {
+  const wanted = {};
+  cart.forEach((line) => {
+    const key = stockKey(line);
+    wanted[key] = (wanted[key] || 0) + (Number(line.qty) || 0);
+  });
+  return cart.reduce((issues, line) => {
+    const available = availableFor(products, line);
+    const wholeQty = Number.isInteger(line.qty) && line.qty > 0;
+    if (wholeQty && wanted[stockKey(line)] <= available) return issues;
+    issues[line.id] = {
+      available,
+      message: !wholeQty
+        ? "Số lượng không hợp lệ."
+        : available === 0
+        ? "Sản phẩm đã hết hàng, vui lòng xoá khỏi giỏ."
+        : `Chỉ còn ${available} sản phẩm, vui lòng giảm số lượng.`,
+    };
+    return issues;
+  }, {});
+};
+
+// Clamp every line to what is in stock and drop the ones that sold out.
+export const clampCart = (products, cart) =>
+  cart
+    .map((line) => ({
+      ...line,
+      qty: Math.min(line.qty, availableFor(products, line)),
+    }))
+    .filter((line) => line.qty > 0);
+
+/**
+ * Take the cart out of stock. Returns `{ ok: true, products }` with the
+ * decremented catalog, or `{ ok: false, issues }` without touching anything
+ * when at least one line no longer fits.
+ */
+export const reserveStock = (products, cart) => {
+  const issues = cartIssues(products, cart);
+  if (Object.keys(issues).length) return { ok: false, issues };
+  return { ok: true, products: adjustStock(products, cart, -1) };
+};
+
+// Apply `sign * qty` of every line to the catalog (-1 to reserve, +1 to give
+// stock back). `sold` moves the other way and feeds the best-selling sort.
+export const adjustStock = (products, lines, sign) =>
+  products.map((p) => {
+    const mine = lines.filter((l) => (l.productId || l.id) === p.id);
+    if (!mine.length) return p;
+    const sold = Math.max(
+      0,
+      (Number(p.sold) || 0) - sign * mine.reduce((s, l) => s + l.qty, 0)
+    );
+    if (!hasVariants(p)) {
+      const qty = mine.reduce((s, l) => s + l.qty, 0);
+      return {
+        ...p,
+        sold,
+        stock: Math.max(0, (Number(p.stock) || 0) + sign * qty),
+      };
+    }
+    const variants = p.variants.map((v) => {
+      const qty = mine
+        .filter((l) => l.variantId === v.id)
+        .reduce((s, l) => s + l.qty, 0);
+      return qty
+        ? { ...v, stock: Math.max(0, (Number(v.stock) || 0) + sign * qty) }
+        : v;
+    });
+    const next = { ...p, sold, variants };
+    return { ...next, stock: productStock(next) };
+  });
+
+// Staff stock count: `levels` is { stock } or { variants: { [id]: stock } }.
+// Only stock fields change, so the edit stays within what staff may save.
+export const setStockLevels = (product, levels) => {
+  if (!hasVariants(product))
+    return { ...product, stock: Math.max(0, Number(levels.stock) || 0) };
+  const variants = product.variants.map((v) =>
+    v.id in (levels.variants || {})
+      ? { ...v, stock: Math.max(0, Number(levels.variants[v.id]) || 0) }
+      : v
+  );
+  return { ...product, variants, stock: productStock({ variants }) };
+};
@@ -0,0 +1,71 @@
+import {
+  adjustStock,
+  cartIssues,
+  reserveStock,
+  setStockLevels,
+} from "./inventory.js";
+
+const products = [
+  { id: "mug", name: "Cốc", price: 99000, stock: 3 },
+  {
+    id: "shirt",
+    name: "Áo",
+    price: 169000,
+    stock: 5,
+    options: [{ name: "Size", values: ["S", "M"] }],
+    variants: [
+      { id: "s", options: { Size: "S" }, stock: 1 },
+      { id: "m", options: { Size: "M" }, stock: 4 },
+    ],
+  },
+];
+
+test("flags lines that exceed the current stock", () => {
+  const issues = cartIssues(products, [
+    { id: "mug", qty: 3 },
+    { id: "shirt:s", productId: "shirt", variantId: "s", qty: 2 },
+  ]);
+  expect(Object.keys(issues)).toEqual(["shirt:s"]);
+  expect(issues["shirt:s"].available).toBe(1);
+});
+
+test("counts lines taking from the same stock together", () => {
+  const twice = [
+    { id: "mug", qty: 2 },
+    { id: "mug", productId: "mug", qty: 2 },
+    { id: "shirt:m", productId: "shirt", variantId: "m", qty: 2 },
+    { id: "shirt:m", productId: "shirt", variantId: "m", qty: 2 },
+  ];
+  expect(Object.keys(cartIssues(products, twice))).toEqual(["mug"]);
+  expect(reserveStock(products, twice).ok).toBe(false);
+});
+
+test("reserves all lines or none", () => {
+  const cart = [
+    { id: "mug", qty: 2 },
+    { id: "shirt:m", productId: "shirt", variantId: "m", qty: 5 },
+  ];
+  expect(reserveStock(products, cart).ok).toBe(false);
+
+  cart[1].qty = 3;
+  const reserved = reserveStock(products, cart);
+  expect(reserved.ok).toBe(true);
+  expect(reserved.products[0].stock).toBe(1);
+  expect(reserved.products[1].variants[1].stock).toBe(1);
+  expect(reserved.products[1].stock).toBe(2);
+  expect(reserved.products.map((p) => p.sold)).toEqual([2, 3]);
+});
+
+test("gives stock back", () => {
+  const next = adjustStock(products, [{ id: "mug", qty: 2 }], 1);
+  expect(next[0].stock).toBe(5);
+  expect(next[0].sold).toBe(0);
+});
+
+test("sets counted stock levels", () => {
+  expect(setStockLevels(products[0], { stock: "7" }).stock).toBe(7);
+  const shirt = setStockLevels(products[1], { variants: { s: 0, m: -2 } });
+  expect(shirt.variants.map((v) => v.stock)).toEqual([0, 0]);
+  expect(shirt.stock).toBe(0);
+  expect(setStockLevels(products[1], { variants: { s: 6 } }).stock).toBe(10);
+});
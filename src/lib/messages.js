@@ -0,0 +1,67 @@
+import { uid } from "./utils.js";
+import { isValidEmail } from "./validation.js";
+
+/**
+ * Contact messages
+ * ---------------------------------------------------------
+ * message: { id, name, email, text, status, createdAt, repliedAt }
+ *
+ * What customers send from the "Liên hệ" page lands in the admin inbox as
+ * "new"; opening it marks it "read", and the shop marks it "replied" once
+ * it has answered by email. The server stores new messages through
+ * createMessage too.
+ */
+
+export const MESSAGE_STATUSES = {
+  new: "Mới",
+  read: "Đã đọc",
+  replied: "Đã trả lời",
+};
+
+export const MAX_MESSAGE_LENGTH = 5000;
+
+export const emptyMessage = () => ({ name: "", email: "", text: "" });
+
+const text = (v) => (typeof v === "string" ? v.trim() : "");
+
+export const validateMessage = (draft) =>
+  !text(draft.name)
+    ? "Vui lòng nhập họ tên."
+    : !isValidEmail(draft.email)
+    ? "Email không hợp lệ."
+    : text(draft.text).length < 10
+    ? "Nội dung cần ít nhất 10 ký tự."
+    : draft.text.length > MAX_MESSAGE_LENGTH
+    ? `Nội dung tối đa ${MAX_MESSAGE_LENGTH} ký tự.`
+    : null;
+
+/** The record to store for a customer's draft; throws when it is invalid. */
+export const createMessage = (draft, now = new Date()) => {
+  const problem = validateMessage(draft);
+  if (problem) throw new Error(problem);
+  return {
+    id: uid(),
+    name: draft.name.trim(),
+    email: draft.email.trim().toLowerCase(),
+    text: draft.text.trim(),
+    status: "new",
+    createdAt: now.toISOString(),
+    repliedAt: null,
+  };
+};
+
+export const setMessageStatus = (message, status, now = new Date()) => ({
+  ...message,
+  status,
+  repliedAt: status === "replied" ? now.toISOString() : message.repliedAt,
+});
+
+// "mailto:" link answering the message from the admin's mail app.
+export const replyLink = (message, shopName) =>
+  `mailto:${message.email}?subject=${encodeURIComponent(
+    `Re: Tin nhắn gửi ${shopName}`
+  )}&body=${encodeURIComponent(
+    `\n\n---\n${message.name} (${message.createdAt.slice(0, 10)}):\n${
+      message.text
+    }`
+  )}`;
@@ -0,0 +1,38 @@
+import { createMessage, replyLink, setMessageStatus } from "./messages.js";
+
+const now = new Date(Date.UTC(2026, 9, 18, 3, 30));
+
+test("stores valid contact messages as new", () => {
+  const message = createMessage(
+    { name: " Lan ", email: "Lan@Example.vn", text: "Còn áo size M không ạ?" },
+    now
+  );
+  expect(message).toMatchObject({
+    name: "Lan",
+    email: "lan@example.vn",
+    status: "new",
+    createdAt: now.toISOString(),
+    repliedAt: null,
+  });
+  expect(() => createMessage({ name: "Lan", email: "lan@", text: "" })).toThrow(
+    /Email/
+  );
+  expect(() =>
+    createMessage({ name: "Lan", email: "lan@example.vn", text: "Hi" })
+  ).toThrow(/10 ký tự/);
+});
+
+test("tracks read and replied messages", () => {
+  const message = createMessage(
+    { name: "Lan", email: "lan@example.vn", text: "Còn áo size M không ạ?" },
+    now
+  );
+  const read = setMessageStatus(message, "read", now);
+  expect(read).toMatchObject({ status: "read", repliedAt: null });
+  expect(setMessageStatus(read, "replied", now).repliedAt).toBe(
+    now.toISOString()
+  );
+  expect(replyLink(message, "Việt Ký")).toMatch(
+    /^mailto:lan@example\.vn\?subject=Re%3A%20/
+  );
+});
@@ -0,0 +1,126 @@
+import { randomHex } from "./auth.js";
+import { toCsv } from "./catalog.js";
+import { uid } from "./utils.js";
+import { isValidEmail } from "./validation.js";
+
+/**
+ * Newsletter subscribers
+ * ---------------------------------------------------------
+ * subscriber: { id, email, locale, status, token, createdAt, sentAt,
+ *               confirmedAt, unsubscribedAt }
+ *
+ * Double opt-in: signing up stores the address as "pending" and emails a
+ * confirmation link; only "confirmed" addresses get the newsletter. Every
+ * email also carries an unsubscribe link. Both links hold the subscriber's
+ * random `token`:
+ *
+ *   /nhan-tin/xac-nhan/:token   confirms
+ *   /nhan-tin/huy/:token        unsubscribes
+ *
+ * One record per address (compared without case). Signing up again resends
+ * the confirmation (at most once every RESEND_MINUTES, sentAt being the last
+ * time), or starts over after an unsubscribe. The sign-up form answers the
+ * same in every case, so it cannot be used to find out who subscribes, nor
+ * to flood someone's inbox. The server uses the same rules and sends the
+ * emails (server/newsletter.js).
+ */
+
+export const SUBSCRIBER_STATUSES = {
+  pending: "Chờ xác nhận",
+  confirmed: "Đã xác nhận",
+  unsubscribed: "Đã huỷ",
+};
+
+export const RESEND_MINUTES = 10;
+
+export const normalizeEmail = (email = "") =>
+  String(email).trim().toLowerCase();
+
+export const newsletterLinks = (token, origin) => ({
+  confirm: `${origin}/nhan-tin/xac-nhan/${token}`,
+  unsubscribe: `${origin}/nhan-tin/huy/${token}`,
+});
+
+/**
+ * Signs `email` up. Returns { subscriber, subscribers, notify }: notify is
+ * true when a confirmation email should go out. Throws on a bad address.
+ */
+export const subscribe = (
+  subscribers,
+  email,
+  { locale = "vi", now = new Date(), token = randomHex(16) } = {}
+) => {
+  const address = normalizeEmail(email);
+  if (!isValidEmail(address)) throw new Error("Email không hợp lệ.");
+  const existing = subscribers.find((s) => s.email === address);
+  if (existing?.status === "confirmed")
+    return { subscriber: existing, subscribers, notify: false };
+  if (existing?.status === "pending") {
+    const due =
+      !existing.sentAt ||
+      now - new Date(existing.sentAt) >= RESEND_MINUTES * 60 * 1000;
+    if (!due) return { subscriber: existing, subscribers, notify: false };
+    const subscriber = { ...existing, sentAt: now.toISOString() };
+    return {
+      subscriber,
+      subscribers: subscribers.map((s) => (s === existing ? subscriber : s)),
+      notify: true,
+    };
+  }
+  const subscriber = {
+    id: existing?.id || uid(),
+    email: address,
+    locale,
+    status: "pending",
+    token,
+    createdAt: now.toISOString(),
+    sentAt: now.toISOString(),
+    confirmedAt: null,
+    unsubscribedAt: null,
+  };
+  return {
+    subscriber,
+    subscribers: existing
+      ? subscribers.map((s) => (s === existing ? subscriber : s))
+      : [subscriber, ...subscribers],
+    notify: true,
+  };
+};
+
+export const subscriberByToken = (subscribers, token) =>
+  (token && subscribers.find((s) => s.token === token)) || null;
+
+// Confirming twice changes nothing; an unsubscribed address has to sign up
+// again.
+export const confirmSubscriber = (subscriber, now = new Date()) =>
+  subscriber.status === "pending"
+    ? { ...subscriber, status: "confirmed", confirmedAt: now.toISOString() }
+    : subscriber;
+
+export const unsubscribeSubscriber = (subscriber, now = new Date()) =>
+  subscriber.status === "unsubscribed"
+    ? subscriber
+    : {
+        ...subscriber,
+        status: "unsubscribed",
+        unsubscribedAt: now.toISOString(),
+      };
+
+// What the storefront may learn about a subscriber (no token).
+export const publicSubscriber = ({ token, ...subscriber }) => subscriber;
+
+export const SUBSCRIBER_COLUMNS = [
+  "email",
+  "status",
+  "locale",
+  "createdAt",
+  "confirmedAt",
+  "unsubscribedAt",
+];
+
+/** CSV of the given subscribers, header first. */
+export const exportSubscribers = (subscribers) =>
+  toCsv([
+    SUBSCRIBER_COLUMNS,
+    ...subscribers.map((s) => SUBSCRIBER_COLUMNS.map((key) => s[key] ?? "")),
+  ]);
@@ -0,0 +1,88 @@
+import {
+  confirmSubscriber,
+  exportSubscribers,
+  subscriberByToken,
+  newsletterLinks,
+  publicSubscriber,
+  subscribe,
+  unsubscribeSubscriber,
+} from "./newsletter.js";
+
+const now = new Date(Date.UTC(2026, 9, 18, 3, 30));
+
+test("signs addresses up once, pending until confirmed", () => {
+  const first = subscribe([], " Lan@Example.vn ", { token: "t1", now });
+  expect(first.notify).toBe(true);
+  expect(first.subscriber).toMatchObject({
+    email: "lan@example.vn",
+    status: "pending",
+    token: "t1",
+  });
+  // Signing up again resends the same link, but not straight away.
+  const later = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+  expect(
+    subscribe(first.subscribers, "lan@example.vn", {
+      token: "t5",
+      now: later(9),
+    }).notify
+  ).toBe(false);
+  const again = subscribe(first.subscribers, "lan@example.vn", {
+    token: "t2",
+    now: later(10),
+  });
+  expect(again.subscribers).toHaveLength(1);
+  expect(again.subscriber).toMatchObject({
+    token: "t1",
+    sentAt: later(10).toISOString(),
+  });
+  expect(again.notify).toBe(true);
+  expect(
+    subscribe(again.subscribers, "lan@example.vn", {
+      token: "t6",
+      now: later(15),
+    }).notify
+  ).toBe(false);
+
+  const confirmed = confirmSubscriber(
+    subscriberByToken(again.subscribers, "t1"),
+    now
+  );
+  expect(confirmed).toMatchObject({
+    status: "confirmed",
+    confirmedAt: now.toISOString(),
+  });
+  expect(subscribe([confirmed], "LAN@example.vn", { token: "t3" }).notify).toBe(
+    false
+  );
+  expect(() => subscribe([], "lan@", { token: "t4" })).toThrow(/Email/);
+  expect(subscriberByToken([confirmed], "")).toBeNull();
+  expect(publicSubscriber(confirmed)).not.toHaveProperty("token");
+});
+
+test("unsubscribes, and starts over on a new sign-up", () => {
+  const { subscriber } = subscribe([], "lan@example.vn", { token: "t1" });
+  const gone = unsubscribeSubscriber(confirmSubscriber(subscriber), now);
+  expect(gone).toMatchObject({
+    status: "unsubscribed",
+    unsubscribedAt: now.toISOString(),
+  });
+  const back = subscribe([gone], "lan@example.vn", { token: "t2" });
+  expect(back.subscribers).toEqual([back.subscriber]);
+  expect(back.subscriber).toMatchObject({
+    id: subscriber.id,
+    status: "pending",
+    token: "t2",
+  });
+  expect(newsletterLinks("t2", "https://vietky.vn")).toEqual({
+    confirm: "https://vietky.vn/nhan-tin/xac-nhan/t2",
+    unsubscribe: "https://vietky.vn/nhan-tin/huy/t2",
+  });
+});
+
+test("exports subscribers as CSV", () => {
+  const { subscriber } = subscribe([], "lan@example.vn", { token: "t", now });
+  expect(exportSubscribers([subscriber]).split("\r\n")).toEqual([
+    "email,status,locale,createdAt,confirmedAt,unsubscribedAt",
+    `lan@example.vn,pending,vi,${now.toISOString()},,`,
+  ]);
+});
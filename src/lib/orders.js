@@ -0,0 +1,181 @@
+import { normalizePhone } from "./validation.js";
+
+/**
+ * Orders
+ * ---------------------------------------------------------
+ * An order is a frozen snapshot of the cart and checkout at the moment it was
+ * placed, so later price or product edits never change what the customer
+ * bought. Orders are stored with the rest of the app data (`vk_orders`).
+ *
+ * Status workflow (every step is kept in `history` with a time and a note):
+ *
+ *   pending → confirmed → shipping → delivered
+ *      ↓          ↓           ↓          ↓
+ *   cancelled  cancelled   returned   returned
+ *
+ * Cancelling or returning gives the stock back (see RESTOCK_STATUSES).
+ */
+
+export const ORDER_STATUSES = {
+  pending: "Chờ xác nhận",
+  confirmed: "Đã xác nhận",
+  shipping: "Đang giao",
+  delivered: "Đã giao",
+  cancelled: "Đã huỷ",
+  returned: "Hoàn trả",
+};
+
+export const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["shipping", "cancelled"],
+  shipping: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
+export const RESTOCK_STATUSES = ["cancelled", "returned"];
+
+// Labels for orders placed before shipping methods became configurable; newer
+// orders carry their own `delivery` snapshot.
+export const SHIPPING_METHODS = {
+  standard: "Giao tiêu chuẩn (2–4 ngày)",
+  express: "Hoả tốc (24h)",
+};
+
+export const PAYMENT_METHODS = {
+  cod: "COD (thanh toán khi nhận)",
+  transfer: "Chuyển khoản ngân hàng (VietQR)",
+  vnpay: "VNPAY (thẻ ATM, Visa/Master, QR ngân hàng)",
+  momo: "Ví MoMo",
+};
+
+export const PAYMENT_STATUSES = {
+  unpaid: "Chưa thanh toán",
+  paid: "Đã thanh toán",
+  failed: "Thanh toán không thành công",
+};
+
+const pad = (n, len = 2) => String(n).padStart(len, "0");
+
+const dayStamp = (d) =>
+  `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+
+// VK-20261018-0042: date of the order + running number within that day.
+export const nextOrderCode = (orders, now = new Date()) => {
+  const prefix = `VK-${dayStamp(now)}-`;
+  const last = orders
+    .filter((o) => o.code.startsWith(prefix))
+    .reduce((max, o) => Math.max(max, Number(o.code.slice(prefix.length))), 0);
+  return `${prefix}${pad(last + 1, 4)}`;
+};
+
+export const createOrder = ({
+  orders,
+  cart,
+  details,
+  totals,
+  coupons = [],
+  delivery = null,
+  now = new Date(),
+}) => ({
+  code: nextOrderCode(orders, now),
+  createdAt: now.toISOString(),
+  items: cart.map((i) => ({
+    productId: i.productId || i.id,
+    variantId: i.variantId || null,
+    sku: i.sku || null,
+    name: i.name,
+    variantLabel: i.variantLabel || "",
+    price: i.price,
+    qty: i.qty,
+  })),
+  customer: {
+    name: details.name || "",
+    phone: normalizePhone(details.phone),
+    email: details.email || "",
+  },
+  shipping: {
+    address: details.address || "",
+    ward: details.ward || "",
+    district: details.district || "",
+    province: details.province || "",
+    addressScheme: details.addressScheme || "",
+    provinceCode: details.provinceCode || "",
+    districtCode: details.districtCode || "",
+    wardCode: details.wardCode || "",
+  },
+  shippingMethod: details.shippingMethod || "standard",
+  delivery: delivery && {
+    label: delivery.label,
+    zone: delivery.zone,
+    weight: delivery.weight,
+    minDays: delivery.minDays,
+    maxDays: delivery.maxDays,
+  },
+  paymentMethod: details.paymentMethod || "cod",
+  payment: { status: "unpaid" },
+  coupons: coupons.map(({ code, type, amount }) => ({ code, type, amount })),
+  totals,
+  status: "pending",
+  history: [{ status: "pending", at: now.toISOString(), note: "" }],
+});
+
+// Orders placed before the status workflow existed have no status yet.
+export const orderStatus = (order) => order.status || "pending";
+
+export const canTransition = (order, to) =>
+  ORDER_TRANSITIONS[orderStatus(order)].includes(to);
+
+export const transitionOrder = (order, to, note = "", now = new Date()) => {
+  if (!canTransition(order, to))
+    throw new Error(
+      `Không thể chuyển đơn ${order.code} từ "${
+        ORDER_STATUSES[orderStatus(order)]
+      }" sang "${ORDER_STATUSES[to]}".`
+    );
+  return {
+    ...order,
+    status: to,
+    history: [
+      ...(order.history || []),
+      { status: to, at: now.toISOString(), note: note.trim() },
+    ],
+  };
+};
+
+// Orders placed before the coupon engine stored a single `coupon` code.
+export const orderCoupons = (order) =>
+  order.coupons ||
+  (order.coupon
+    ? [{ code: order.coupon, type: "percent", amount: order.totals.discount }]
+    : []);
+
+export const shippingMethodLabel = (order) =>
+  order.delivery?.label || SHIPPING_METHODS[order.shippingMethod];
+
+export const paymentStatus = (order) => order.payment?.status || "unpaid";
+
+// Staff confirm a transfer once it shows up on the bank statement.
+export const markOrderPaid = (order, reference = "", now = new Date()) => {
+  if (paymentStatus(order) === "paid")
+    throw new Error(`Đơn ${order.code} đã được ghi nhận thanh toán.`);
+  return {
+    ...order,
+    payment: {
+      status: "paid",
+      paidAt: now.toISOString(),
+      reference: reference.trim(),
+    },
+  };
+};
+
+// The buyer's link to their order. On the API the token is what opens it
+// (see server/index.js); demo orders have none.
+export const orderPath = (order) =>
+  `/don-hang/${order.code}${
+    order.token ? `?t=${encodeURIComponent(order.token)}` : ""
+  }`;
+
+export const fullAddress = (s) =>
+  [s.address, s.ward, s.district, s.province].filter(Boolean).join(", ");
@@ -0,0 +1,38 @@
+import { markOrderPaid, nextOrderCode, transitionOrder } from "./orders.js";
+
+test("numbers orders per day", () => {
+  const now = new Date(2026, 9, 18, 9, 30);
+  expect(nextOrderCode([], now)).toBe("VK-20261018-0001");
+  const orders = [
+    { code: "VK-20261017-0007" },
+    { code: "VK-20261018-0041" },
+    { code: "VK-20261018-0003" },
+  ];
+  expect(nextOrderCode(orders, now)).toBe("VK-20261018-0042");
+});
+
+test("follows the status workflow and records every step", () => {
+  const order = { code: "VK-20261018-0001", status: "pending", history: [] };
+  const at = new Date(2026, 9, 18, 10, 0);
+  const confirmed = transitionOrder(order, "confirmed", " Gọi xác nhận ", at);
+  expect(confirmed.status).toBe("confirmed");
+  expect(confirmed.history).toEqual([
+    { status: "confirmed", at: at.toISOString(), note: "Gọi xác nhận" },
+  ]);
+  expect(() => transitionOrder(confirmed, "delivered")).toThrow(
+    /Không thể chuyển đơn/
+  );
+  expect(transitionOrder(confirmed, "cancelled").status).toBe("cancelled");
+});
+
+test("records a received payment once", () => {
+  const order = { code: "VK-20261018-0001", payment: { status: "unpaid" } };
+  const at = new Date(2026, 9, 18, 11, 0);
+  const paid = markOrderPaid(order, " FT2629112345 ", at);
+  expect(paid.payment).toEqual({
+    status: "paid",
+    paidAt: at.toISOString(),
+    reference: "FT2629112345",
+  });
+  expect(() => markOrderPaid(paid)).toThrow(/đã được ghi nhận/);
+});
@@ -0,0 +1,20 @@
+/**
+ * Messages with values in them
+ * ---------------------------------------------------------
+ * Messages for the shopper are written in Vietnamese, and the storefront
+ * translates the fixed ones word for word (see translateMessage in
+ * i18n.js). One that names a code, an amount or a date is a phrase:
+ *
+ *   { key, vars, text }   text: the Vietnamese, as admin, the API and logs
+ *                         show it; other languages fill `vars` into their
+ *                         "msg.<key>" text
+ *
+ * phraseError() makes an Error of one; the API answers with its key and
+ * vars next to the error text, and the API store puts them back on the
+ * Error it throws (see api.js).
+ */
+
+export const phrase = (key, vars, text) => ({ key, vars, text });
+
+export const phraseError = ({ key, vars, text }) =>
+  Object.assign(new Error(text), { key, vars });
@@ -0,0 +1,190 @@
+import { uid } from "./utils.js";
+import { normalizePhone } from "./validation.js";
+import { orderStatus } from "./orders.js";
+
+/**
+ * Product reviews
+ * ---------------------------------------------------------
+ * review: { id, productId, name, rating (1–5), text, photos: [image],
+ *           verified, status, createdAt, reply: { text, at } | null }
+ *
+ * Customers' reviews wait in the admin's queue ("pending") until they are
+ * approved; the shop can hide them again or reply. A product's rating and
+ * review count come from its approved reviews only (withRatings).
+ *
+ * A review is a verified purchase when the customer gives the code and phone
+ * number of a delivered order that has the product. The phone number is only
+ * used for that check and is never stored. The server runs the same check
+ * against its own orders.
+ *
+ * Photos are images as in images.js, resized in the browser: each copy is
+ * an inline image of at most MAX_REVIEW_PHOTO_BYTES, or an http(s) URL.
+ */
+
+export const REVIEW_STATUSES = {
+  pending: "Chờ duyệt",
+  approved: "Đã duyệt",
+  hidden: "Đã ẩn",
+};
+
+export const MAX_REVIEW_PHOTOS = 3;
+export const REVIEW_PHOTO_WIDTHS = [320, 960];
+export const MAX_REVIEW_PHOTO_BYTES = 500 * 1024;
+
+export const emptyReview = (productId) => ({
+  productId,
+  name: "",
+  rating: 0,
+  text: "",
+  photos: [],
+  orderCode: "",
+  phone: "",
+});
+
+// Drafts may come from anyone's request on the server, so fields are only
+// trusted once they are known to be text.
+const text = (v) => (typeof v === "string" ? v.trim() : "");
+
+const INLINE_IMAGE =
+  /^data:image\/(jpeg|png|webp|gif);base64,([A-Za-z0-9+/]+=*)$/;
+
+const isPhotoSource = (src) => {
+  if (typeof src !== "string") return false;
+  const inline = INLINE_IMAGE.exec(src);
+  if (inline) return (inline[2].length * 3) / 4 <= MAX_REVIEW_PHOTO_BYTES;
+  return /^https?:\/\/\S+$/.test(src);
+};
+
+// Only what an image holds (see images.js), each copy checked.
+const cleanPhoto = (photo) => {
+  if (!photo || typeof photo !== "object" || !isPhotoSource(photo.src))
+    return null;
+  const widths = Array.isArray(photo.widths) ? photo.widths : [];
+  if (widths.length > REVIEW_PHOTO_WIDTHS.length) return null;
+  const copies = widths.map((w) =>
+    w &&
+    Number.isInteger(w.width) &&
+    w.width > 0 &&
+    (w.src === undefined || isPhotoSource(w.src))
+      ? w.src === undefined
+        ? { width: w.width }
+        : { width: w.width, src: w.src }
+      : null
+  );
+  if (copies.includes(null)) return null;
+  return {
+    id: text(photo.id) || uid(),
+    src: photo.src,
+    alt: "",
+    widths: copies,
+  };
+};
+
+export const validateReview = (draft) =>
+  !text(draft.productId)
+    ? "Đánh giá thiếu sản phẩm."
+    : !text(draft.name)
+    ? "Vui lòng nhập tên của bạn."
+    : !(
+        Number.isInteger(draft.rating) &&
+        draft.rating >= 1 &&
+        draft.rating <= 5
+      )
+    ? "Vui lòng chọn số sao."
+    : text(draft.text).length < 10
+    ? "Nội dung đánh giá cần ít nhất 10 ký tự."
+    : !Array.isArray(draft.photos || []) ||
+      (draft.photos || []).length > MAX_REVIEW_PHOTOS
+    ? `Chỉ đính kèm được tối đa ${MAX_REVIEW_PHOTOS} ảnh.`
+    : (draft.photos || []).some((photo) => !cleanPhoto(photo))
+    ? "Ảnh đính kèm không hợp lệ hoặc quá lớn."
+    : text(draft.orderCode) && !text(draft.phone)
+    ? "Nhập số điện thoại đặt hàng để xác nhận đơn."
+    : null;
+
+export const isVerifiedPurchase = (orders, { productId, orderCode, phone }) => {
+  const code = text(orderCode).toUpperCase();
+  const order = code && orders.find((o) => o.code === code);
+  return (
+    !!order &&
+    orderStatus(order) === "delivered" &&
+    normalizePhone(text(phone)) === order.customer?.phone &&
+    order.items.some((i) => (i.productId || i.id) === productId)
+  );
+};
+
+/**
+ * The record to store for a customer's draft; throws when it is invalid, or
+ * when `products` is given and the product is not among them.
+ */
+export const createReview = (
+  draft,
+  { orders = [], products, now = new Date() } = {}
+) => {
+  const problem = validateReview(draft);
+  if (problem) throw new Error(problem);
+  if (products && !products.some((p) => p.id === draft.productId))
+    throw new Error("Sản phẩm không tồn tại.");
+  return {
+    id: uid(),
+    productId: draft.productId,
+    name: draft.name.trim(),
+    rating: draft.rating,
+    text: draft.text.trim(),
+    photos: (draft.photos || []).map(cleanPhoto),
+    verified: isVerifiedPurchase(orders, draft),
+    status: "pending",
+    createdAt: now.toISOString(),
+    reply: null,
+  };
+};
+
+// ----------------------- Moderation -----------------------
+export const moderateReview = (review, status) => ({ ...review, status });
+
+// An empty reply takes the shop's answer down.
+export const replyToReview = (review, text, now = new Date()) => ({
+  ...review,
+  reply: text.trim() ? { text: text.trim(), at: now.toISOString() } : null,
+});
+
+// ----------------------- Ratings -----------------------
+export const approvedReviews = (reviews, productId) =>
+  reviews
+    .filter((r) => r.productId === productId && r.status === "approved")
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+/** { average (one decimal, 0 without reviews), count, stars: { 5: n, … } } */
+export const ratingSummary = (reviews, productId) => {
+  const list = approvedReviews(reviews, productId);
+  const stars = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  list.forEach((r) => (stars[r.rating] += 1));
+  const total = list.reduce((sum, r) => sum + r.rating, 0);
+  return {
+    average: list.length ? Math.round((total / list.length) * 10) / 10 : 0,
+    count: list.length,
+    stars,
+  };
+};
+
+/** Products with `rating` and `reviewCount` from their approved reviews. */
+export const withRatings = (products, reviews) => {
+  const byProduct = new Map();
+  reviews
+    .filter((r) => r.status === "approved")
+    .forEach((r) => {
+      const entry = byProduct.get(r.productId) || { total: 0, count: 0 };
+      byProduct.set(r.productId, {
+        total: entry.total + r.rating,
+        count: entry.count + 1,
+      });
+    });
+  return products.map((p) => {
+    const entry = byProduct.get(p.id);
+    return {
+      ...p,
+      rating: entry ? Math.round((entry.total / entry.count) * 10) / 10 : 0,
+      reviewCount: entry?.count || 0,
+    };
+  });
+};
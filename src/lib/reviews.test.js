@@ -0,0 +1,112 @@
+import {
+  MAX_REVIEW_PHOTO_BYTES,
+  createReview,
+  emptyReview,
+  isVerifiedPurchase,
+  ratingSummary,
+  replyToReview,
+  withRatings,
+} from "./reviews.js";
+
+const now = new Date("2026-10-18T00:00:00Z");
+const orders = [
+  {
+    code: "VK-20261001-0001",
+    status: "delivered",
+    customer: { phone: "0912345678" },
+    items: [{ productId: "ao", qty: 1 }],
+  },
+  {
+    code: "VK-20261002-0001",
+    status: "shipping",
+    customer: { phone: "0912345678" },
+    items: [{ productId: "coc", qty: 1 }],
+  },
+];
+const draft = {
+  ...emptyReview("ao"),
+  name: " Lan ",
+  rating: 5,
+  text: "Áo đẹp, vải mát, đúng size.",
+};
+
+test("checks drafts and marks verified purchases", () => {
+  expect(() => createReview({ ...draft, rating: 0 })).toThrow(/số sao/);
+  expect(() => createReview({ ...draft, text: "ok" })).toThrow(/10 ký tự/);
+  const review = createReview(
+    { ...draft, orderCode: "vk-20261001-0001", phone: "+84 912 345 678" },
+    { orders, now }
+  );
+  expect(review).toMatchObject({
+    name: "Lan",
+    verified: true,
+    status: "pending",
+    createdAt: now.toISOString(),
+  });
+  expect(review).not.toHaveProperty("phone");
+  // Not delivered yet, someone else's phone, or another product.
+  const check = (orderCode, phone, productId = "coc") =>
+    isVerifiedPurchase(orders, { productId, orderCode, phone });
+  expect(check("VK-20261002-0001", "0912345678")).toBe(false);
+  expect(check("VK-20261001-0001", "0987654321", "ao")).toBe(false);
+  expect(check("VK-20261001-0001", "0912345678")).toBe(false);
+});
+
+test("checks photos and the product", () => {
+  const inline = (bytes) =>
+    `data:image/webp;base64,${"A".repeat(Math.ceil(bytes / 3) * 4)}`;
+  const photo = (src, widths = [{ width: 320, src }, { width: 960 }]) => ({
+    id: "p1",
+    src,
+    alt: "",
+    widths,
+  });
+  const withPhoto = (p) => () => createReview({ ...draft, photos: [p] });
+  expect(
+    createReview({ ...draft, photos: [photo(inline(3000))] }).photos
+  ).toEqual([photo(inline(3000))]);
+  expect(withPhoto(photo("https://cdn.example/a.jpg"))).not.toThrow();
+  for (const bad of [
+    "https://cdn.example/a.jpg",
+    photo(inline(MAX_REVIEW_PHOTO_BYTES + 3)),
+    photo("data:image/svg+xml;base64,PHN2Zz4="),
+    photo("/relative.jpg"),
+    photo(inline(30), [{ width: 1.5 }]),
+    photo(inline(30), [{ width: 1 }, { width: 2 }, { width: 3 }]),
+  ])
+    expect(withPhoto(bad)).toThrow(/Ảnh đính kèm/);
+  const products = [{ id: "ao" }];
+  expect(() => createReview(draft, { products })).not.toThrow();
+  expect(() =>
+    createReview({ ...draft, productId: "coc" }, { products })
+  ).toThrow(/không tồn tại/);
+});
+
+test("rates products from approved reviews only", () => {
+  const reviews = [
+    { productId: "ao", rating: 5, status: "approved", createdAt: "1" },
+    { productId: "ao", rating: 4, status: "approved", createdAt: "2" },
+    { productId: "ao", rating: 4, status: "approved", createdAt: "3" },
+    { productId: "ao", rating: 1, status: "hidden", createdAt: "4" },
+    { productId: "coc", rating: 1, status: "pending", createdAt: "5" },
+  ];
+  expect(ratingSummary(reviews, "ao")).toEqual({
+    average: 4.3,
+    count: 3,
+    stars: { 5: 1, 4: 2, 3: 0, 2: 0, 1: 0 },
+  });
+  const [ao, coc] = withRatings(
+    [
+      { id: "ao", rating: 4.8 },
+      { id: "coc", rating: 4.7 },
+    ],
+    reviews
+  );
+  expect(ao).toMatchObject({ rating: 4.3, reviewCount: 3 });
+  expect(coc).toMatchObject({ rating: 0, reviewCount: 0 });
+  expect(replyToReview(reviews[0], "  Cảm ơn bạn! ", now).reply).toEqual({
+    text: "Cảm ơn bạn!",
+    at: now.toISOString(),
+  });
+  expect(replyToReview(reviews[0], " ").reply).toBeNull();
+});
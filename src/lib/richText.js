@@ -0,0 +1,62 @@
+/**
+ * Rich text for store pages (about, policies)
+ * ---------------------------------------------------------
+ * A small Markdown-like subset that admins can type into a textarea:
+ *
+ *   ## Heading
+ *   - list item
+ *   **bold**, [link text](https://…)
+ *
+ * Blocks are separated by blank lines; single line breaks are kept. The
+ * result is plain data rendered by components/RichText.js, never HTML, so
+ * nothing typed here can inject markup.
+ *
+ *   [{ type: "heading" | "paragraph", parts }, { type: "list", items: [parts] }]
+ *   parts: [{ text, bold?, href? }]
+ */
+
+// Links may leave the shop only over http(s), or start an email or a call.
+const SAFE_HREF = /^(https?:\/\/|mailto:|tel:|\/(?!\/))/i;
+
+const INLINE = /\*\*(.+?)\*\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+export const parseInline = (text) => {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    const [whole, bold, label, href] = match;
+    if (bold) parts.push({ text: bold, bold: true });
+    else if (SAFE_HREF.test(href)) parts.push({ text: label, href });
+    else parts.push({ text: whole });
+    last = match.index + whole.length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+};
+
+const LIST_ITEM = /^\s*[-*]\s+/;
+
+export const parseRichText = (text = "") =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .flatMap((block) => {
+      const lines = block.split("\n");
+      if (/^#{1,3}\s/.test(lines[0])) {
+        const heading = {
+          type: "heading",
+          parts: parseInline(lines[0].replace(/^#+\s+/, "")),
+        };
+        const rest = lines.slice(1).join("\n").trim();
+        return rest ? [heading, ...parseRichText(rest)] : [heading];
+      }
+      if (lines.every((line) => LIST_ITEM.test(line)))
+        return {
+          type: "list",
+          items: lines.map((line) => parseInline(line.replace(LIST_ITEM, ""))),
+        };
+      return { type: "paragraph", parts: parseInline(lines.join("\n")) };
+    });
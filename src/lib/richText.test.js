@@ -0,0 +1,31 @@
+import { parseInline, parseRichText } from "./richText.js";
+
+test("splits text into headings, lists and paragraphs", () => {
+  const text = "## Về chúng tôi\nCâu chuyện\nthương hiệu\n\n- Một\n- **Hai**";
+  expect(parseRichText(text)).toEqual([
+    { type: "heading", parts: [{ text: "Về chúng tôi" }] },
+    { type: "paragraph", parts: [{ text: "Câu chuyện\nthương hiệu" }] },
+    {
+      type: "list",
+      items: [[{ text: "Một" }], [{ text: "Hai", bold: true }]],
+    },
+  ]);
+  expect(parseRichText("")).toEqual([]);
+});
+
+test("keeps only safe links", () => {
+  expect(parseInline("Xem [chính sách](/chinh-sach/doi-tra) nhé")).toEqual([
+    { text: "Xem " },
+    { text: "chính sách", href: "/chinh-sach/doi-tra" },
+    { text: " nhé" },
+  ]);
+  expect(parseInline("[mail](mailto:a@b.vn)")).toEqual([
+    { text: "mail", href: "mailto:a@b.vn" },
+  ]);
+  expect(parseInline("[x](javascript:alert(1))")[0]).toEqual({
+    text: "[x](javascript:alert(1)",
+  });
+  expect(parseInline("[x](//evil.example)")).toEqual([
+    { text: "[x](//evil.example)" },
+  ]);
+});
@@ -0,0 +1,159 @@
+import { fold, stripDiacritics } from "./utils.js";
+
+/**
+ * Product search
+ * ---------------------------------------------------------
+ * Accent-free ("ao thun" finds "Áo thun"), over name, tags, category and
+ * description, in that order of weight. Every word of the query has to match
+ * a word of the product, exactly, as its beginning (so results show up while
+ * typing) or with a small typo ("nhiet" / "nheit").
+ *
+ *   const index = buildSearchIndex(products);
+ *   searchProducts(index, "binh giu nhiet") -> [{ product, score }]
+ *   highlight("Bình giữ nhiệt", "binh") -> [{ text, match }]
+ */
+
+const FIELD_WEIGHTS = { name: 4, tags: 3, category: 2, description: 1 };
+
+// How well a query word matches a product word.
+const EXACT = 1;
+const PREFIX = 0.75;
+const TYPO = 0.5;
+const TYPO_PREFIX = 0.4;
+
+export const tokenize = (text = "") => fold(text).match(/[a-z0-9]+/g) || [];
+
+// Typos allowed for a word of this length: none for short words, where one
+// letter already makes another word ("ao" / "an").
+const typosAllowed = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// Edit distance with swapped neighbours counting as one edit, giving up as
+// soon as it exceeds `max`.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      )
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// 0 when `word` does not match the query word `q`.
+export const matchQuality = (q, word) => {
+  if (word === q) return EXACT;
+  if (word.startsWith(q)) return PREFIX;
+  const max = typosAllowed(q.length);
+  if (!max) return 0;
+  if (editDistance(q, word, max) <= max) return TYPO;
+  if (
+    word.length > q.length &&
+    editDistance(q, word.slice(0, q.length), max) <= max
+  )
+    return TYPO_PREFIX;
+  return 0;
+};
+
+export const buildSearchIndex = (products) => {
+  const docs = products.map((product) => ({
+    product,
+    name: fold(product.name),
+    fields: {
+      name: tokenize(product.name),
+      tags: (product.tags || []).flatMap(tokenize),
+      category: tokenize(product.category),
+      description: tokenize(product.description),
+    },
+  }));
+  const vocabulary = [
+    ...new Set(docs.flatMap((d) => Object.values(d.fields).flat())),
+  ];
+  return { docs, vocabulary };
+};
+
+/**
+ * Products matching every word of `query`, best first. An empty query
+ * matches nothing; callers show the full listing instead.
+ */
+export const searchProducts = (index, query, { limit = Infinity } = {}) => {
+  const words = tokenize(query);
+  if (!words.length) return [];
+  // Each query word is compared with the vocabulary once, not per product.
+  const matches = words.map((q) => {
+    const found = new Map();
+    for (const word of index.vocabulary) {
+      const quality = matchQuality(q, word);
+      if (quality) found.set(word, quality);
+    }
+    return found;
+  });
+  const phrase = fold(query);
+  const results = [];
+  for (const doc of index.docs) {
+    let score = 0;
+    const all = matches.every((found) => {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(doc.fields))
+        for (const token of tokens)
+          best = Math.max(best, (found.get(token) || 0) * FIELD_WEIGHTS[field]);
+      score += best;
+      return best > 0;
+    });
+    if (!all) continue;
+    // The words typed together, in that order, in the name.
+    if (doc.name.includes(phrase)) score += doc.name.startsWith(phrase) ? 3 : 2;
+    results.push({ product: doc.product, score });
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+/**
+ * Splits `text` into pieces for display, marking the words that match the
+ * query: the typed part of a prefix match, whole words otherwise.
+ */
+export const highlight = (text = "", query = "") => {
+  const words = tokenize(query);
+  const chars = [...text];
+  // Folded text, and which character of `text` each folded letter came from.
+  let folded = "";
+  const origin = [];
+  chars.forEach((ch, i) => {
+    const piece = stripDiacritics(ch).toLowerCase();
+    folded += piece;
+    for (let k = 0; k < piece.length; k++) origin.push(i);
+  });
+  const marked = new Array(chars.length).fill(false);
+  for (const m of folded.matchAll(/[a-z0-9]+/g)) {
+    let length = 0;
+    for (const q of words) {
+      const quality = matchQuality(q, m[0]);
+      if (quality)
+        length = Math.max(length, quality === PREFIX ? q.length : m[0].length);
+    }
+    for (let k = m.index; k < m.index + length; k++) marked[origin[k]] = true;
+  }
+  const pieces = [];
+  chars.forEach((ch, i) => {
+    const last = pieces[pieces.length - 1];
+    if (last && last.match === marked[i]) last.text += ch;
+    else pieces.push({ text: ch, match: marked[i] });
+  });
+  return pieces;
+};
@@ -0,0 +1,69 @@
+import { buildSearchIndex, highlight, searchProducts } from "./search.js";
+
+const products = [
+  {
+    id: "ao",
+    name: "Áo thun Việt Ký",
+    category: "Áo thun",
+    description: "Cotton 100%, in logo Việt Ký mặt trước.",
+  },
+  {
+    id: "coc",
+    name: "Cốc sứ Việt Ký",
+    category: "Phụ kiện",
+    description: "Cốc sứ trắng in đồ họa Việt Ký.",
+    tags: ["ly", "quà tặng"],
+  },
+  {
+    id: "binh",
+    name: "Bình giữ nhiệt Việt Ký",
+    category: "Phụ kiện",
+    description: "Giữ nóng/lạnh 12 giờ, thép không gỉ.",
+  },
+  {
+    id: "so",
+    name: "Sổ tay da Việt Ký",
+    category: "Phụ kiện",
+    description: "Bìa da, giấy kem, đựng vừa túi áo khoác.",
+  },
+];
+const index = buildSearchIndex(products);
+const ids = (query) => searchProducts(index, query).map((r) => r.product.id);
+
+test("ignores accents, đ included", () => {
+  expect(ids("ao thun")).toEqual(["ao"]);
+  expect(ids("coc su")).toEqual(["coc"]);
+  expect(ids("BÌNH giu nhiet")).toEqual(["binh"]);
+  expect(ids("dung vua")).toEqual(["so"]);
+});
+
+test("searches tags, category and description", () => {
+  expect(ids("qua tang")).toEqual(["coc"]);
+  expect(ids("thep")).toEqual(["binh"]);
+  expect(ids("phu kien")).toHaveLength(3);
+});
+
+test("finds words while they are typed and with small typos", () => {
+  expect(ids("binh giu nh")).toEqual(["binh"]);
+  expect(ids("nheit")).toEqual(["binh"]);
+  expect(ids("coton")).toEqual(["ao"]);
+  // Short words have to be right: "an" is not "ao".
+  expect(ids("an thun")).toEqual([]);
+});
+
+test("ranks name matches above description matches", () => {
+  // "áo" is the shirt's name and only a word in the notebook's description.
+  expect(ids("ao")).toEqual(["ao", "so"]);
+  expect(searchProducts(index, "viet ky", { limit: 2 })).toHaveLength(2);
+  expect(ids("")).toEqual([]);
+});
+
+test("marks the matching part of a name", () => {
+  expect(highlight("Bình giữ nhiệt", "binh nhi")).toEqual([
+    { text: "Bình", match: true },
+    { text: " giữ ", match: false },
+    { text: "nhi", match: true },
+    { text: "ệt", match: false },
+  ]);
+  expect(highlight("Đồ họa", "")).toEqual([{ text: "Đồ họa", match: false }]);
+});
@@ -0,0 +1,153 @@
+import { fold } from "./utils.js";
+import { hasDistricts } from "./address.js";
+
+/**
+ * Shipping rules
+ * ---------------------------------------------------------
+ * Every method (tiêu chuẩn, hoả tốc, …) has one rate per destination zone:
+ * - inner:    nội thành – urban wards/districts of the store's own province
+ * - outer:    ngoại thành – the rest of that province
+ * - province: every other province
+ *
+ * A rate is a base fee covering `baseWeight` grams, plus `perKg` for every
+ * started kilogram above it, waived when the subtotal reaches `freeOver`.
+ * Rates can be switched off per zone (e.g. no hoả tốc to other provinces).
+ * The settings are edited in admin and stored as `vk_shipping`.
+ */
+
+export const SHIPPING_ZONES = {
+  inner: "Nội thành",
+  outer: "Ngoại thành",
+  province: "Tỉnh khác",
+};
+
+const rate = (fee, perKg, freeOver, minDays, maxDays, enabled = true) => ({
+  enabled,
+  fee,
+  perKg,
+  freeOver,
+  minDays,
+  maxDays,
+});
+
+export const DEFAULT_SHIPPING = {
+  originProvince: "Thành phố Hà Nội",
+  defaultWeight: 300,
+  methods: [
+    {
+      id: "standard",
+      label: "Giao tiêu chuẩn",
+      enabled: true,
+      baseWeight: 1000,
+      rates: {
+        inner: rate(20000, 5000, 500000, 1, 2),
+        outer: rate(25000, 5000, 500000, 2, 3),
+        province: rate(30000, 10000, 500000, 2, 4),
+      },
+    },
+    {
+      id: "express",
+      label: "Hoả tốc",
+      enabled: true,
+      baseWeight: 1000,
+      rates: {
+        inner: rate(60000, 10000, null, 1, 1),
+        outer: rate(80000, 10000, null, 1, 2),
+        province: rate(0, 0, null, 1, 2, false),
+      },
+    },
+  ],
+};
+
+// Phường (2025) or Quận / Thành phố thuộc tỉnh (legacy) count as nội thành.
+const URBAN = /^(phuong|quan|thanh pho)\s/;
+
+/**
+ * Zone of a checkout address, or null while there is not enough of it to
+ * tell (no province yet, or no ward/district inside the store's province).
+ */
+export const shippingZone = (address, settings) => {
+  if (!address.province) return null;
+  if (fold(address.province) !== fold(settings.originProvince))
+    return "province";
+  const unit = hasDistricts(address.addressScheme)
+    ? address.district
+    : address.ward;
+  if (!unit) return null;
+  return URBAN.test(fold(unit)) ? "inner" : "outer";
+};
+
+/** Total weight in grams; products without a weight use the default. */
+export const cartWeight = (products, cart, settings) =>
+  cart.reduce((sum, line) => {
+    const product = products.find((p) => p.id === (line.productId || line.id));
+    return sum + (product?.weight || settings.defaultWeight) * line.qty;
+  }, 0);
+
+/**
+ * Fee and delivery window of one method for a zone, or null when the method
+ * does not deliver there.
+ */
+export const quoteShipping = (method, zone, { weight, subtotal }) => {
+  const r = method.rates[zone];
+  if (!method.enabled || !r?.enabled) return null;
+  const extraKg = Math.max(0, Math.ceil((weight - method.baseWeight) / 1000));
+  const free = r.freeOver != null && subtotal >= r.freeOver;
+  return {
+    method: method.id,
+    label: method.label,
+    zone,
+    weight,
+    fee: free ? 0 : r.fee + extraKg * r.perKg,
+    free,
+    freeOver: r.freeOver,
+    minDays: r.minDays,
+    maxDays: r.maxDays,
+  };
+};
+
+/** Every enabled method with its quote (null = not available) for a zone. */
+export const shippingOptions = (settings, zone, cartInfo) =>
+  settings.methods
+    .filter((m) => m.enabled)
+    .map((m) => ({
+      method: m,
+      quote: zone && quoteShipping(m, zone, cartInfo),
+    }));
+
+/**
+ * Cheapest and dearest fee of the default (first) method over all zones,
+ * for the cart before an address is known. Null when nothing delivers.
+ */
+export const shippingRange = (settings, cartInfo) => {
+  const method = settings.methods.find((m) => m.enabled);
+  const fees = method
+    ? Object.keys(SHIPPING_ZONES)
+        .map((z) => quoteShipping(method, z, cartInfo))
+        .filter(Boolean)
+        .map((q) => q.fee)
+    : [];
+  return fees.length
+    ? { min: Math.min(...fees), max: Math.max(...fees) }
+    : null;
+};
+
+export const deliveryWindow = ({ minDays, maxDays }) =>
+  minDays === maxDays ? `${maxDays} ngày` : `${minDays}–${maxDays} ngày`;
+
+/** First problem with a settings draft from admin, or null. */
+export const validateShipping = (settings) => {
+  if (!settings.originProvince) return "Chọn tỉnh/thành nơi gửi hàng.";
+  if (!settings.methods.some((m) => m.enabled))
+    return "Cần ít nhất một phương thức giao hàng đang bật.";
+  for (const m of settings.methods) {
+    if (!m.label.trim()) return "Phương thức giao hàng cần có tên.";
+    for (const [zone, r] of Object.entries(m.rates)) {
+      if ([r.fee, r.perKg, r.minDays, r.maxDays].some((n) => n < 0))
+        return `${m.label} – ${SHIPPING_ZONES[zone]}: giá trị không được âm.`;
+      if (r.minDays > r.maxDays)
+        return `${m.label} – ${SHIPPING_ZONES[zone]}: thời gian giao không hợp lệ.`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,99 @@
+import {
+  DEFAULT_SHIPPING,
+  cartWeight,
+  quoteShipping,
+  shippingOptions,
+  shippingRange,
+  shippingZone,
+  validateShipping,
+} from "./shipping.js";
+
+const [standard, express] = DEFAULT_SHIPPING.methods;
+
+test("finds the zone from the address", () => {
+  const hanoi = {
+    addressScheme: "2025",
+    province: "Thành phố Hà Nội",
+  };
+  expect(shippingZone({ ...hanoi, province: "" }, DEFAULT_SHIPPING)).toBe(null);
+  expect(shippingZone(hanoi, DEFAULT_SHIPPING)).toBe(null);
+  expect(
+    shippingZone({ ...hanoi, ward: "Phường Hoàn Kiếm" }, DEFAULT_SHIPPING)
+  ).toBe("inner");
+  expect(shippingZone({ ...hanoi, ward: "Xã Ba Vì" }, DEFAULT_SHIPPING)).toBe(
+    "outer"
+  );
+  expect(
+    shippingZone(
+      {
+        addressScheme: "legacy",
+        province: "Thành phố Hà Nội",
+        district: "Huyện Đông Anh",
+      },
+      DEFAULT_SHIPPING
+    )
+  ).toBe("outer");
+  expect(
+    shippingZone(
+      { addressScheme: "2025", province: "Tỉnh Nghệ An" },
+      DEFAULT_SHIPPING
+    )
+  ).toBe("province");
+});
+
+test("weighs the cart with the default weight as fallback", () => {
+  const products = [{ id: "a", weight: 800 }, { id: "b" }];
+  const cart = [
+    { id: "a:s", productId: "a", qty: 2 },
+    { id: "b", qty: 1 },
+  ];
+  expect(cartWeight(products, cart, DEFAULT_SHIPPING)).toBe(1900);
+});
+
+test("prices by zone, weight and order value", () => {
+  expect(
+    quoteShipping(standard, "province", { weight: 900, subtotal: 200000 }).fee
+  ).toBe(30000);
+  // 2.1kg: base 1kg + 2 started kilograms.
+  expect(
+    quoteShipping(standard, "province", { weight: 2100, subtotal: 200000 }).fee
+  ).toBe(50000);
+  const free = quoteShipping(standard, "inner", {
+    weight: 5000,
+    subtotal: 500000,
+  });
+  expect(free).toMatchObject({ fee: 0, free: true, minDays: 1, maxDays: 2 });
+  expect(
+    quoteShipping(express, "inner", { weight: 500, subtotal: 900000 }).fee
+  ).toBe(60000);
+  expect(quoteShipping(express, "province", { weight: 500, subtotal: 0 })).toBe(
+    null
+  );
+});
+
+test("lists options and the range shown before an address", () => {
+  const cartInfo = { weight: 500, subtotal: 100000 };
+  const options = shippingOptions(DEFAULT_SHIPPING, "province", cartInfo);
+  expect(options.map((o) => o.quote && o.quote.fee)).toEqual([30000, null]);
+  expect(shippingRange(DEFAULT_SHIPPING, cartInfo)).toEqual({
+    min: 20000,
+    max: 30000,
+  });
+});
+
+test("rejects inconsistent settings", () => {
+  expect(validateShipping(DEFAULT_SHIPPING)).toBe(null);
+  const broken = {
+    ...DEFAULT_SHIPPING,
+    methods: [
+      {
+        ...standard,
+        rates: {
+          ...standard.rates,
+          inner: { ...standard.rates.inner, minDays: 3 },
+        },
+      },
+    ],
+  };
+  expect(validateShipping(broken)).toMatch(/Nội thành/);
+});
@@ -0,0 +1,151 @@
+import { slugify } from "./utils.js";
+import { isValidEmail } from "./validation.js";
+
+/**
+ * Store settings and branding
+ * ---------------------------------------------------------
+ * One "site" setting edited in Admin ▶ Cửa hàng:
+ *   { name, logo, favicon, tagline, heroTitle, heroSubtitle, about,
+ *     contact: { email, phone, address, hours },
+ *     social: { facebook, instagram, tiktok, youtube, zalo },
+ *     policies: [{ slug, title, body, translations }],
+ *     translations: { en: { tagline, heroTitle, heroSubtitle, about } } }
+ * `about` and policy bodies are rich text (see lib/richText.js). English
+ * fields left empty fall back to the Vietnamese ones.
+ */
+
+export const SOCIAL_NETWORKS = {
+  facebook: "Facebook",
+  instagram: "Instagram",
+  tiktok: "TikTok",
+  youtube: "YouTube",
+  zalo: "Zalo",
+};
+
+// Texts that have an English version next to the Vietnamese one.
+export const SITE_TRANSLATED = [
+  "tagline",
+  "heroTitle",
+  "heroSubtitle",
+  "about",
+];
+
+export const DEFAULT_SITE = {
+  name: "Việt Ký",
+  logo: "/img-7.jpg",
+  favicon: null,
+  tagline: "Thời trang & Phụ kiện",
+  heroTitle: "Bộ sưu tập Việt Ký – Tinh thần Việt trong từng chi tiết",
+  heroSubtitle: "Ghi dấu bản sắc - Kết nối thế hệ",
+  about: [
+    "Việt Ký tôn vinh bản sắc Việt qua thiết kế tinh giản. Toàn bộ quy trình sản xuất hướng tới bền vững, thân thiện môi trường.",
+    "- **Chất liệu:** Cotton 100%, giấy tái chế, kim loại bền.\n- **Thiết kế:** Lấy cảm hứng Rồng Việt, bản đồ Việt Nam.\n- **Bảo hành:** 1 đổi 1 trong 7 ngày cho lỗi sản xuất.",
+  ].join("\n\n"),
+  contact: { email: "", phone: "", address: "", hours: "" },
+  social: { facebook: "", instagram: "", tiktok: "", youtube: "", zalo: "" },
+  policies: [
+    {
+      slug: "van-chuyen",
+      title: "Chính sách vận chuyển",
+      body: "Đơn hàng được giao toàn quốc. Phí và thời gian giao hiện ở bước thanh toán theo khu vực nhận hàng.",
+      translations: {
+        en: {
+          title: "Shipping policy",
+          body: "We deliver across Vietnam. Fees and delivery times are shown at checkout for your area.",
+        },
+      },
+    },
+    {
+      slug: "doi-tra",
+      title: "Đổi/Trả & Bảo hành",
+      body: "1 đổi 1 trong 7 ngày cho lỗi sản xuất. Sản phẩm đổi cần còn nguyên tem, nhãn.",
+      translations: {
+        en: {
+          title: "Returns & Warranty",
+          body: "Free replacement within 7 days for manufacturing defects. Items must keep their tags and labels.",
+        },
+      },
+    },
+    {
+      slug: "dieu-khoan",
+      title: "Điều khoản & Bảo mật",
+      body: "Thông tin của bạn chỉ được dùng để xử lý và giao đơn hàng, không chia sẻ cho bên thứ ba.",
+      translations: {
+        en: {
+          title: "Terms & Privacy",
+          body: "Your details are only used to process and deliver your orders and are never shared with third parties.",
+        },
+      },
+    },
+  ],
+  translations: {
+    en: {
+      tagline: "Fashion & Accessories",
+      heroTitle: "The Viet Ky collection – Vietnamese spirit in every detail",
+      heroSubtitle: "Marking identity - Connecting generations",
+      about: [
+        "Viet Ky celebrates Vietnamese identity through simple design. Our whole production process aims to be sustainable and kind to the environment.",
+        "- **Materials:** 100% cotton, recycled paper, durable metal.\n- **Design:** inspired by the Vietnamese dragon and the map of Vietnam.\n- **Warranty:** free replacement within 7 days for manufacturing defects.",
+      ].join("\n\n"),
+    },
+  },
+};
+
+export const emptyPolicy = () => ({
+  slug: "",
+  title: "",
+  body: "",
+  translations: { en: { title: "", body: "" } },
+});
+
+export const policySlug = (p) => p.slug || slugify(p.title);
+
+// Two letters standing in for a missing logo: "Việt Ký" -> "VK".
+export const initials = (name = "") =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join("");
+
+// Non-empty English texts replace the Vietnamese ones.
+const pick = (base, translated = {}, keys) =>
+  keys.reduce(
+    (out, key) =>
+      translated[key]?.trim() ? { ...out, [key]: translated[key] } : out,
+    base
+  );
+
+export const localizeSite = (site, locale) => ({
+  ...pick(site, site.translations?.[locale], SITE_TRANSLATED),
+  policies: site.policies.map((p) =>
+    pick({ ...p, slug: policySlug(p) }, p.translations?.[locale], [
+      "title",
+      "body",
+    ])
+  ),
+});
+
+// Returns the first problem as a message, or null.
+export const validateSite = (site) => {
+  if (!site.name.trim()) return "Nhập tên cửa hàng.";
+  const { email } = site.contact;
+  if (email.trim() && !isValidEmail(email))
+    return "Email liên hệ không hợp lệ.";
+  const link = Object.keys(SOCIAL_NETWORKS).find(
+    (key) => site.social[key] && !/^https?:\/\/\S+$/i.test(site.social[key])
+  );
+  if (link)
+    return `Liên kết ${SOCIAL_NETWORKS[link]} cần bắt đầu bằng https://.`;
+  const slugs = [];
+  for (const policy of site.policies) {
+    if (!policy.title.trim()) return "Nhập tiêu đề cho mọi trang chính sách.";
+    const slug = policySlug(policy);
+    if (!/^[a-z0-9-]+$/.test(slug))
+      return "Đường dẫn chỉ gồm chữ thường không dấu, số và dấu gạch ngang.";
+    if (slugs.includes(slug)) return `Đường dẫn "${slug}" đã được dùng.`;
+    slugs.push(slug);
+  }
+  return null;
+};
@@ -0,0 +1,48 @@
+import {
+  DEFAULT_SITE,
+  emptyPolicy,
+  initials,
+  localizeSite,
+  validateSite,
+} from "./site.js";
+
+test("shows English texts where they are filled in", () => {
+  const site = {
+    ...DEFAULT_SITE,
+    heroTitle: "Xin chào",
+    translations: { en: { heroTitle: "Hello", tagline: " " } },
+    policies: [
+      { ...emptyPolicy(), title: "Đổi trả", body: "7 ngày" },
+      {
+        slug: "giao-hang",
+        title: "Giao hàng",
+        body: "Toàn quốc",
+        translations: { en: { title: "Delivery", body: "" } },
+      },
+    ],
+  };
+  const en = localizeSite(site, "en");
+  expect(en.heroTitle).toBe("Hello");
+  expect(en.tagline).toBe(DEFAULT_SITE.tagline);
+  expect(en.policies.map((p) => [p.slug, p.title, p.body])).toEqual([
+    ["doi-tra", "Đổi trả", "7 ngày"],
+    ["giao-hang", "Delivery", "Toàn quốc"],
+  ]);
+  expect(localizeSite(site, "vi").heroTitle).toBe("Xin chào");
+  expect(initials("Việt Ký")).toBe("VK");
+  expect(initials("")).toBe("");
+});
+
+test("validates the store settings", () => {
+  expect(validateSite(DEFAULT_SITE)).toBeNull();
+  expect(validateSite({ ...DEFAULT_SITE, name: " " })).toMatch(/tên/);
+  const contact = { ...DEFAULT_SITE.contact, email: "shop@" };
+  expect(validateSite({ ...DEFAULT_SITE, contact })).toMatch(/Email/);
+  const social = { ...DEFAULT_SITE.social, facebook: "fb.com/vietky" };
+  expect(validateSite({ ...DEFAULT_SITE, social })).toMatch(/Facebook/);
+  const policies = [...DEFAULT_SITE.policies, DEFAULT_SITE.policies[0]];
+  expect(validateSite({ ...DEFAULT_SITE, policies })).toMatch(/van-chuyen/);
+  expect(validateSite({ ...DEFAULT_SITE, policies: [emptyPolicy()] })).toMatch(
+    /tiêu đề/
+  );
+});
@@ -0,0 +1,246 @@
+/**
+ * Browser storage
+ * ---------------------------------------------------------
+ * Everything the shop keeps in the browser (the demo shop's data, the cart,
+ * the wishlist, the admin session, saved checkout details, the shopper's
+ * language and currency) is a `vk_*` key in one IndexedDB object store, read
+ * through `load` / `save` in utils.js.
+ *
+ * - openStorage() runs once before the app renders: it reads every key into
+ *   memory, so reads stay synchronous, and writes go to memory at once and
+ *   to IndexedDB in the background.
+ * - The data has a schema version (`vk_schema`). MIGRATIONS[n] turns data
+ *   written by version n - 1 into version n; version 1 is what the shop
+ *   wrote before there was a version.
+ * - The first time it opens, what earlier versions left in localStorage is
+ *   copied in and removed from localStorage.
+ * - Writes that fail (the browser's storage is full, private browsing) are
+ *   reported to onStorageError listeners with a message for the shopper.
+ * - Without IndexedDB (very old browsers, tests) the same keys live in
+ *   localStorage, as they used to.
+ */
+
+import { phrase } from "./phrases.js";
+
+const DB_NAME = "vietky";
+const STORE = "kv";
+const PREFIX = "vk_";
+const VERSION_KEY = "vk_schema";
+
+export const SCHEMA_VERSION = 2;
+
+// Each migration gets every stored key ({ key: value }) and returns the keys
+// it changed.
+export const MIGRATIONS = {
+  // Cart lines name their product and variant (so a shirt in two sizes is
+  // two lines); product photos are image records, without empty slots.
+  2: ({ vk_cart, vk_products }) => ({
+    ...(Array.isArray(vk_cart) && {
+      vk_cart: vk_cart.map((line) =>
+        line.productId
+          ? line
+          : {
+              ...line,
+              productId: line.id,
+              variantId: null,
+              sku: line.sku || null,
+              variantLabel: "",
+            }
+      ),
+    }),
+    ...(Array.isArray(vk_products) && {
+      vk_products: vk_products.map((p) => ({
+        ...p,
+        images: (p.images || [])
+          .filter(Boolean)
+          .map((img) =>
+            typeof img === "string"
+              ? { id: img, src: img, alt: "", widths: [] }
+              : img
+          ),
+      })),
+    }),
+  }),
+};
+
+/** Brings `data` written at version `from` up to SCHEMA_VERSION. */
+export const migrate = (data, from = 1) => {
+  if (from >= SCHEMA_VERSION) return data;
+  let next = data;
+  for (let version = from + 1; version <= SCHEMA_VERSION; version += 1)
+    next = { ...next, ...MIGRATIONS[version](next) };
+  return { ...next, [VERSION_KEY]: SCHEMA_VERSION };
+};
+
+// ----------------------- Errors -----------------------
+const listeners = new Set();
+let missed = null; // reported before anyone listened (while opening)
+
+/** Calls `listener(message)` when something could not be saved. */
+export const onStorageError = (listener) => {
+  listeners.add(listener);
+  if (missed) listener(missed);
+  missed = null;
+  return () => listeners.delete(listener);
+};
+
+const isQuotaError = (err) =>
+  err?.name === "QuotaExceededError" ||
+  err?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+  err?.code === 22;
+
+// A phrase (see phrases.js), for StorageNotice to show.
+export const storageMessage = (err) => {
+  if (isQuotaError(err))
+    return phrase(
+      "storage.full",
+      {},
+      "Bộ nhớ của trình duyệt đã đầy nên thay đổi vừa rồi chưa được lưu. Hãy xoá bớt ảnh hoặc sản phẩm không dùng, hoặc chuyển cửa hàng lên máy chủ (Admin ▶ Dữ liệu)."
+    );
+  const error = err?.message || String(err);
+  return phrase(
+    "storage.failed",
+    { error },
+    `Không lưu được dữ liệu vào trình duyệt: ${error}`
+  );
+};
+
+const report = (err) => {
+  const message = storageMessage(err);
+  if (!listeners.size) missed = message;
+  listeners.forEach((listener) => listener(message));
+};
+
+// ----------------------- localStorage -----------------------
+const localKeys = () => {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i += 1) {
+    const key = localStorage.key(i);
+    if (key.startsWith(PREFIX)) keys.push(key);
+  }
+  return keys;
+};
+
+const local = {
+  kind: "localStorage",
+  get(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) ?? undefined;
+    } catch {
+      return undefined;
+    }
+  },
+  set(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      report(err);
+    }
+  },
+  remove: (key) => localStorage.removeItem(key),
+};
+
+const readLocal = () =>
+  Object.fromEntries(localKeys().map((key) => [key, local.get(key)]));
+
+// ----------------------- IndexedDB -----------------------
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () =>
+      reject(new Error("Hãy đóng các thẻ khác của cửa hàng rồi tải lại."));
+  });
+
+const readAll = (db) =>
+  new Promise((resolve, reject) => {
+    const store = db.transaction(STORE).objectStore(STORE);
+    const keys = store.getAllKeys();
+    const values = store.getAll();
+    values.onsuccess = () =>
+      resolve(
+        Object.fromEntries(keys.result.map((k, i) => [k, values.result[i]]))
+      );
+    values.onerror = () => reject(values.error);
+  });
+
+// Resolves once the writes are on disk; a full disk aborts the transaction.
+const write = (db, entries, removed = []) =>
+  new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    entries.forEach(([key, value]) => store.put(value, key));
+    removed.forEach((key) => store.delete(key));
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error);
+  });
+
+// Values are kept as they are, so treat what `get` returns as read-only.
+const indexed = (db, cache) => ({
+  kind: "IndexedDB",
+  get: (key) => cache.get(key),
+  set(key, value) {
+    cache.set(key, value);
+    write(db, [[key, value]]).catch(report);
+  },
+  remove(key) {
+    cache.delete(key);
+    write(db, [], [key]).catch(report);
+  },
+});
+
+// ----------------------- Storage -----------------------
+let backend = local;
+
+export const storage = {
+  get: (key, fallback) => backend.get(key) ?? fallback,
+  set: (key, value) => backend.set(key, value),
+  remove: (key) => backend.remove(key),
+  kind: () => backend.kind,
+};
+
+// Migrates what is in localStorage, where IndexedDB cannot be used.
+const openLocal = () => {
+  const data = readLocal();
+  const migrated = migrate(data, data[VERSION_KEY] || 1);
+  Object.entries(migrated)
+    .filter(([key, value]) => data[key] !== value)
+    .forEach(([key, value]) => local.set(key, value));
+  backend = local;
+};
+
+/** Opens the store; resolves to where data is kept ("IndexedDB" or not). */
+export async function openStorage() {
+  if (typeof indexedDB === "undefined") {
+    openLocal();
+    return backend.kind;
+  }
+  try {
+    const db = await openDatabase();
+    const data = await readAll(db);
+    // First run on IndexedDB: bring over what localStorage held.
+    const imported = data[VERSION_KEY] === undefined ? readLocal() : {};
+    Object.assign(data, imported);
+    const migrated = migrate(data, data[VERSION_KEY] || 1);
+    await write(
+      db,
+      Object.entries(migrated).filter(
+        ([key, value]) => key in imported || data[key] !== value
+      )
+    );
+    Object.keys(imported).forEach((key) => localStorage.removeItem(key));
+    backend = indexed(db, new Map(Object.entries(migrated)));
+    // Ask the browser not to clear the shop's data when space runs low.
+    navigator.storage?.persist?.().catch(() => {});
+  } catch (err) {
+    report(err);
+    openLocal();
+  }
+  return backend.kind;
+}
+
+/** { usage, quota } in bytes, where the browser tells. */
+export const storageEstimate = async () =>
+  (await navigator.storage?.estimate?.()) || null;
@@ -0,0 +1,88 @@
+import { SCHEMA_VERSION, migrate } from "./storage.js";
+
+// A fresh copy of the module, as on page load.
+const freshStorage = () => {
+  let mod;
+  jest.isolateModules(() => {
+    mod = require("./storage.js");
+  });
+  return mod;
+};
+
+// Just enough of IndexedDB for one key/value object store.
+const fakeIndexedDB = (rows = new Map()) => {
+  const later = (fn) => setTimeout(fn, 0);
+  const request = (result) => {
+    const req = { result };
+    later(() => req.onsuccess?.());
+    return req;
+  };
+  const db = {
+    createObjectStore: () => {},
+    transaction() {
+      const tx = {
+        objectStore: () => ({
+          getAllKeys: () => request([...rows.keys()]),
+          getAll: () => request([...rows.values()]),
+          put: (value, key) => rows.set(key, value),
+          delete: (key) => rows.delete(key),
+        }),
+      };
+      later(() => tx.oncomplete?.());
+      return tx;
+    },
+  };
+  return { rows, open: () => request(db) };
+};
+
+const oldCart = [{ id: "p1", name: "Cốc", price: 99000, qty: 2 }];
+const oldProducts = [{ id: "p1", images: [null, "/img-3.jpg"] }];
+
+afterEach(() => {
+  delete global.indexedDB;
+  localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test("migrates carts and products saved before versioning", () => {
+  const data = migrate({ vk_cart: oldCart, vk_products: oldProducts }, 1);
+  expect(data.vk_schema).toBe(SCHEMA_VERSION);
+  expect(data.vk_cart[0]).toMatchObject({ productId: "p1", variantId: null });
+  expect(data.vk_products[0].images).toEqual([
+    { id: "/img-3.jpg", src: "/img-3.jpg", alt: "", widths: [] },
+  ]);
+  expect(migrate(data, SCHEMA_VERSION)).toBe(data);
+});
+
+test("moves localStorage data into IndexedDB once", async () => {
+  localStorage.setItem("vk_cart", JSON.stringify(oldCart));
+  localStorage.setItem("other_app", "1");
+  global.indexedDB = fakeIndexedDB();
+  const { openStorage, storage } = freshStorage();
+
+  expect(await openStorage()).toBe("IndexedDB");
+  expect(storage.get("vk_cart")[0].productId).toBe("p1");
+  expect(global.indexedDB.rows.get("vk_schema")).toBe(SCHEMA_VERSION);
+  expect(localStorage.getItem("vk_cart")).toBeNull();
+  expect(localStorage.getItem("other_app")).toBe("1");
+
+  storage.set("vk_cart", []);
+  await new Promise((r) => setTimeout(r, 0));
+  expect(global.indexedDB.rows.get("vk_cart")).toEqual([]);
+});
+
+test("keeps using localStorage without IndexedDB, reporting a full disk", async () => {
+  localStorage.setItem("vk_products", JSON.stringify(oldProducts));
+  const { openStorage, storage, onStorageError } = freshStorage();
+  expect(await openStorage()).toBe("localStorage");
+  expect(storage.get("vk_products")[0].images).toHaveLength(1);
+
+  const messages = [];
+  onStorageError((m) => messages.push(m));
+  jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+    throw new DOMException("full", "QuotaExceededError");
+  });
+  storage.set("vk_cart", oldCart);
+  expect(messages[0].key).toBe("storage.full");
+  expect(messages[0].text).toMatch(/đã đầy/);
+});
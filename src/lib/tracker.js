@@ -0,0 +1,51 @@
+import { store } from "./api.js";
+import { createEvent } from "./analytics.js";
+import { uid } from "./utils.js";
+
+/**
+ * Event tracker
+ * ---------------------------------------------------------
+ * Records what shoppers do (see lib/analytics.js for the event types) and
+ * hands the events to the store in batches: `delay` ms after the first one,
+ * or at once when the page is hidden (tab switched or closed) and before
+ * the shop sends the shopper elsewhere (flush()). The API store posts with
+ * fetch's keepalive, so a batch still arrives after the page has gone.
+ * Failed sends are dropped; analytics must never get in a shopper's way.
+ *
+ *   tracker.track("add_to_cart", { productId, qty })
+ */
+export const createTracker = (
+  send,
+  { delay = 2000, visit = uid(), now = () => new Date() } = {}
+) => {
+  let queue = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!queue.length) return;
+    const batch = queue;
+    queue = [];
+    // Sent right away: the page may be on its way out.
+    try {
+      Promise.resolve(send(batch)).catch(() => {});
+    } catch {}
+  };
+
+  return {
+    visit,
+    track(type, data) {
+      queue.push(createEvent(type, data, { visit, now: now() }));
+      if (!timer) timer = setTimeout(flush, delay);
+    },
+    flush,
+  };
+};
+
+export const tracker = createTracker((events) => store.trackEvents(events));
+
+if (typeof document !== "undefined")
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") tracker.flush();
+  });
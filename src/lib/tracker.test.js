@@ -0,0 +1,39 @@
+import { createTracker } from "./tracker.js";
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test("sends events in batches", () => {
+  const send = jest.fn(async () => {});
+  const tracker = createTracker(send, {
+    visit: "v1",
+    now: () => new Date("2026-10-18T03:00:00Z"),
+  });
+  tracker.track("product_view", { productId: "ao" });
+  tracker.track("add_to_cart", { productId: "ao", qty: 2 });
+  expect(send).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(2000);
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(send.mock.calls[0][0]).toEqual([
+    expect.objectContaining({
+      type: "product_view",
+      visit: "v1",
+      at: "2026-10-18T03:00:00.000Z",
+      productId: "ao",
+    }),
+    expect.objectContaining({ type: "add_to_cart", qty: 2 }),
+  ]);
+  tracker.flush();
+  expect(send).toHaveBeenCalledTimes(1);
+});
+
+test("never lets a failed send reach the shopper", async () => {
+  const send = jest.fn(async () => {
+    throw new Error("offline");
+  });
+  const tracker = createTracker(send);
+  tracker.track("checkout_open");
+  tracker.flush();
+  await Promise.resolve();
+  expect(send).toHaveBeenCalledTimes(1);
+});
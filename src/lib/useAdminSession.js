@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+import { store } from "./api.js";
+import { phrase } from "./phrases.js";
+
+/**
+ * The signed-in admin ({ user, expiresAt }), or null. Follows logins and
+ * logouts, and signs out when the session runs out while the page is open,
+ * telling `onExpired` with a phrase (see phrases.js).
+ */
+export function useAdminSession({ onExpired } = {}) {
+  const [session, setSession] = useState(() => store.session());
+
+  useEffect(() => store.subscribe(() => setSession(store.session())), []);
+
+  useEffect(() => {
+    if (!session) return;
+    const timer = setTimeout(() => {
+      store.logout();
+      onExpired?.(
+        phrase(
+          "session.expired",
+          {},
+          "Phiên đăng nhập đã hết hạn, vui lòng đăng nhập lại."
+        )
+      );
+    }, Math.max(0, new Date(session.expiresAt) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [session, onExpired]);
+
+  return session;
+}
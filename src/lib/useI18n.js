@@ -0,0 +1,100 @@
+import {
+  createContext,
+  createElement,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import { load, save } from "./utils.js";
+import {
+  BASE_CURRENCY,
+  DEFAULT_LOCALE,
+  LOCALES,
+  availableCurrencies,
+  formatMoney,
+  isLocale,
+  translate,
+  translateMessage,
+} from "./i18n.js";
+
+/**
+ * Language and display currency for the storefront (see i18n.js), kept in
+ * the shopper's browser as `vk_locale` / `vk_currency`.
+ *
+ *   t(key, vars)   dictionary text
+ *   msg(message)   a Vietnamese lib message, translated when known
+ *   money(vnd)     a price in the picked currency
+ *   vnd(vnd)       the amount actually charged, always VND
+ *   approx(vnd)    "≈ US$12.34" when another currency is picked, else ""
+ *   date(iso, options), number(n)
+ *   days(window)   a delivery window ({ minDays, maxDays }) as text
+ *
+ * App owns the state (useI18nState), since the rates are shop data, and
+ * passes it down through I18nProvider. Without a provider everything is
+ * Vietnamese and in VND. The admin screens stay in Vietnamese.
+ */
+const i18nFor = (locale, currency, rates) => {
+  const tag = LOCALES[locale].tag;
+  const foreign = currency !== BASE_CURRENCY;
+  const money = (n) => formatMoney(n, { locale, currency, rates });
+  const t = (key, vars) => translate(locale, key, vars);
+  return {
+    locale,
+    currency,
+    foreign,
+    t,
+    msg: (message) => translateMessage(locale, message),
+    money,
+    vnd: (n) => formatMoney(n, { locale }),
+    approx: (n) => (foreign ? `≈ ${money(n)}` : ""),
+    date: (iso, options) => new Date(iso).toLocaleString(tag, options),
+    number: (n) => n.toLocaleString(tag),
+    days: ({ minDays, maxDays }) =>
+      minDays === maxDays
+        ? t("delivery.days", { days: maxDays, count: maxDays })
+        : t("delivery.range", { min: minDays, max: maxDays }),
+  };
+};
+
+const I18nContext = createContext({
+  ...i18nFor(DEFAULT_LOCALE, BASE_CURRENCY, {}),
+  currencies: [BASE_CURRENCY],
+  setLocale: () => {},
+  setCurrency: () => {},
+});
+
+/** The storefront's language and currency; hand it to I18nProvider. */
+export function useI18nState(rates) {
+  const [locale, setLocale] = useState(() => {
+    const saved = load("vk_locale", DEFAULT_LOCALE);
+    return isLocale(saved) ? saved : DEFAULT_LOCALE;
+  });
+  const [picked, setCurrency] = useState(() =>
+    load("vk_currency", BASE_CURRENCY)
+  );
+  const currencies = availableCurrencies(rates);
+  // A currency the admin has since switched off falls back to VND.
+  const currency = currencies.includes(picked) ? picked : BASE_CURRENCY;
+
+  useEffect(() => save("vk_locale", locale), [locale]);
+  useEffect(() => save("vk_currency", picked), [picked]);
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  return useMemo(
+    () => ({
+      ...i18nFor(locale, currency, rates),
+      currencies: availableCurrencies(rates),
+      setLocale,
+      setCurrency,
+    }),
+    [locale, currency, rates]
+  );
+}
+
+export const I18nProvider = ({ value, children }) =>
+  createElement(I18nContext.Provider, { value }, children);
+
+export const useI18n = () => useContext(I18nContext);
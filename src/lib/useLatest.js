@@ -0,0 +1,15 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * A ref holding the latest `value`. App hands pages new callbacks on every
+ * render; an effect that should run once per link (confirm a payment, use
+ * a newsletter token) calls them through this ref instead of depending on
+ * them.
+ */
+export function useLatest(value) {
+  const ref = useRef(value);
+  useEffect(() => {
+    ref.current = value;
+  });
+  return ref;
+}
@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { store } from "./api.js";
+import { phrase } from "./phrases.js";
+
+/**
+ * Shop data hook
+ * ---------------------------------------------------------
+ * Holds the shared shop data (catalogue, orders, settings) and saves every
+ * change through the data-access store (see api.js). Updates look like plain
+ * React state:
+ *
+ *   const { data, set, receive, status, reload } = useShopData(DEFAULTS);
+ *   set.products((list) => ...);   // saved after render
+ *   receive.orders(list);          // already saved elsewhere, just show it
+ *
+ * status: "loading" | "ready" | "error". The local store is synchronous, so
+ * demo mode is ready on the first render. The server answers according to
+ * who is signed in, so it is asked again whenever `userId` changes. Pass a
+ * module constant as `defaults`: a new object loads everything again. A
+ * change the store refuses is reported to `onSaveError` as a phrase (see
+ * phrases.js).
+ */
+export function useShopData(defaults, userId, { onSaveError } = {}) {
+  const [data, setData] = useState(() =>
+    Object.fromEntries(
+      Object.entries(defaults).map(([name, fallback]) => [
+        name,
+        store.initial(name, fallback),
+      ])
+    )
+  );
+  const [status, setStatus] = useState(
+    store.mode === "local" ? "ready" : "loading"
+  );
+  const [error, setError] = useState("");
+  // What the store holds, to tell changes made here from loaded data.
+  const synced = useRef(data);
+
+  const reload = useCallback(() => {
+    setStatus((s) => (s === "ready" ? s : "loading"));
+    store
+      .load(defaults)
+      .then((loaded) => {
+        synced.current = loaded;
+        setData(loaded);
+        setStatus("ready");
+      })
+      .catch((err) => {
+        setError(err.message);
+        setStatus("error");
+      });
+  }, [defaults]);
+
+  useEffect(() => {
+    if (store.mode === "remote") reload();
+  }, [reload, userId]);
+
+  useEffect(() => {
+    const prev = synced.current;
+    synced.current = data;
+    Object.keys(data)
+      .filter((name) => data[name] !== prev[name])
+      .forEach((name) =>
+        store
+          .sync(name, prev[name], data[name])
+          .catch((err) =>
+            onSaveError?.(
+              phrase(
+                "shop.saveFailed",
+                { error: err.message },
+                `Không lưu được thay đổi: ${err.message}`
+              )
+            )
+          )
+      );
+  }, [data, onSaveError]);
+
+  const setters = useMemo(() => {
+    const set = {};
+    const receive = {};
+    Object.keys(defaults).forEach((name) => {
+      set[name] = (value) =>
+        setData((d) => ({
+          ...d,
+          [name]: typeof value === "function" ? value(d[name]) : value,
+        }));
+      receive[name] = (value) => {
+        synced.current = { ...synced.current, [name]: value };
+        setData((d) => ({ ...d, [name]: value }));
+      };
+    });
+    return { set, receive };
+  }, [defaults]);
+
+  return { data, ...setters, status, error, reload };
+}
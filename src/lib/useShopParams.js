@@ -0,0 +1,79 @@
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
+import { DEFAULT_FILTERS } from "./filters.js";
+
+// Filter -> search param, and how its value is written and read back.
+const flag = {
+  write: (v) => (v ? "1" : ""),
+  read: (s) => s === "1",
+};
+const number = {
+  write: (v) => (v == null || v === 0 ? "" : String(v)),
+  read: (s) => (s && Number.isFinite(Number(s)) ? Number(s) : null),
+};
+const text = { write: (v) => v, read: (s) => s };
+const FILTER_PARAMS = {
+  category: ["category", text],
+  minPrice: ["min", number],
+  maxPrice: ["max", number],
+  rating: ["rating", { ...number, read: (s) => number.read(s) || 0 }],
+  inStock: ["stock", flag],
+  sale: ["sale", flag],
+  newArrival: ["new", flag],
+};
+
+const DEFAULTS = { q: "", sort: "popular" };
+
+/**
+ * Shop listing state (query, sort and filters, see filters.js) kept in the
+ * URL search params, so a link like `/?q=coc&category=Phụ+kiện&stock=1`
+ * opens the same listing. Changing any of it from another page jumps back
+ * to the shop.
+ */
+export function useShopParams() {
+  const [params, setParams] = useSearchParams();
+  const { pathname } = useLocation();
+  const navigate = useNavigate();
+  const onShop = pathname === "/";
+  const current = onShop ? params : new URLSearchParams();
+
+  // changes: { param: string }; empty or default values are dropped.
+  const update = (changes, { replace = false } = {}) => {
+    const next = new URLSearchParams(current);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!value || value === DEFAULTS[key] || value === DEFAULT_FILTERS[key])
+        next.delete(key);
+      else next.set(key, value);
+    });
+    if (onShop) setParams(next, { replace });
+    else navigate({ pathname: "/", search: next.toString() });
+  };
+
+  const filters = Object.fromEntries(
+    Object.entries(FILTER_PARAMS).map(([name, [param, { read }]]) => [
+      name,
+      current.has(param) ? read(current.get(param)) : DEFAULT_FILTERS[name],
+    ])
+  );
+
+  // Sliders pass { replace: true } so dragging does not fill the history.
+  const setFilters = (changes, options) =>
+    update(
+      Object.fromEntries(
+        Object.entries(changes).map(([name, value]) => {
+          const [param, { write }] = FILTER_PARAMS[name];
+          return [param, write(value)];
+        })
+      ),
+      options
+    );
+
+  return {
+    query: current.get("q") || DEFAULTS.q,
+    sort: current.get("sort") || DEFAULTS.sort,
+    filters,
+    setQuery: (v) => update({ q: v }, { replace: true }),
+    setSort: (v) => update({ sort: v }),
+    setFilters,
+    clearFilters: () => setFilters(DEFAULT_FILTERS),
+  };
+}
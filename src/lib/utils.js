@@ -0,0 +1,35 @@
+import { storage } from "./storage.js";
+
+// ----------------------- Utils -----------------------
+export const currency = (n) =>
+  new Intl.NumberFormat("vi-VN", {
+    style: "currency",
+    currency: "VND",
+    maximumFractionDigits: 0,
+  }).format(n || 0);
+export const uid = () => Math.random().toString(36).slice(2, 9);
+// Browser storage (see storage.js); failed writes are reported, not thrown.
+export const save = (k, v) => storage.set(k, v);
+export const load = (k, fallback) => storage.get(k, fallback);
+export const forget = (k) => storage.remove(k);
+
+// "Đồng Tháp" -> "Dong Thap"
+export const stripDiacritics = (s = "") =>
+  s
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D");
+
+// Lower-cased, accent-free form used for Vietnamese text matching.
+export const fold = (s = "") =>
+  stripDiacritics(s).toLowerCase().replace(/\s+/g, " ").trim();
+
+// "Áo thun Việt Ký (Trắng)" -> "ao-thun-viet-ky-trang"
+export const slugify = (s = "") =>
+  stripDiacritics(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+export const productSlug = (p) => p.slug || slugify(p.name);
@@ -0,0 +1,63 @@
+import { hasDistricts } from "./address.js";
+
+/**
+ * Checkout validation
+ * ---------------------------------------------------------
+ * Messages are Vietnamese and shown inline under each field.
+ */
+
+// Mobile prefixes in use since the 2018 11→10 digit migration:
+// Viettel 032–039, 086, 096–098 · Mobifone 070, 076–079, 089, 090, 093 ·
+// Vinaphone 081–085, 088, 091, 094 · Vietnamobile 052, 056, 058, 092 ·
+// Gmobile 059, 099 · Itel 087 · Reddi 055.
+const VN_MOBILE = /^0(3[2-9]|5[25689]|7[06-9]|8[1-9]|9\d)\d{7}$/;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// "+84 912.345.678" -> "0912345678"
+export const normalizePhone = (s = "") => {
+  const digits = String(s).replace(/[\s.\-()]/g, "");
+  if (digits.startsWith("+84")) return `0${digits.slice(3)}`;
+  if (digits.startsWith("84") && digits.length === 11)
+    return `0${digits.slice(2)}`;
+  return digits;
+};
+
+export const isValidPhone = (s) => VN_MOBILE.test(normalizePhone(s));
+
+export const isValidEmail = (s) =>
+  typeof s === "string" && EMAIL.test(s.trim());
+
+const RULES = {
+  name: (v) =>
+    !v.trim()
+      ? "Vui lòng nhập họ và tên."
+      : v.trim().length < 2
+      ? "Họ và tên quá ngắn."
+      : null,
+  phone: (v) =>
+    !v.trim()
+      ? "Vui lòng nhập số điện thoại."
+      : !/^\d{10}$/.test(normalizePhone(v))
+      ? "Số điện thoại phải gồm 10 chữ số."
+      : !isValidPhone(v)
+      ? "Đầu số không hợp lệ (ví dụ: 09x, 03x, 08x, 07x, 05x)."
+      : null,
+  email: (v) => (v.trim() && !isValidEmail(v) ? "Email không hợp lệ." : null),
+  address: (v) => (!v.trim() ? "Vui lòng nhập số nhà, tên đường." : null),
+  // Address units must be picked from the dataset, not typed freely.
+  province: (v, d) => (!d.provinceCode ? "Vui lòng chọn Tỉnh/Thành." : null),
+  district: (v, d) =>
+    hasDistricts(d.addressScheme) && !d.districtCode
+      ? "Vui lòng chọn Quận/Huyện."
+      : null,
+  ward: (v, d) => (!d.wardCode ? "Vui lòng chọn Phường/Xã." : null),
+};
+
+// Returns `{ field: message }` for every invalid field; empty when valid.
+export const validateCheckout = (details) =>
+  Object.entries(RULES).reduce((errors, [field, rule]) => {
+    const message = rule(details[field] || "", details);
+    if (message) errors[field] = message;
+    return errors;
+  }, {});
@@ -0,0 +1,41 @@
+import {
+  isValidPhone,
+  normalizePhone,
+  validateCheckout,
+} from "./validation.js";
+
+test("normalizes and validates Vietnamese mobile numbers", () => {
+  expect(normalizePhone("+84 912.345.678")).toBe("0912345678");
+  expect(isValidPhone("0912345678")).toBe(true);
+  expect(isValidPhone("0386 123 456")).toBe(true);
+  expect(isValidPhone("0112345678")).toBe(false);
+  expect(isValidPhone("091234567")).toBe(false);
+});
+
+test("reports every invalid field with a Vietnamese message", () => {
+  const errors = validateCheckout({
+    name: "An",
+    phone: "0212345678",
+    email: "an@",
+    address: "12 Lý Thường Kiệt",
+    addressScheme: "legacy",
+    province: "Thành phố Hà Nội",
+    provinceCode: "01",
+  });
+  expect(errors.name).toBeUndefined();
+  expect(errors.phone).toMatch(/Đầu số/);
+  expect(errors.email).toBe("Email không hợp lệ.");
+  expect(Object.keys(errors)).toEqual(["phone", "email", "district", "ward"]);
+});
+
+test("only asks for a district on three-level addresses", () => {
+  const address = {
+    addressScheme: "2025",
+    provinceCode: "01",
+    wardCode: "00004",
+  };
+  expect(validateCheckout(address).district).toBeUndefined();
+  expect(
+    validateCheckout({ ...address, addressScheme: "legacy" }).district
+  ).toBe("Vui lòng chọn Quận/Huyện.");
+});
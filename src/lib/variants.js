@@ -0,0 +1,91 @@
+import { slugify, uid } from "./utils.js";
+import { coverImage, imageUrl } from "./images.js";
+
+/**
+ * Product variants
+ * ---------------------------------------------------------
+ * A product may declare option axes and one variant per combination:
+ *
+ *   options:  [{ name: "Size", values: ["S", "M"] }, { name: "Màu", values: ["Trắng"] }]
+ *   variants: [{ id, sku, options: { Size: "S", Màu: "Trắng" }, price, stock, image }]
+ *
+ * `price` and `image` are optional overrides; when empty the product's own
+ * price / first image is used. Products without options have no variants and
+ * are sold as a single item, exactly as before.
+ */
+
+export const OPTION_PRESETS = ["Size", "Màu", "Chất liệu"];
+
+export const hasVariants = (p) => (p?.variants?.length || 0) > 0;
+
+export const variantKey = (options = {}) =>
+  Object.keys(options)
+    .sort()
+    .map((k) => `${k}=${options[k]}`)
+    .join("|");
+
+export const variantLabel = (v) =>
+  v ? Object.values(v.options || {}).join(" / ") : "";
+
+const combinations = (options) =>
+  options
+    .filter((o) => o.name && o.values.length)
+    .reduce(
+      (acc, o) =>
+        acc.flatMap((combo) =>
+          o.values.map((value) => ({ ...combo, [o.name]: value }))
+        ),
+      [{}]
+    );
+
+// Rebuild the variant matrix for `options`, keeping SKU/price/stock/image of
+// combinations that already existed.
+export const buildVariants = (product) => {
+  const options = product.options || [];
+  if (!options.some((o) => o.name && o.values.length)) return [];
+  const existing = new Map(
+    (product.variants || []).map((v) => [variantKey(v.options), v])
+  );
+  const base = slugify(product.name).toUpperCase().slice(0, 12) || "SP";
+  return combinations(options).map((combo) => {
+    const prev = existing.get(variantKey(combo));
+    if (prev) return { ...prev, options: combo };
+    return {
+      id: uid(),
+      sku: [base, ...Object.values(combo).map((v) => slugify(v).toUpperCase())]
+        .filter(Boolean)
+        .join("-"),
+      options: combo,
+      price: null,
+      stock: 0,
+      image: null,
+    };
+  });
+};
+
+export const findVariant = (p, selection = {}) =>
+  (p?.variants || []).find((v) =>
+    (p.options || []).every((o) => v.options[o.name] === selection[o.name])
+  ) || null;
+
+export const variantPrice = (p, v) =>
+  v && v.price != null && v.price !== "" ? Number(v.price) : p.price;
+
+// The variant's own photo, else the product cover (`width`: see images.js).
+export const variantImage = (p, v, width) =>
+  v?.image || imageUrl(coverImage(p), width) || null;
+
+export const productStock = (p) =>
+  hasVariants(p)
+    ? p.variants.reduce((s, v) => s + (Number(v.stock) || 0), 0)
+    : Number(p.stock) || 0;
+
+export const priceRange = (p) => {
+  if (!hasVariants(p)) return [p.price, p.price];
+  const prices = p.variants.map((v) => variantPrice(p, v));
+  return [Math.min(...prices), Math.max(...prices)];
+};
+
+// Cart lines are keyed by product + variant so two sizes of the same shirt
+// are separate lines.
+export const lineId = (p, v) => (v ? `${p.id}:${v.id}` : p.id);
@@ -0,0 +1,43 @@
+import {
+  buildVariants,
+  findVariant,
+  priceRange,
+  productStock,
+} from "./variants.js";
+
+const shirt = {
+  id: "p1",
+  name: "Áo thun",
+  price: 100000,
+  options: [
+    { name: "Size", values: ["S", "M"] },
+    { name: "Màu", values: ["Trắng", "Đen"] },
+  ],
+};
+
+test("builds one variant per option combination", () => {
+  const variants = buildVariants(shirt);
+  expect(variants).toHaveLength(4);
+  expect(variants[0].sku).toBe("AO-THUN-S-TRANG");
+});
+
+test("keeps existing variant data when options change", () => {
+  const variants = buildVariants(shirt).map((v) => ({ ...v, stock: 5 }));
+  const next = buildVariants({
+    ...shirt,
+    variants,
+    options: [{ name: "Size", values: ["S", "M", "L"] }, shirt.options[1]],
+  });
+  expect(next).toHaveLength(6);
+  expect(productStock({ ...shirt, variants: next })).toBe(20);
+});
+
+test("resolves a selection and price overrides", () => {
+  const variants = buildVariants(shirt).map((v) =>
+    v.options.Size === "M" ? { ...v, price: 120000 } : v
+  );
+  const p = { ...shirt, variants };
+  expect(findVariant(p, { Size: "M" })).toBeNull();
+  expect(findVariant(p, { Size: "M", Màu: "Đen" }).price).toBe(120000);
+  expect(priceRange(p)).toEqual([100000, 120000]);
+});
@@ -0,0 +1,63 @@
+import {
+  accountHolder,
+  buildVietQR,
+  crc16,
+  isBankConfigured,
+  transferMemo,
+} from "./vietqr.js";
+
+test("computes the EMVCo CRC", () => {
+  expect(crc16("123456789")).toBe("29B1");
+});
+
+// Reference payloads written out field by field; their checksums come from
+// an independent CRC-16/CCITT-FALSE (Python's binascii.crc_hqx(data, 0xFFFF)).
+test("builds a NAPAS 247 transfer payload", () => {
+  expect(
+    buildVietQR({
+      bin: "970436",
+      accountNumber: "0011001234567",
+      amount: 119100,
+      memo: "VK-20261018-0001",
+    })
+  ).toBe(
+    "000201" +
+      "010212" +
+      "3857" +
+      "0010A000000727" +
+      "0127" +
+      "0006970436" +
+      "01130011001234567" +
+      "0208QRIBFTTA" +
+      "5303704" +
+      "5406119100" +
+      "5802VN" +
+      "6218" +
+      "0814VK202610180001" +
+      "6304" +
+      "0F1D"
+  );
+  // Without an amount the code is static and has no amount field.
+  expect(buildVietQR({ bin: "970436", accountNumber: "0011001234567" })).toBe(
+    "000201" +
+      "010211" +
+      "38570010A00000072701270006970436011300110012345670208QRIBFTTA" +
+      "5303704" +
+      "5802VN" +
+      "6304" +
+      "E8DB"
+  );
+});
+
+test("cleans the memo and the account holder", () => {
+  expect(transferMemo("Đơn VK-20261018-0001")).toBe("Don VK202610180001");
+  expect(accountHolder("Công ty Việt Ký")).toBe("CONG TY VIET KY");
+});
+
+test("needs a bank and a numeric account", () => {
+  expect(
+    isBankConfigured({ bin: "970436", accountNumber: "0011001234567" })
+  ).toBe(true);
+  expect(isBankConfigured({ bin: "970436", accountNumber: "" })).toBe(false);
+  expect(isBankConfigured({ bin: "", accountNumber: "123456" })).toBe(false);
+});
@@ -0,0 +1,103 @@
+import { hasVariants } from "./variants.js";
+
+/**
+ * Wishlist
+ * ---------------------------------------------------------
+ * Kept in the shopper's browser (`vk_wishlist`), like the cart:
+ *
+ *   [{ productId, variantId | null, addedAt }]
+ *
+ * A heart on a product card saves the product; the heart in the product
+ * view saves the size/colour picked there, which replaces a plain entry for
+ * the same product. Passing no `variantId` to isWished / toggleWish means
+ * "any entry of this product".
+ *
+ * A share link carries the list in its `ds` parameter
+ * ("productId:variantId,productId"), so whoever opens it sees the same items
+ * without an account.
+ */
+
+export const WISHLIST_PATH = "/yeu-thich";
+
+export const wishKey = ({ productId, variantId }) =>
+  `${productId}:${variantId || ""}`;
+
+const matches = (item, productId, variantId) =>
+  item.productId === productId &&
+  (variantId === undefined || (item.variantId || null) === variantId);
+
+export const isWished = (list, productId, variantId) =>
+  list.some((item) => matches(item, productId, variantId));
+
+export const toggleWish = (list, productId, variantId, now = new Date()) =>
+  isWished(list, productId, variantId)
+    ? list.filter((item) => !matches(item, productId, variantId))
+    : [
+        ...list.filter(
+          (item) => !(item.productId === productId && !item.variantId)
+        ),
+        { productId, variantId: variantId ?? null, addedAt: now.toISOString() },
+      ];
+
+export const removeWish = (list, key) =>
+  list.filter((item) => wishKey(item) !== key);
+
+// Adds what `incoming` has that `list` has not.
+export const mergeWishlist = (list, incoming, now = new Date()) => {
+  const keys = new Set(list.map(wishKey));
+  return [
+    ...list,
+    ...incoming
+      .filter((item) => !keys.has(wishKey(item)))
+      .map((item) => ({ ...item, addedAt: now.toISOString() })),
+  ];
+};
+
+/** [{ key, product, variant }] for the products that still exist. */
+export const wishlistEntries = (list, products) =>
+  list
+    .map((item) => {
+      const product = products.find((p) => p.id === item.productId);
+      if (!product) return null;
+      const variant = hasVariants(product)
+        ? product.variants.find((v) => v.id === item.variantId) || null
+        : null;
+      return { key: wishKey(item), product, variant };
+    })
+    .filter(Boolean);
+
+// ----------------------- Share links -----------------------
+export const encodeWishlist = (list) =>
+  list
+    .map((item) =>
+      [item.productId, item.variantId]
+        .filter(Boolean)
+        .map(encodeURIComponent)
+        .join(":")
+    )
+    .join(",");
+
+// Skips anything that does not read as an entry; no duplicates.
+export const decodeWishlist = (text = "") => {
+  const seen = new Set();
+  return text
+    .split(",")
+    .map((part) => {
+      try {
+        const [productId, variantId] = part.split(":").map(decodeURIComponent);
+        return productId ? { productId, variantId: variantId || null } : null;
+      } catch {
+        return null;
+      }
+    })
+    .filter((item) => {
+      if (!item || seen.has(wishKey(item))) return false;
+      seen.add(wishKey(item));
+      return true;
+    });
+};
+
+export const wishlistShareUrl = (origin, list) =>
+  `${origin}${WISHLIST_PATH}?${new URLSearchParams({
+    ds: encodeWishlist(list),
+  })}`;
@@ -0,0 +1,60 @@
+import {
+  decodeWishlist,
+  isWished,
+  mergeWishlist,
+  toggleWish,
+  wishlistEntries,
+  wishlistShareUrl,
+} from "./wishlist.js";
+
+const now = new Date("2026-10-18T00:00:00Z");
+const products = [
+  {
+    id: "ao",
+    name: "Áo",
+    variants: [
+      { id: "s", options: { Size: "S" } },
+      { id: "m", options: { Size: "M" } },
+    ],
+  },
+  { id: "coc", name: "Cốc" },
+];
+
+test("toggles products and picked variants", () => {
+  let list = toggleWish([], "ao", undefined, now);
+  expect(list).toEqual([
+    { productId: "ao", variantId: null, addedAt: now.toISOString() },
+  ]);
+  // Picking a size replaces the plain entry.
+  list = toggleWish(list, "ao", "m", now);
+  expect(list.map((i) => i.variantId)).toEqual(["m"]);
+  expect(isWished(list, "ao")).toBe(true);
+  expect(isWished(list, "ao", "s")).toBe(false);
+  list = toggleWish(list, "coc", undefined, now);
+  expect(
+    wishlistEntries(list, products).map((e) => [e.product.id, e.variant?.id])
+  ).toEqual([
+    ["ao", "m"],
+    ["coc", undefined],
+  ]);
+  // The card's heart takes every entry of the product off.
+  expect(toggleWish(list, "ao").map((i) => i.productId)).toEqual(["coc"]);
+});
+
+test("round-trips a share link", () => {
+  const list = [
+    { productId: "ao", variantId: "m" },
+    { productId: "bút,ký", variantId: null },
+  ];
+  const url = wishlistShareUrl("https://vietky.vn", list);
+  expect(url).toMatch(/^https:\/\/vietky\.vn\/yeu-thich\?ds=/);
+  const shared = decodeWishlist(new URL(url).searchParams.get("ds"));
+  expect(shared).toEqual(list);
+  expect(decodeWishlist("ao,ao,%E0,:x")).toEqual([
+    { productId: "ao", variantId: null },
+  ]);
+  expect(mergeWishlist([list[0]], shared, now)).toEqual([
+    list[0],
+    { ...list[1], addedAt: now.toISOString() },
+  ]);
+});
@@ -0,0 +1,345 @@
+// Storefront texts in English; keys as in vi.js.
+const en = {
+  // ---- Layout ----
+  "brand.logo": "{name} logo",
+  "header.search": "Search products…",
+  "header.wishlist": "♡ Wishlist ({count})",
+  "header.cart": "Cart ({count})",
+  "header.language": "Language",
+  "header.currency": "Display currency",
+  "nav.shop": "Shop",
+  "nav.about": "About",
+  "nav.contact": "Contact",
+  "hero.featured": "Featured collection",
+  "hero.viewCollection": "View the collection ({count} products)",
+  "hero.viewCollection.one": "View the collection (1 product)",
+  "hero.addPhotos": "*Add real product photos to lift conversions.",
+  "footer.rights": "© {year} {name}. All rights reserved.",
+  "footer.support": "Help",
+  "footer.follow": "Follow us",
+  "footer.payment": "Payment",
+  "notFound.title": "Page not found",
+  "notFound.home": "Back to the home page",
+  "loading.text": "Loading…",
+  "loading.error": "Could not load the shop: {error}",
+  "loading.retry": "Try again",
+  "common.close": "Close",
+  "common.cancel": "Cancel",
+  "common.free": "Free",
+  "common.backToShop": "Back to the shop",
+  "common.continueShopping": "Continue shopping",
+  "common.noPhoto": "Add a product photo",
+  "common.notFound": "No matches",
+
+  // ---- Products ----
+  "product.sale": "Sale",
+  "product.new": "New",
+  "product.from": "from {price}",
+  "product.addToCart": "Add to cart",
+  "product.buyNow": "Buy now",
+  "product.quickView": "Quick view",
+  "product.reviewCount": "{count} reviews",
+  "product.reviewCount.one": "1 review",
+  "product.pickOptions": "Please choose {options}.",
+  "product.details": "View product details",
+  "product.notFound": "Product not found",
+  "stock.out": "Sold out",
+  "stock.low": "Only {count} left",
+  "wish.add": "Add to wishlist",
+  "wish.remove": "Remove from wishlist",
+  "gallery.previous": "Previous photo",
+  "gallery.next": "Next photo",
+  "gallery.show": "Show photo {n}",
+
+  // ---- Shop listing ----
+  "shop.search": "Search…",
+  "shop.filters": "Filters",
+  "shop.count": "{count} products",
+  "shop.count.one": "1 product",
+  "shop.removeFilter": "Remove filter {label}",
+  "shop.clearAll": "Clear all",
+  "shop.sort": "Sort by",
+  "shop.empty": "No matching products.",
+  "shop.emptyFor": "No products match “{query}”.",
+  "shop.clearFilters": "Clear filters",
+  "shop.showResults": "Show {count} products",
+  "shop.showResults.one": "Show 1 product",
+  "sort.popular": "Popular",
+  "sort.newest": "Newest",
+  "sort.bestSelling": "Best selling",
+  "sort.priceAsc": "Price: low to high",
+  "sort.priceDesc": "Price: high to low",
+  "chip.priceFrom": "From {price}",
+  "chip.priceTo": "Up to {price}",
+  "chip.rating": "{rating}★ and up",
+  "chip.inStock": "In stock",
+  "chip.sale": "On sale",
+  "chip.newArrival": "New arrivals",
+  "filters.category": "Category",
+  "filters.all": "All",
+  "filters.price": "Price",
+  "filters.priceFrom": "Price from",
+  "filters.priceTo": "Price to",
+  "filters.rating": "Rating",
+  "filters.ratingAtLeast": "{rating}★ and up",
+  "filters.other": "More",
+  "filters.inStock": "In stock only",
+  "filters.sale": "On sale",
+  "filters.newArrival": "New arrivals",
+  "collection.notFound": "Collection not found",
+
+  // ---- Wishlist ----
+  "wishlist.title": "Wishlist ({count})",
+  "wishlist.sharedTitle": "Shared wishlist ({count})",
+  "wishlist.copied":
+    "Link copied. Send it to family or friends so they can see it and buy for you.",
+  "wishlist.copyPrompt": "Copy this link:",
+  "wishlist.saved": "Saved to your wishlist.",
+  "wishlist.saveShared": "Save to my wishlist",
+  "wishlist.viewMine": "View my wishlist",
+  "wishlist.share": "Share wishlist",
+  "wishlist.pickVariant": "Choose options",
+  "wishlist.moveToCart": "Move to cart",
+  "wishlist.remove": "Remove",
+  "wishlist.sharedEmpty": "The products in this link are no longer sold.",
+  "wishlist.empty": "Your wishlist is empty. Tap ♡ on a product to save it.",
+
+  // ---- Reviews ----
+  "reviews.title": "Customer reviews",
+  "reviews.none": "No reviews yet.",
+  "reviews.write": "Write a review",
+  "reviews.verified": "Verified purchase",
+  "reviews.photoAlt": "Photo {n} from {name}",
+  "reviews.reply": "Reply from {name}",
+  "reviews.tooManyPhotos": "You can attach up to {max} photos.",
+  "reviews.thanks":
+    "Thank you! Your review will appear once it has been approved.",
+  "reviews.thanksUnverified":
+    'Thank you! Your review will appear once it has been approved. The order code and phone number do not match a delivered order with this product, so it is not marked "Verified purchase".',
+  "reviews.rating": "{n} out of 5 stars",
+  "reviews.stars": "{n} stars",
+  "reviews.stars.one": "1 star",
+  "reviews.name": "Your name",
+  "reviews.text": "What did you think of it?",
+  "reviews.addPhoto": "Add photos ({count}/{max})",
+  "reviews.removePhoto": "Remove photo {n}",
+  "reviews.orderCode": "Order code (optional)",
+  "reviews.phone": "Phone number on the order",
+  "reviews.verifyHint":
+    'Enter the code of a delivered order and its phone number to have your review marked "Verified purchase". The phone number is only used for the check and is never shown.',
+  "reviews.sending": "Sending…",
+  "reviews.submit": "Submit review",
+
+  // ---- Cart ----
+  "cart.title": "Cart",
+  "cart.view": "View cart",
+  "cart.viewShort": "View cart",
+  "cart.checkout": "Checkout",
+  "cart.barSubtotal": "Subtotal: {amount}",
+  "cart.barShipping": "Shipping: {amount}",
+  "cart.empty": "Your cart is empty.",
+  "cart.remove": "Remove",
+  "cart.fix": "Match quantities to stock",
+  "cart.subtotal": "Subtotal",
+  "cart.shipping": "Shipping",
+  "cart.shippingAtCheckout": "Calculated at checkout",
+  "cart.onlyLeft": "Only {count} left in stock.",
+  "cart.soldOut": "This product is sold out.",
+  "cart.allInCart": "Your cart already holds all {count} in stock.",
+  "cart.issueSoldOut": "Sold out, please remove it from your cart.",
+  "cart.issueFewer": "Only {count} left, please lower the quantity.",
+  "cart.priceChanged": "Price changed (was {was})",
+  "cart.settlesInVnd":
+    "Converted prices use the shop's exchange rates and are for reference only. Orders are paid in VND.",
+
+  // ---- Checkout ----
+  "checkout.title": "Checkout",
+  "checkout.remember": "Remember my delivery details for next time",
+  "checkout.stockChanged":
+    "Stock has changed and some products in your cart are no longer available in that quantity.",
+  "checkout.updateCart": "Update cart",
+  "checkout.pricesChanged":
+    "Some prices have changed since you added these products to your cart.",
+  "checkout.reviewCart": "Review cart",
+  "checkout.contact": "Delivery details",
+  "checkout.name": "Full name",
+  "checkout.phone": "Phone number",
+  "checkout.email": "Email (for the invoice)",
+  "checkout.address": "House number and street",
+  "checkout.shippingMethod": "Delivery method",
+  "checkout.weight": "{zone} · {weight} kg",
+  "checkout.freeOver": "Free on orders from {amount}",
+  "checkout.pickAddress": "Choose an address to see the fee",
+  "checkout.noDelivery": "No delivery to this area",
+  "checkout.methodUnavailable":
+    "This method does not deliver to the chosen address.",
+  "checkout.payment": "Payment",
+  "checkout.coupon": "Discount code",
+  "checkout.applyCoupon": "Apply",
+  "checkout.removeCoupon": "Remove code {code}",
+  "checkout.discount": "Discount",
+  "checkout.total": "Total",
+  "checkout.checkDetails": "Please check your delivery details.",
+  "checkout.placeOrder": "Place order",
+  "checkout.stockGone":
+    "Some products in your cart are no longer in stock. Please check your cart.",
+  "checkout.failed": "The order could not be placed: {message}",
+  "checkout.gatewayFailed":
+    "Could not reach {gateway} ({message}). You can pay again from the order page.",
+  "paymentHint.transfer":
+    "Scan the QR code with your banking app after ordering",
+  "paymentHint.vnpay": "You will be sent to VNPAY after ordering",
+  "paymentHint.momo": "You will be sent to the MoMo wallet after ordering",
+  "paymentMethod.cod": "Cash on delivery",
+  "paymentMethod.transfer": "Bank transfer (VietQR)",
+  "paymentMethod.vnpay": "VNPAY (ATM card, Visa/Mastercard, bank QR)",
+  "paymentMethod.momo": "MoMo wallet",
+  "paymentShort.cod": "Cash on delivery",
+  "paymentShort.transfer": "Bank transfer",
+  "paymentShort.vnpay": "VNPAY",
+  "paymentShort.momo": "MoMo",
+  "paymentStatus.unpaid": "Not paid",
+  "paymentStatus.paid": "Paid",
+  "paymentStatus.failed": "Payment failed",
+  "zone.inner": "Inner city",
+  "zone.outer": "Outer districts",
+  "zone.province": "Other provinces",
+  "delivery.days": "{days} days",
+  "delivery.days.one": "1 day",
+  "delivery.range": "{min}–{max} days",
+  "address.scheme.2025": "New address (from 1/7/2025)",
+  "address.scheme.legacy": "Old address (province/district/commune)",
+  "address.province": "Province/City",
+  "address.district": "District",
+  "address.ward": "Ward/Commune",
+
+  // ---- Orders and payment ----
+  "order.loading": "Loading your order…",
+  "order.notFound": "Order not found",
+  "order.success": "Order placed!",
+  "order.thanks": "Thank you. Your order code is",
+  "order.placedAt": "Placed on {date}",
+  "order.payVia": "Pay with {gateway}",
+  "order.lastFailed": "The last payment did not go through: {message}.",
+  "order.awaitingPayment": "This order is waiting for payment.",
+  "order.pay": "Pay {amount}",
+  "order.transferTitle": "Scan to pay by bank transfer",
+  "order.transferHint":
+    "Open your banking app and scan the code: the amount and the transfer note are filled in. Please keep the note as it is so the order is confirmed sooner.",
+  "order.transferLater":
+    "The shop will contact you with the bank transfer details.",
+  "order.items": "Products",
+  "order.delivery": "Delivery",
+  "order.eta": "expected in {window}",
+  "order.payment": "Payment",
+  "qr.alt": "VietQR code for the bank transfer",
+  "qr.bank": "Bank",
+  "qr.accountNumber": "Account number",
+  "qr.accountName": "Account holder",
+  "qr.amount": "Amount",
+  "qr.memo": "Transfer note",
+  "paymentReturn.checking": "Checking your payment…",
+  "paymentReturn.paid": "Payment received",
+  "paymentReturn.failed": "Payment not completed",
+  "paymentReturn.error": "The payment could not be confirmed",
+  "paymentReturn.badGateway": "Unknown payment gateway.",
+  "paymentReturn.viewOrder": "View order {code}",
+
+  // ---- Pages ----
+  "about.title": "About {name}",
+  "policy.notFound": "This page could not be found.",
+  "contact.title": "Contact",
+  "contact.intro": "Send us a message and we will reply within 24 hours.",
+  "contact.name": "Full name",
+  "contact.email": "Email",
+  "contact.message": "Message",
+  "contact.send": "Send",
+  "contact.sending": "Sending…",
+  "contact.sent": "Sent! Thank you.",
+  "contact.phone": "Phone",
+  "contact.address": "Address",
+  "contact.hours": "Opening hours",
+  "newsletter.title": "Newsletter",
+  "newsletter.intro": "Early offers and behind-the-scenes stories.",
+  "newsletter.email": "Your email",
+  "newsletter.subscribe": "Subscribe",
+  "newsletter.checkInbox":
+    "If {email} is not subscribed yet, a confirmation email is on its way. Open the link in it to finish signing up.",
+  "newsletter.demoLink": "The demo store sends no email.",
+  "newsletter.confirmNow": "Confirm now",
+  "newsletter.checking": "One moment…",
+  "newsletter.confirmed": "Subscription confirmed",
+  "newsletter.confirmedText": "{email} will receive our news.",
+  "newsletter.unsubscribed": "Unsubscribed",
+  "newsletter.unsubscribedText": "{email} will no longer receive our news.",
+  "newsletter.error": "Something went wrong",
+  "newsletter.badLink": "This link is not valid.",
+
+  // ---- Messages from src/lib, keyed by their Vietnamese text ----
+  "msg.Vui lòng nhập họ và tên.": "Please enter your full name.",
+  "msg.Họ và tên quá ngắn.": "The name is too short.",
+  "msg.Vui lòng nhập số điện thoại.": "Please enter your phone number.",
+  "msg.Số điện thoại phải gồm 10 chữ số.":
+    "The phone number must have 10 digits.",
+  "msg.Đầu số không hợp lệ (ví dụ: 09x, 03x, 08x, 07x, 05x).":
+    "This is not a Vietnamese mobile number (e.g. 09x, 03x, 08x, 07x, 05x).",
+  "msg.Email không hợp lệ.": "The email address is not valid.",
+  "msg.Vui lòng nhập số nhà, tên đường.":
+    "Please enter the house number and street.",
+  "msg.Vui lòng chọn Tỉnh/Thành.": "Please choose a province or city.",
+  "msg.Vui lòng chọn Quận/Huyện.": "Please choose a district.",
+  "msg.Vui lòng chọn Phường/Xã.": "Please choose a ward or commune.",
+  "msg.Vui lòng nhập tên của bạn.": "Please enter your name.",
+  "msg.Vui lòng chọn số sao.": "Please choose a star rating.",
+  "msg.Nội dung đánh giá cần ít nhất 10 ký tự.":
+    "Reviews need at least 10 characters.",
+  "msg.Nhập số điện thoại đặt hàng để xác nhận đơn.":
+    "Enter the phone number used on the order to verify it.",
+  "msg.Vui lòng nhập họ tên.": "Please enter your name.",
+  "msg.Nội dung cần ít nhất 10 ký tự.": "Messages need at least 10 characters.",
+  "msg.Nội dung tối đa 5000 ký tự.": "Messages can have up to 5000 characters.",
+  "msg.Liên kết không hợp lệ hoặc đã hết hạn.":
+    "This link is not valid or has expired.",
+  "msg.Giỏ hàng đang trống.": "Your cart is empty.",
+  "msg.Giỏ hàng có sản phẩm không còn bán.":
+    "Your cart holds a product that is no longer sold.",
+  "msg.Giỏ hàng có sản phẩm bị lặp.": "Your cart lists a product twice.",
+  "msg.Phương thức thanh toán không khả dụng.":
+    "This payment method is not available.",
+  "msg.Phương thức giao hàng không áp dụng cho địa chỉ này.":
+    "This delivery method does not serve this address.",
+  "msg.Giá hoặc phí giao hàng vừa thay đổi. Vui lòng tải lại trang và kiểm tra đơn hàng.":
+    "A price or the delivery fee has just changed. Please reload the page and check your order.",
+  "msg.Một số sản phẩm trong giỏ không còn đủ hàng. Vui lòng kiểm tra lại giỏ hàng.":
+    "Some products in your cart are no longer in stock. Please check your cart.",
+  "msg.Không kết nối được máy chủ.": "Could not reach the shop's server.",
+  "msg.Ảnh đính kèm không hợp lệ hoặc quá lớn.":
+    "A photo is not a valid image or is too large.",
+  "msg.Sản phẩm không tồn tại.": "This product does not exist.",
+  "msg.Bạn đã gửi nhiều đánh giá, vui lòng thử lại sau.":
+    "You have sent several reviews. Please try again later.",
+
+  // ---- Messages with values (src/lib/phrases.js), keyed by phrase ----
+  "msg.coupon.inactive": "Code {code} is no longer valid.",
+  "msg.coupon.notYet": "Code {code} can be used from {date}.",
+  "msg.coupon.expired": "Code {code} expired on {date}.",
+  "msg.coupon.usedUp": "Code {code} has been used up.",
+  "msg.coupon.phoneUsedUp":
+    "This phone number has used up its uses of code {code}.",
+  "msg.coupon.minOrder": "The minimum order is {min} ({missing} to go).",
+  "msg.coupon.categoriesOnly": "Code {code} only applies to {categories}.",
+  "msg.coupon.notInCart":
+    "Code {code} does not apply to anything in your cart.",
+  "msg.coupon.alreadyFree": "This order already ships for free.",
+  "msg.coupon.unknown": "Code {code} does not exist.",
+  "msg.coupon.notStackable": "Code {code} cannot be combined with other codes.",
+  "msg.coupon.oneFreeship": "Only one free-shipping code can be used.",
+  "msg.checkout.badQty": "The quantity of {name} is not valid.",
+  "msg.storage.full":
+    "Your browser's storage is full, so the last change was not saved. Remove photos or products you no longer use, or move the shop to a server (Admin ▶ Data).",
+  "msg.storage.failed": "Your browser could not save the shop's data: {error}",
+  "msg.session.expired": "Your session has expired. Please sign in again.",
+  "msg.shop.saveFailed": "Your change could not be saved: {error}",
+};
+
+export default en;
@@ -0,0 +1,272 @@
+// Storefront texts in Vietnamese, the default; see src/lib/i18n.js.
+const vi = {
+  // ---- Layout ----
+  "brand.logo": "Logo {name}",
+  "header.search": "Tìm kiếm sản phẩm…",
+  "header.wishlist": "♡ Yêu thích ({count})",
+  "header.cart": "Giỏ hàng ({count})",
+  "header.language": "Ngôn ngữ",
+  "header.currency": "Tiền tệ hiển thị",
+  "nav.shop": "Cửa hàng",
+  "nav.about": "Giới thiệu",
+  "nav.contact": "Liên hệ",
+  "hero.featured": "Bộ sưu tập nổi bật",
+  "hero.viewCollection": "Xem bộ sưu tập ({count} sản phẩm)",
+  "hero.addPhotos": "*Thêm ảnh thật sản phẩm để tăng tỷ lệ chuyển đổi.",
+  "footer.rights": "© {year} {name}. Bảo lưu mọi quyền.",
+  "footer.support": "Hỗ trợ",
+  "footer.follow": "Theo dõi",
+  "footer.payment": "Thanh toán",
+  "notFound.title": "Không tìm thấy trang",
+  "notFound.home": "Về trang chủ",
+  "loading.text": "Đang tải…",
+  "loading.error": "Không tải được dữ liệu cửa hàng: {error}",
+  "loading.retry": "Thử lại",
+  "common.close": "Đóng",
+  "common.cancel": "Huỷ",
+  "common.free": "Miễn phí",
+  "common.backToShop": "Quay lại cửa hàng",
+  "common.continueShopping": "Tiếp tục mua sắm",
+  "common.noPhoto": "Thêm ảnh sản phẩm",
+  "common.notFound": "Không tìm thấy",
+
+  // ---- Products ----
+  "product.sale": "Giảm giá",
+  "product.new": "Mới",
+  "product.from": "từ {price}",
+  "product.addToCart": "Thêm vào giỏ",
+  "product.buyNow": "Mua ngay",
+  "product.quickView": "Xem nhanh",
+  "product.reviewCount": "{count} đánh giá",
+  "product.pickOptions": "Vui lòng chọn {options}.",
+  "product.details": "Xem chi tiết sản phẩm",
+  "product.notFound": "Không tìm thấy sản phẩm",
+  "stock.out": "Hết hàng",
+  "stock.low": "Chỉ còn {count}",
+  "wish.add": "Thêm vào yêu thích",
+  "wish.remove": "Bỏ khỏi yêu thích",
+  "gallery.previous": "Ảnh trước",
+  "gallery.next": "Ảnh sau",
+  "gallery.show": "Xem ảnh {n}",
+
+  // ---- Shop listing ----
+  "shop.search": "Tìm kiếm…",
+  "shop.filters": "Bộ lọc",
+  "shop.count": "{count} sản phẩm",
+  "shop.removeFilter": "Bỏ lọc {label}",
+  "shop.clearAll": "Xoá tất cả",
+  "shop.sort": "Sắp xếp",
+  "shop.empty": "Không tìm thấy sản phẩm phù hợp.",
+  "shop.emptyFor": "Không tìm thấy sản phẩm phù hợp với “{query}”.",
+  "shop.clearFilters": "Bỏ bộ lọc",
+  "shop.showResults": "Xem {count} sản phẩm",
+  "sort.popular": "Phổ biến",
+  "sort.newest": "Mới nhất",
+  "sort.bestSelling": "Bán chạy",
+  "sort.priceAsc": "Giá tăng dần",
+  "sort.priceDesc": "Giá giảm dần",
+  "chip.priceFrom": "Từ {price}",
+  "chip.priceTo": "Đến {price}",
+  "chip.rating": "Từ {rating}★",
+  "chip.inStock": "Còn hàng",
+  "chip.sale": "Đang giảm giá",
+  "chip.newArrival": "Hàng mới về",
+  "filters.category": "Danh mục",
+  "filters.all": "Tất cả",
+  "filters.price": "Khoảng giá",
+  "filters.priceFrom": "Giá từ",
+  "filters.priceTo": "Giá đến",
+  "filters.rating": "Đánh giá",
+  "filters.ratingAtLeast": "Từ {rating}★ trở lên",
+  "filters.other": "Khác",
+  "filters.inStock": "Chỉ hiện hàng còn trong kho",
+  "filters.sale": "Đang giảm giá",
+  "filters.newArrival": "Hàng mới về",
+  "collection.notFound": "Không tìm thấy bộ sưu tập",
+
+  // ---- Wishlist ----
+  "wishlist.title": "Yêu thích ({count})",
+  "wishlist.sharedTitle": "Danh sách yêu thích được chia sẻ ({count})",
+  "wishlist.copied":
+    "Đã sao chép liên kết. Gửi cho người thân để họ xem và mua giúp.",
+  "wishlist.copyPrompt": "Sao chép liên kết này:",
+  "wishlist.saved": "Đã lưu vào danh sách yêu thích của bạn.",
+  "wishlist.saveShared": "Lưu vào danh sách của tôi",
+  "wishlist.viewMine": "Xem danh sách của tôi",
+  "wishlist.share": "Chia sẻ danh sách",
+  "wishlist.pickVariant": "Chọn phân loại",
+  "wishlist.moveToCart": "Chuyển vào giỏ",
+  "wishlist.remove": "Bỏ",
+  "wishlist.sharedEmpty": "Các sản phẩm trong liên kết này không còn bán.",
+  "wishlist.empty":
+    "Chưa có sản phẩm yêu thích. Bấm ♡ trên sản phẩm để lưu lại.",
+
+  // ---- Reviews ----
+  "reviews.title": "Đánh giá sản phẩm",
+  "reviews.none": "Chưa có đánh giá nào.",
+  "reviews.write": "Viết đánh giá",
+  "reviews.verified": "Đã mua hàng",
+  "reviews.photoAlt": "Ảnh {n} của {name}",
+  "reviews.reply": "Phản hồi của {name}",
+  "reviews.tooManyPhotos": "Chỉ đính kèm được tối đa {max} ảnh.",
+  "reviews.thanks": "Cảm ơn bạn! Đánh giá sẽ hiển thị sau khi được duyệt.",
+  "reviews.thanksUnverified":
+    'Cảm ơn bạn! Đánh giá sẽ hiển thị sau khi được duyệt. Mã đơn và số điện thoại không khớp với đơn đã giao có sản phẩm này, nên đánh giá chưa được gắn nhãn "Đã mua hàng".',
+  "reviews.rating": "{n} trên 5 sao",
+  "reviews.stars": "{n} sao",
+  "reviews.name": "Tên của bạn",
+  "reviews.text": "Bạn thấy sản phẩm thế nào?",
+  "reviews.addPhoto": "Thêm ảnh ({count}/{max})",
+  "reviews.removePhoto": "Bỏ ảnh {n}",
+  "reviews.orderCode": "Mã đơn hàng (không bắt buộc)",
+  "reviews.phone": "Số điện thoại đặt hàng",
+  "reviews.verifyHint":
+    'Nhập mã đơn đã giao và số điện thoại đặt hàng để đánh giá được gắn nhãn "Đã mua hàng". Số điện thoại chỉ dùng để đối chiếu, không hiển thị.',
+  "reviews.sending": "Đang gửi…",
+  "reviews.submit": "Gửi đánh giá",
+
+  // ---- Cart ----
+  "cart.title": "Giỏ hàng",
+  "cart.view": "Xem giỏ hàng",
+  "cart.viewShort": "Xem giỏ",
+  "cart.checkout": "Thanh toán",
+  "cart.barSubtotal": "Tổng tạm tính: {amount}",
+  "cart.barShipping": "Vận chuyển: {amount}",
+  "cart.empty": "Chưa có sản phẩm.",
+  "cart.remove": "Xóa",
+  "cart.fix": "Điều chỉnh theo tồn kho",
+  "cart.subtotal": "Tạm tính",
+  "cart.shipping": "Vận chuyển",
+  "cart.shippingAtCheckout": "Tính khi thanh toán",
+  "cart.onlyLeft": "Chỉ còn {count} sản phẩm trong kho.",
+  "cart.soldOut": "Sản phẩm đã hết hàng.",
+  "cart.allInCart": "Giỏ hàng đã có đủ {count} sản phẩm còn trong kho.",
+  "cart.issueSoldOut": "Sản phẩm đã hết hàng, vui lòng xoá khỏi giỏ.",
+  "cart.issueFewer": "Chỉ còn {count} sản phẩm, vui lòng giảm số lượng.",
+  "cart.priceChanged": "Giá đã đổi (trước đây {was})",
+  "cart.settlesInVnd":
+    "Giá quy đổi theo tỷ giá của cửa hàng, chỉ để tham khảo. Đơn hàng được thanh toán bằng VND.",
+
+  // ---- Checkout ----
+  "checkout.title": "Thanh toán",
+  "checkout.remember": "Lưu thông tin giao hàng cho lần mua sau",
+  "checkout.stockChanged":
+    "Tồn kho đã thay đổi, một số sản phẩm trong giỏ không còn đủ hàng.",
+  "checkout.updateCart": "Cập nhật giỏ hàng",
+  "checkout.pricesChanged":
+    "Giá một số sản phẩm đã thay đổi từ khi bạn thêm vào giỏ.",
+  "checkout.reviewCart": "Xem lại giỏ hàng",
+  "checkout.contact": "Thông tin giao hàng",
+  "checkout.name": "Họ và tên",
+  "checkout.phone": "Số điện thoại",
+  "checkout.email": "Email (nhận hoá đơn)",
+  "checkout.address": "Số nhà, tên đường",
+  "checkout.shippingMethod": "Phương thức giao hàng",
+  "checkout.weight": "{zone} · {weight} kg",
+  "checkout.freeOver": "Miễn phí cho đơn từ {amount}",
+  "checkout.pickAddress": "Chọn địa chỉ để tính phí",
+  "checkout.noDelivery": "Không giao tới khu vực này",
+  "checkout.methodUnavailable":
+    "Phương thức này không giao tới địa chỉ đã chọn.",
+  "checkout.payment": "Thanh toán",
+  "checkout.coupon": "Mã giảm giá",
+  "checkout.applyCoupon": "Áp dụng",
+  "checkout.removeCoupon": "Bỏ mã {code}",
+  "checkout.discount": "Giảm giá",
+  "checkout.total": "Tổng thanh toán",
+  "checkout.checkDetails": "Vui lòng kiểm tra lại thông tin giao hàng.",
+  "checkout.placeOrder": "Đặt hàng",
+  "checkout.stockGone":
+    "Một số sản phẩm trong giỏ không còn đủ hàng. Vui lòng kiểm tra lại giỏ hàng.",
+  "checkout.failed": "Chưa đặt được hàng: {message}",
+  "checkout.gatewayFailed":
+    "Không kết nối được {gateway} ({message}). Bạn có thể thanh toán lại từ trang đơn hàng.",
+  "paymentHint.transfer": "Quét mã QR bằng ứng dụng ngân hàng sau khi đặt hàng",
+  "paymentHint.vnpay": "Chuyển tới cổng VNPAY sau khi đặt hàng",
+  "paymentHint.momo": "Chuyển tới ví MoMo sau khi đặt hàng",
+  "paymentMethod.cod": "COD (thanh toán khi nhận)",
+  "paymentMethod.transfer": "Chuyển khoản ngân hàng (VietQR)",
+  "paymentMethod.vnpay": "VNPAY (thẻ ATM, Visa/Master, QR ngân hàng)",
+  "paymentMethod.momo": "Ví MoMo",
+  "paymentShort.cod": "COD",
+  "paymentShort.transfer": "Chuyển khoản",
+  "paymentShort.vnpay": "VNPAY",
+  "paymentShort.momo": "MoMo",
+  "paymentStatus.unpaid": "Chưa thanh toán",
+  "paymentStatus.paid": "Đã thanh toán",
+  "paymentStatus.failed": "Thanh toán không thành công",
+  "zone.inner": "Nội thành",
+  "zone.outer": "Ngoại thành",
+  "zone.province": "Tỉnh khác",
+  "delivery.days": "{days} ngày",
+  "delivery.range": "{min}–{max} ngày",
+  "address.scheme.2025": "Địa chỉ mới (từ 1/7/2025)",
+  "address.scheme.legacy": "Địa chỉ cũ (Tỉnh/Huyện/Xã)",
+  "address.province": "Tỉnh/Thành",
+  "address.district": "Quận/Huyện",
+  "address.ward": "Phường/Xã",
+
+  // ---- Orders and payment ----
+  "order.loading": "Đang tải đơn hàng…",
+  "order.notFound": "Không tìm thấy đơn hàng",
+  "order.success": "Đặt hàng thành công!",
+  "order.thanks": "Cảm ơn bạn. Mã đơn hàng của bạn là",
+  "order.placedAt": "Đặt lúc {date}",
+  "order.payVia": "Thanh toán qua {gateway}",
+  "order.lastFailed": "Lần thanh toán trước chưa thành công: {message}.",
+  "order.awaitingPayment": "Đơn hàng đang chờ thanh toán.",
+  "order.pay": "Thanh toán {amount}",
+  "order.transferTitle": "Quét mã để chuyển khoản",
+  "order.transferHint":
+    "Mở ứng dụng ngân hàng và quét mã: số tiền và nội dung đã được điền sẵn. Vui lòng giữ nguyên nội dung để đơn được xác nhận nhanh hơn.",
+  "order.transferLater":
+    "Cửa hàng sẽ liên hệ để gửi thông tin chuyển khoản cho bạn.",
+  "order.items": "Sản phẩm",
+  "order.delivery": "Giao hàng",
+  "order.eta": "dự kiến {window}",
+  "order.payment": "Thanh toán",
+  "qr.alt": "Mã VietQR chuyển khoản",
+  "qr.bank": "Ngân hàng",
+  "qr.accountNumber": "Số tài khoản",
+  "qr.accountName": "Chủ tài khoản",
+  "qr.amount": "Số tiền",
+  "qr.memo": "Nội dung",
+  "paymentReturn.checking": "Đang kiểm tra kết quả thanh toán…",
+  "paymentReturn.paid": "Thanh toán thành công",
+  "paymentReturn.failed": "Thanh toán chưa thành công",
+  "paymentReturn.error": "Không xác nhận được thanh toán",
+  "paymentReturn.badGateway": "Cổng thanh toán không hợp lệ.",
+  "paymentReturn.viewOrder": "Xem đơn hàng {code}",
+
+  // ---- Pages ----
+  "about.title": "Về {name}",
+  "policy.notFound": "Không tìm thấy trang này.",
+  "contact.title": "Liên hệ",
+  "contact.intro": "Gửi tin nhắn, chúng tôi sẽ phản hồi trong 24h.",
+  "contact.name": "Họ và tên",
+  "contact.email": "Email",
+  "contact.message": "Nội dung",
+  "contact.send": "Gửi",
+  "contact.sending": "Đang gửi…",
+  "contact.sent": "Đã gửi! Cảm ơn bạn.",
+  "contact.phone": "Điện thoại",
+  "contact.address": "Địa chỉ",
+  "contact.hours": "Giờ mở cửa",
+  "newsletter.title": "Đăng ký nhận tin",
+  "newsletter.intro": "Nhận ưu đãi sớm và câu chuyện hậu trường.",
+  "newsletter.email": "Email của bạn",
+  "newsletter.subscribe": "Đăng ký",
+  "newsletter.checkInbox":
+    "Nếu {email} chưa đăng ký, email xác nhận đang trên đường tới. Mở liên kết trong email để hoàn tất đăng ký.",
+  "newsletter.demoLink": "Bản chạy thử không gửi email.",
+  "newsletter.confirmNow": "Xác nhận ngay",
+  "newsletter.checking": "Đang xử lý…",
+  "newsletter.confirmed": "Đã xác nhận đăng ký",
+  "newsletter.confirmedText": "{email} sẽ nhận được tin mới từ chúng tôi.",
+  "newsletter.unsubscribed": "Đã huỷ đăng ký",
+  "newsletter.unsubscribedText": "{email} sẽ không nhận tin từ chúng tôi nữa.",
+  "newsletter.error": "Không thực hiện được",
+  "newsletter.badLink": "Liên kết không hợp lệ.",
+};
+
+export default vi;
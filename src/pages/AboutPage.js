@@ -0,0 +1,15 @@
+import React from "react";
+import RichText from "../components/RichText";
+import { useI18n } from "../lib/useI18n";
+
+export default function AboutPage({ site }) {
+  const { t } = useI18n();
+  return (
+    <section className="rounded-3xl border bg-white p-6">
+      <h2 className="mb-3 text-2xl font-semibold">
+        {t("about.title", { name: site.name })}
+      </h2>
+      <RichText text={site.about} />
+    </section>
+  );
+}
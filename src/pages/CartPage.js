@@ -0,0 +1,69 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import CartLines from "../components/CartLines";
+import { Button } from "../components/ui";
+import { useI18n } from "../lib/useI18n";
+
+export default function CartPage({
+  cart,
+  total,
+  shippingEstimate,
+  issues,
+  onUpdateQty,
+  onRemove,
+  onFixCart,
+}) {
+  const { t, vnd, approx, foreign } = useI18n();
+  const navigate = useNavigate();
+  const stale = Object.keys(issues).length > 0;
+  return (
+    <div className="grid gap-6 md:grid-cols-3">
+      <section className="md:col-span-2 rounded-3xl border bg-white p-6">
+        <h2 className="mb-4 text-xl font-semibold">{t("cart.title")}</h2>
+        <CartLines
+          cart={cart}
+          issues={issues}
+          onUpdateQty={onUpdateQty}
+          onRemove={onRemove}
+        />
+        {stale && (
+          <Button className="mt-4 text-red-600" onClick={onFixCart}>
+            {t("cart.fix")}
+          </Button>
+        )}
+      </section>
+      <aside className="h-fit rounded-3xl border bg-white p-6">
+        <div className="grid gap-1 text-sm">
+          <div className="flex justify-between">
+            <span>{t("cart.subtotal")}</span>
+            <span>{vnd(total)}</span>
+          </div>
+          {foreign && (
+            <div className="text-right text-neutral-500">{approx(total)}</div>
+          )}
+          <div className="flex justify-between">
+            <span>{t("cart.shipping")}</span>
+            <span>{shippingEstimate}</span>
+          </div>
+        </div>
+        {foreign && (
+          <p className="mt-3 text-xs text-neutral-500">
+            {t("cart.settlesInVnd")}
+          </p>
+        )}
+        <div className="mt-4 grid gap-2">
+          <Button
+            className="bg-black text-white w-full disabled:opacity-40"
+            disabled={cart.length === 0 || stale}
+            onClick={() => navigate("/thanh-toan")}
+          >
+            {t("cart.checkout")}
+          </Button>
+          <Button className="w-full" onClick={() => navigate("/")}>
+            {t("common.continueShopping")}
+          </Button>
+        </div>
+      </aside>
+    </div>
+  );
+}
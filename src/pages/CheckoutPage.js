@@ -0,0 +1,467 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Badge, Button, Input } from "../components/ui";
+import { forget, load, save } from "../lib/utils";
+import { useI18n } from "../lib/useI18n";
+import { validateCheckout } from "../lib/validation";
+import { DEFAULT_SCHEME } from "../lib/address";
+import AddressPicker from "../components/AddressPicker";
+import { applyCoupons, normalizeCode } from "../lib/coupons";
+import { orderTotals } from "../lib/checkout";
+import { availablePaymentMethods } from "../lib/gateways";
+import { shippingOptions, shippingZone } from "../lib/shipping";
+
+const CUSTOMER_FIELDS = [
+  "name",
+  "phone",
+  "email",
+  "address",
+  "addressScheme",
+  "province",
+  "provinceCode",
+  "district",
+  "districtCode",
+  "ward",
+  "wardCode",
+];
+
+const EMPTY_CHECKOUT = {
+  name: "",
+  phone: "",
+  email: "",
+  address: "",
+  addressScheme: DEFAULT_SCHEME,
+  province: "",
+  provinceCode: "",
+  district: "",
+  districtCode: "",
+  ward: "",
+  wardCode: "",
+  shippingMethod: "standard",
+  paymentMethod: "cod",
+  coupon: "",
+  coupons: [],
+};
+
+// Payment methods with a "paymentHint.<method>" line under them.
+const PAYMENT_HINTS = ["transfer", "vnpay", "momo"];
+
+const pickCustomer = (c) =>
+  Object.fromEntries(CUSTOMER_FIELDS.map((k) => [k, c[k]]));
+
+export default function CheckoutPage({
+  cart,
+  total,
+  weight,
+  shipping,
+  products,
+  categories,
+  orders,
+  coupons,
+  bank,
+  gateways,
+  issues,
+  onOrderPlaced,
+}) {
+  const { t, msg } = useI18n();
+  const stale = Object.keys(issues).length > 0;
+  // One state for the form and the summary footer, pre-filled with the
+  // details a returning customer saved last time.
+  const [checkout, setCheckout] = useState(() => ({
+    ...EMPTY_CHECKOUT,
+    shippingMethod: shipping.methods.find((m) => m.enabled)?.id,
+    ...load("vk_customer", {}),
+  }));
+  const [touched, setTouched] = useState({});
+  const [remember, setRemember] = useState(true);
+  const [placing, setPlacing] = useState(false);
+
+  const errors = validateCheckout(checkout);
+  const visibleErrors = Object.fromEntries(
+    Object.entries(errors)
+      .filter(([k]) => touched[k])
+      .map(([k, message]) => [k, msg(message)])
+  );
+
+  // The fee depends on where the parcel goes, so it is only known once the
+  // address reaches a ward (or district) inside the store's province.
+  const zone = shippingZone(checkout, shipping);
+  const options = shippingOptions(shipping, zone, { weight, subtotal: total });
+  const quote =
+    options.find((o) => o.method.id === checkout.shippingMethod)?.quote || null;
+  // Applied codes are re-checked on every change: a coupon can stop applying
+  // when the cart, the phone number (per-customer limits) or the fee changes.
+  const promo = applyCoupons(coupons, checkout.coupons, {
+    products,
+    categories,
+    cart,
+    subtotal: total,
+    shippingFee: quote ? quote.fee : 0,
+    orders,
+    phone: checkout.phone,
+  });
+  const shippingError = zone && !quote ? t("checkout.methodUnavailable") : null;
+
+  const paymentMethods = availablePaymentMethods(bank, gateways);
+  const paymentMethod = paymentMethods.includes(checkout.paymentMethod)
+    ? checkout.paymentMethod
+    : paymentMethods[0];
+
+  const update = (field, value) =>
+    setCheckout((c) => ({ ...c, [field]: value }));
+  const patch = (changes) => setCheckout((c) => ({ ...c, ...changes }));
+  const touch = (field) => setTouched((t) => ({ ...t, [field]: true }));
+
+  const placeOrder = async (summary) => {
+    if (placing) return;
+    if (Object.keys(errors).length) {
+      setTouched(Object.fromEntries(CUSTOMER_FIELDS.map((k) => [k, true])));
+      return;
+    }
+    if (!quote) return;
+    if (remember) save("vk_customer", pickCustomer(checkout));
+    else forget("vk_customer");
+    // Saving to the server takes a moment; one click, one order.
+    setPlacing(true);
+    try {
+      await onOrderPlaced({
+        ...summary,
+        details: { ...checkout, paymentMethod },
+        delivery: quote,
+      });
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  return (
+    <div className="grid gap-6 md:grid-cols-3">
+      <section className="md:col-span-2 rounded-3xl border bg-white p-6">
+        <h2 className="mb-4 text-xl font-semibold">{t("checkout.title")}</h2>
+        <CheckoutForm
+          checkout={checkout}
+          errors={visibleErrors}
+          onChange={update}
+          onPatch={patch}
+          onBlur={touch}
+          zone={zone}
+          weight={weight}
+          shippingChoices={options}
+          shippingError={shippingError}
+          paymentMethods={paymentMethods}
+          paymentMethod={paymentMethod}
+        />
+        <label className="mt-4 flex items-center gap-2 text-sm text-neutral-600">
+          <input
+            type="checkbox"
+            checked={remember}
+            onChange={(e) => setRemember(e.target.checked)}
+          />
+          {t("checkout.remember")}
+        </label>
+      </section>
+      <aside className="h-fit rounded-3xl border bg-white p-6">
+        {cart.length === 0 ? (
+          <div className="text-center text-neutral-600">{t("cart.empty")}</div>
+        ) : (
+          <>
+            {cart.some((i) => i.priceWas != null) && (
+              <div className="mb-4 rounded-xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+                {t("checkout.pricesChanged")}{" "}
+                <Link to="/gio-hang" className="underline">
+                  {t("checkout.reviewCart")}
+                </Link>
+              </div>
+            )}
+            {stale && (
+              <div className="mb-4 rounded-xl border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+                {t("checkout.stockChanged")}{" "}
+                <Link to="/gio-hang" className="underline">
+                  {t("checkout.updateCart")}
+                </Link>
+              </div>
+            )}
+            <CheckoutFooter
+              checkout={checkout}
+              onChange={update}
+              total={total}
+              quote={quote}
+              promo={promo}
+              disabled={stale || placing}
+              invalid={Object.keys(visibleErrors).length > 0 || !!shippingError}
+              onOrderPlaced={placeOrder}
+            />
+          </>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+// ----------------------- Checkout -----------------------
+const Field = ({ error, children }) => (
+  <div>
+    {children}
+    {error && <div className="mt-1 text-sm text-red-600">{error}</div>}
+  </div>
+);
+
+function CheckoutForm({
+  checkout,
+  errors,
+  onChange,
+  onPatch,
+  onBlur,
+  zone,
+  weight,
+  shippingChoices,
+  shippingError,
+  paymentMethods,
+  paymentMethod,
+}) {
+  const { t, vnd, number, days } = useI18n();
+  const field = (name, props = {}) => (
+    <Field error={errors[name]}>
+      <Input
+        name={name}
+        value={checkout[name]}
+        onChange={(e) => onChange(name, e.target.value)}
+        onBlur={() => onBlur(name)}
+        aria-invalid={!!errors[name]}
+        className={errors[name] ? "border-red-400" : ""}
+        {...props}
+      />
+    </Field>
+  );
+
+  return (
+    <form className="grid gap-4" onSubmit={(e) => e.preventDefault()}>
+      <div className="grid gap-2">
+        <div className="font-semibold">{t("checkout.contact")}</div>
+        {field("name", {
+          placeholder: t("checkout.name"),
+          autoComplete: "name",
+        })}
+        <div className="grid grid-cols-1 gap-2 md:grid-cols-2">
+          {field("phone", {
+            placeholder: t("checkout.phone"),
+            type: "tel",
+            inputMode: "numeric",
+            autoComplete: "tel",
+          })}
+          {field("email", {
+            placeholder: t("checkout.email"),
+            type: "email",
+            autoComplete: "email",
+          })}
+        </div>
+        <AddressPicker
+          value={checkout}
+          errors={errors}
+          onChange={onPatch}
+          onBlur={onBlur}
+        />
+        {field("address", {
+          placeholder: t("checkout.address"),
+          autoComplete: "street-address",
+        })}
+      </div>
+      <div className="grid gap-2">
+        <div className="flex items-baseline justify-between">
+          <div className="font-semibold">{t("checkout.shippingMethod")}</div>
+          {zone && (
+            <div className="text-sm text-neutral-500">
+              {t("checkout.weight", {
+                zone: t(`zone.${zone}`),
+                weight: number(weight / 1000),
+              })}
+            </div>
+          )}
+        </div>
+        {shippingChoices.map(({ method, quote }) => {
+          const unavailable = zone && !quote;
+          return (
+            <label
+              key={method.id}
+              className={`flex items-center gap-3 rounded-xl border p-3 ${
+                unavailable ? "text-neutral-400" : ""
+              }`}
+            >
+              <input
+                type="radio"
+                name="shippingMethod"
+                disabled={unavailable}
+                checked={checkout.shippingMethod === method.id}
+                onChange={() => onChange("shippingMethod", method.id)}
+              />
+              <div className="flex-1">
+                <div>
+                  {method.label}
+                  {quote && ` (${days(quote)})`}
+                </div>
+                {quote && !quote.free && quote.freeOver != null && (
+                  <div className="text-xs text-neutral-500">
+                    {t("checkout.freeOver", { amount: vnd(quote.freeOver) })}
+                  </div>
+                )}
+              </div>
+              <span className="text-sm">
+                {!zone
+                  ? t("checkout.pickAddress")
+                  : unavailable
+                  ? t("checkout.noDelivery")
+                  : quote.free
+                  ? t("common.free")
+                  : vnd(quote.fee)}
+              </span>
+            </label>
+          );
+        })}
+        {shippingError && (
+          <div className="text-sm text-red-600">{shippingError}</div>
+        )}
+      </div>
+      <div className="grid gap-2">
+        <div className="font-semibold">{t("checkout.payment")}</div>
+        {paymentMethods.map((key) => (
+          <label
+            key={key}
+            className="flex items-center gap-3 rounded-xl border p-3"
+          >
+            <input
+              type="radio"
+              name="paymentMethod"
+              checked={paymentMethod === key}
+              onChange={() => onChange("paymentMethod", key)}
+            />
+            <div>
+              <div>{t(`paymentMethod.${key}`)}</div>
+              {PAYMENT_HINTS.includes(key) && (
+                <div className="text-xs text-neutral-500">
+                  {t(`paymentHint.${key}`)}
+                </div>
+              )}
+            </div>
+          </label>
+        ))}
+      </div>
+    </form>
+  );
+}
+
+function CheckoutFooter({
+  checkout,
+  onChange,
+  total,
+  quote,
+  promo,
+  disabled,
+  invalid,
+  onOrderPlaced,
+}) {
+  const { t, msg, vnd, approx, foreign } = useI18n();
+  const totals = orderTotals({
+    subtotal: total,
+    shippingFee: quote ? quote.fee : 0,
+    discount: promo.discount,
+  });
+  const { shippingFee, discount, grand } = totals;
+  const applyCode = () => {
+    const code = normalizeCode(checkout.coupon);
+    if (code && !checkout.coupons.includes(code))
+      onChange("coupons", [...checkout.coupons, code]);
+    onChange("coupon", "");
+  };
+  const removeCode = (code) =>
+    onChange(
+      "coupons",
+      checkout.coupons.filter((c) => c !== code)
+    );
+  return (
+    <div className="grid gap-3">
+      <div className="flex items-center gap-2">
+        <Input
+          placeholder={t("checkout.coupon")}
+          value={checkout.coupon}
+          onChange={(e) => onChange("coupon", e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && applyCode()}
+        />
+        <Button onClick={applyCode}>{t("checkout.applyCoupon")}</Button>
+      </div>
+      {(promo.applied.length > 0 || promo.rejected.length > 0) && (
+        <div className="grid gap-1 text-sm">
+          {promo.applied.map((a) => (
+            <div key={a.code} className="flex items-center gap-2">
+              <Badge className="border-green-200 bg-green-50 text-green-700">
+                {a.code}
+              </Badge>
+              <span className="text-neutral-600">-{vnd(a.amount)}</span>
+              <button
+                className="ml-auto text-neutral-400"
+                aria-label={t("checkout.removeCoupon", { code: a.code })}
+                onClick={() => removeCode(a.code)}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          {promo.rejected.map((r) => (
+            <div key={r.code} className="flex items-center gap-2">
+              <Badge className="border-red-200 bg-red-50 text-red-700 line-through">
+                {r.code}
+              </Badge>
+              <span className="text-red-600">{msg(r.message)}</span>
+              <button
+                className="ml-auto text-neutral-400"
+                aria-label={t("checkout.removeCoupon", { code: r.code })}
+                onClick={() => removeCode(r.code)}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="grid gap-1 text-sm">
+        <div className="flex justify-between">
+          <span>{t("cart.subtotal")}</span>
+          <span>{vnd(total)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span>{t("cart.shipping")}</span>
+          <span>
+            {!quote
+              ? "—"
+              : shippingFee === 0
+              ? t("common.free")
+              : vnd(shippingFee)}
+          </span>
+        </div>
+        <div className="flex justify-between">
+          <span>{t("checkout.discount")}</span>
+          <span>-{vnd(discount)}</span>
+        </div>
+        <div className="mt-1 flex justify-between text-base font-semibold">
+          <span>{t("checkout.total")}</span>
+          <span>{vnd(grand)}</span>
+        </div>
+        {foreign && (
+          <>
+            <div className="text-right text-neutral-500">{approx(grand)}</div>
+            <p className="text-xs text-neutral-500">{t("cart.settlesInVnd")}</p>
+          </>
+        )}
+      </div>
+      {invalid && (
+        <div className="text-sm text-red-600">{t("checkout.checkDetails")}</div>
+      )}
+      <Button
+        className="bg-black text-white w-full disabled:opacity-40"
+        disabled={disabled}
+        onClick={() => onOrderPlaced({ coupons: promo.applied, totals })}
+      >
+        {t("checkout.placeOrder")}
+      </Button>
+    </div>
+  );
+}
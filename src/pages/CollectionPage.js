@@ -0,0 +1,72 @@
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import ProductCard from "../components/ProductCard";
+import { isWished } from "../lib/wishlist";
+import { collectionProducts, collectionSlug } from "../lib/collections";
+import { useI18n } from "../lib/useI18n";
+
+export default function CollectionPage({
+  collections,
+  products,
+  categories,
+  onQuickView,
+  onAddToCart,
+  wishlist,
+  onToggleWish,
+}) {
+  const { t } = useI18n();
+  const { slug } = useParams();
+  const collection = collections.find((c) => collectionSlug(c) === slug);
+
+  if (!collection)
+    return (
+      <div className="rounded-3xl border bg-white p-6 text-center">
+        <div className="text-lg font-semibold">{t("collection.notFound")}</div>
+        <Link to="/" className="mt-2 inline-block underline text-neutral-600">
+          {t("common.backToShop")}
+        </Link>
+      </div>
+    );
+
+  const list = collectionProducts(collection, products, categories);
+  return (
+    <div className="grid gap-4">
+      <nav className="text-sm text-neutral-500">
+        <Link to="/" className="hover:underline">
+          {t("nav.shop")}
+        </Link>{" "}
+        / {collection.name}
+      </nav>
+      <div className="overflow-hidden rounded-3xl border bg-white">
+        {collection.banner && (
+          <img
+            src={collection.banner}
+            alt={collection.name}
+            className="h-48 w-full object-cover"
+          />
+        )}
+        <div className="p-6">
+          <h1 className="text-2xl font-bold">{collection.name}</h1>
+          {collection.description && (
+            <p className="mt-2 text-neutral-600">{collection.description}</p>
+          )}
+          <div className="mt-2 text-sm text-neutral-500">
+            {t("shop.count", { count: list.length })}
+          </div>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-4 sm:grid-cols-3 lg:grid-cols-4">
+        {list.map((p) => (
+          <ProductCard
+            key={p.id}
+            product={p}
+            onQuickView={onQuickView}
+            onAddToCart={onAddToCart}
+            wished={isWished(wishlist, p.id)}
+            onToggleWish={onToggleWish}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
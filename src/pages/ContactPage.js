@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { Button, Input } from "../components/ui";
+import { useI18n } from "../lib/useI18n";
+import { emptyMessage, validateMessage } from "../lib/messages";
+
+const DETAILS = ["phone", "email", "address", "hours"];
+
+const detailHref = (key, value) =>
+  key === "phone"
+    ? `tel:${value.replace(/[^\d+]/g, "")}`
+    : key === "email"
+    ? `mailto:${value}`
+    : null;
+
+export default function ContactPage({ contact, onSendMessage, onSubscribe }) {
+  const { t } = useI18n();
+  const details = DETAILS.filter((key) => contact[key]?.trim());
+  return (
+    <section className="grid gap-6 md:grid-cols-2">
+      <div className="rounded-3xl border bg-white p-6">
+        <h3 className="text-xl font-semibold">{t("contact.title")}</h3>
+        <p className="text-neutral-600">{t("contact.intro")}</p>
+        {details.length > 0 && (
+          <dl className="mt-4 grid gap-1 text-sm">
+            {details.map((key) => (
+              <div key={key} className="flex gap-2">
+                <dt className="w-24 shrink-0 text-neutral-500">
+                  {t(`contact.${key}`)}
+                </dt>
+                <dd className="whitespace-pre-line">
+                  {detailHref(key, contact[key]) ? (
+                    <a
+                      href={detailHref(key, contact[key])}
+                      className="underline"
+                    >
+                      {contact[key]}
+                    </a>
+                  ) : (
+                    contact[key]
+                  )}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        )}
+        <ContactForm onSend={onSendMessage} />
+      </div>
+      <div className="rounded-3xl border bg-white p-6">
+        <h3 className="text-xl font-semibold">{t("newsletter.title")}</h3>
+        <p className="text-neutral-600">{t("newsletter.intro")}</p>
+        <NewsletterForm onSubscribe={onSubscribe} />
+      </div>
+    </section>
+  );
+}
+
+function ContactForm({ onSend }) {
+  const { t, msg } = useI18n();
+  const [draft, setDraft] = useState(emptyMessage);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const edit = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const problem = validateMessage(draft);
+    setError(msg(problem) || "");
+    if (problem) return;
+    setBusy(true);
+    try {
+      await onSend(draft);
+      setDraft(emptyMessage());
+      alert(t("contact.sent"));
+    } catch (err) {
+      setError(msg(err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="mt-4 grid gap-3" onSubmit={submit} noValidate>
+      <Input
+        placeholder={t("contact.name")}
+        value={draft.name}
+        onChange={(e) => edit({ name: e.target.value })}
+      />
+      <Input
+        placeholder={t("contact.email")}
+        type="email"
+        value={draft.email}
+        onChange={(e) => edit({ email: e.target.value })}
+      />
+      <textarea
+        className="min-h-[120px] rounded-xl border border-gray-200 p-3 outline-none focus:ring-2 focus:ring-black/10"
+        placeholder={t("contact.message")}
+        value={draft.text}
+        onChange={(e) => edit({ text: e.target.value })}
+      />
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <Button className="bg-black text-white" disabled={busy}>
+        {t(busy ? "contact.sending" : "contact.send")}
+      </Button>
+    </form>
+  );
+}
+
+// Double opt-in: the address only counts once the emailed link is opened.
+function NewsletterForm({ onSubscribe }) {
+  const { t, msg } = useI18n();
+  const [email, setEmail] = useState("");
+  const [notice, setNotice] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const reply = await onSubscribe(email);
+      setNotice({
+        text: t("newsletter.checkInbox", { email: reply.email }),
+        link: reply.confirmUrl,
+      });
+      setEmail("");
+    } catch (err) {
+      setNotice({ text: msg(err), error: true });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} noValidate>
+      <div className="mt-4 flex gap-2">
+        <Input
+          type="email"
+          placeholder={t("newsletter.email")}
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+        />
+        <Button className="bg-black text-white" disabled={busy}>
+          {t("newsletter.subscribe")}
+        </Button>
+      </div>
+      {notice && (
+        <div
+          className={`mt-2 text-sm ${
+            notice.error ? "text-red-600" : "text-neutral-600"
+          }`}
+        >
+          {notice.text}
+          {notice.link && (
+            <div className="mt-1">
+              {t("newsletter.demoLink")}{" "}
+              <a className="underline" href={notice.link}>
+                {t("newsletter.confirmNow")}
+              </a>
+            </div>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
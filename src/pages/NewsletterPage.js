@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useI18n } from "../lib/useI18n";
+import { useLatest } from "../lib/useLatest";
+
+// Links from the newsletter emails: /nhan-tin/xac-nhan/:token confirms the
+// sign-up, /nhan-tin/huy/:token unsubscribes.
+const ACTIONS = { "xac-nhan": "confirmed", huy: "unsubscribed" };
+
+export default function NewsletterPage({ onConfirm, onUnsubscribe }) {
+  const { t, msg } = useI18n();
+  const { action, token } = useParams();
+  const [state, setState] = useState({ status: "checking" });
+  // Use each link once, not on every re-render of App.
+  const handlers = useLatest({ onConfirm, onUnsubscribe });
+
+  useEffect(() => {
+    if (!ACTIONS[action]) {
+      setState({ status: "error" });
+      return;
+    }
+    let live = true;
+    const { onConfirm, onUnsubscribe } = handlers.current;
+    (action === "huy" ? onUnsubscribe : onConfirm)(token).then(
+      (subscriber) =>
+        live && setState({ status: ACTIONS[action], email: subscriber.email }),
+      (err) => live && setState({ status: "error", message: err.message })
+    );
+    return () => {
+      live = false;
+    };
+  }, [action, token, handlers]);
+
+  const { status, email, message } = state;
+  return (
+    <div className="mx-auto max-w-md rounded-3xl border bg-white p-6 text-center">
+      <div className="text-4xl">
+        {status === "checking" ? "⏳" : status === "error" ? "⚠️" : "✉️"}
+      </div>
+      <h2 className="mt-2 text-xl font-semibold">
+        {t(`newsletter.${status}`)}
+      </h2>
+      {email && (
+        <p className="mt-1 text-neutral-600">
+          {t(`newsletter.${status}Text`, { email })}
+        </p>
+      )}
+      {status === "error" && (
+        <p className="mt-1 text-red-600">
+          {msg(message) || t("newsletter.badLink")}
+        </p>
+      )}
+      <Link to="/" className="mt-4 inline-block underline">
+        {t("notFound.home")}
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import {
+  fullAddress,
+  orderCoupons,
+  orderStatus,
+  paymentStatus,
+  shippingMethodLabel,
+} from "../lib/orders";
+import { localizeItems } from "../lib/i18n";
+import { useI18n } from "../lib/useI18n";
+import { useLatest } from "../lib/useLatest";
+import { isBankConfigured } from "../lib/vietqr";
+import { PAYMENT_GATEWAYS } from "../lib/gateways";
+import { Button } from "../components/ui";
+import VietQR from "../components/VietQR";
+
+// Order confirmation, reachable again later at /don-hang/:code?t=token (see
+// orderPath).
+export default function OrderPage({
+  orders,
+  products,
+  bank,
+  onPay,
+  onLoadOrder,
+}) {
+  const { t, msg, vnd, approx, date, days, locale } = useI18n();
+  const { code } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("t");
+  const order = orders.find((o) => o.code === code);
+  // Orders placed on another device have to be fetched by code.
+  const [lookup, setLookup] = useState(order ? "done" : "loading");
+  // Look each code up once; `order` appears when the lookup succeeds.
+  const found = !!order;
+  const loadOrder = useLatest(onLoadOrder);
+
+  useEffect(() => {
+    if (found) return;
+    let live = true;
+    setLookup("loading");
+    loadOrder
+      .current(code, token)
+      .catch(() => null)
+      .then(() => live && setLookup("done"));
+    return () => {
+      live = false;
+    };
+  }, [found, code, token, loadOrder]);
+
+  if (!order && lookup === "loading")
+    return (
+      <div className="rounded-3xl border bg-white p-6 text-center text-neutral-600">
+        {t("order.loading")}
+      </div>
+    );
+
+  if (!order)
+    return (
+      <div className="rounded-3xl border bg-white p-6 text-center">
+        <div className="text-lg font-semibold">{t("order.notFound")}</div>
+        <Link to="/" className="mt-2 inline-block underline text-neutral-600">
+          {t("common.backToShop")}
+        </Link>
+      </div>
+    );
+
+  const { customer, shipping, totals } = order;
+  const coupons = orderCoupons(order);
+  const items = localizeItems(order.items, products, locale);
+  const awaitingTransfer =
+    order.paymentMethod === "transfer" &&
+    paymentStatus(order) === "unpaid" &&
+    orderStatus(order) !== "cancelled";
+  const gateway = PAYMENT_GATEWAYS[order.paymentMethod];
+  const awaitingGateway =
+    gateway &&
+    paymentStatus(order) !== "paid" &&
+    orderStatus(order) !== "cancelled";
+  return (
+    <div className="mx-auto grid max-w-3xl gap-6">
+      <section className="rounded-3xl border bg-white p-6 text-center">
+        <div className="text-4xl">✅</div>
+        <h2 className="mt-2 text-2xl font-semibold">{t("order.success")}</h2>
+        <p className="mt-1 text-neutral-600">
+          {t("order.thanks")}{" "}
+          <span className="font-mono font-semibold">{order.code}</span>
+        </p>
+        <p className="text-sm text-neutral-500">
+          {t("order.placedAt", { date: date(order.createdAt) })}
+        </p>
+      </section>
+
+      {awaitingGateway && (
+        <section className="rounded-3xl border bg-white p-6 text-center">
+          <h3 className="mb-1 font-semibold">
+            {t("order.payVia", { gateway: gateway.label })}
+          </h3>
+          <p className="mb-4 text-sm text-neutral-600">
+            {order.payment?.status === "failed"
+              ? t("order.lastFailed", { message: msg(order.payment.message) })
+              : t("order.awaitingPayment")}
+          </p>
+          <Button className="bg-black text-white" onClick={() => onPay(order)}>
+            {t("order.pay", { amount: vnd(order.totals.grand) })}
+          </Button>
+        </section>
+      )}
+
+      {awaitingTransfer && (
+        <section className="rounded-3xl border bg-white p-6">
+          <h3 className="mb-1 font-semibold">{t("order.transferTitle")}</h3>
+          {isBankConfigured(bank) ? (
+            <>
+              <p className="mb-4 text-sm text-neutral-600">
+                {t("order.transferHint")}
+              </p>
+              <VietQR
+                bank={bank}
+                amount={order.totals.grand}
+                memo={order.code}
+              />
+            </>
+          ) : (
+            <p className="text-sm text-neutral-600">
+              {t("order.transferLater")}
+            </p>
+          )}
+        </section>
+      )}
+
+      <section className="rounded-3xl border bg-white p-6">
+        <h3 className="mb-3 font-semibold">{t("order.items")}</h3>
+        <div className="grid gap-2 text-sm">
+          {items.map((i, idx) => (
+            <div key={idx} className="flex justify-between gap-3">
+              <span>
+                {i.name}
+                {i.variantLabel && ` (${i.variantLabel})`} × {i.qty}
+              </span>
+              <span>{vnd(i.price * i.qty)}</span>
+            </div>
+          ))}
+        </div>
+        <div className="mt-4 grid gap-1 border-t pt-3 text-sm">
+          <div className="flex justify-between">
+            <span>{t("cart.subtotal")}</span>
+            <span>{vnd(totals.subtotal)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>{t("cart.shipping")}</span>
+            <span>
+              {totals.shippingFee === 0
+                ? t("common.free")
+                : vnd(totals.shippingFee)}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span>
+              {t("checkout.discount")}
+              {coupons.length > 0 &&
+                ` (${coupons.map((c) => c.code).join(", ")})`}
+            </span>
+            <span>-{vnd(totals.discount)}</span>
+          </div>
+          <div className="mt-1 flex justify-between text-base font-semibold">
+            <span>{t("checkout.total")}</span>
+            <span>{vnd(totals.grand)}</span>
+          </div>
+          {approx(totals.grand) && (
+            <div className="text-right text-neutral-500">
+              {approx(totals.grand)}
+            </div>
+          )}
+        </div>
+      </section>
+
+      <section className="grid gap-6 md:grid-cols-2">
+        <div className="rounded-3xl border bg-white p-6 text-sm">
+          <h3 className="mb-2 font-semibold">{t("order.delivery")}</h3>
+          <div>{customer.name}</div>
+          <div>{customer.phone}</div>
+          {customer.email && <div>{customer.email}</div>}
+          <div className="mt-1 text-neutral-600">{fullAddress(shipping)}</div>
+          <div className="mt-2 text-neutral-600">
+            {shippingMethodLabel(order)}
+            {order.delivery &&
+              ` · ${t("order.eta", { window: days(order.delivery) })}`}
+          </div>
+        </div>
+        <div className="rounded-3xl border bg-white p-6 text-sm">
+          <h3 className="mb-2 font-semibold">{t("order.payment")}</h3>
+          <div>{t(`paymentMethod.${order.paymentMethod}`)}</div>
+          <div className="text-neutral-600">
+            {t(`paymentStatus.${paymentStatus(order)}`)}
+          </div>
+        </div>
+      </section>
+
+      <div className="text-center">
+        <Link to="/" className="underline text-neutral-600">
+          {t("common.continueShopping")}
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { PAYMENT_GATEWAYS } from "../lib/gateways";
+import { orderPath } from "../lib/orders";
+import { useI18n } from "../lib/useI18n";
+import { useLatest } from "../lib/useLatest";
+
+// Where VNPAY/MoMo send the customer back: /thanh-toan/ket-qua/:provider?…
+export default function PaymentReturnPage({ onConfirm }) {
+  const { t, msg } = useI18n();
+  const { provider } = useParams();
+  const [searchParams] = useSearchParams();
+  const [state, setState] = useState({ status: "checking" });
+  const known = !!PAYMENT_GATEWAYS[provider];
+  // Verify each callback URL once, not on every re-render of App.
+  const confirm = useLatest(onConfirm);
+
+  useEffect(() => {
+    if (!known) return;
+    let live = true;
+    setState({ status: "checking" });
+    confirm.current(provider, Object.fromEntries(searchParams)).then(
+      ({ result, order }) =>
+        live &&
+        setState({ status: result.paid ? "paid" : "failed", result, order }),
+      (err) => live && setState({ status: "error", message: err.message })
+    );
+    return () => {
+      live = false;
+    };
+  }, [known, provider, searchParams, confirm]);
+
+  const { status, result, order, message } = known
+    ? state
+    : { status: "error", message: t("paymentReturn.badGateway") };
+  const title = t(`paymentReturn.${status}`);
+
+  return (
+    <div className="mx-auto max-w-md rounded-3xl border bg-white p-6 text-center">
+      <div className="text-4xl">
+        {status === "paid" ? "✅" : status === "checking" ? "⏳" : "⚠️"}
+      </div>
+      <h2 className="mt-2 text-xl font-semibold">{title}</h2>
+      {status === "failed" && (
+        <p className="mt-1 text-neutral-600">{msg(result.message)}</p>
+      )}
+      {status === "error" && (
+        <p className="mt-1 text-red-600">{msg(message)}</p>
+      )}
+      {order && status !== "checking" && (
+        <Link to={orderPath(order)} className="mt-4 inline-block underline">
+          {t("paymentReturn.viewOrder", { code: order.code })}
+        </Link>
+      )}
+    </div>
+  );
+}
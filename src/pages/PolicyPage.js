@@ -0,0 +1,41 @@
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import RichText from "../components/RichText";
+import { useI18n } from "../lib/useI18n";
+
+// /chinh-sach/:slug — one of the policy pages from Admin ▶ Cửa hàng.
+export default function PolicyPage({ policies }) {
+  const { t } = useI18n();
+  const { slug } = useParams();
+  const policy = policies.find((p) => p.slug === slug);
+  if (!policy)
+    return (
+      <div className="rounded-3xl border bg-white p-6 text-center">
+        <div className="text-lg font-semibold">{t("policy.notFound")}</div>
+        <Link to="/" className="mt-2 inline-block underline text-neutral-600">
+          {t("notFound.home")}
+        </Link>
+      </div>
+    );
+  return (
+    <article className="mx-auto max-w-3xl rounded-3xl border bg-white p-6">
+      <h2 className="mb-3 text-2xl font-semibold">{policy.title}</h2>
+      <RichText text={policy.body} />
+      {policies.length > 1 && (
+        <div className="mt-6 flex flex-wrap gap-3 border-t pt-4 text-sm text-neutral-600">
+          {policies
+            .filter((p) => p !== policy)
+            .map((p) => (
+              <Link
+                key={p.slug}
+                to={`/chinh-sach/${p.slug}`}
+                className="underline"
+              >
+                {p.title}
+              </Link>
+            ))}
+        </div>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import ProductDetail from "../components/ProductDetail";
+import ProductReviews from "../components/ProductReviews";
+import { productSlug } from "../lib/utils";
+import { useI18n } from "../lib/useI18n";
+import { useLatest } from "../lib/useLatest";
+
+export default function ProductPage({
+  products,
+  reviews,
+  storeName,
+  onAddToCart,
+  onBuyNow,
+  onSubmitReview,
+  wishlist,
+  onToggleWish,
+  onView,
+}) {
+  const { t } = useI18n();
+  const { slug } = useParams();
+  const product = products.find((p) => productSlug(p) === slug);
+  const productId = product?.id;
+  const view = useLatest(onView);
+
+  // Once per product opened (not again when the language changes).
+  useEffect(() => {
+    if (productId) view.current?.(productId);
+  }, [productId, view]);
+
+  if (!product)
+    return (
+      <div className="rounded-3xl border bg-white p-6 text-center">
+        <div className="text-lg font-semibold">{t("product.notFound")}</div>
+        <Link to="/" className="mt-2 inline-block underline text-neutral-600">
+          {t("common.backToShop")}
+        </Link>
+      </div>
+    );
+
+  return (
+    <div className="grid gap-4">
+      <nav className="text-sm text-neutral-500">
+        <Link to="/" className="hover:underline">
+          {t("nav.shop")}
+        </Link>{" "}
+        /{" "}
+        <Link
+          to={`/?category=${encodeURIComponent(product.category)}`}
+          className="hover:underline"
+        >
+          {product.category}
+        </Link>{" "}
+        / {product.name}
+      </nav>
+      <div className="rounded-3xl border bg-white p-6">
+        <ProductDetail
+          key={product.id}
+          product={product}
+          onAddToCart={onAddToCart}
+          onBuyNow={onBuyNow}
+          wishlist={wishlist}
+          onToggleWish={onToggleWish}
+        />
+      </div>
+      <div className="rounded-3xl border bg-white p-6">
+        <ProductReviews
+          key={product.id}
+          product={product}
+          reviews={reviews}
+          storeName={storeName}
+          onSubmit={onSubmitReview}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from "react";
+import { Button, Drawer, Select } from "../components/ui";
+import { useShopParams } from "../lib/useShopParams";
+import ProductCard from "../components/ProductCard";
+import { isWished } from "../lib/wishlist";
+import SearchBox from "../components/SearchBox";
+import FilterPanel from "../components/FilterPanel";
+import { searchProducts } from "../lib/search";
+import { useI18n } from "../lib/useI18n";
+import {
+  SORT_OPTIONS,
+  categoryFacets,
+  filterChips,
+  filterProducts,
+  priceBounds,
+  sortProducts,
+} from "../lib/filters";
+
+// filterChips() labels in the shopper's language and currency.
+const chipLabel = ({ key }, filters, t, money) => {
+  const { minPrice, maxPrice } = filters;
+  if (key === "category") return filters.category;
+  if (key === "price")
+    return maxPrice == null
+      ? t("chip.priceFrom", { price: money(minPrice) })
+      : minPrice == null
+      ? t("chip.priceTo", { price: money(maxPrice) })
+      : `${money(minPrice)} – ${money(maxPrice)}`;
+  if (key === "rating") return t("chip.rating", { rating: filters.rating });
+  return t(`chip.${key}`);
+};
+
+export default function ShopPage({
+  products,
+  searchIndex,
+  onOpenProduct,
+  categories,
+  onQuickView,
+  onAddToCart,
+  wishlist,
+  onToggleWish,
+}) {
+  const { query, sort, filters, setQuery, setSort, setFilters, clearFilters } =
+    useShopParams();
+  const { t, money } = useI18n();
+  const [sheetOpen, setSheetOpen] = useState(false);
+
+  // A search lists the best matches first unless another order is picked.
+  const searched = useMemo(
+    () =>
+      query.trim()
+        ? searchProducts(searchIndex, query).map((r) => r.product)
+        : products,
+    [products, searchIndex, query]
+  );
+  const facets = categoryFacets(categories, searched, filters);
+  const bounds = useMemo(() => priceBounds(products), [products]);
+  const shown = filterProducts(searched, filters, { categories });
+  const filtered =
+    query.trim() && sort === "popular" ? shown : sortProducts(shown, sort);
+  const chips = filterChips(filters).map((chip) => ({
+    ...chip,
+    label: chipLabel(chip, filters, t, money),
+  }));
+  const category = categories.find((c) => c.name === filters.category);
+
+  const panel = (
+    <FilterPanel
+      filters={filters}
+      facets={facets}
+      bounds={bounds}
+      onChange={setFilters}
+    />
+  );
+
+  return (
+    <div className="grid gap-6 md:grid-cols-[220px_1fr]">
+      <aside className="hidden h-fit rounded-2xl border bg-white p-4 md:block">
+        {panel}
+      </aside>
+      <div>
+        {category && (category.banner || category.description) && (
+          <div className="mb-4 overflow-hidden rounded-3xl border bg-white">
+            {category.banner && (
+              <img
+                src={category.banner}
+                alt={category.name}
+                className="h-40 w-full object-cover"
+              />
+            )}
+            <div className="p-4">
+              <h2 className="text-xl font-semibold">{category.name}</h2>
+              {category.description && (
+                <p className="mt-1 text-neutral-600">{category.description}</p>
+              )}
+            </div>
+          </div>
+        )}
+        {/* mobile search + filter sheet */}
+        <div className="mb-4 flex gap-2 md:hidden">
+          <SearchBox
+            index={searchIndex}
+            placeholder={t("shop.search")}
+            value={query}
+            onChange={setQuery}
+            onPick={onOpenProduct}
+          />
+          <Button className="border" onClick={() => setSheetOpen(true)}>
+            {t("shop.filters")}
+            {chips.length > 0 && ` (${chips.length})`}
+          </Button>
+        </div>
+        <div className="mb-4 flex flex-wrap items-center gap-2">
+          <div className="text-sm text-neutral-500">
+            {t("shop.count", { count: filtered.length })}
+          </div>
+          {chips.map((chip) => (
+            <button
+              key={chip.key}
+              onClick={() => setFilters(chip.clear)}
+              aria-label={t("shop.removeFilter", { label: chip.label })}
+              className="rounded-full border bg-white px-3 py-1 text-sm hover:bg-neutral-100"
+            >
+              {chip.label} ×
+            </button>
+          ))}
+          {chips.length > 1 && (
+            <button className="text-sm underline" onClick={clearFilters}>
+              {t("shop.clearAll")}
+            </button>
+          )}
+          <div className="ml-auto w-40">
+            <Select
+              aria-label={t("shop.sort")}
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              options={SORT_OPTIONS.map((o) => ({
+                ...o,
+                label: t(`sort.${o.value}`),
+              }))}
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-4 sm:grid-cols-3">
+          {filtered.map((p) => (
+            <ProductCard
+              key={p.id}
+              product={p}
+              onQuickView={onQuickView}
+              onAddToCart={onAddToCart}
+              wished={isWished(wishlist, p.id)}
+              onToggleWish={onToggleWish}
+            />
+          ))}
+        </div>
+        {filtered.length === 0 && (
+          <div className="rounded-3xl border bg-white p-6 text-center text-neutral-600">
+            {query.trim()
+              ? t("shop.emptyFor", { query: query.trim() })
+              : t("shop.empty")}
+            {chips.length > 0 && (
+              <button className="ml-1 underline" onClick={clearFilters}>
+                {t("shop.clearFilters")}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <Drawer
+        open={sheetOpen}
+        onClose={() => setSheetOpen(false)}
+        title={t("shop.filters")}
+        footer={
+          <Button
+            className="w-full bg-black text-white"
+            onClick={() => setSheetOpen(false)}
+          >
+            {t("shop.showResults", { count: filtered.length })}
+          </Button>
+        }
+      >
+        {panel}
+      </Drawer>
+    </div>
+  );
+}
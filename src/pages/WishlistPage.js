@@ -0,0 +1,158 @@
+import React from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Button } from "../components/ui";
+import ProductImage from "../components/ProductImage";
+import StockBadge from "../components/StockBadge";
+import { productSlug } from "../lib/utils";
+import { useI18n } from "../lib/useI18n";
+import {
+  hasVariants,
+  priceRange,
+  productStock,
+  variantImage,
+  variantLabel,
+  variantPrice,
+} from "../lib/variants";
+import { stockOf } from "../lib/inventory";
+import {
+  WISHLIST_PATH,
+  decodeWishlist,
+  wishlistEntries,
+  wishlistShareUrl,
+} from "../lib/wishlist";
+
+// /yeu-thich: the shopper's own wishlist, or (with ?ds=) one shared with them.
+export default function WishlistPage({
+  products,
+  wishlist,
+  onRemove,
+  onMoveToCart,
+  onAddToCart,
+  onSaveShared,
+}) {
+  const { t, money } = useI18n();
+  const [params] = useSearchParams();
+  const shared = params.has("ds") ? decodeWishlist(params.get("ds")) : null;
+  const entries = wishlistEntries(shared || wishlist, products);
+
+  const share = async () => {
+    const url = wishlistShareUrl(window.location.origin, wishlist);
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(t("wishlist.copied"));
+    } catch {
+      window.prompt(t("wishlist.copyPrompt"), url);
+    }
+  };
+
+  return (
+    <div className="grid gap-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <h1 className="mr-auto text-2xl font-bold">
+          {t(shared ? "wishlist.sharedTitle" : "wishlist.title", {
+            count: entries.length,
+          })}
+        </h1>
+        {shared ? (
+          <>
+            <Button
+              onClick={() => {
+                onSaveShared(shared);
+                alert(t("wishlist.saved"));
+              }}
+            >
+              {t("wishlist.saveShared")}
+            </Button>
+            <Link to={WISHLIST_PATH} className="text-sm underline">
+              {t("wishlist.viewMine")}
+            </Link>
+          </>
+        ) : (
+          entries.length > 0 && (
+            <Button onClick={share}>{t("wishlist.share")}</Button>
+          )
+        )}
+      </div>
+
+      {entries.map(({ key, product, variant }) => {
+        const stock = variant
+          ? stockOf(product, variant)
+          : productStock(product);
+        // A shirt saved without a size opens the quick view to pick one.
+        const needsPick = hasVariants(product) && !variant;
+        const [min, max] = priceRange(product);
+        return (
+          <div
+            key={key}
+            className="flex flex-wrap items-center gap-4 rounded-2xl border bg-white p-4"
+          >
+            <div className="h-20 w-20 flex-none overflow-hidden rounded-xl bg-neutral-100">
+              <ProductImage
+                image={variantImage(product, variant, 320)}
+                alt={product.name}
+                width={80}
+                className="h-full w-full object-cover"
+              />
+            </div>
+            <div className="min-w-0 flex-1">
+              <Link
+                to={`/san-pham/${productSlug(product)}`}
+                className="font-medium hover:underline"
+              >
+                {product.name}
+              </Link>
+              {variant && (
+                <div className="text-sm text-neutral-500">
+                  {variantLabel(variant)}
+                </div>
+              )}
+              <div className="mt-1 flex items-center gap-2">
+                <span className="font-semibold">
+                  {variant || min === max
+                    ? money(variantPrice(product, variant))
+                    : `${money(min)} – ${money(max)}`}
+                </span>
+                <StockBadge stock={stock} />
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                className="bg-black text-white disabled:opacity-40"
+                disabled={stock <= 0}
+                onClick={() =>
+                  shared
+                    ? onAddToCart(product, 1, variant)
+                    : onMoveToCart({ key, product, variant })
+                }
+              >
+                {t(
+                  needsPick
+                    ? "wishlist.pickVariant"
+                    : shared
+                    ? "product.addToCart"
+                    : "wishlist.moveToCart"
+                )}
+              </Button>
+              {!shared && (
+                <Button onClick={() => onRemove(key)}>
+                  {t("wishlist.remove")}
+                </Button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {entries.length === 0 && (
+        <div className="rounded-3xl border bg-white p-6 text-center text-neutral-600">
+          {t(shared ? "wishlist.sharedEmpty" : "wishlist.empty")}
+          <div>
+            <Link to="/" className="mt-2 inline-block underline">
+              {t("common.continueShopping")}
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}